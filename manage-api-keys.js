@@ -0,0 +1,63 @@
+#!/usr/bin/env node
+
+/**
+ * HTTP 서버 API 키 관리 CLI
+ *
+ * 사용법:
+ *   node manage-api-keys.js create <이름> [read|write|admin]   : 키 발급 (평문 키는 이때만 표시)
+ *   node manage-api-keys.js list                              : 키 목록
+ *   node manage-api-keys.js revoke <키 ID>                    : 키 폐기
+ */
+
+import 'dotenv/config';
+import { createApiKey, loadApiKeys, revokeApiKey, getApiKeysFile, API_KEY_SCOPES } from './utils/api-keys.js';
+
+const [action, ...args] = process.argv.slice(2);
+
+function printUsage() {
+  console.log(`사용법:
+  node manage-api-keys.js create <이름> [${API_KEY_SCOPES.join('|')}]   키 발급 (기본 권한: read)
+  node manage-api-keys.js list                              키 목록
+  node manage-api-keys.js revoke <키 ID>                    키 폐기
+
+키 파일: ${getApiKeysFile()}`);
+}
+
+try {
+  switch (action) {
+    case 'create': {
+      const [name, scope = 'read'] = args;
+      const { key, record } = createApiKey(name, scope);
+      console.log(`✅ API 키를 발급했습니다 (ID: ${record.id}, 이름: ${record.name}, 권한: ${record.scope})
+
+${key}
+
+⚠️ 이 키는 다시 확인할 수 없습니다. 안전한 곳에 보관하세요.
+요청 헤더: Authorization: Bearer <키> 또는 X-API-Key: <키>`);
+      break;
+    }
+    case 'list': {
+      const keys = loadApiKeys();
+      if (keys.length === 0) {
+        console.log(`발급된 API 키가 없습니다 (${getApiKeysFile()})`);
+        break;
+      }
+      keys.forEach(key => {
+        const state = key.revoked_at ? `폐기됨 ${key.revoked_at.slice(0, 10)}` : '사용 중';
+        console.log(`${key.id}  ${key.scope.padEnd(5)}  ${state.padEnd(16)}  ${key.created_at.slice(0, 10)}  ${key.name}`);
+      });
+      break;
+    }
+    case 'revoke': {
+      const record = revokeApiKey(args[0]);
+      console.log(`🚫 API 키를 폐기했습니다 (ID: ${record.id}, 이름: ${record.name})`);
+      break;
+    }
+    default:
+      printUsage();
+      process.exitCode = action ? 1 : 0;
+  }
+} catch (error) {
+  console.error(`❌ ${error.message}`);
+  process.exitCode = 1;
+}
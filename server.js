@@ -19,19 +19,48 @@ import { GoogleAdsService } from './services/google-ads-service.js';
 import { TikTokAdsService } from './services/tiktok-ads-service.js';
 import { CarrotAdsService } from './services/carrot-ads-service.js';
 import { UnifiedSearchService } from './services/unified-search-service.js';
+import { ReportArchiveService } from './services/report-archive-service.js';
+import { AuditLogService } from './services/audit-log-service.js';
+import { RollbackService } from './services/rollback-service.js';
+import { loadCredentialsFromEnv, hasPlatformCredentials, applyRequestApiKeys } from './utils/credentials.js';
+import { getReportOutputDir } from './utils/report-output.js';
+import { verifyShareToken, hasReportViewers, authenticateReportViewer } from './utils/report-share.js';
+import { isApiAuthEnabled, loadApiKeys, extractApiKey, authenticateApiKey, hasScope } from './utils/api-keys.js';
+import { getToolCategory, getToolScope, getToolPolicy, isToolEnabled } from './utils/tool-categories.js';
+import { MutationGuard, withMutationControls } from './utils/mutation-guard.js';
 
 // 환경 변수 확인
 const PORT = process.env.PORT || 3000;
 
 console.error('🚀 Multi-Platform Ads MCP Server 시작');
 
-// 플랫폼 환경변수 확인
-const facebookEnabled = !!(process.env.META_ACCESS_TOKEN && process.env.META_AD_ACCOUNT_ID);
-const googleEnabled = !!(process.env.GOOGLE_ADS_CLIENT_ID && process.env.GOOGLE_ADS_CUSTOMER_ID);
-const tiktokEnabled = !!(process.env.TIKTOK_ACCESS_TOKEN && process.env.TIKTOK_ADVERTISER_ID);
-const carrotEnabled = !!(process.env.GOOGLE_SHEETS_SERVICE_ACCOUNT_KEY && process.env.CARROT_SPREADSHEET_ID);
+// 플랫폼 자격 증명 확인 (요청별 API 키는 이 기본값을 복사한 뒤 덮어써서 사용)
+const defaultCredentials = loadCredentialsFromEnv();
 
-const enabledPlatforms = [facebookEnabled, googleEnabled, tiktokEnabled, carrotEnabled].filter(Boolean).length;
+const PLATFORM_SERVICE_CLASSES = {
+  facebook: FacebookAdsService,
+  google: GoogleAdsService,
+  tiktok: TikTokAdsService,
+  carrot: CarrotAdsService
+};
+
+/**
+ * 자격 증명이 설정된 매체의 서비스 인스턴스 생성
+ * @param {object} credentials - 매체별 자격 증명 (loadCredentialsFromEnv 형식)
+ * @returns {object} { facebook, google, tiktok, carrot } 중 활성화된 서비스
+ */
+function createPlatformServices(credentials) {
+  const services = {};
+  Object.entries(PLATFORM_SERVICE_CLASSES).forEach(([platform, ServiceClass]) => {
+    if (hasPlatformCredentials(credentials, platform)) {
+      services[platform] = new ServiceClass(credentials[platform]);
+    }
+  });
+  return services;
+}
+
+const enabledPlatforms = Object.keys(PLATFORM_SERVICE_CLASSES)
+  .filter(platform => hasPlatformCredentials(defaultCredentials, platform)).length;
 console.error(`📊 ${enabledPlatforms}개 플랫폼 초기화 완료`);
 console.error('PORT:', PORT);
 
@@ -49,86 +78,136 @@ class MultiPlatformAdsServer {
       }
     );
     
-    // 서비스 인스턴스 생성
-    this.services = {};
-    
-    if (facebookEnabled) {
-      this.services.facebook = new FacebookAdsService();
-    }
+    // 리포트 폴더 생성 (REPORT_OUTPUT_DIR, 없으면 환경별 기본 폴더)
+    this.tempDir = getReportOutputDir();
     
-    if (googleEnabled) {
-      this.services.google = new GoogleAdsService();
+    if (!fs.existsSync(this.tempDir)) {
+      fs.mkdirSync(this.tempDir, { recursive: true });
+      console.error('📁 리포트 폴더 생성됨:', this.tempDir);
     }
     
-    if (tiktokEnabled) {
-      this.services.tiktok = new TikTokAdsService();
-    }
+    // 리포트 보관함 (요청별 통합 검색 서비스도 같은 보관함 사용)
+    this.reportArchive = new ReportArchiveService(this.tempDir);
     
-    if (carrotEnabled) {
-      this.services.carrot = new CarrotAdsService();
-    }
+    // 서비스 인스턴스 생성
+    this.services = createPlatformServices(defaultCredentials);
     
     // 통합 검색 서비스 초기화
-    this.unifiedSearchService = new UnifiedSearchService(this.services);
+    this.unifiedSearchService = new UnifiedSearchService(this.services, this.reportArchive);
     
     console.error('서비스 초기화 완료');
     console.error(`🌍 실행 환경: ${process.env.RENDER_EXTERNAL_URL ? 'Render 프로덕션' : '로컬 개발'}`);
     
-    // 임시 폴더 생성 (환경별 분기)
-    this.tempDir = process.env.RENDER_EXTERNAL_URL 
-      ? '/tmp/mcp-html-reports'  // Render 프로덕션 환경
-      : path.join(process.cwd(), 'temp');  // 로컬 개발 환경
+    // 도구 노출 정책 확인 (잘못된 설정이면 시작하지 않음)
+    const toolPolicy = getToolPolicy();
+    if (toolPolicy.disabledCategories.size > 0 || toolPolicy.enabledPatterns.length > 0 || toolPolicy.disabledPatterns.length > 0) {
+      console.error(`🔒 도구 제한: 비활성 분류 [${[...toolPolicy.disabledCategories].join(', ')}], 허용 [${toolPolicy.enabledPatterns.join(', ')}], 제외 [${toolPolicy.disabledPatterns.join(', ')}]`);
+    }
     
-    if (!fs.existsSync(this.tempDir)) {
-      fs.mkdirSync(this.tempDir, { recursive: true });
-      console.error('📁 임시 폴더 생성됨:', this.tempDir);
+    // 상태 변경 감사 로그 및 미리보기/확인 토큰 (요청별 서비스 인스턴스와 무관하게 서버 단위로 보관)
+    this.auditLog = new AuditLogService();
+    this.mutationGuard = new MutationGuard(this.auditLog);
+    this.rollbackService = new RollbackService(this.services, this.auditLog);
+    if (this.mutationGuard.isConfirmationRequired()) {
+      console.error(`🔐 상태 변경 확인 모드: 확인 토큰 필요 (유효 시간 ${this.mutationGuard.getConfirmationTtlMinutes()}분)`);
     }
     
-    // 오래된 임시 파일 정리 (24시간 이상 된 파일 삭제)
-    this.cleanupOldTempFiles();
+    // 보관 기간이 지난 리포트 정리 (시작 시 1회 + 주기적으로)
+    this.reportArchive.startCleanupJob();
     
     this.setupToolHandlers();
     this.server.onerror = (error) => console.error('[MCP Error]', error);
   }
 
   /**
-   * 오래된 임시 파일 정리 (24시간 이상 된 파일 삭제)
+   * API 키 인증 미들웨어 (API_AUTH_DISABLED=true면 통과)
+   * @param {string} scope - 필요한 권한 (read, write, admin)
+   * @param {object} options - {allowQueryKey: ?api_key= 쿼리 허용 여부 (헤더를 못 보내는 EventSource용)}
+   * @returns {Function} Express 미들웨어 (인증된 키는 req.apiKey)
    */
-  cleanupOldTempFiles() {
-    try {
-      if (!fs.existsSync(this.tempDir)) return;
-      
-      const files = fs.readdirSync(this.tempDir);
-      const now = Date.now();
-      // Render 환경에서는 더 짧은 수명 사용
-      const fileLifetime = process.env.RENDER_EXTERNAL_URL 
-        ? 30 * 60 * 1000  // 30분 (Render)
-        : 24 * 60 * 60 * 1000;  // 24시간 (로컬)
-      
-      let deletedCount = 0;
-      
-      files.forEach(filename => {
-        const filePath = path.join(this.tempDir, filename);
-        const stats = fs.statSync(filePath);
-        
-        if (now - stats.mtime.getTime() > fileLifetime) {
-          fs.unlinkSync(filePath);
-          deletedCount++;
-          console.error(`🗑️  오래된 임시 파일 삭제: ${filename}`);
-        }
-      });
-      
-      if (deletedCount > 0) {
-        console.error(`🧹 임시 파일 정리 완료: ${deletedCount}개 파일 삭제됨`);
+  requireApiKey(scope, { allowQueryKey = false } = {}) {
+    return (req, res, next) => {
+      req.apiKey = null;
+      if (!isApiAuthEnabled()) {
+        return next();
       }
-      
-    } catch (error) {
-      console.error(`❌ 임시 파일 정리 실패: ${error.message}`);
+
+      const key = extractApiKey(req.headers) || (allowQueryKey ? req.query.api_key : null);
+      const apiKey = key ? authenticateApiKey(key) : null;
+      if (!apiKey) {
+        res.set('WWW-Authenticate', 'Bearer realm="mcp-ads"');
+        return res.status(401).json({ 
+          error: key
+            ? '유효하지 않거나 폐기된 API 키입니다'
+            : 'API 키가 필요합니다 (Authorization: Bearer <키> 또는 X-API-Key 헤더)' 
+        });
+      }
+      if (!hasScope(apiKey.scope, scope)) {
+        return res.status(403).json({ 
+          error: `API 키 권한이 부족합니다 (필요: ${scope}, 현재: ${apiKey.scope})` 
+        });
+      }
+
+      req.apiKey = apiKey;
+      next();
+    };
+  }
+
+  /**
+   * API 키로 도구를 사용할 수 있는지 확인
+   * @param {object|null} apiKey - 인증된 키 (인증을 끈 경우 null)
+   * @param {string} toolName - 도구 이름
+   * @returns {boolean} 허용 여부
+   */
+  isToolAllowed(apiKey, toolName) {
+    return !isApiAuthEnabled() || hasScope(apiKey?.scope, getToolScope(toolName));
+  }
+
+  /**
+   * 리포트 열람 로그인 확인 (API 키 또는 REPORT_VIEWERS 계정 HTTP Basic 인증)
+   * 열람 계정은 read 권한만 가지므로 write/admin이 필요한 요청은 API 키로만 가능
+   * @param {string} scope - 필요한 권한 (기본값: read)
+   * @returns {string|null} API 키 이름 또는 로그인한 사용자명 (실패 시 401/403 응답을 보내고 null)
+   */
+  authenticateViewer(req, res, scope = 'read') {
+    const key = extractApiKey(req.headers);
+    if (key) {
+      const apiKey = authenticateApiKey(key);
+      if (!apiKey || !hasScope(apiKey.scope, scope)) {
+        res.status(apiKey ? 403 : 401).json({ 
+          error: apiKey ? `API 키 권한이 부족합니다 (필요: ${scope}, 현재: ${apiKey.scope})` : '유효하지 않은 API 키입니다' 
+        });
+        return null;
+      }
+      return apiKey.name;
+    }
+
+    if (!hasReportViewers()) {
+      res.status(403).json({ 
+        error: '리포트 열람 계정(REPORT_VIEWERS)이 설정되지 않아 로그인이 필요한 리포트를 열 수 없습니다' 
+      });
+      return null;
     }
+
+    const user = authenticateReportViewer(req.headers.authorization);
+    if (!user) {
+      res.set('WWW-Authenticate', 'Basic realm="reports", charset="UTF-8"');
+      res.status(401).json({ 
+        error: '로그인이 필요합니다' 
+      });
+      return null;
+    }
+    if (!hasScope('read', scope)) {
+      res.status(403).json({ 
+        error: `열람 계정은 조회만 할 수 있습니다 (필요: ${scope} 권한 API 키)` 
+      });
+      return null;
+    }
+    return user;
   }
 
   /**
-   * 모든 플랫폼의 도구들을 통합하여 반환
+   * 모든 플랫폼의 도구들을 통합하여 반환 (도구 노출 정책으로 비활성화한 도구 제외)
    */
   getAllTools() {
     const allTools = [];
@@ -143,7 +222,48 @@ class MultiPlatformAdsServer {
     const unifiedTools = this.unifiedSearchService.getTools();
     allTools.push(...unifiedTools);
     
-    return allTools;
+    // 리포트 보관함 도구들 추가
+    allTools.push(...this.reportArchive.getTools());
+    
+    // 감사 로그 및 되돌리기 도구 추가
+    allTools.push(...this.auditLog.getTools());
+    allTools.push(...this.rollbackService.getTools());
+    
+    const policy = getToolPolicy();
+    return allTools.filter(tool => isToolEnabled(tool.name, policy));
+  }
+
+  /**
+   * tools/list 응답용 도구 목록 (하위 호환성을 위해 기존 Facebook 도구들도 접두사 없이 추가)
+   */
+  getListedTools() {
+    const tools = this.getAllTools();
+    
+    if (this.services.facebook) {
+      const policy = getToolPolicy();
+      const legacyTools = this.services.facebook.getTools()
+        .filter(tool => isToolEnabled([tool.name.replace('facebook_', ''), tool.name], policy))
+        .map(tool => ({
+          ...tool,
+          name: tool.name.replace('facebook_', ''),
+          description: tool.description + ' (레거시 호환성)'
+        }));
+      tools.push(...legacyTools);
+    }
+    
+    // 상태 변경 도구에는 dry_run, confirmation_token 인자 추가
+    return tools.map(tool => getToolCategory(tool.name) === 'mutate' ? withMutationControls(tool) : tool);
+  }
+
+  /**
+   * 서비스에 도구 호출 위임 (상태 변경 도구는 미리보기/확인 토큰 단계를 거치고 감사 로그에 기록)
+   * @param {object} context - 감사 로그용 호출 정보 {transport: 'stdio'|'sse'|'http', apiKey, ip}
+   */
+  async callTool(service, toolName, args, context = { transport: 'stdio' }) {
+    if (getToolCategory(toolName) === 'mutate') {
+      return await this.mutationGuard.run(service, toolName, args, (toolArgs, options) => service.handleToolCall(toolName, toolArgs, options), context);
+    }
+    return await service.handleToolCall(toolName, args);
   }
 
   /**
@@ -151,10 +271,22 @@ class MultiPlatformAdsServer {
    */
   getServiceByToolName(toolName) {
     // 통합 검색 도구들 먼저 확인
-    if (toolName.startsWith('structured_campaign_search') || toolName === 'search_help' || toolName === 'test_html_output' || toolName === 'generate_html_file') {
+    if (toolName.startsWith('structured_campaign_search') || toolName === 'search_help' || toolName === 'test_html_output' || toolName === 'generate_html_file' || toolName === 'taxonomy_pivot_report' || toolName === 'bulk_toggle_campaigns_by_command') {
       return this.unifiedSearchService;
     }
     
+    if (toolName.startsWith('report_')) {
+      return this.reportArchive;
+    }
+    
+    if (toolName.startsWith('audit_log_')) {
+      return this.auditLog;
+    }
+    
+    if (toolName === 'undo_last_change' || toolName === 'rollback_changes') {
+      return this.rollbackService;
+    }
+    
     if (toolName.startsWith('facebook_')) {
       return this.services.facebook;
     } else if (toolName.startsWith('google_')) {
@@ -177,20 +309,7 @@ class MultiPlatformAdsServer {
   setupToolHandlers() {
     // 도구 목록 반환
     this.server.setRequestHandler(ListToolsRequestSchema, async () => {
-      const tools = this.getAllTools();
-      
-      // 하위 호환성을 위해 기존 Facebook 도구들도 접두사 없이 추가
-      if (this.services.facebook) {
-        const facebookTools = this.services.facebook.getTools();
-        const legacyTools = facebookTools.map(tool => ({
-          ...tool,
-          name: tool.name.replace('facebook_', ''),
-          description: tool.description + ' (레거시 호환성)'
-        }));
-        tools.push(...legacyTools);
-      }
-      
-      return { tools };
+      return { tools: this.getListedTools() };
     });
 
     // 도구 호출 처리
@@ -220,8 +339,17 @@ class MultiPlatformAdsServer {
           throw new McpError(ErrorCode.MethodNotFound, `Unknown tool: ${name}`);
         }
 
+        // 도구 노출 정책으로 숨긴 도구는 직접 호출도 거부
+        if (!isToolEnabled([name, actualToolName])) {
+          console.error(`🔒 비활성화된 도구 호출 거부: ${name}`);
+          throw new McpError(ErrorCode.InvalidRequest, `비활성화된 도구입니다: ${name}`);
+        }
+
         // 서비스에 도구 호출 위임
-        const result = await service.handleToolCall(actualToolName, args || {});
+        // 공유 MCP 핸들러는 stdio 모드와 HTTP 모드의 SSE 연결에서 함께 사용
+        const result = await this.callTool(service, actualToolName, args || {}, {
+          transport: process.env.RENDER_EXTERNAL_URL ? 'sse' : 'stdio'
+        });
         console.error(`✅ 도구 ${name} 실행 완료`);
         return result;
 
@@ -269,9 +397,17 @@ class MultiPlatformAdsServer {
     // Render용 HTTP 서버 모드
     const app = express();
     
-    app.use(cors());
+    // CORS_ORIGINS에 지정한 출처에서만 브라우저 호출 허용 (없으면 교차 출처 호출 차단)
+    const corsOrigins = (process.env.CORS_ORIGINS || '').split(',').map(origin => origin.trim()).filter(Boolean);
+    app.use(cors({ origin: corsOrigins.length > 0 ? corsOrigins : false }));
     app.use(express.json());
 
+    if (!isApiAuthEnabled()) {
+      console.error('⚠️ API_AUTH_DISABLED=true: API 키 인증 없이 실행 중입니다');
+    } else if (loadApiKeys().every(key => key.revoked_at)) {
+      console.error('⚠️ 발급된 API 키가 없습니다. "node manage-api-keys.js create <이름> <권한>"으로 키를 발급하세요');
+    }
+
     // Health check endpoint
     app.get('/health', (req, res) => {
       const platformStatus = {};
@@ -289,13 +425,14 @@ class MultiPlatformAdsServer {
     });
 
     // MCP SSE endpoint
-    app.get('/sse', async (req, res) => {
+    // 공유 MCP 서버 핸들러는 요청별 권한을 알 수 없으므로 admin 키만 허용
+    app.get('/sse', this.requireApiKey('admin', { allowQueryKey: true }), async (req, res) => {
       const transport = new SSEServerTransport('/sse', res);
       await this.server.connect(transport);
     });
 
     // MCP POST endpoint
-    app.post('/message', async (req, res) => {
+    app.post('/message', this.requireApiKey('read'), async (req, res) => {
       console.error('=== 요청 시작 ===');
       
       try {
@@ -327,18 +464,8 @@ class MultiPlatformAdsServer {
         
         if (method === 'tools/list') {
           
-          const tools = this.getAllTools();
-          
-          // 하위 호환성을 위해 기존 Facebook 도구들도 접두사 없이 추가
-          if (this.services.facebook) {
-            const facebookTools = this.services.facebook.getTools();
-            const legacyTools = facebookTools.map(tool => ({
-              ...tool,
-              name: tool.name.replace('facebook_', ''),
-              description: tool.description + ' (레거시 호환성)'
-            }));
-            tools.push(...legacyTools);
-          }
+          // 노출 정책과 API 키 권한으로 사용할 수 있는 도구만
+          const tools = this.getListedTools().filter(tool => this.isToolAllowed(req.apiKey, tool.name));
           
           const response = {
             jsonrpc: "2.0",
@@ -376,8 +503,38 @@ class MultiPlatformAdsServer {
             throw new Error(`Unknown tool: ${name}`);
           }
 
+          // 도구 노출 정책으로 숨긴 도구는 직접 호출도 거부
+          if (!isToolEnabled([name, actualToolName])) {
+            console.error(`🔒 비활성화된 도구 호출 거부: ${name}`);
+            return res.status(403).json({
+              jsonrpc: "2.0",
+              id: req.body.id,
+              error: {
+                code: -32001,
+                message: `비활성화된 도구입니다: ${name}`
+              }
+            });
+          }
+
+          // API 키 권한 확인 (조회: read, 상태 변경: write, 관리: admin)
+          if (!this.isToolAllowed(req.apiKey, actualToolName)) {
+            console.error(`🔒 권한 부족으로 도구 거부: ${name} (키: ${req.apiKey?.name})`);
+            return res.status(403).json({
+              jsonrpc: "2.0",
+              id: req.body.id,
+              error: {
+                code: -32001,
+                message: `API 키 권한이 부족합니다: ${name} 도구에는 ${getToolScope(actualToolName)} 권한이 필요합니다 (현재: ${req.apiKey?.scope})`
+              }
+            });
+          }
+
           // 서비스에 도구 호출 위임
-          const result = await service.handleToolCall(actualToolName, args || {});
+          const result = await this.callTool(service, actualToolName, args || {}, {
+            transport: 'http',
+            apiKey: req.apiKey,
+            ip: req.ip
+          });
           
           const response = {
             jsonrpc: "2.0",
@@ -428,15 +585,17 @@ class MultiPlatformAdsServer {
           sse: '/sse',
           message: '/message',
           generate_html: '/api/generate-html',
+          reports: '/api/reports',
+          share: '/share/:token/:filename',
           download: '/download/:filename'
         }
       });
     });
 
     // HTML 생성 API 엔드포인트 (모든 MCP 사용자용)
-    app.post('/api/generate-html', async (req, res) => {
+    app.post('/api/generate-html', this.requireApiKey('read'), async (req, res) => {
       try {
-        const { command, api_keys, filename } = req.body;
+        const { command, api_keys, filename, creator } = req.body;
         
         // 입력 검증
         if (!command || typeof command !== 'string') {
@@ -464,93 +623,56 @@ class MultiPlatformAdsServer {
           });
         }
         
+        if (creator && (typeof creator !== 'string' || creator.length > 100)) {
+          return res.status(400).json({ 
+            error: 'creator가 올바르지 않습니다 (최대 100자)' 
+          });
+        }
+        
         console.error(`HTML 생성 API 요청: ${command}`);
         
-        // API 키 보안 처리 및 임시 환경변수 설정
-        const originalEnv = {};
-        if (api_keys && typeof api_keys === 'object') {
-          if (api_keys.facebook && typeof api_keys.facebook === 'object') {
-            const { access_token, ad_account_id } = api_keys.facebook;
-            if (access_token && ad_account_id) {
-              originalEnv.META_ACCESS_TOKEN = process.env.META_ACCESS_TOKEN;
-              originalEnv.META_AD_ACCOUNT_ID = process.env.META_AD_ACCOUNT_ID;
-              process.env.META_ACCESS_TOKEN = String(access_token).substring(0, 500);
-              process.env.META_AD_ACCOUNT_ID = String(ad_account_id).substring(0, 100);
-            }
-          }
-          if (api_keys.google && typeof api_keys.google === 'object') {
-            const { customer_id } = api_keys.google;
-            if (customer_id) {
-              originalEnv.GOOGLE_ADS_CUSTOMER_ID = process.env.GOOGLE_ADS_CUSTOMER_ID;
-              process.env.GOOGLE_ADS_CUSTOMER_ID = String(customer_id).substring(0, 50);
-            }
-          }
-          if (api_keys.tiktok && typeof api_keys.tiktok === 'object') {
-            const { access_token, advertiser_id } = api_keys.tiktok;
-            if (access_token && advertiser_id) {
-              originalEnv.TIKTOK_ACCESS_TOKEN = process.env.TIKTOK_ACCESS_TOKEN;
-              originalEnv.TIKTOK_ADVERTISER_ID = process.env.TIKTOK_ADVERTISER_ID;
-              process.env.TIKTOK_ACCESS_TOKEN = String(access_token).substring(0, 500);
-              process.env.TIKTOK_ADVERTISER_ID = String(advertiser_id).substring(0, 100);
-            }
-          }
-        }
+        // 요청 API 키가 있으면 요청 전용 자격 증명으로 서비스 생성 (process.env와 공유 서비스는 변경하지 않음)
+        const searchService = api_keys && typeof api_keys === 'object'
+          ? new UnifiedSearchService(createPlatformServices(applyRequestApiKeys(defaultCredentials, api_keys)), this.reportArchive)
+          : this.unifiedSearchService;
         
-        try {
-          // HTML 생성 실행
-          const result = await this.unifiedSearchService.handleToolCall('generate_html_file', {
-            command,
-            filename
-          });
+        // HTML 생성 실행
+        const result = await searchService.handleToolCall('generate_html_file', {
+          command,
+          filename,
+          creator: creator || req.apiKey?.name
+        });
+        
+        if (result?.content?.[0]?.text) {
+          const responseText = result.content[0].text;
           
-          // 환경변수 복원
-          Object.entries(originalEnv).forEach(([key, value]) => {
-            if (value !== undefined) {
-              process.env[key] = value;
-            } else {
-              delete process.env[key];
-            }
-          });
+          console.error('HTML 생성 응답 텍스트:', responseText.substring(0, 500) + '...');
           
-          if (result?.content?.[0]?.text) {
-            const responseText = result.content[0].text;
-            
-            console.error('HTML 생성 응답 텍스트:', responseText.substring(0, 500) + '...');
+          // 응답 텍스트에서 다운로드 URL 직접 추출
+          const downloadUrlMatch = responseText.match(/다운로드 링크: (https?:\/\/[^\s\n]+\.html)/);
+          
+          if (downloadUrlMatch) {
+            const downloadUrl = downloadUrlMatch[1];
+            const filename = decodeURIComponent(downloadUrl.split('/').pop());
+            const report = this.reportArchive.findReportByFileName(filename);
             
-            // 응답 텍스트에서 다운로드 URL 직접 추출
-            const downloadUrlMatch = responseText.match(/다운로드 링크: (https:\/\/[^\s\n]+\.html)/);
+            console.error(`다운로드 URL 추출 성공: ${downloadUrl}`);
+            console.error(`파일명: ${filename}`);
             
-            if (downloadUrlMatch) {
-              const downloadUrl = downloadUrlMatch[1];
-              const filename = downloadUrl.split('/').pop();
-              
-              console.error(`다운로드 URL 추출 성공: ${downloadUrl}`);
-              console.error(`파일명: ${filename}`);
-              
-              return res.json({
-                success: true,
-                download_url: downloadUrl,
-                filename: filename,
-                message: 'HTML 파일이 생성되었습니다. 아래 링크를 클릭하여 다운로드하세요.'
-              });
-            } else {
-              console.error('응답 텍스트에서 다운로드 URL을 찾을 수 없습니다.');
-              console.error('응답 텍스트 전체:', responseText);
-              throw new Error('다운로드 URL을 찾을 수 없습니다.');
-            }
+            return res.json({
+              success: true,
+              download_url: downloadUrl,
+              filename: filename,
+              report_id: report?.id || null,
+              message: 'HTML 파일이 생성되었습니다. 아래 링크를 클릭하여 다운로드하세요.'
+            });
           } else {
-            throw new Error('HTML 생성 결과가 올바르지 않습니다');
+            console.error('응답 텍스트에서 다운로드 URL을 찾을 수 없습니다.');
+            console.error('응답 텍스트 전체:', responseText);
+            throw new Error('다운로드 URL을 찾을 수 없습니다.');
           }
-        } catch (genError) {
-          // 환경변수 복원
-          Object.entries(originalEnv).forEach(([key, value]) => {
-            if (value !== undefined) {
-              process.env[key] = value;
-            } else {
-              delete process.env[key];
-            }
-          });
-          throw genError;
+        } else {
+          throw new Error('HTML 생성 결과가 올바르지 않습니다');
         }
         
       } catch (error) {
@@ -561,12 +683,192 @@ class MultiPlatformAdsServer {
       }
     });
 
-    // HTML 파일 다운로드 엔드포인트
+    // 리포트 관리 API는 API 키 또는 열람 계정 로그인 필요 (삭제와 링크 생성/폐기는 admin 키만, 열람 계정 불가)
+    app.use('/api/reports', (req, res, next) => {
+      const scope = req.method === 'DELETE' || /\/(share|revoke)$/.test(req.path) ? 'admin' : 'read';
+      req.viewer = this.authenticateViewer(req, res, scope);
+      if (req.viewer) next();
+    });
+
+    // 리포트 목록/검색 (query, platform, report_type, creator, created_from, created_to, limit)
+    app.get('/api/reports', (req, res) => {
+      try {
+        const reports = this.reportArchive.listReports(req.query);
+        res.json({
+          success: true,
+          count: reports.length,
+          reports: reports.map(report => this.reportArchive.toApiRecord(report))
+        });
+      } catch (error) {
+        console.error(`리포트 목록 API 오류: ${error.message}`);
+        res.status(500).json({ 
+          error: `리포트 목록 조회 실패: ${error.message}` 
+        });
+      }
+    });
+
+    // 리포트 상세 조회
+    app.get('/api/reports/:id', (req, res) => {
+      const report = this.reportArchive.getReport(req.params.id);
+      if (!report) {
+        return res.status(404).json({ 
+          error: '리포트를 찾을 수 없습니다',
+          report_id: req.params.id 
+        });
+      }
+      res.json({ success: true, report: this.reportArchive.toApiRecord(report) });
+    });
+
+    // 리포트 재다운로드
+    app.get('/api/reports/:id/download', (req, res) => {
+      const report = this.reportArchive.getReport(req.params.id);
+      if (!report) {
+        return res.status(404).json({ 
+          error: '리포트를 찾을 수 없습니다',
+          report_id: req.params.id 
+        });
+      }
+      console.error(`리포트 재다운로드 요청: ${report.id} (${report.file_name})`);
+      this.reportArchive.recordAccess(report.id, {
+        result: 'ok',
+        user: req.viewer,
+        ip: req.ip
+      });
+      res.download(this.reportArchive.getReportPath(report), report.file_name, (err) => {
+        if (err) {
+          console.error(`다운로드 실패: ${err.message}`);
+          if (!res.headersSent) {
+            res.status(500).json({ 
+              error: '다운로드 중 오류가 발생했습니다' 
+            });
+          }
+        }
+      });
+    });
+
+    // 공유 링크 생성 (expires_in_hours, max_downloads)
+    app.post('/api/reports/:id/share', (req, res) => {
+      try {
+        const { expires_in_hours, max_downloads } = req.body || {};
+        const { link, url } = this.reportArchive.createShareLink(req.params.id, {
+          expiresInHours: expires_in_hours,
+          maxDownloads: max_downloads
+        });
+        res.json({ success: true, link, share_url: url });
+      } catch (error) {
+        res.status(400).json({ 
+          error: error.message,
+          report_id: req.params.id 
+        });
+      }
+    });
+
+    // 공유 링크 폐기 (link_id 생략 시 모든 링크)
+    app.post('/api/reports/:id/revoke', (req, res) => {
+      try {
+        const revoked = this.reportArchive.revokeShareLinks(req.params.id, req.body?.link_id);
+        res.json({ success: true, revoked });
+      } catch (error) {
+        res.status(404).json({ 
+          error: error.message,
+          report_id: req.params.id 
+        });
+      }
+    });
+
+    // 접근 기록 조회
+    app.get('/api/reports/:id/access-log', (req, res) => {
+      const report = this.reportArchive.getReport(req.params.id);
+      if (!report) {
+        return res.status(404).json({ 
+          error: '리포트를 찾을 수 없습니다',
+          report_id: req.params.id 
+        });
+      }
+      res.json({
+        success: true,
+        share_links: this.reportArchive.toApiRecord(report).share_links,
+        access_log: report.access_log || []
+      });
+    });
+
+    // 리포트 삭제
+    app.delete('/api/reports/:id', (req, res) => {
+      try {
+        const report = this.reportArchive.deleteReport(req.params.id);
+        res.json({ success: true, deleted: report });
+      } catch (error) {
+        res.status(404).json({ 
+          error: error.message,
+          report_id: req.params.id 
+        });
+      }
+    });
+
+    // 서명된 공유 링크 다운로드 (광고주용은 링크만으로, 내부용은 열람 계정 로그인 후)
+    app.get('/share/:token/:filename', (req, res) => {
+      const accessInfo = {
+        ip: req.ip,
+        user_agent: (req.get('user-agent') || '').substring(0, 200)
+      };
+
+      try {
+        const share = verifyShareToken(req.params.token);
+        const { report, link } = this.reportArchive.resolveShareLink(share);
+
+        let user = null;
+        if (report.audience !== 'client') {
+          user = this.authenticateViewer(req, res);
+          if (!user) {
+            this.reportArchive.recordAccess(report.id, { ...accessInfo, link_id: link.id, result: 'unauthorized' });
+            return;
+          }
+        }
+
+        this.reportArchive.recordAccess(report.id, { ...accessInfo, link_id: link.id, user, result: 'ok' });
+        console.error(`공유 링크 다운로드: ${report.id}/${link.id} (${report.file_name})`);
+
+        res.download(this.reportArchive.getReportPath(report), report.file_name, (err) => {
+          if (err) {
+            console.error(`다운로드 실패: ${err.message}`);
+            if (!res.headersSent) {
+              res.status(500).json({ 
+                error: '다운로드 중 오류가 발생했습니다' 
+              });
+            }
+          }
+        });
+
+      } catch (error) {
+        // 만료/폐기/횟수 초과는 해당 리포트 접근 기록에 남김
+        const reportId = error.reportId || error.report?.id;
+        const linkId = error.linkId || error.link?.id;
+        if (reportId && ['expired', 'revoked', 'limit'].includes(error.code)) {
+          this.reportArchive.recordAccess(reportId, { ...accessInfo, link_id: linkId, result: error.code });
+        }
+
+        const status = error.code === 'invalid' || error.code === 'not_found' ? 404 : 410;
+        console.error(`공유 링크 거부 (${error.code || 'error'}): ${error.message}`);
+        res.status(error.code ? status : 500).json({ 
+          error: error.code ? error.message : '서버 오류가 발생했습니다' 
+        });
+      }
+    });
+
+    // HTML 파일 직접 다운로드 엔드포인트 (열람 계정 로그인 필요, 외부 공유는 /share 링크 사용)
     app.get('/download/:filename', (req, res) => {
       try {
         const filename = req.params.filename;
         const filePath = path.join(this.tempDir, filename);
         
+        // 리포트 HTML 파일만 제공 (보관함 메타데이터 파일 등은 제외)
+        if (!filename.endsWith('.html')) {
+          return res.status(404).json({ 
+            error: '파일을 찾을 수 없습니다',
+            filename: filename 
+          });
+        }
+        
         // 파일 존재 확인
         if (!fs.existsSync(filePath)) {
           return res.status(404).json({ 
@@ -584,7 +886,15 @@ class MultiPlatformAdsServer {
           });
         }
         
-        console.error(`파일 다운로드 요청: ${filename}`);
+        const user = this.authenticateViewer(req, res);
+        if (!user) return;
+        
+        console.error(`파일 다운로드 요청: ${filename} (${user})`);
+        
+        const report = this.reportArchive.findReportByFileName(filename);
+        if (report) {
+          this.reportArchive.recordAccess(report.id, { result: 'ok', user, ip: req.ip });
+        }
         
         // 파일 다운로드 제공
         res.download(filePath, filename, (err) => {
@@ -596,19 +906,8 @@ class MultiPlatformAdsServer {
               });
             }
           } else {
+            // 다운로드 후에도 보관 기간(REPORT_RETENTION_DAYS) 동안 보관
             console.error(`다운로드 완료: ${filename}`);
-            
-            // 다운로드 완료 후 파일 삭제 (5분 후)
-            setTimeout(() => {
-              try {
-                if (fs.existsSync(filePath)) {
-                  fs.unlinkSync(filePath);
-                  console.error(`임시 파일 삭제됨: ${filename}`);
-                }
-              } catch (deleteError) {
-                console.error(`파일 삭제 실패: ${deleteError.message}`);
-              }
-            }, 5 * 60 * 1000); // 5분 = 5 * 60 * 1000ms
           }
         });
         
@@ -626,6 +925,7 @@ class MultiPlatformAdsServer {
       console.error(`🔗 SSE endpoint: http://localhost:${PORT}/sse`);
       console.error(`💬 Message endpoint: http://localhost:${PORT}/message`);
       console.error(`📁 Download endpoint: http://localhost:${PORT}/download/:filename`);
+      console.error(`📦 Reports endpoint: http://localhost:${PORT}/api/reports`);
       
       const platformCount = Object.keys(this.services).length;
       console.error(`🎯 ${platformCount}개 플랫폼 서비스 준비됨`);
@@ -0,0 +1,303 @@
+/**
+ * 광고 변경 감사 로그 서비스
+ * 상태/예산 변경 도구 호출마다 호출자, 도구, 대상(ID/이름), 변경 전후 상태(예산), 결과, 시각을 JSONL 파일에 추가 기록하고 검색 도구를 제공
+ *
+ * 설정 (환경변수):
+ * - AUDIT_LOG_FILE=./logs/audit-log.jsonl : 감사 로그 파일 (기본값: ./logs/audit-log.jsonl)
+ * - AUDIT_ACTOR=홍길동                     : stdio(MCP) 호출자 이름 (없으면 시스템 사용자명)
+ *
+ * 기록은 추가(append)만 하며 수정/삭제 도구는 제공하지 않음
+ * 항목 ID는 변경 배치 ID로도 쓰여 rollback_changes로 되돌릴 수 있음
+ * HTTP 호출은 API 키 이름과 ID, 요청 IP를 호출자로 기록
+ */
+
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import crypto from 'crypto';
+import { getRecordedValues, formatChangeValue } from '../utils/mutation-guard.js';
+import { BUDGET_FIELD_LABELS } from '../utils/budget-utils.js';
+
+const DEFAULT_AUDIT_LOG_FILE = path.join('logs', 'audit-log.jsonl');
+
+const RESULT_LABELS = {
+  success: '✅ 성공',
+  partial: '⚠️ 일부 실패',
+  failed: '❌ 실패',
+  error: '💥 오류'
+};
+
+const PLATFORM_NAMES = {
+  facebook: 'Facebook',
+  google: 'Google Ads',
+  tiktok: 'TikTok Ads',
+  multi: '여러 매체'
+};
+
+const ENTITY_LABELS = {
+  campaign: '캠페인',
+  adset: '광고세트',
+  ad_group: '광고그룹',
+  ad: '광고'
+};
+
+/**
+ * 감사 로그 파일 경로
+ * @returns {string} 절대 경로
+ */
+export function getAuditLogFile() {
+  return path.resolve(process.env.AUDIT_LOG_FILE || DEFAULT_AUDIT_LOG_FILE);
+}
+
+export class AuditLogService {
+  /**
+   * @param {string} filePath - 감사 로그 파일 (기본값: getAuditLogFile())
+   */
+  constructor(filePath = getAuditLogFile()) {
+    this.filePath = filePath;
+  }
+
+  /**
+   * MCP 도구 목록 반환
+   */
+  getTools() {
+    return [
+      {
+        name: 'audit_log_search',
+        description: '캠페인/광고세트/광고 상태 및 예산 변경 감사 로그를 최신순으로 검색합니다. 날짜, 대상(ID/이름), 매체, 호출자, 결과로 검색할 수 있습니다.',
+        inputSchema: {
+          type: 'object',
+          properties: {
+            date_from: {
+              type: 'string',
+              description: '시작일 (YYYY-MM-DD)'
+            },
+            date_to: {
+              type: 'string',
+              description: '종료일 (YYYY-MM-DD)'
+            },
+            entity: {
+              type: 'string',
+              description: '대상 ID (정확히 일치) 또는 이름 (부분 일치)'
+            },
+            platform: {
+              type: 'string',
+              description: '매체 (facebook, google, tiktok)'
+            },
+            tool_name: {
+              type: 'string',
+              description: '도구 이름 (부분 일치)'
+            },
+            actor: {
+              type: 'string',
+              description: '호출자 (부분 일치)'
+            },
+            result: {
+              type: 'string',
+              enum: ['success', 'partial', 'failed', 'error'],
+              description: '결과'
+            },
+            limit: {
+              type: 'number',
+              description: '최대 조회 개수',
+              default: 20
+            }
+          }
+        }
+      }
+    ];
+  }
+
+  /**
+   * 도구 호출 처리
+   */
+  async handleToolCall(toolName, args) {
+    try {
+      switch (toolName) {
+        case 'audit_log_search':
+          return this.formatEntries(this.search(args), args);
+        default:
+          throw new Error(`Unknown audit log tool: ${toolName}`);
+      }
+    } catch (error) {
+      console.error(`Audit log tool error [${toolName}]:`, error.message);
+      return this.createErrorResponse(`도구 실행 실패: ${error.message}`);
+    }
+  }
+
+  /**
+   * 에러 응답 생성
+   */
+  createErrorResponse(message) {
+    return {
+      content: [
+        {
+          type: 'text',
+          text: `❌ **감사 로그 오류**\n\n${message}`
+        }
+      ]
+    };
+  }
+
+  // === 기록 ===
+
+  /**
+   * stdio(MCP) 호출자 이름
+   * @returns {string} AUDIT_ACTOR 또는 시스템 사용자명
+   */
+  getDefaultActor() {
+    if (process.env.AUDIT_ACTOR) {
+      return process.env.AUDIT_ACTOR;
+    }
+    try {
+      return os.userInfo().username;
+    } catch {
+      return 'unknown';
+    }
+  }
+
+  /**
+   * 감사 로그 한 줄 추가
+   * @param {object} entry - {tool_name, platform, arguments, changes, result, message}
+   * @param {object} context - 호출 정보 {transport: 'stdio'|'sse'|'http', apiKey: {id, name}, ip}
+   * @returns {object} 기록한 항목
+   */
+  record(entry, context = {}) {
+    const transport = context.transport || 'stdio';
+    const record = {
+      id: crypto.randomBytes(6).toString('hex'),
+      timestamp: new Date().toISOString(),
+      transport,
+      actor: context.apiKey?.name || (transport === 'stdio' ? this.getDefaultActor() : 'anonymous'),
+      api_key_id: context.apiKey?.id || null,
+      ip: context.ip || null,
+      ...entry
+    };
+
+    try {
+      fs.mkdirSync(path.dirname(this.filePath), { recursive: true });
+      fs.appendFileSync(this.filePath, JSON.stringify(record) + '\n', 'utf8');
+    } catch (error) {
+      // 기록 실패로 이미 끝난 변경 결과를 숨기지 않도록 콘솔에만 남김
+      console.error(`❌ 감사 로그 기록 실패: ${error.message}`, JSON.stringify(record));
+    }
+    return record;
+  }
+
+  // === 검색 ===
+
+  /**
+   * 감사 로그 전체 읽기 (손상된 줄은 건너뜀)
+   * @returns {Array} 기록 순서대로의 항목 목록
+   */
+  loadEntries() {
+    try {
+      if (!fs.existsSync(this.filePath)) {
+        return [];
+      }
+      return fs.readFileSync(this.filePath, 'utf8')
+        .split('\n')
+        .filter(line => line.trim())
+        .map(line => {
+          try {
+            return JSON.parse(line);
+          } catch {
+            return null;
+          }
+        })
+        .filter(Boolean);
+    } catch (error) {
+      console.error(`❌ 감사 로그 읽기 실패: ${error.message}`);
+      return [];
+    }
+  }
+
+  /**
+   * 감사 로그 검색 (최신순)
+   * @param {object} filters - {date_from, date_to, entity, platform, tool_name, actor, result, limit}
+   * @returns {Array} 조건에 맞는 항목 목록
+   */
+  search(filters = {}) {
+    const entity = (filters.entity || '').trim();
+    const entityName = entity.toLowerCase();
+    const toolName = (filters.tool_name || '').trim().toLowerCase();
+    const actor = (filters.actor || '').trim().toLowerCase();
+    const limit = Number(filters.limit) > 0 ? Number(filters.limit) : 20;
+
+    return this.loadEntries()
+      .filter(entry => !filters.date_from || entry.timestamp.slice(0, 10) >= filters.date_from)
+      .filter(entry => !filters.date_to || entry.timestamp.slice(0, 10) <= filters.date_to)
+      .filter(entry => !filters.platform || entry.platform === filters.platform ||
+        (entry.changes || []).some(change => change.platform === filters.platform))
+      .filter(entry => !toolName || entry.tool_name.toLowerCase().includes(toolName))
+      .filter(entry => !actor || (entry.actor || '').toLowerCase().includes(actor))
+      .filter(entry => !filters.result || entry.result === filters.result)
+      .filter(entry => !entity || (entry.changes || []).some(change =>
+        String(change.id) === entity || (change.name || '').toLowerCase().includes(entityName)))
+      .reverse()
+      .slice(0, limit);
+  }
+
+  // === 출력 ===
+
+  formatEntry(entry) {
+    const time = entry.timestamp.slice(0, 19).replace('T', ' ');
+    const caller = entry.transport === 'http'
+      ? `${entry.actor}${entry.api_key_id ? ` (키 ${entry.api_key_id})` : ''}${entry.ip ? ` @ ${entry.ip}` : ''}`
+      : `${entry.actor} (${entry.transport})`;
+
+    let result = `🧾 **${time}** ${RESULT_LABELS[entry.result] || entry.result} - ${entry.tool_name} (ID: ${entry.id})\n`;
+    result += `   호출자: ${caller} | 매체: ${PLATFORM_NAMES[entry.platform] || entry.platform || '-'}\n`;
+    (entry.changes || []).forEach(change => {
+      const entityType = ENTITY_LABELS[change.entity_type] || change.entity_type;
+      const field = change.field ? `${BUDGET_FIELD_LABELS[change.field] || change.field} ` : '';
+      const { previous, next } = getRecordedValues(change);
+      const format = value => value === null ? '?' : change.field ? formatChangeValue(change, value) : value;
+      result += `   - ${change.name || '(이름 없음)'} (${entityType} ${change.id}): ${field}${format(previous)} → ${format(next)}\n`;
+    });
+    if (entry.rollback_of) {
+      result += `   되돌린 배치: ${entry.rollback_of.join(', ')}\n`;
+    }
+    if (entry.message) {
+      result += `   메시지: ${entry.message}\n`;
+    }
+    return result;
+  }
+
+  formatEntries(entries, filters = {}) {
+    if (entries.length === 0) {
+      return {
+        content: [
+          {
+            type: 'text',
+            text: '🧾 **감사 로그**\n\n조건에 맞는 기록이 없습니다.'
+          }
+        ]
+      };
+    }
+
+    const conditions = [
+      (filters.date_from || filters.date_to) && `기간: ${filters.date_from || ''} ~ ${filters.date_to || ''}`,
+      filters.entity && `대상: ${filters.entity}`,
+      filters.platform && `매체: ${PLATFORM_NAMES[filters.platform] || filters.platform}`,
+      filters.tool_name && `도구: ${filters.tool_name}`,
+      filters.actor && `호출자: ${filters.actor}`,
+      filters.result && `결과: ${RESULT_LABELS[filters.result] || filters.result}`
+    ].filter(Boolean);
+
+    let result = `🧾 **감사 로그** (${entries.length}개)\n`;
+    if (conditions.length > 0) {
+      result += `🔍 ${conditions.join(' | ')}\n`;
+    }
+    result += '\n' + entries.map(entry => this.formatEntry(entry)).join('\n');
+
+    return {
+      content: [
+        {
+          type: 'text',
+          text: result
+        }
+      ]
+    };
+  }
+}
@@ -5,16 +5,16 @@
 
 import { google } from 'googleapis';
 import 'dotenv/config';
-
-// 환경변수
-const SERVICE_ACCOUNT_KEY = process.env.GOOGLE_SHEETS_SERVICE_ACCOUNT_KEY;
-const SPREADSHEET_ID = process.env.CARROT_SPREADSHEET_ID;
-const SHEET_NAME = process.env.CARROT_SHEET_NAME || '성과데이터';
-const SHEET_RANGE = process.env.CARROT_SHEET_RANGE || 'A:M';
+import { getAccountTimeZone, resolveAccountDateRange, parseLocalDate } from '../utils/date-utils.js';
+import { loadCredentialsFromEnv } from '../utils/credentials.js';
 
 export class CarrotAdsService {
-  constructor() {
+  /**
+   * @param {object} credentials - 당근마켓 시트 자격 증명 {serviceAccountKey, spreadsheetId, sheetName, sheetRange} (기본값: 환경변수)
+   */
+  constructor(credentials = loadCredentialsFromEnv().carrot) {
     this.platform = 'carrot';
+    this.credentials = credentials;
     this.sheetsApi = null;
     this.auth = null;
   }
@@ -24,16 +24,16 @@ export class CarrotAdsService {
    */
   async initialize() {
     try {
-      if (!SERVICE_ACCOUNT_KEY) {
+      if (!this.credentials.serviceAccountKey) {
         throw new Error('GOOGLE_SHEETS_SERVICE_ACCOUNT_KEY 환경변수가 설정되지 않았습니다');
       }
 
-      if (!SPREADSHEET_ID) {
+      if (!this.credentials.spreadsheetId) {
         throw new Error('CARROT_SPREADSHEET_ID 환경변수가 설정되지 않았습니다');
       }
 
       // Service Account 인증
-      const credentials = JSON.parse(SERVICE_ACCOUNT_KEY);
+      const credentials = JSON.parse(this.credentials.serviceAccountKey);
       this.auth = new google.auth.GoogleAuth({
         credentials: credentials,
         scopes: ['https://www.googleapis.com/auth/spreadsheets.readonly']
@@ -60,8 +60,8 @@ export class CarrotAdsService {
       }
 
       const response = await this.sheetsApi.spreadsheets.values.get({
-        spreadsheetId: SPREADSHEET_ID,
-        range: `${SHEET_NAME}!${SHEET_RANGE}`,
+        spreadsheetId: this.credentials.spreadsheetId,
+        range: `${this.credentials.sheetName}!${this.credentials.sheetRange}`,
       });
 
       const rows = response.data.values;
@@ -130,20 +130,16 @@ export class CarrotAdsService {
 
   /**
    * 날짜 문자열 파싱 (YYYY-MM-DD 형식으로 변환)
+   * 시트의 날짜는 UTC 변환 없이 그대로 사용 (시각이 포함된 값만 당근마켓 계정 시간대 기준)
    */
   parseDate(dateStr) {
     if (!dateStr) return null;
 
-    try {
-      // 다양한 날짜 형식 지원
-      const date = new Date(dateStr);
-      if (isNaN(date.getTime())) return null;
-
-      return date.toISOString().split('T')[0]; // YYYY-MM-DD
-    } catch (error) {
+    const date = parseLocalDate(dateStr, getAccountTimeZone('carrot'));
+    if (!date) {
       console.warn(`[Carrot] 날짜 파싱 실패: ${dateStr}`);
-      return null;
     }
+    return date;
   }
 
   /**
@@ -161,9 +157,17 @@ export class CarrotAdsService {
 
   /**
    * 날짜 필터링된 캠페인 목록 조회 (통합 인터페이스)
+   * options.resolveDateRange가 있으면 계정 시간대 기준으로 날짜 범위를 다시 계산
+   * options.statusFilter('active'|'paused')가 있으면 해당 상태 캠페인만, options.includeZeroSpend면 지출 없는 캠페인도 포함
    */
-  async getCampaignListWithDateFilter(startDate, endDate) {
+  async getCampaignListWithDateFilter(startDate, endDate, options = {}) {
+    // 스프레드시트에는 캠페인 상태 정보가 없음
+    if (options.statusFilter) {
+      throw new Error('당근마켓 성과 시트에는 캠페인 상태 정보가 없어 상태: 필터를 적용할 수 없습니다');
+    }
+
     try {
+      ({ startDate, endDate } = resolveAccountDateRange(startDate, endDate, getAccountTimeZone('carrot'), options));
       console.error(`[Carrot] 캠페인 조회: ${startDate} ~ ${endDate}`);
 
       // 스프레드시트 데이터 조회
@@ -205,6 +209,26 @@ export class CarrotAdsService {
         campaign.totalTax += row.tax;
       });
 
+      // 무지출포함: 기간 외에만 기록이 있는 캠페인도 지출 0으로 추가
+      if (options.includeZeroSpend) {
+        parsedData.forEach(row => {
+          const campaignKey = row.campaign_name || 'Unknown Campaign';
+          if (!campaignMap.has(campaignKey)) {
+            campaignMap.set(campaignKey, {
+              campaign_id: row.campaign_id,
+              campaign_name: row.campaign_name,
+              name: row.campaign_name,
+              platform: 'carrot',
+              totalSpend: 0,
+              totalImpressions: 0,
+              totalClicks: 0,
+              totalConversions: 0,
+              totalTax: 0
+            });
+          }
+        });
+      }
+
       // 최종 캠페인 목록 생성
       const campaigns = Array.from(campaignMap.values()).map(campaign => ({
         ...campaign,
@@ -232,11 +256,63 @@ export class CarrotAdsService {
     }
   }
 
+  /**
+   * ID로 캠페인 직접 조회 (통합 검색 캠페인ID: 파라미터용)
+   * @param {Array<string>} campaignIds - 캠페인 ID 목록
+   * @returns {Array} [{campaign_id, campaign_name, name, platform}] - 스프레드시트에 없는 ID는 제외
+   */
+  async getCampaignsByIds(campaignIds) {
+    const parsedData = this.parseRowData(await this.fetchSheetData());
+    const campaignMap = new Map();
+
+    parsedData
+      .filter(row => campaignIds.includes(row.campaign_id))
+      .forEach(row => {
+        if (!campaignMap.has(row.campaign_id)) {
+          campaignMap.set(row.campaign_id, {
+            campaign_id: row.campaign_id,
+            campaign_name: row.campaign_name,
+            name: row.campaign_name, // 호환성을 위한 별칭
+            platform: 'carrot'
+          });
+        }
+      });
+
+    return Array.from(campaignMap.values());
+  }
+
+  /**
+   * ID로 광고 직접 조회 (통합 검색 광고ID: 파라미터용)
+   * @param {Array<string>} adIds - 광고소재 ID 목록
+   * @returns {Array} [{ad_id, ad_name, campaign_id, campaign_name}] - 스프레드시트에 없는 ID는 제외
+   */
+  async getAdsByIds(adIds) {
+    const parsedData = this.parseRowData(await this.fetchSheetData());
+    const adMap = new Map();
+
+    parsedData
+      .filter(row => adIds.includes(row.ad_id))
+      .forEach(row => {
+        if (!adMap.has(row.ad_id)) {
+          adMap.set(row.ad_id, {
+            ad_id: row.ad_id,
+            ad_name: row.ad_name,
+            campaign_id: row.campaign_id,
+            campaign_name: row.campaign_name
+          });
+        }
+      });
+
+    return Array.from(adMap.values());
+  }
+
   /**
    * 특정 캠페인들의 광고별 상세 성과 조회
+   * options.resolveDateRange가 있으면 계정 시간대 기준으로 날짜 범위를 다시 계산
    */
-  async getAdLevelPerformance(campaignIds, startDate, endDate) {
+  async getAdLevelPerformance(campaignIds, startDate, endDate, options = {}) {
     try {
+      ({ startDate, endDate } = resolveAccountDateRange(startDate, endDate, getAccountTimeZone('carrot'), options));
       console.error(`[Carrot] 광고 성과 조회: ${campaignIds.length}개 캠페인, ${startDate} ~ ${endDate}`);
 
       // 스프레드시트 데이터 조회
@@ -321,31 +397,6 @@ export class CarrotAdsService {
     }
   }
 
-  /**
-   * 키워드 매칭 함수 (통합 인터페이스)
-   */
-  matchesKeywords(name, keywordString) {
-    if (!keywordString || keywordString.trim() === '') {
-      return true; // 키워드가 없으면 모든 항목 매칭
-    }
-    
-    const lowerName = name.toLowerCase();
-    
-    if (!keywordString.includes(',')) {
-      // 단일 키워드
-      return lowerName.includes(keywordString.toLowerCase().trim());
-    } else {
-      // 다중 키워드 AND 조건
-      const keywords = keywordString.split(',')
-        .map(k => k.trim())
-        .filter(k => k.length > 0);
-      
-      return keywords.every(keyword => 
-        lowerName.includes(keyword.toLowerCase())
-      );
-    }
-  }
-
   /**
    * MCP 도구 목록 반환
    */
@@ -1,16 +1,45 @@
 import axios from 'axios';
 import 'dotenv/config';
-import { getDateRange, getPeriodText } from '../utils/date-utils.js';
+import { getDateRange, getPeriodText, getAccountTimeZone, resolveAccountDateRange } from '../utils/date-utils.js';
 import { formatNumber, formatCurrency, formatPercent, parseActions, parseConversions, parseResults, standardizeMetrics, formatPerformanceSummary, CONVERSION_ACTIONS, CUSTOM_CONVERSION_PATTERNS } from '../utils/format-utils.js';
 import { exchangeRateService } from '../utils/exchange-rate-service.js';
+import { normalizeDeliveryStatus, matchesStatusFilter } from '../utils/delivery-status.js';
+import { filterScopedAccounts } from '../utils/account-scope.js';
+import { loadCredentialsFromEnv } from '../utils/credentials.js';
+import { BUDGET_FIELD_LABELS, applyApprovedBudget, getCurrencyDecimals, parseBudgetAmount, validateMinimumBudget, formatBudgetAmount, formatBudgetChange } from '../utils/budget-utils.js';
 
-const ACCESS_TOKEN = process.env.META_ACCESS_TOKEN;
-const AD_ACCOUNT_ID = process.env.META_AD_ACCOUNT_ID;
 const BASE_URL = 'https://graph.facebook.com/v22.0';
 
+// Graph API ids 파라미터로 한 번에 조회할 수 있는 최대 개체 수
+const IDS_BATCH_SIZE = 50;
+
+/**
+ * 상태 변경 도구별 대상 (미리보기, 되돌리기용): 개체 종류, 단일 ID 인자, 일괄 ID 배열 인자
+ */
+const STATUS_MUTATION_TARGETS = {
+  facebook_toggle_campaign_status: { entityType: 'campaign', idArg: 'campaign_id' },
+  facebook_bulk_toggle_campaigns: { entityType: 'campaign', idsArg: 'campaign_ids' },
+  facebook_toggle_adset_status: { entityType: 'adset', idArg: 'adset_id' },
+  facebook_bulk_toggle_adsets: { entityType: 'adset', idsArg: 'adset_ids' },
+  facebook_toggle_ad_status: { entityType: 'ad', idArg: 'ad_id' },
+  facebook_bulk_toggle_ads: { entityType: 'ad', idsArg: 'ad_ids' }
+};
+
+const BUDGET_ENTITY_LABELS = {
+  campaign: '캠페인',
+  adset: '광고세트'
+};
+
+// 기본 최소 일 예산 (계정의 min_daily_budget을 조회하지 못한 경우, 통화 기본 단위)
+const DEFAULT_MIN_DAILY_BUDGET = 1;
+
 export class FacebookAdsService {
-  constructor() {
+  /**
+   * @param {object} credentials - Facebook 자격 증명 {accessToken, adAccountId} (기본값: 환경변수)
+   */
+  constructor(credentials = loadCredentialsFromEnv().facebook) {
     this.platform = 'facebook';
+    this.credentials = credentials;
     this.exchangeRate = null; // 환율 캐시
     this.exchangeRateService = exchangeRateService; // 환율 서비스 인스턴스 추가
   }
@@ -332,6 +361,48 @@ export class FacebookAdsService {
           required: ['ad_ids']
         }
       },
+      {
+        name: 'facebook_get_budget',
+        description: '캠페인 또는 광고세트의 일 예산/총 예산과 예산 방식(CBO/ABO)을 조회합니다',
+        inputSchema: {
+          type: 'object',
+          properties: {
+            entity_type: {
+              type: 'string',
+              enum: ['campaign', 'adset'],
+              description: '대상 종류'
+            },
+            entity_id: {
+              type: 'string',
+              description: '캠페인 또는 광고세트 ID'
+            }
+          },
+          required: ['entity_type', 'entity_id']
+        }
+      },
+      {
+        name: 'facebook_set_budget',
+        description: '캠페인(CBO) 또는 광고세트(ABO)의 일 예산/총 예산을 변경합니다. 금액 또는 "+20%", "-10%", "+10000" 같은 증감을 지정할 수 있습니다',
+        inputSchema: {
+          type: 'object',
+          properties: {
+            entity_type: {
+              type: 'string',
+              enum: ['campaign', 'adset'],
+              description: '대상 종류 (CBO 캠페인은 campaign, ABO 캠페인은 adset)'
+            },
+            entity_id: {
+              type: 'string',
+              description: '캠페인 또는 광고세트 ID'
+            },
+            amount: {
+              type: 'string',
+              description: '새 예산 (계정 통화 기준, 예: "50000", "+20%", "-10%", "+10000")'
+            }
+          },
+          required: ['entity_type', 'entity_id', 'amount']
+        }
+      },
       {
         name: 'facebook_get_ad_creative_details',
         description: '광고의 크리에이티브 상세 정보를 가져옵니다 (이미지, 텍스트, 링크 등)',
@@ -351,8 +422,9 @@ export class FacebookAdsService {
 
   /**
    * 도구 호출 처리
+   * @param {object} options - {approvedChanges: 확인 토큰의 미리보기 변경 내역 (MutationGuard 참고)}
    */
-  async handleToolCall(toolName, args) {
+  async handleToolCall(toolName, args, options = {}) {
     switch (toolName) {
       case 'facebook_get_campaign_list_with_date_filter':
         return await this.getCampaignListWithDateFilter(args.start_date, args.end_date);
@@ -394,6 +466,10 @@ export class FacebookAdsService {
         return await this.getAdImages(args.ad_ids);
       case 'facebook_get_ad_creative_details':
         return await this.getAdCreativeDetails(args.ad_id);
+      case 'facebook_get_budget':
+        return await this.getBudget(args.entity_type, args.entity_id);
+      case 'facebook_set_budget':
+        return await this.setBudget(applyApprovedBudget(args, options.approvedChanges));
       default:
         throw new Error(`Unknown Facebook tool: ${toolName}`);
     }
@@ -402,12 +478,12 @@ export class FacebookAdsService {
   // === 캠페인 관련 메서드들 ===
 
   async getCampaignPerformance(days, campaignIds) {
-    const { since, until } = getDateRange(days);
+    const { since, until } = getDateRange(days, getAccountTimeZone('facebook', this.credentials.adAccountId));
     
     // 먼저 접근 가능한 모든 광고 계정 조회
     const accountsUrl = `${BASE_URL}/me/adaccounts`;
     const accountsParams = {
-      access_token: ACCESS_TOKEN,
+      access_token: this.credentials.accessToken,
       fields: 'id,name,account_status',
       limit: 100
     };
@@ -421,7 +497,7 @@ export class FacebookAdsService {
     for (const account of adAccounts) {
       const url = `${BASE_URL}/${account.id}/insights`;
       const params = {
-        access_token: ACCESS_TOKEN,
+        access_token: this.credentials.accessToken,
         level: 'campaign',
         time_range: JSON.stringify({ since, until }),
         fields: 'campaign_id,campaign_name,impressions,clicks,spend,ctr,cpc,cpm,results,actions'
@@ -566,7 +642,7 @@ export class FacebookAdsService {
   async toggleCampaignStatus(campaignId, status) {
     const url = `${BASE_URL}/${campaignId}`;
     const data = {
-      access_token: ACCESS_TOKEN,
+      access_token: this.credentials.accessToken,
       status: status
     };
 
@@ -659,9 +735,9 @@ export class FacebookAdsService {
   }
 
   async getCampaignList(statusFilter) {
-    const url = `${BASE_URL}/${AD_ACCOUNT_ID}/campaigns`;
+    const url = `${BASE_URL}/${this.credentials.adAccountId}/campaigns`;
     const params = {
-      access_token: ACCESS_TOKEN,
+      access_token: this.credentials.accessToken,
       limit: 100,
       fields: 'id,name,status,objective,created_time,updated_time'
     };
@@ -712,9 +788,9 @@ export class FacebookAdsService {
   // === 광고세트 관련 메서드들 ===
 
   async getAdsetList(campaignId, statusFilter) {
-    let url = `${BASE_URL}/${AD_ACCOUNT_ID}/adsets`;
+    let url = `${BASE_URL}/${this.credentials.adAccountId}/adsets`;
     const params = {
-      access_token: ACCESS_TOKEN,
+      access_token: this.credentials.accessToken,
       fields: 'id,name,status,campaign_id,campaign{name},optimization_goal,billing_event,created_time'
     };
 
@@ -760,11 +836,11 @@ export class FacebookAdsService {
   }
 
   async getAdsetPerformance(days, adsetIds, campaignId) {
-    const { since, until } = getDateRange(days);
+    const { since, until } = getDateRange(days, getAccountTimeZone('facebook', this.credentials.adAccountId));
     
-    const url = `${BASE_URL}/${AD_ACCOUNT_ID}/insights`;
+    const url = `${BASE_URL}/${this.credentials.adAccountId}/insights`;
     const params = {
-      access_token: ACCESS_TOKEN,
+      access_token: this.credentials.accessToken,
       level: 'adset',
       time_range: JSON.stringify({ since, until }),
       fields: 'adset_id,adset_name,campaign_name,impressions,clicks,spend,ctr,cpc,cpm,results,actions'
@@ -890,7 +966,7 @@ export class FacebookAdsService {
   async toggleAdsetStatus(adsetId, status) {
     const url = `${BASE_URL}/${adsetId}`;
     const data = {
-      access_token: ACCESS_TOKEN,
+      access_token: this.credentials.accessToken,
       status: status
     };
 
@@ -923,9 +999,9 @@ export class FacebookAdsService {
   // === 광고 관련 메서드들 ===
 
   async getAdList(campaignId, adsetId, statusFilter) {
-    const url = `${BASE_URL}/${AD_ACCOUNT_ID}/ads`;
+    const url = `${BASE_URL}/${this.credentials.adAccountId}/ads`;
     const baseParams = {
-      access_token: ACCESS_TOKEN,
+      access_token: this.credentials.accessToken,
       limit: 100,
       fields: 'id,name,status,campaign_id,adset_id,campaign{name},adset{name},creative{title,body},created_time'
     };
@@ -994,11 +1070,11 @@ export class FacebookAdsService {
   }
 
   async getAdPerformance(days, adIds, campaignId, adsetId, includeImages = false) {
-    const { since, until } = getDateRange(days);
+    const { since, until } = getDateRange(days, getAccountTimeZone('facebook', this.credentials.adAccountId));
     
-    const url = `${BASE_URL}/${AD_ACCOUNT_ID}/insights`;
+    const url = `${BASE_URL}/${this.credentials.adAccountId}/insights`;
     const baseParams = {
-      access_token: ACCESS_TOKEN,
+      access_token: this.credentials.accessToken,
       level: 'ad',
       limit: 100,
       time_range: JSON.stringify({ since, until }),
@@ -1054,7 +1130,7 @@ export class FacebookAdsService {
         for (const adId of adIdsForImages) {
           const url = `${BASE_URL}/${adId}`;
           const params = {
-            access_token: ACCESS_TOKEN,
+            access_token: this.credentials.accessToken,
             fields: 'creative{image_url,object_story_spec}'
           };
           
@@ -1206,7 +1282,7 @@ export class FacebookAdsService {
   async toggleAdStatus(adId, status) {
     const url = `${BASE_URL}/${adId}`;
     const data = {
-      access_token: ACCESS_TOKEN,
+      access_token: this.credentials.accessToken,
       status: status
     };
 
@@ -1246,7 +1322,7 @@ export class FacebookAdsService {
         // 광고 → 크리에이티브 ID 조회
         const adUrl = `${BASE_URL}/${adId}`;
         const adParams = {
-          access_token: ACCESS_TOKEN,
+          access_token: this.credentials.accessToken,
           fields: 'creative{id}'
         };
 
@@ -1264,7 +1340,7 @@ export class FacebookAdsService {
         // 크리에이티브 ID → object_story_spec 조회
         const creativeUrl = `https://graph.facebook.com/v22.0/${creative.id}`;
         const creativeParams = {
-          access_token: ACCESS_TOKEN,
+          access_token: this.credentials.accessToken,
           fields: 'object_story_spec'
         };
 
@@ -1311,9 +1387,9 @@ export class FacebookAdsService {
 
   async getImageUrlFromHash(imageHash) {
     try {
-      const url = `${BASE_URL}/${AD_ACCOUNT_ID}/adimages`;
+      const url = `${BASE_URL}/${this.credentials.adAccountId}/adimages`;
       const params = {
-        access_token: ACCESS_TOKEN,
+        access_token: this.credentials.accessToken,
         fields: 'url,name,hash',
         hashes: JSON.stringify([imageHash])
       };
@@ -1365,7 +1441,7 @@ export class FacebookAdsService {
       // 1단계: 광고에서 크리에이티브 ID 조회
       const adUrl = `${BASE_URL}/${adId}`;
       const adParams = {
-        access_token: ACCESS_TOKEN,
+        access_token: this.credentials.accessToken,
         fields: 'name,status,creative{id}'
       };
       
@@ -1392,7 +1468,7 @@ export class FacebookAdsService {
       const creativeId = adData.creative.id;
       const creativeUrl = `https://graph.facebook.com/v22.0/${creativeId}`;
       const creativeParams = {
-        access_token: ACCESS_TOKEN,
+        access_token: this.credentials.accessToken,
         fields: 'id,object_story_spec'
       };
       
@@ -1415,7 +1491,7 @@ export class FacebookAdsService {
           });
           result += `\n💡 **Ad Images API 호출 예시**:\n`;
           const hashArray = imageHashes.map(h => `"${h.hash}"`).join(',');
-          result += `\`${AD_ACCOUNT_ID}/adimages?fields=url,name,hash&hashes=[${hashArray}]\`\n`;
+          result += `\`${this.credentials.adAccountId}/adimages?fields=url,name,hash&hashes=[${hashArray}]\`\n`;
         } else {
           result += `❌ **Image Hash를 찾을 수 없습니다**\n`;
         }
@@ -1462,57 +1538,289 @@ export class FacebookAdsService {
     return hashes;
   }
 
-  // === 키워드 매칭 함수 (단일/다중 키워드 지원) ===
-  
+  // === 예산 관리 ===
+
   /**
-   * 키워드 매칭 함수 - 단일/다중 키워드 자동 판단
-   * @param {string} name - 캠페인명 또는 광고명
-   * @param {string} keywordString - 키워드 문자열 ("고병우" 또는 "고병우,다이즐")
-   * @returns {boolean} - 매칭 여부
+   * 광고 계정 통화와 최소 일 예산 (계정별 캐시)
+   * @param {string} accountId - 광고 계정 ID (act_ 제외)
+   * @returns {Promise<object>} {currency, minDailyBudget} (금액은 통화 기본 단위)
    */
-  matchesKeywords(name, keywordString) {
-    if (!keywordString || keywordString.trim() === '') {
-      return true; // 키워드가 없으면 모든 항목 매칭
+  async getAccountBudgetSettings(accountId) {
+    if (!this.accountBudgetSettings) {
+      this.accountBudgetSettings = new Map();
     }
-    
-    const lowerName = name.toLowerCase();
-    
-    if (!keywordString.includes(',')) {
-      // 단일 키워드 (기존 방식)
-      return lowerName.includes(keywordString.toLowerCase().trim());
-    } else {
-      // 다중 키워드 AND 조건
-      const keywords = keywordString.split(',')
-        .map(k => k.trim())
-        .filter(k => k.length > 0);
-      
-      return keywords.every(keyword => 
-        lowerName.includes(keyword.toLowerCase())
-      );
+    if (!this.accountBudgetSettings.has(accountId)) {
+      const response = await axios.get(`${BASE_URL}/act_${accountId}`, {
+        params: {
+          access_token: this.credentials.accessToken,
+          fields: 'currency,min_daily_budget'
+        }
+      });
+      const currency = response.data.currency;
+      const minDailyBudget = response.data.min_daily_budget
+        ? Number(response.data.min_daily_budget) / 10 ** getCurrencyDecimals(currency)
+        : DEFAULT_MIN_DAILY_BUDGET;
+      this.accountBudgetSettings.set(accountId, { currency, minDailyBudget });
     }
+    return this.accountBudgetSettings.get(accountId);
   }
 
-  // === 통합 검색을 위한 새로운 메서드들 ===
+  /**
+   * 캠페인/광고세트 예산 조회
+   * 예산은 CBO면 캠페인에, ABO면 광고세트에 있으며 일 예산과 총 예산 중 하나만 설정됨
+   * @param {string} entityType - campaign 또는 adset
+   * @param {string} entityId - 캠페인 또는 광고세트 ID
+   * @returns {Promise<object>} {entity_type, id, name, currency, field, amount, budget_remaining, min_daily_budget, campaign}
+   */
+  async getBudgetInfo(entityType, entityId) {
+    if (!BUDGET_ENTITY_LABELS[entityType]) {
+      throw new Error(`지원하지 않는 대상 종류입니다: ${entityType} (campaign 또는 adset)`);
+    }
+
+    const budgetFields = 'daily_budget,lifetime_budget,budget_remaining';
+    const response = await axios.get(`${BASE_URL}/${entityId}`, {
+      params: {
+        access_token: this.credentials.accessToken,
+        fields: entityType === 'adset'
+          ? `name,account_id,${budgetFields},campaign{id,name,${budgetFields}}`
+          : `name,account_id,${budgetFields}`
+      }
+    });
+
+    const data = response.data;
+    const { currency, minDailyBudget } = await this.getAccountBudgetSettings(data.account_id);
+    const toAmount = value => Number(value) > 0 ? Number(value) / 10 ** getCurrencyDecimals(currency) : null;
+    const readBudget = item => {
+      const daily = toAmount(item?.daily_budget);
+      const lifetime = toAmount(item?.lifetime_budget);
+      return {
+        field: daily ? 'daily_budget' : lifetime ? 'lifetime_budget' : null,
+        amount: daily || lifetime || null,
+        budget_remaining: toAmount(item?.budget_remaining)
+      };
+    };
+
+    return {
+      entity_type: entityType,
+      id: String(entityId),
+      name: data.name,
+      currency,
+      min_daily_budget: minDailyBudget,
+      ...readBudget(data),
+      campaign: data.campaign ? { id: data.campaign.id, name: data.campaign.name, ...readBudget(data.campaign) } : null
+    };
+  }
+
+  async getBudget(entityType, entityId) {
+    try {
+      const info = await this.getBudgetInfo(entityType, entityId);
+      const format = amount => formatBudgetAmount(amount, info.currency);
+
+      let result = `💰 **Facebook ${BUDGET_ENTITY_LABELS[entityType]} 예산**\n\n`;
+      result += `**${info.name}** (${info.id})\n`;
+
+      if (info.field) {
+        result += `예산 방식: ${entityType === 'campaign' ? 'CBO (캠페인 예산)' : 'ABO (광고세트 예산)'}\n`;
+        result += `${BUDGET_FIELD_LABELS[info.field]}: ${format(info.amount)}\n`;
+        if (info.budget_remaining !== null) {
+          result += `남은 예산: ${format(info.budget_remaining)}\n`;
+        }
+      } else if (entityType === 'adset' && info.campaign?.field) {
+        result += `예산 방식: CBO (캠페인 예산 사용)\n`;
+        result += `캠페인: ${info.campaign.name} (${info.campaign.id}) - ${BUDGET_FIELD_LABELS[info.campaign.field]} ${format(info.campaign.amount)}\n`;
+      } else if (entityType === 'campaign') {
+        // ABO 캠페인은 광고세트별 예산 표시
+        const adsets = await axios.get(`${BASE_URL}/${entityId}/adsets`, {
+          params: {
+            access_token: this.credentials.accessToken,
+            fields: 'id,name,status,daily_budget,lifetime_budget',
+            limit: 100
+          }
+        });
+        const toAmount = value => Number(value) > 0 ? Number(value) / 10 ** getCurrencyDecimals(info.currency) : null;
+        result += `예산 방식: ABO (광고세트 예산)\n\n`;
+        adsets.data.data.forEach(adset => {
+          const daily = toAmount(adset.daily_budget);
+          const lifetime = toAmount(adset.lifetime_budget);
+          const budget = daily ? `일 예산 ${format(daily)}` : lifetime ? `총 예산 ${format(lifetime)}` : '예산 없음';
+          result += `- ${adset.name} (${adset.id}, ${adset.status}): ${budget}\n`;
+        });
+      }
+
+      result += `\n최소 일 예산: ${format(info.min_daily_budget)} (${info.currency})`;
+
+      return {
+        content: [
+          {
+            type: 'text',
+            text: result
+          }
+        ]
+      };
+    } catch (error) {
+      return {
+        content: [
+          {
+            type: 'text',
+            text: `❌ **Facebook 예산 조회 실패**\n\n**오류**: ${error.response?.data?.error?.message || error.message}`
+          }
+        ]
+      };
+    }
+  }
 
   /**
-   * 특정 날짜 범위에서 활동한 캠페인 목록을 성과 데이터와 함께 조회
+   * 예산 변경 내역 계산 (미리보기와 실제 변경에 같이 사용)
+   * @param {object} args - {entity_type, entity_id, amount}
+   * @returns {Promise<object>} {platform, entity_type, id, name, field, currency, current_value, target_value}
+   * @throws {Error} 예산이 다른 단계에 있거나(CBO/ABO) 최소 예산보다 적은 경우
    */
-  async getCampaignListWithDateFilter(startDate, endDate) {
+  async previewBudgetChange(args) {
+    const info = await this.getBudgetInfo(args.entity_type, args.entity_id);
+
+    if (!info.field) {
+      throw new Error(args.entity_type === 'campaign'
+        ? 'ABO 캠페인은 캠페인 예산이 없습니다. 광고세트(entity_type: adset) 예산을 변경하세요'
+        : 'CBO 캠페인의 광고세트는 자체 예산이 없습니다. 캠페인(entity_type: campaign) 예산을 변경하세요');
+    }
+
+    const targetValue = parseBudgetAmount(args.amount, info.amount, info.currency);
+    validateMinimumBudget(targetValue, info.min_daily_budget, info.currency, `Facebook ${BUDGET_FIELD_LABELS[info.field]}`);
+
+    return {
+      platform: this.platform,
+      entity_type: info.entity_type,
+      id: info.id,
+      name: info.name,
+      field: info.field,
+      currency: info.currency,
+      current_value: info.amount,
+      target_value: targetValue
+    };
+  }
+
+  async setBudget(args) {
     try {
-      // 1단계: 모든 접근 가능한 광고 계정 조회
-      const accountsUrl = `${BASE_URL}/me/adaccounts`;
-      const accountsParams = {
-        access_token: ACCESS_TOKEN,
-        fields: 'account_id,name,account_status,currency',
-        limit: 1000
+      const change = await this.previewBudgetChange(args);
+
+      await axios.post(`${BASE_URL}/${change.id}`, {
+        access_token: this.credentials.accessToken,
+        [change.field]: Math.round(change.target_value * 10 ** getCurrencyDecimals(change.currency))
+      });
+
+      const format = amount => formatBudgetAmount(amount, change.currency);
+      return {
+        content: [
+          {
+            type: 'text',
+            text: `✅ **Facebook ${BUDGET_ENTITY_LABELS[change.entity_type]} 예산 변경 완료**\n\n${change.name} (${change.id})\n${BUDGET_FIELD_LABELS[change.field]}: ${format(change.current_value)} → ${format(change.target_value)}${formatBudgetChange(change.current_value, change.target_value)}`
+          }
+        ]
+      };
+    } catch (error) {
+      return {
+        content: [
+          {
+            type: 'text',
+            text: `❌ **Facebook 예산 변경 실패**\n\n**오류**: ${error.response?.data?.error?.message || error.message}`
+          }
+        ]
       };
+    }
+  }
+
+  // === 상태/예산 변경 미리보기 ===
+
+  /**
+   * 상태 변경 도구별 대상 개체 종류와 ID 인자 (되돌리기에서 복원 도구를 찾을 때 사용)
+   * @returns {object} 도구 이름 → {entityType, idArg | idsArg}
+   */
+  getStatusMutationTargets() {
+    return STATUS_MUTATION_TARGETS;
+  }
+
+  /**
+   * 상태/예산 변경 도구의 변경 내역 미리보기 (dry_run, 확인 토큰용, 실제로 변경하지 않음)
+   * 예산 변경은 [{platform, entity_type, id, name, field, currency, current_value, target_value}]를 반환
+   * @param {string} toolName - 상태/예산 변경 도구 이름
+   * @param {object} args - 도구 인자
+   * @param {Array|null} approvedChanges - 확인 토큰의 미리보기 변경 내역 (예산 변경은 미리보기 목표 금액 그대로 사용)
+   * @returns {Promise<Array>} [{platform, entity_type, id, name, current_status, target_status}] (찾지 못한 ID는 name/current_status가 null)
+   */
+  async previewMutation(toolName, args, approvedChanges = null) {
+    if (toolName === 'facebook_set_budget') {
+      return [await this.previewBudgetChange(applyApprovedBudget(args, approvedChanges))];
+    }
+
+    const target = STATUS_MUTATION_TARGETS[toolName];
+    if (!target) {
+      throw new Error(`미리보기를 지원하지 않는 도구입니다: ${toolName}`);
+    }
+
+    const ids = (target.idsArg ? args[target.idsArg] : [args[target.idArg]]) || [];
+
+    return await Promise.all(ids.map(async (id) => {
+      const change = {
+        platform: this.platform,
+        entity_type: target.entityType,
+        id: String(id),
+        name: null,
+        current_status: null,
+        target_status: args.status
+      };
+
+      try {
+        const response = await axios.get(`${BASE_URL}/${id}`, {
+          params: {
+            access_token: this.credentials.accessToken,
+            fields: 'name,status'
+          }
+        });
+        change.name = response.data.name;
+        change.current_status = response.data.status;
+      } catch (error) {
+        console.error(`Facebook ${target.entityType} ${id} 상태 조회 실패:`, error.response?.data?.error?.message || error.message);
+      }
+      return change;
+    }));
+  }
 
-      const accountsResponse = await axios.get(accountsUrl, { params: accountsParams });
-      const accounts = (accountsResponse.data.data || [])
-        .filter(account => account.account_status === 1); // 활성 계정만
+  // === 통합 검색을 위한 새로운 메서드들 ===
+
+  /**
+   * 조회 범위 내 활성 광고 계정 목록
+   * META_AD_ACCOUNT_ALLOWLIST/DENYLIST 설정과 명령어 계정: 지정을 적용 (utils/account-scope.js)
+   * @param {Array<string>} accountFilter - 명령어 계정: 지정 목록 (계정 ID 또는 계정명)
+   * @returns {Array} [{account_id, name, account_status, currency, timezone_name}]
+   */
+  async getScopedAdAccounts(accountFilter = []) {
+    const response = await axios.get(`${BASE_URL}/me/adaccounts`, {
+      params: {
+        access_token: this.credentials.accessToken,
+        fields: 'account_id,name,account_status,currency,timezone_name',
+        limit: 1000
+      }
+    });
+
+    const activeAccounts = (response.data.data || [])
+      .filter(account => account.account_status === 1); // 활성 계정만
+
+    return filterScopedAccounts(activeAccounts, 'facebook', accountFilter);
+  }
+
+  /**
+   * 특정 날짜 범위에서 활동한 캠페인 목록을 성과 데이터와 함께 조회
+   * options.resolveDateRange가 있으면 계정 시간대 기준으로 날짜 범위를 다시 계산
+   * options.accountFilter(계정 ID 또는 계정명 목록)가 있으면 해당 계정만 조회
+   * options.statusFilter('active'|'paused')가 있으면 해당 상태 캠페인만, options.includeZeroSpend면 지출 없는 캠페인도 포함
+   */
+  async getCampaignListWithDateFilter(startDate, endDate, options = {}) {
+    try {
+      // 1단계: 조회 범위 내 활성 광고 계정 조회
+      const accounts = await this.getScopedAdAccounts(options.accountFilter);
 
       if (accounts.length === 0) {
-        console.warn('접근 가능한 활성 Facebook 광고 계정이 없습니다.');
+        console.warn('조회 범위에 해당하는 활성 Facebook 광고 계정이 없습니다.');
         return [];
       }
 
@@ -1523,31 +1831,67 @@ export class FacebookAdsService {
       
       for (const account of accounts) {
         try {
+          // 계정 시간대 기준 날짜 범위
+          const timeZone = getAccountTimeZone('facebook', account.account_id, account.timezone_name);
+          const accountRange = resolveAccountDateRange(startDate, endDate, timeZone, options);
+
           const url = `${BASE_URL}/act_${account.account_id}/insights`;
           const params = {
-            access_token: ACCESS_TOKEN,
+            access_token: this.credentials.accessToken,
             fields: 'campaign_id,campaign_name,spend',
             time_range: JSON.stringify({
-              since: startDate,
-              until: endDate
+              since: accountRange.startDate,
+              until: accountRange.endDate
             }),
             level: 'campaign',
             limit: 1000
           };
 
           const response = await axios.get(url, { params });
+
+          // insights에는 상태 정보가 없으므로 캠페인 목록에서 게재 상태와 설정 상태 조회
+          const accountCampaigns = await this.getAccountCampaignStatuses(account.account_id);
+          const statusMap = new Map(accountCampaigns.map(campaign => [campaign.id, campaign]));
           
-          const campaigns = (response.data.data || [])
-            .filter(campaign => parseFloat(campaign.spend || '0') > 0)
+          const spentCampaigns = (response.data.data || [])
+            .filter(campaign => options.includeZeroSpend || parseFloat(campaign.spend || '0') > 0)
             .map(campaign => ({
               campaign_id: campaign.campaign_id,
               campaign_name: campaign.campaign_name,
-              name: campaign.campaign_name, // 호환성을 위한 별칭
               spend: campaign.spend || '0',
+              effective_status: statusMap.get(campaign.campaign_id)?.effective_status,
+              configured_status: statusMap.get(campaign.campaign_id)?.status
+            }));
+
+          // 무지출포함: 기간 내 성과 데이터가 없는 캠페인도 지출 0으로 추가
+          if (options.includeZeroSpend) {
+            const spentIds = new Set(spentCampaigns.map(campaign => campaign.campaign_id));
+            accountCampaigns
+              .filter(campaign => !spentIds.has(campaign.id))
+              .forEach(campaign => spentCampaigns.push({
+                campaign_id: campaign.id,
+                campaign_name: campaign.name,
+                spend: '0',
+                effective_status: campaign.effective_status,
+                configured_status: campaign.status
+              }));
+          }
+
+          const campaigns = spentCampaigns
+            .map(campaign => ({
+              campaign_id: campaign.campaign_id,
+              campaign_name: campaign.campaign_name,
+              name: campaign.campaign_name, // 호환성을 위한 별칭
+              spend: campaign.spend,
+              status: campaign.effective_status,
+              configured_status: campaign.configured_status,
+              delivery_status: normalizeDeliveryStatus('facebook', campaign.effective_status),
               account_id: account.account_id,
               account_name: account.name,
-              account_currency: account.currency
-            }));
+              account_currency: account.currency,
+              account_timezone: timeZone
+            }))
+            .filter(campaign => matchesStatusFilter(campaign.delivery_status, options.statusFilter));
             
           allCampaigns.push(...campaigns);
           
@@ -1578,24 +1922,113 @@ export class FacebookAdsService {
   }
 
   /**
-   * 특정 캠페인들의 광고별 상세 성과 조회
+   * 광고 계정의 캠페인 게재 상태 목록 조회 (삭제된 캠페인 제외)
+   * @param {string} accountId - 광고 계정 ID (act_ 제외)
+   * @returns {Array} [{id, name, status, effective_status}] - status는 설정 상태(ACTIVE/PAUSED), 조회 실패 시 빈 배열
    */
-  async getAdLevelPerformance(campaignIds, startDate, endDate) {
+  async getAccountCampaignStatuses(accountId) {
     try {
-      // 1단계: 모든 접근 가능한 광고 계정 조회
-      const accountsUrl = `${BASE_URL}/me/adaccounts`;
-      const accountsParams = {
-        access_token: ACCESS_TOKEN,
-        fields: 'account_id,name,account_status',
-        limit: 1000
-      };
+      const response = await axios.get(`${BASE_URL}/act_${accountId}/campaigns`, {
+        params: {
+          access_token: this.credentials.accessToken,
+          fields: 'id,name,status,effective_status',
+          limit: 1000
+        }
+      });
+      return response.data.data || [];
+    } catch (error) {
+      console.warn(`Facebook 계정 ${accountId} 캠페인 상태 조회 실패:`, error.message);
+      return [];
+    }
+  }
+
+  /**
+   * ID로 캠페인 직접 조회 (통합 검색 캠페인ID: 파라미터용)
+   * ids 파라미터로 50개씩 한 번에 조회하고, 조회할 수 없는 ID가 섞여 묶음 요청이 실패하면 그 묶음만 개별 조회
+   * @param {Array<string>} campaignIds - 캠페인 ID 목록
+   * @returns {Array} [{campaign_id, campaign_name, name, status, configured_status, delivery_status, account_id}] - 찾지 못한 ID는 제외
+   */
+  async getCampaignsByIds(campaignIds) {
+    const params = {
+      access_token: this.credentials.accessToken,
+      fields: 'id,name,status,effective_status,account_id'
+    };
+    const rows = [];
+
+    for (let index = 0; index < campaignIds.length; index += IDS_BATCH_SIZE) {
+      const batchIds = campaignIds.slice(index, index + IDS_BATCH_SIZE);
+      try {
+        const response = await axios.get(`${BASE_URL}/`, {
+          params: { ...params, ids: batchIds.join(',') }
+        });
+        rows.push(...Object.values(response.data || {}));
+      } catch (batchError) {
+        for (const campaignId of batchIds) {
+          try {
+            const response = await axios.get(`${BASE_URL}/${campaignId}`, { params });
+            rows.push(response.data);
+          } catch (error) {
+            // 다른 매체의 ID이거나 접근 권한이 없는 경우
+            console.warn(`Facebook 캠페인 ${campaignId} 조회 실패:`, error.response?.data?.error?.message || error.message);
+          }
+        }
+      }
+    }
 
-      const accountsResponse = await axios.get(accountsUrl, { params: accountsParams });
-      const accounts = (accountsResponse.data.data || [])
-        .filter(account => account.account_status === 1); // 활성 계정만
+    return rows.map(row => ({
+      campaign_id: row.id,
+      campaign_name: row.name,
+      name: row.name, // 호환성을 위한 별칭
+      status: row.effective_status,
+      configured_status: row.status,
+      delivery_status: normalizeDeliveryStatus('facebook', row.effective_status),
+      account_id: row.account_id
+    }));
+  }
+
+  /**
+   * ID로 광고 직접 조회 (통합 검색 광고ID: 파라미터용)
+   * @param {Array<string>} adIds - 광고 ID 목록
+   * @returns {Array} [{ad_id, ad_name, campaign_id, campaign_name}] - 찾지 못한 ID는 제외
+   */
+  async getAdsByIds(adIds) {
+    const ads = [];
+
+    for (const adId of adIds) {
+      try {
+        const response = await axios.get(`${BASE_URL}/${adId}`, {
+          params: {
+            access_token: this.credentials.accessToken,
+            fields: 'id,name,campaign_id,campaign{name}'
+          }
+        });
+
+        ads.push({
+          ad_id: response.data.id,
+          ad_name: response.data.name,
+          campaign_id: response.data.campaign_id,
+          campaign_name: response.data.campaign?.name
+        });
+      } catch (error) {
+        console.warn(`Facebook 광고 ${adId} 조회 실패:`, error.response?.data?.error?.message || error.message);
+      }
+    }
+
+    return ads;
+  }
+
+  /**
+   * 특정 캠페인들의 광고별 상세 성과 조회
+   * options.resolveDateRange가 있으면 계정 시간대 기준으로 날짜 범위를 다시 계산
+   * options.accountFilter(계정 ID 또는 계정명 목록)가 있으면 해당 계정만 조회
+   */
+  async getAdLevelPerformance(campaignIds, startDate, endDate, options = {}) {
+    try {
+      // 1단계: 조회 범위 내 활성 광고 계정 조회
+      const accounts = await this.getScopedAdAccounts(options.accountFilter);
 
       if (accounts.length === 0) {
-        console.warn('접근 가능한 활성 Facebook 광고 계정이 없습니다.');
+        console.warn('조회 범위에 해당하는 활성 Facebook 광고 계정이 없습니다.');
         return [];
       }
 
@@ -1606,13 +2039,17 @@ export class FacebookAdsService {
       
       for (const account of accounts) {
         try {
+          // 계정 시간대 기준 날짜 범위
+          const timeZone = getAccountTimeZone('facebook', account.account_id, account.timezone_name);
+          const accountRange = resolveAccountDateRange(startDate, endDate, timeZone, options);
+
           const url = `${BASE_URL}/act_${account.account_id}/insights`;
           const params = {
-            access_token: ACCESS_TOKEN,
-            fields: 'ad_id,ad_name,campaign_id,campaign_name,spend,impressions,clicks,ctr,cpc,cpm,results,actions',
+            access_token: this.credentials.accessToken,
+            fields: 'ad_id,ad_name,adset_id,adset_name,campaign_id,campaign_name,spend,impressions,clicks,ctr,cpc,cpm,results,actions',
             time_range: JSON.stringify({
-              since: startDate,
-              until: endDate
+              since: accountRange.startDate,
+              until: accountRange.endDate
             }),
             time_increment: '1', // 일별 breakdown 추가
             level: 'ad',
@@ -1644,6 +2081,8 @@ export class FacebookAdsService {
                 ad_id: adId,
                 ad_name: ad.ad_name,
                 name: ad.ad_name,
+                adset_id: ad.adset_id,
+                adset_name: ad.adset_name,
                 campaign_id: ad.campaign_id,
                 campaign_name: ad.campaign_name,
                 account_id: account.account_id,
@@ -1678,6 +2117,8 @@ export class FacebookAdsService {
             ad_id: ad.ad_id,
             ad_name: ad.ad_name,
             name: ad.name,
+            adset_id: ad.adset_id,
+            adset_name: ad.adset_name,
             campaign_id: ad.campaign_id,
             campaign_name: ad.campaign_name,
             spend: ad.totalSpend.toFixed(2),
@@ -1768,7 +2209,7 @@ export class FacebookAdsService {
       const url = `${BASE_URL}/act_743936653141610`;
       const response = await axios.get(url, {
         params: {
-          access_token: ACCESS_TOKEN,
+          access_token: this.credentials.accessToken,
           fields: 'id,name,account_status,currency,timezone_name'
         }
       });
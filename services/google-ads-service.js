@@ -1,53 +1,64 @@
 import axios from 'axios';
 import 'dotenv/config';
-import { getGoogleDateRange, getPeriodText } from '../utils/date-utils.js';
+import { getGoogleDateRange, getPeriodText, getAccountTimeZone, resolveAccountDateRange, formatDateInTimeZone } from '../utils/date-utils.js';
 import { formatNumber, formatCurrency, formatPercent, standardizeMetrics, formatPerformanceSummary } from '../utils/format-utils.js';
+import { normalizeDeliveryStatus } from '../utils/delivery-status.js';
+import { filterScopedAccounts } from '../utils/account-scope.js';
+import { exchangeRateService } from '../utils/exchange-rate-service.js';
+import { loadCredentialsFromEnv } from '../utils/credentials.js';
+import { BUDGET_FIELD_LABELS, applyApprovedBudget, parseBudgetAmount, validateMinimumBudget, formatBudgetAmount, formatBudgetChange } from '../utils/budget-utils.js';
 
-// Google Ads API 설정
-const CLIENT_ID = process.env.GOOGLE_ADS_CLIENT_ID;
-const CLIENT_SECRET = process.env.GOOGLE_ADS_CLIENT_SECRET;
-const REFRESH_TOKEN = process.env.GOOGLE_ADS_REFRESH_TOKEN;
-const DEVELOPER_TOKEN = process.env.GOOGLE_ADS_DEVELOPER_TOKEN;
-const CUSTOMER_ID = process.env.GOOGLE_ADS_CUSTOMER_ID;
+// 하위 고객 계정 목록 캐시 유지 시간 (10분)
+const CUSTOMER_CACHE_TTL = 10 * 60 * 1000;
 
 // Google Ads API URLs  
 const GOOGLE_ADS_API_VERSION = 'v20';
 const BASE_URL = `https://googleads.googleapis.com/${GOOGLE_ADS_API_VERSION}`;
 const OAUTH_URL = 'https://oauth2.googleapis.com/token';
 
-export class GoogleAdsService {
-  constructor() {
-    this.platform = 'google';
-    this.accessToken = null;
-    this.tokenExpiryTime = null;
+/**
+ * 상태 변경 도구별 대상 (미리보기, 되돌리기용): 개체 종류, 단일 ID 인자, 일괄 ID 배열 인자, 고객 계정 인자
+ */
+const STATUS_MUTATION_TARGETS = {
+  google_toggle_campaign_status: { entityType: 'campaign', idArg: 'campaign_id', accountArg: 'customer_id' },
+  google_toggle_ad_group_status: { entityType: 'ad_group', idArg: 'ad_group_id' },
+  google_bulk_toggle_ad_groups: { entityType: 'ad_group', idsArg: 'ad_group_ids' },
+  google_toggle_ad_status: { entityType: 'ad', idArg: 'ad_id' },
+  google_bulk_toggle_ads: { entityType: 'ad', idsArg: 'ad_ids' }
+};
+
+// 최소 예산 (통화 기본 단위, Google Ads는 통화별 최소 단위 외 별도 하한이 없어 1 단위로 제한)
+const MIN_BUDGET_AMOUNT = 1;
+
+/**
+ * 개체 종류별 현재 상태 조회 쿼리와 결과 행 변환
+ */
+const STATUS_QUERIES = {
+  campaign: {
+    select: 'SELECT campaign.id, campaign.name, campaign.status FROM campaign WHERE campaign.id IN',
+    read: row => ({ id: row.campaign?.id, name: row.campaign?.name, status: row.campaign?.status })
+  },
+  ad_group: {
+    select: 'SELECT ad_group.id, ad_group.name, ad_group.status FROM ad_group WHERE ad_group.id IN',
+    read: row => ({ id: (row.ad_group || row.adGroup)?.id, name: (row.ad_group || row.adGroup)?.name, status: (row.ad_group || row.adGroup)?.status })
+  },
+  ad: {
+    select: 'SELECT ad_group_ad.ad.id, ad_group_ad.ad.name, ad_group_ad.status FROM ad_group_ad WHERE ad_group_ad.ad.id IN',
+    read: row => ({ id: (row.ad_group_ad || row.adGroupAd)?.ad?.id, name: (row.ad_group_ad || row.adGroupAd)?.ad?.name, status: (row.ad_group_ad || row.adGroupAd)?.status })
   }
+};
 
+export class GoogleAdsService {
   /**
-   * 키워드 매칭 함수 - 단일/다중 키워드 자동 판단
-   * @param {string} name - 캠페인명 또는 광고명
-   * @param {string} keywordString - 키워드 문자열 ("고병우" 또는 "고병우,다이즐")
-   * @returns {boolean} - 매칭 여부
+   * @param {object} credentials - Google Ads 자격 증명 {clientId, clientSecret, refreshToken, developerToken, customerId, loginCustomerId} (기본값: 환경변수)
    */
-  matchesKeywords(name, keywordString) {
-    if (!keywordString || keywordString.trim() === '') {
-      return true; // 키워드가 없으면 모든 항목 매칭
-    }
-    
-    const lowerName = name.toLowerCase();
-    
-    if (!keywordString.includes(',')) {
-      // 단일 키워드 (기존 방식)
-      return lowerName.includes(keywordString.toLowerCase().trim());
-    } else {
-      // 다중 키워드 AND 조건
-      const keywords = keywordString.split(',')
-        .map(k => k.trim())
-        .filter(k => k.length > 0);
-      
-      return keywords.every(keyword => 
-        lowerName.includes(keyword.toLowerCase())
-      );
-    }
+  constructor(credentials = loadCredentialsFromEnv().google) {
+    this.platform = 'google';
+    this.credentials = credentials;
+    this.accessToken = null;
+    this.tokenExpiryTime = null;
+    this.customerCache = null; // 하위 고객 계정 목록 캐시
+    this.customerByCampaignId = new Map(); // 캠페인 ID → 고객 계정 (광고 조회 시 사용)
   }
 
   /**
@@ -169,11 +180,65 @@ export class GoogleAdsService {
               type: 'string',
               enum: ['ENABLED', 'PAUSED'],
               description: '설정할 상태'
+            },
+            customer_id: {
+              type: 'string',
+              description: '캠페인의 고객 ID (선택사항, MCC 하위 계정 캠페인인 경우, 기본값: GOOGLE_ADS_CUSTOMER_ID)'
             }
           },
           required: ['campaign_id', 'status']
         }
       },
+      {
+        name: 'google_get_budget',
+        description: 'Google Ads 캠페인 예산(일 예산/총 예산)과 공유 예산 여부를 조회합니다',
+        inputSchema: {
+          type: 'object',
+          properties: {
+            entity_type: {
+              type: 'string',
+              enum: ['campaign'],
+              description: '대상 종류 (Google Ads는 캠페인 예산만 지원)'
+            },
+            entity_id: {
+              type: 'string',
+              description: '캠페인 ID'
+            },
+            customer_id: {
+              type: 'string',
+              description: '캠페인의 고객 ID (선택사항, MCC 하위 계정 캠페인인 경우, 기본값: GOOGLE_ADS_CUSTOMER_ID)'
+            }
+          },
+          required: ['entity_type', 'entity_id']
+        }
+      },
+      {
+        name: 'google_set_budget',
+        description: 'Google Ads 캠페인 예산을 변경합니다. 금액 또는 "+20%", "-10%", "+10000" 같은 증감을 지정할 수 있습니다 (여러 캠페인이 쓰는 공유 예산은 변경하지 않음)',
+        inputSchema: {
+          type: 'object',
+          properties: {
+            entity_type: {
+              type: 'string',
+              enum: ['campaign'],
+              description: '대상 종류 (Google Ads는 캠페인 예산만 지원)'
+            },
+            entity_id: {
+              type: 'string',
+              description: '캠페인 ID'
+            },
+            amount: {
+              type: 'string',
+              description: '새 예산 (계정 통화 기준, 예: "50000", "+20%", "-10%", "+10000")'
+            },
+            customer_id: {
+              type: 'string',
+              description: '캠페인의 고객 ID (선택사항, MCC 하위 계정 캠페인인 경우, 기본값: GOOGLE_ADS_CUSTOMER_ID)'
+            }
+          },
+          required: ['entity_type', 'entity_id', 'amount']
+        }
+      },
       {
         name: 'google_get_keyword_performance',
         description: 'Google Ads 키워드 성과를 조회합니다',
@@ -386,8 +451,9 @@ export class GoogleAdsService {
 
   /**
    * 도구 호출 처리
+   * @param {object} options - {approvedChanges: 확인 토큰의 미리보기 변경 내역 (MutationGuard 참고)}
    */
-  async handleToolCall(toolName, args) {
+  async handleToolCall(toolName, args, options = {}) {
     switch (toolName) {
       case 'google_get_campaign_list_with_date_filter':
         return await this.getCampaignListWithDateFilter(args.start_date, args.end_date);
@@ -398,7 +464,11 @@ export class GoogleAdsService {
       case 'google_get_campaign_list':
         return await this.getCampaignList(args.status_filter || 'ALL');
       case 'google_toggle_campaign_status':
-        return await this.toggleCampaignStatus(args.campaign_id, args.status);
+        return await this.toggleCampaignStatus(args.campaign_id, args.status, args.customer_id);
+      case 'google_get_budget':
+        return await this.getBudget(args.entity_type, args.entity_id, args.customer_id);
+      case 'google_set_budget':
+        return await this.setBudget(applyApprovedBudget(args, options.approvedChanges));
       case 'google_get_keyword_performance':
         return await this.getKeywordPerformance(args.days || 7, args.campaign_id);
       case 'google_get_search_terms':
@@ -431,7 +501,7 @@ export class GoogleAdsService {
   async getCampaignPerformance(days, campaignIds) {
     try {
       
-      const { start_date, end_date } = getGoogleDateRange(days);
+      const { start_date, end_date } = getGoogleDateRange(days, getAccountTimeZone('google', this.credentials.customerId));
       
       // Google Ads Query Language (GAQL) 쿼리 작성
       let query = `
@@ -518,29 +588,58 @@ export class GoogleAdsService {
         content: [
           {
             type: 'text',
-            text: `❌ **Google Ads 캠페인 목록 조회 실패**\n\n**오류**: ${error.message}\n\n**환경변수 확인:**\n- Customer ID: ${CUSTOMER_ID}\n- Developer Token: ${DEVELOPER_TOKEN ? '설정됨' : '❌ 없음'}\n- Refresh Token: ${REFRESH_TOKEN ? '설정됨' : '❌ 없음'}\n\n**해결 방법:**\n- Customer ID가 올바른지 확인\n- Developer Token이 승인되었는지 확인\n- OAuth 권한 확인`
+            text: `❌ **Google Ads 캠페인 목록 조회 실패**\n\n**오류**: ${error.message}\n\n**환경변수 확인:**\n- Customer ID: ${this.credentials.customerId}\n- Developer Token: ${this.credentials.developerToken ? '설정됨' : '❌ 없음'}\n- Refresh Token: ${this.credentials.refreshToken ? '설정됨' : '❌ 없음'}\n\n**해결 방법:**\n- Customer ID가 올바른지 확인\n- Developer Token이 승인되었는지 확인\n- OAuth 권한 확인`
           }
         ]
       };
     }
   }
 
-  async toggleCampaignStatus(campaignId, status) {
-    // TODO: Google Ads API 구현
-    return {
-      content: [
-        {
-          type: 'text',
-          text: `🔧 **구현 예정**: Google Ads 캠페인 ${campaignId} 상태 변경 (${status})`
-        }
-      ]
-    };
+  async toggleCampaignStatus(campaignId, status, customerId = this.credentials.customerId) {
+    try {
+      const targetCustomerId = String(customerId || this.credentials.customerId).replace(/-/g, '');
+
+      await this.getAccessToken();
+
+      const requestBody = {
+        operations: [
+          {
+            update: {
+              resourceName: `customers/${targetCustomerId}/campaigns/${campaignId}`,
+              status: status
+            },
+            updateMask: 'status'
+          }
+        ]
+      };
+
+      await this.makeGoogleAdsMutateRequest('campaigns:mutate', requestBody, targetCustomerId);
+
+      return {
+        content: [
+          {
+            type: 'text',
+            text: `✅ **Google Ads 캠페인 상태 변경 완료**\n\n고객 ID: ${targetCustomerId}\n캠페인 ID: ${campaignId}\n새 상태: ${status === 'ENABLED' ? '✅ 활성' : '⏸️ 일시정지'}`
+          }
+        ]
+      };
+
+    } catch (error) {
+      return {
+        content: [
+          {
+            type: 'text',
+            text: `❌ **Google Ads 캠페인 상태 변경 실패**\n\n**오류**: ${error.message}\n\n**해결 방법:**\n- 캠페인 ID가 올바른지 확인\n- MCC 하위 계정 캠페인이면 customer_id를 지정\n- 캠페인 수정 권한이 있는지 확인`
+          }
+        ]
+      };
+    }
   }
 
   async getKeywordPerformance(days, campaignId) {
     try {
       
-      const { start_date, end_date } = getGoogleDateRange(days);
+      const { start_date, end_date } = getGoogleDateRange(days, getAccountTimeZone('google', this.credentials.customerId));
       
       // Google Ads Query Language (GAQL) 쿼리 작성
       let query = `
@@ -617,7 +716,7 @@ export class GoogleAdsService {
       const accessToken = await this.getAccessToken();
       
       // 2단계: Customer ID 정보 확인
-      const customerId = GOOGLE_ADS_CUSTOMER_ID.replace(/-/g, '');
+      const customerId = this.credentials.customerId.replace(/-/g, '');
       
       // 3단계: 간단한 API 호출 테스트 (Customer 정보 조회)
       const customerUrl = `${BASE_URL}/customers/${customerId}`;
@@ -626,7 +725,7 @@ export class GoogleAdsService {
       const response = await axios.get(customerUrl, {
         headers: {
           'Authorization': `Bearer ${accessToken}`,
-          'developer-token': GOOGLE_ADS_DEVELOPER_TOKEN,
+          'developer-token': this.credentials.developerToken,
           'Content-Type': 'application/json'
         }
       });
@@ -638,7 +737,7 @@ export class GoogleAdsService {
             type: 'text',
             text: `✅ **Google Ads API 연결 테스트 성공**\n\n` +
                   `🔑 **OAuth**: 토큰 갱신 성공\n` +
-                  `🏢 **Customer ID**: ${GOOGLE_ADS_CUSTOMER_ID} (${customerId})\n` +
+                  `🏢 **Customer ID**: ${this.credentials.customerId} (${customerId})\n` +
                   `🔧 **Developer Token**: 설정됨\n` +
                   `📊 **API 버전**: ${GOOGLE_ADS_API_VERSION}\n` +
                   `🌐 **Base URL**: ${BASE_URL}\n\n` +
@@ -659,7 +758,7 @@ export class GoogleAdsService {
       } else if (error.response?.status === 403) {
         diagnosis = `\n🔍 **진단**: 권한 문제\n- Developer Token이 승인되지 않았을 수 있습니다\n- Customer ID에 대한 접근 권한이 없을 수 있습니다`;
       } else if (error.response?.status === 404) {
-        diagnosis = `\n🔍 **진단**: Customer ID 문제\n- Customer ID '${GOOGLE_ADS_CUSTOMER_ID}'가 존재하지 않거나 잘못되었습니다\n- MCC(매니저 계정) ID를 사용했을 수도 있습니다`;
+        diagnosis = `\n🔍 **진단**: Customer ID 문제\n- Customer ID '${this.credentials.customerId}'가 존재하지 않거나 잘못되었습니다\n- MCC(매니저 계정) ID를 사용했을 수도 있습니다`;
       }
       
       return {
@@ -670,11 +769,11 @@ export class GoogleAdsService {
                   `**오류**: ${error.message}\n` +
                   `**상태 코드**: ${error.response?.status || 'N/A'}\n` +
                   `**설정 정보**:\n` +
-                  `- Customer ID: ${GOOGLE_ADS_CUSTOMER_ID}\n` +
+                  `- Customer ID: ${this.credentials.customerId}\n` +
                   `- API 버전: ${GOOGLE_ADS_API_VERSION}\n` +
-                  `- Developer Token: ${DEVELOPER_TOKEN ? '설정됨' : '❌ 없음'}\n` +
-                  `- Client ID: ${GOOGLE_ADS_CLIENT_ID ? '설정됨' : '❌ 없음'}\n` +
-                  `- Refresh Token: ${GOOGLE_ADS_REFRESH_TOKEN ? '설정됨' : '❌ 없음'}` +
+                  `- Developer Token: ${this.credentials.developerToken ? '설정됨' : '❌ 없음'}\n` +
+                  `- Client ID: ${this.credentials.clientId ? '설정됨' : '❌ 없음'}\n` +
+                  `- Refresh Token: ${this.credentials.refreshToken ? '설정됨' : '❌ 없음'}` +
                   diagnosis
           }
         ]
@@ -696,9 +795,9 @@ export class GoogleAdsService {
     try {
       
       const params = new URLSearchParams({
-        client_id: CLIENT_ID,
-        client_secret: CLIENT_SECRET,
-        refresh_token: REFRESH_TOKEN,
+        client_id: this.credentials.clientId,
+        client_secret: this.credentials.clientSecret,
+        refresh_token: this.credentials.refreshToken,
         grant_type: 'refresh_token'
       });
 
@@ -721,12 +820,15 @@ export class GoogleAdsService {
 
   /**
    * Google Ads API 공통 요청 메서드 (REST API)
+   * @param {string} query - GAQL 쿼리
+   * @param {string} targetCustomerId - 조회할 고객 계정 ID (기본값: 자격 증명의 customerId)
    */
-  async makeGoogleAdsRequest(query) {
+  async makeGoogleAdsRequest(query, targetCustomerId = this.credentials.customerId) {
     const accessToken = await this.getAccessToken();
     
     // Customer ID 처리 (하이픈 제거)
-    const customerId = CUSTOMER_ID.replace(/-/g, '');
+    const customerId = String(targetCustomerId).replace(/-/g, '');
+    const loginCustomerId = (this.credentials.loginCustomerId || this.credentials.customerId).replace(/-/g, '');
     
     // Google Ads REST API 엔드포인트
     const url = `${BASE_URL}/customers/${customerId}/googleAds:search`;
@@ -741,9 +843,9 @@ export class GoogleAdsService {
       const response = await axios.post(url, requestBody, {
         headers: {
           'Authorization': `Bearer ${accessToken}`,
-          'developer-token': DEVELOPER_TOKEN,
+          'developer-token': this.credentials.developerToken,
           'Content-Type': 'application/json',
-          'login-customer-id': customerId
+          'login-customer-id': loginCustomerId
         }
       });
 
@@ -785,10 +887,10 @@ export class GoogleAdsService {
   }
 
   /**
-   * Google Ads 날짜 형식으로 변환 (YYYY-MM-DD)
+   * Google Ads 날짜 형식으로 변환 (YYYY-MM-DD, 계정 시간대 기준)
    */
   formatGoogleDate(date) {
-    return date.toISOString().split('T')[0];
+    return formatDateInTimeZone(date, getAccountTimeZone('google', this.credentials.customerId));
   }
 
   /**
@@ -1109,7 +1211,7 @@ export class GoogleAdsService {
       
       await this.getAccessToken();
       
-      const { start_date, end_date } = getGoogleDateRange(days);
+      const { start_date, end_date } = getGoogleDateRange(days, getAccountTimeZone('google', this.credentials.customerId));
       
       let gaqlQuery = `
         SELECT 
@@ -1181,7 +1283,7 @@ export class GoogleAdsService {
         operations: [
           {
             update: {
-              resourceName: `customers/${CUSTOMER_ID}/adGroups/${adGroupId}`,
+              resourceName: `customers/${this.credentials.customerId}/adGroups/${adGroupId}`,
               status: status
             },
             updateMask: 'status'
@@ -1219,7 +1321,7 @@ export class GoogleAdsService {
       
       const operations = adGroupIds.map(id => ({
         update: {
-          resourceName: `customers/${CUSTOMER_ID}/adGroups/${id}`,
+          resourceName: `customers/${this.credentials.customerId}/adGroups/${id}`,
           status: status
         },
         updateMask: 'status'
@@ -1319,7 +1421,7 @@ export class GoogleAdsService {
       
       await this.getAccessToken();
       
-      const { start_date, end_date } = getGoogleDateRange(days);
+      const { start_date, end_date } = getGoogleDateRange(days, getAccountTimeZone('google', this.credentials.customerId));
       
       let gaqlQuery = `
         SELECT 
@@ -1397,7 +1499,7 @@ export class GoogleAdsService {
         operations: [
           {
             update: {
-              resourceName: `customers/${CUSTOMER_ID}/adGroupAds/${adId}`,
+              resourceName: `customers/${this.credentials.customerId}/adGroupAds/${adId}`,
               status: status
             },
             updateMask: 'status'
@@ -1435,7 +1537,7 @@ export class GoogleAdsService {
       
       const operations = adIds.map(id => ({
         update: {
-          resourceName: `customers/${CUSTOMER_ID}/adGroupAds/${id}`,
+          resourceName: `customers/${this.credentials.customerId}/adGroupAds/${id}`,
           status: status
         },
         updateMask: 'status'
@@ -1605,8 +1707,9 @@ export class GoogleAdsService {
   /**
    * Google Ads Mutate API 요청
    */
-  async makeGoogleAdsMutateRequest(endpoint, requestBody) {
-    const customerId = CUSTOMER_ID.replace(/-/g, '');
+  async makeGoogleAdsMutateRequest(endpoint, requestBody, targetCustomerId = this.credentials.customerId) {
+    const customerId = String(targetCustomerId).replace(/-/g, '');
+    const loginCustomerId = (this.credentials.loginCustomerId || this.credentials.customerId).replace(/-/g, '');
     const url = `https://googleads.googleapis.com/${GOOGLE_ADS_API_VERSION}/customers/${customerId}/${endpoint}`;
     
     const config = {
@@ -1614,8 +1717,9 @@ export class GoogleAdsService {
       url,
       headers: {
         'Authorization': `Bearer ${this.accessToken}`,
-        'developer-token': DEVELOPER_TOKEN,
-        'Content-Type': 'application/json'
+        'developer-token': this.credentials.developerToken,
+        'Content-Type': 'application/json',
+        'login-customer-id': loginCustomerId
       },
       data: requestBody
     };
@@ -1637,23 +1741,423 @@ export class GoogleAdsService {
     }
   }
 
+  // === 예산 관리 ===
+
+  /**
+   * 캠페인 예산 조회 (campaign_budget)
+   * @param {string} entityType - campaign만 지원
+   * @param {string} entityId - 캠페인 ID
+   * @param {string} customerId - 캠페인의 고객 ID (MCC 하위 계정, 기본값: 자격 증명의 customerId)
+   * @returns {Promise<object>} {entity_type, id, name, account_id, currency, field, amount, resource_name, shared, reference_count}
+   */
+  async getBudgetInfo(entityType, entityId, customerId = this.credentials.customerId) {
+    if (entityType !== 'campaign') {
+      throw new Error(`Google Ads는 캠페인 예산만 지원합니다 (요청: ${entityType})`);
+    }
+    if (!/^\d+$/.test(String(entityId))) {
+      throw new Error(`캠페인 ID 형식이 올바르지 않습니다: ${entityId}`);
+    }
+
+    const targetCustomerId = String(customerId || this.credentials.customerId).replace(/-/g, '');
+    const response = await this.makeGoogleAdsRequest(`
+      SELECT
+        campaign.id,
+        campaign.name,
+        campaign_budget.resource_name,
+        campaign_budget.amount_micros,
+        campaign_budget.total_amount_micros,
+        campaign_budget.explicitly_shared,
+        campaign_budget.reference_count,
+        customer.currency_code
+      FROM campaign
+      WHERE campaign.id = ${entityId}
+    `, targetCustomerId);
+
+    const row = response.results?.[0];
+    if (!row) {
+      throw new Error(`캠페인을 찾을 수 없습니다: ${entityId}`);
+    }
+
+    const budget = row.campaignBudget || {};
+    const lifetime = Number(budget.totalAmountMicros) > 0;
+    const micros = Number(lifetime ? budget.totalAmountMicros : budget.amountMicros);
+
+    return {
+      entity_type: 'campaign',
+      id: String(row.campaign.id),
+      name: row.campaign.name,
+      account_id: targetCustomerId,
+      currency: row.customer?.currencyCode,
+      field: lifetime ? 'lifetime_budget' : 'daily_budget',
+      amount: micros > 0 ? micros / 1000000 : null,
+      resource_name: budget.resourceName,
+      shared: Boolean(budget.explicitlyShared),
+      reference_count: Number(budget.referenceCount) || 1
+    };
+  }
+
+  async getBudget(entityType, entityId, customerId) {
+    try {
+      const info = await this.getBudgetInfo(entityType, entityId, customerId);
+
+      let result = `💰 **Google Ads 캠페인 예산**\n\n`;
+      result += `**${info.name}** (${info.id})\n`;
+      result += `${BUDGET_FIELD_LABELS[info.field]}: ${formatBudgetAmount(info.amount, info.currency)}\n`;
+      if (info.shared) {
+        result += `공유 예산: 예 (${info.reference_count}개 캠페인 사용)\n`;
+      }
+      result += `\n최소 예산: ${formatBudgetAmount(MIN_BUDGET_AMOUNT, info.currency)} (${info.currency})`;
+
+      return {
+        content: [
+          {
+            type: 'text',
+            text: result
+          }
+        ]
+      };
+    } catch (error) {
+      return {
+        content: [
+          {
+            type: 'text',
+            text: `❌ **Google Ads 예산 조회 실패**\n\n**오류**: ${error.message}`
+          }
+        ]
+      };
+    }
+  }
+
+  /**
+   * 예산 변경 내역 계산 (미리보기와 실제 변경에 같이 사용)
+   * @param {object} args - {entity_type, entity_id, amount, customer_id}
+   * @returns {Promise<object>} {platform, entity_type, id, name, account_id, field, currency, current_value, target_value, resource_name}
+   * @throws {Error} 공유 예산이거나 최소 예산보다 적은 경우
+   */
+  async previewBudgetChange(args) {
+    const info = await this.getBudgetInfo(args.entity_type, args.entity_id, args.customer_id);
+
+    if (info.shared && info.reference_count > 1) {
+      throw new Error(`${info.reference_count}개 캠페인이 함께 쓰는 공유 예산입니다. Google Ads 공유 라이브러리에서 변경하세요`);
+    }
+
+    const targetValue = parseBudgetAmount(args.amount, info.amount, info.currency);
+    validateMinimumBudget(targetValue, MIN_BUDGET_AMOUNT, info.currency, `Google Ads ${BUDGET_FIELD_LABELS[info.field]}`);
+
+    return {
+      platform: this.platform,
+      entity_type: info.entity_type,
+      id: info.id,
+      name: info.name,
+      account_id: info.account_id,
+      field: info.field,
+      currency: info.currency,
+      current_value: info.amount,
+      target_value: targetValue,
+      resource_name: info.resource_name
+    };
+  }
+
+  async setBudget(args) {
+    try {
+      const change = await this.previewBudgetChange(args);
+      const amountField = change.field === 'lifetime_budget' ? 'totalAmountMicros' : 'amountMicros';
+
+      await this.getAccessToken();
+      await this.makeGoogleAdsMutateRequest('campaignBudgets:mutate', {
+        operations: [
+          {
+            update: {
+              resourceName: change.resource_name,
+              [amountField]: String(Math.round(change.target_value * 1000000))
+            },
+            updateMask: change.field === 'lifetime_budget' ? 'total_amount_micros' : 'amount_micros'
+          }
+        ]
+      }, change.account_id);
+
+      const format = amount => formatBudgetAmount(amount, change.currency);
+      return {
+        content: [
+          {
+            type: 'text',
+            text: `✅ **Google Ads 캠페인 예산 변경 완료**\n\n${change.name} (${change.id})\n${BUDGET_FIELD_LABELS[change.field]}: ${format(change.current_value)} → ${format(change.target_value)}${formatBudgetChange(change.current_value, change.target_value)}`
+          }
+        ]
+      };
+    } catch (error) {
+      return {
+        content: [
+          {
+            type: 'text',
+            text: `❌ **Google Ads 예산 변경 실패**\n\n**오류**: ${error.message}`
+          }
+        ]
+      };
+    }
+  }
+
+  // === 상태/예산 변경 미리보기 ===
+
+  /**
+   * 상태 변경 도구별 대상 개체 종류와 ID 인자 (되돌리기에서 복원 도구를 찾을 때 사용)
+   * @returns {object} 도구 이름 → {entityType, idArg | idsArg, accountArg}
+   */
+  getStatusMutationTargets() {
+    return STATUS_MUTATION_TARGETS;
+  }
+
+  /**
+   * 상태/예산 변경 도구의 변경 내역 미리보기 (dry_run, 확인 토큰용, 실제로 변경하지 않음)
+   * 예산 변경은 [{platform, entity_type, id, name, account_id, field, currency, current_value, target_value}]를 반환
+   * @param {string} toolName - 상태/예산 변경 도구 이름
+   * @param {object} args - 도구 인자
+   * @param {Array|null} approvedChanges - 확인 토큰의 미리보기 변경 내역 (예산 변경은 미리보기 목표 금액 그대로 사용)
+   * @returns {Promise<Array>} [{platform, entity_type, id, name, current_status, target_status}] (찾지 못한 ID는 name/current_status가 null)
+   */
+  async previewMutation(toolName, args, approvedChanges = null) {
+    if (toolName === 'google_set_budget') {
+      const { resource_name, ...change } = await this.previewBudgetChange(applyApprovedBudget(args, approvedChanges));
+      return [change];
+    }
+
+    const target = STATUS_MUTATION_TARGETS[toolName];
+    if (!target) {
+      throw new Error(`미리보기를 지원하지 않는 도구입니다: ${toolName}`);
+    }
+
+    const ids = ((target.idsArg ? args[target.idsArg] : [args[target.idArg]]) || []).map(String);
+    const validIds = ids.filter(id => /^\d+$/.test(id));
+    const found = new Map();
+
+    if (validIds.length > 0) {
+      const { select, read } = STATUS_QUERIES[target.entityType];
+
+      try {
+        const customerId = (target.accountArg && args[target.accountArg]) || this.credentials.customerId;
+        const response = await this.makeGoogleAdsRequest(`${select} (${validIds.join(', ')})`, customerId);
+        (response.results || []).forEach(row => {
+          const entity = read(row);
+          found.set(String(entity.id), entity);
+        });
+      } catch (error) {
+        console.error(`Google ${target.entityType} 상태 조회 실패:`, error.message);
+      }
+    }
+
+    return ids.map(id => ({
+      platform: this.platform,
+      entity_type: target.entityType,
+      id,
+      name: found.get(id)?.name ?? null,
+      current_status: found.get(id)?.status ?? null,
+      target_status: args.status
+    }));
+  }
+
   // === 통합 검색을 위한 새로운 메서드들 ===
 
   /**
-   * 특정 날짜 범위에서 활동한 캠페인 목록을 성과 데이터와 함께 조회
-   * 테스트에서 검증된 단계적 접근법 사용
+   * 자격 증명의 customerId 아래에서 접근 가능한 하위 고객 계정 조회 (customer_client)
+   * MCC가 아니면 자기 자신만 반환, 조회 실패 시 customerId 하나로 대체
+   * @returns {Array} [{account_id, name, currency, timezone_name}]
+   */
+  async getAccessibleCustomers() {
+    if (this.customerCache && Date.now() < this.customerCache.expiresAt) {
+      return this.customerCache.customers;
+    }
+
+    let customers;
+    try {
+      const response = await this.makeGoogleAdsRequest(`
+        SELECT 
+          customer_client.id,
+          customer_client.descriptive_name,
+          customer_client.currency_code,
+          customer_client.time_zone,
+          customer_client.manager,
+          customer_client.status
+        FROM customer_client
+        WHERE customer_client.manager = false
+        AND customer_client.status = 'ENABLED'
+      `);
+
+      customers = (response.results || []).map(row => ({
+        account_id: row.customerClient.id.toString(),
+        name: row.customerClient.descriptiveName || row.customerClient.id.toString(),
+        currency: row.customerClient.currencyCode || null,
+        timezone_name: row.customerClient.timeZone || null
+      }));
+      console.error(`[Google Ads] 접근 가능한 고객 계정 ${customers.length}개 발견`);
+    } catch (error) {
+      console.error(`[Google Ads] 하위 고객 계정 조회 실패, 기본 계정만 사용: ${error.message}`);
+      customers = [];
+    }
+
+    if (customers.length === 0) {
+      const customerId = this.credentials.customerId.replace(/-/g, '');
+      customers = [{ account_id: customerId, name: customerId, currency: null, timezone_name: null }];
+    }
+
+    this.customerCache = { customers, expiresAt: Date.now() + CUSTOMER_CACHE_TTL };
+    return customers;
+  }
+
+  /**
+   * 조회 범위(허용/제외 목록, 명령어 계정: 지정)에 해당하는 고객 계정 목록
+   * @param {Array<string>} accountFilter - 명령어로 지정한 고객 ID 또는 계정명 목록
+   * @returns {Array} [{account_id, name, currency, timezone_name}]
+   */
+  async getScopedCustomers(accountFilter = []) {
+    const customers = await this.getAccessibleCustomers();
+    return filterScopedAccounts(customers, 'google', accountFilter);
+  }
+
+  /**
+   * 고객 계정 통화 금액을 원화로 환산 (일자가 있으면 해당 날짜 환율 사용)
+   * @param {number} usdAmount - USD 금액
+   * @param {string} date - YYYY-MM-DD (선택)
+   * @returns {number} 원화 금액
+   */
+  async convertUsdAmount(usdAmount, date = null) {
+    if (!usdAmount) return 0;
+
+    if (date) {
+      try {
+        return Math.round(await exchangeRateService.convertUsdToKrwForDate(usdAmount, date));
+      } catch (error) {
+        console.error(`⚠️ 환율 변환 실패 (${date}): ${error.message}, 현재 환율로 대체`);
+      }
+    }
+    return Math.round(await exchangeRateService.convertUsdToKrw(usdAmount));
+  }
+
+  /**
+   * USD 고객 계정의 캠페인/광고 금액을 원화로 환산 (KRW 등 다른 통화는 그대로)
+   * 광고 데이터면 일별 지출과 CPC/CPM/CPA도 환산된 금액으로 다시 계산
+   * @param {object} customer - 고객 계정
+   * @param {object} item - 캠페인 또는 광고 데이터
+   * @returns {object} 환산된 새 객체
+   */
+  async applyCustomerCurrency(customer, item) {
+    if (customer.currency !== 'USD') {
+      return item;
+    }
+
+    const spend = await this.convertUsdAmount(parseFloat(item.spend || 0));
+    const converted = { ...item, spend };
+
+    if (Array.isArray(item.dailyData)) {
+      converted.dailyData = [];
+      for (const daily of item.dailyData) {
+        converted.dailyData.push({ ...daily, spend: await this.convertUsdAmount(parseFloat(daily.spend || 0), daily.date) });
+      }
+    }
+
+    if ('cpc' in item) {
+      const impressions = parseInt(item.impressions || 0);
+      const clicks = parseInt(item.clicks || 0);
+      const conversions = parseFloat(item.conversions || 0);
+      converted.cpc = clicks > 0 ? (spend / clicks).toFixed(2) : '0.00';
+      converted.cpm = impressions > 0 ? (spend / impressions * 1000).toFixed(2) : '0.00';
+      converted.cost_per_conversion = conversions > 0 ? (spend / conversions).toFixed(2) : '0.00';
+      converted.costPerConversion = converted.cost_per_conversion;
+    }
+
+    return converted;
+  }
+
+  /**
+   * 캠페인/광고에 고객 계정 정보 추가 (통합 검색 계정별 묶음 표시용)
+   * @param {object} customer - 고객 계정
+   * @param {object} item - 캠페인 또는 광고 데이터
+   * @returns {object} 계정 정보가 추가된 새 객체
+   */
+  tagCustomer(customer, item) {
+    return {
+      ...item,
+      account_id: customer.account_id,
+      account_name: customer.name,
+      account_currency: customer.currency,
+      account_timezone: getAccountTimeZone('google', customer.account_id, customer.timezone_name)
+    };
+  }
+
+  /**
+   * 통화 환산 대상이 아닌 고객 계정 경고 (KRW, USD 외 통화는 원래 금액으로 표시)
+   * @param {object} customer - 고객 계정
+   */
+  warnUnsupportedCurrency(customer) {
+    if (customer.currency && !['KRW', 'USD'].includes(customer.currency)) {
+      console.warn(`[Google Ads] ${customer.name} (${customer.account_id}) 계정 통화 ${customer.currency}는 환산하지 않고 원래 금액으로 표시합니다.`);
+    }
+  }
+
+  /**
+   * 특정 날짜 범위에서 활동한 캠페인 목록을 성과 데이터와 함께 조회 (접근 가능한 모든 고객 계정)
+   * options.resolveDateRange가 있으면 고객 계정 시간대 기준으로 날짜 범위를 다시 계산
+   * options.accountFilter(고객 ID 또는 계정명 목록)가 있으면 해당 고객 계정만 조회
+   * options.statusFilter('active'|'paused')가 있으면 해당 상태 캠페인만, options.includeZeroSpend면 지출 없는 캠페인도 포함
+   */
+  async getCampaignListWithDateFilter(startDate, endDate, options = {}) {
+    const customers = await this.getScopedCustomers(options.accountFilter);
+
+    if (customers.length === 0) {
+      console.warn('조회 범위에 해당하는 Google Ads 고객 계정이 없습니다.');
+      return [];
+    }
+
+    console.error(`[Google Ads] ${customers.length}개 고객 계정에서 캠페인 조회 중...`);
+
+    const allCampaigns = [];
+    const errors = [];
+
+    for (const customer of customers) {
+      try {
+        this.warnUnsupportedCurrency(customer);
+        const campaigns = await this.getCustomerCampaignListWithDateFilter(customer, startDate, endDate, options);
+
+        for (const campaign of campaigns) {
+          this.customerByCampaignId.set(campaign.campaign_id, customer);
+          allCampaigns.push(this.tagCustomer(customer, await this.applyCustomerCurrency(customer, campaign)));
+        }
+      } catch (error) {
+        // 개별 고객 계정 실패는 전체 실패로 처리하지 않음
+        console.warn(`Google Ads 고객 계정 ${customer.account_id} (${customer.name}) 캠페인 조회 실패:`, error.message);
+        errors.push(error.message);
+      }
+    }
+
+    if (errors.length === customers.length) {
+      throw new Error(errors[0]);
+    }
+
+    return allCampaigns.sort((a, b) => parseFloat(b.spend) - parseFloat(a.spend));
+  }
+
+  /**
+   * 한 고객 계정에서 특정 날짜 범위에 활동한 캠페인 목록을 성과 데이터와 함께 조회
+   * 테스트에서 검증된 단계적 접근법 사용, 금액은 고객 계정 통화 기준
+   * options.resolveDateRange가 있으면 고객 계정 시간대 기준으로 날짜 범위를 다시 계산
+   * options.statusFilter('active'|'paused')가 있으면 해당 상태 캠페인만, options.includeZeroSpend면 지출 없는 캠페인도 포함
    */
-  async getCampaignListWithDateFilter(startDate, endDate) {
+  async getCustomerCampaignListWithDateFilter(customer, startDate, endDate, options = {}) {
     try {
       await this.getAccessToken();
       
+      // 계정 시간대 기준 날짜 범위
+      ({ startDate, endDate } = resolveAccountDateRange(startDate, endDate, getAccountTimeZone('google', customer.account_id, customer.timezone_name), options));
+      
       // 날짜 필터 생성
       const dateFilter = (startDate === endDate) 
         ? `segments.date = '${startDate}'`
         : `segments.date BETWEEN '${startDate}' AND '${endDate}'`;
+
+      // 상태 필터 생성 (상태:활성 → ENABLED, 상태:중지 → PAUSED)
+      const statusList = this.getCampaignStatusList(options.statusFilter);
       
       // 1단계: 전체 캠페인 조회 + 날짜 + 메트릭 (클라이언트 필터링 방식)
-      console.error(`[Google Ads] 캠페인 조회 시작: ${startDate} ~ ${endDate}`);
+      console.error(`[Google Ads] ${customer.name} 캠페인 조회 시작: ${startDate} ~ ${endDate}`);
       
       const query = `
         SELECT 
@@ -1663,15 +2167,15 @@ export class GoogleAdsService {
           metrics.cost_micros,
           segments.date
         FROM campaign
-        WHERE campaign.status IN ('ENABLED', 'PAUSED')
+        WHERE campaign.status IN (${statusList})
         AND ${dateFilter}
-        AND metrics.cost_micros > 0
+        ${options.includeZeroSpend ? '' : 'AND metrics.cost_micros > 0'}
         ORDER BY metrics.cost_micros DESC
       `;
 
-      const response = await this.makeGoogleAdsRequest(query);
+      const response = await this.makeGoogleAdsRequest(query, customer.account_id);
       
-      if (!response.results || response.results.length === 0) {
+      if ((!response.results || response.results.length === 0) && !options.includeZeroSpend) {
         console.error('[Google Ads] 해당 날짜에 성과 있는 캠페인이 없습니다.');
         return [];
       }
@@ -1679,9 +2183,9 @@ export class GoogleAdsService {
       // 🔧 중복 제거: 캠페인별로 집계 (TikTok 방식 적용)
       const campaignMap = new Map();
       
-      response.results.forEach((row, index) => {
+      (response.results || []).forEach((row, index) => {
         const campaignId = row.campaign.id.toString();
-        const spend = row.metrics.costMicros / 1000000;
+        const spend = (row.metrics?.costMicros || 0) / 1000000;
         
         if (!campaignMap.has(campaignId)) {
           campaignMap.set(campaignId, {
@@ -1689,6 +2193,7 @@ export class GoogleAdsService {
             campaign_name: row.campaign.name,
             name: row.campaign.name, // 호환성을 위한 별칭
             status: row.campaign.status,
+            delivery_status: normalizeDeliveryStatus('google', row.campaign.status),
             totalSpend: 0
           });
         }
@@ -1696,6 +2201,32 @@ export class GoogleAdsService {
         // 일별 지출 합계
         campaignMap.get(campaignId).totalSpend += spend;
       });
+
+      // 무지출포함: 기간 내 성과 행이 없는 캠페인도 지출 0으로 추가
+      if (options.includeZeroSpend) {
+        const allCampaignsResponse = await this.makeGoogleAdsRequest(`
+          SELECT 
+            campaign.id,
+            campaign.name,
+            campaign.status
+          FROM campaign
+          WHERE campaign.status IN (${statusList})
+        `, customer.account_id);
+
+        (allCampaignsResponse.results || []).forEach(row => {
+          const campaignId = row.campaign.id.toString();
+          if (!campaignMap.has(campaignId)) {
+            campaignMap.set(campaignId, {
+              campaign_id: campaignId,
+              campaign_name: row.campaign.name,
+              name: row.campaign.name,
+              status: row.campaign.status,
+              delivery_status: normalizeDeliveryStatus('google', row.campaign.status),
+              totalSpend: 0
+            });
+          }
+        });
+      }
       
       // 최종 캠페인 목록 생성
       const campaigns = Array.from(campaignMap.values()).map(campaign => ({
@@ -1706,7 +2237,7 @@ export class GoogleAdsService {
 
       console.error(`[Google Ads] 캠페인 중복 제거 완료: ${response.results.length}개 행 → ${campaigns.length}개 고유 캠페인`);
       const totalSpend = campaigns.reduce((sum, c) => sum + parseFloat(c.spend), 0);
-      console.error(`[Google Ads] 총 지출: $${totalSpend.toFixed(2)}`);
+      console.error(`[Google Ads] 총 지출: ${totalSpend.toFixed(2)} ${customer.currency || ''}`);
       
       return campaigns;
 
@@ -1724,13 +2255,13 @@ export class GoogleAdsService {
             campaign.status,
             metrics.cost_micros
           FROM campaign
-          WHERE campaign.status IN ('ENABLED', 'PAUSED')
+          WHERE campaign.status IN (${this.getCampaignStatusList(options.statusFilter)})
           AND metrics.cost_micros > 0
           ORDER BY metrics.cost_micros DESC
           LIMIT 100
         `;
 
-        const fallbackResponse = await this.makeGoogleAdsRequest(fallbackQuery);
+        const fallbackResponse = await this.makeGoogleAdsRequest(fallbackQuery, customer.account_id);
         
         if (fallbackResponse.results && fallbackResponse.results.length > 0) {
           console.error(`[Google Ads] Fallback 성공: ${fallbackResponse.results.length}개 캠페인`);
@@ -1748,6 +2279,7 @@ export class GoogleAdsService {
                 campaign_name: row.campaign.name,
                 name: row.campaign.name,
                 status: row.campaign.status,
+                delivery_status: normalizeDeliveryStatus('google', row.campaign.status),
                 totalSpend: 0
               });
             }
@@ -1773,6 +2305,116 @@ export class GoogleAdsService {
     }
   }
 
+  /**
+   * 상태 필터에 해당하는 GAQL campaign.status 값 목록
+   * @param {string|null} statusFilter - 'active', 'paused' 또는 null (전체)
+   * @returns {string} GAQL IN 절 값 (예: 'ENABLED', 'PAUSED')
+   */
+  getCampaignStatusList(statusFilter) {
+    if (statusFilter === 'active') return `'ENABLED'`;
+    if (statusFilter === 'paused') return `'PAUSED'`;
+    return `'ENABLED', 'PAUSED'`;
+  }
+
+  /**
+   * ID로 캠페인 직접 조회 (통합 검색 캠페인ID: 파라미터용)
+   * @param {Array<string>} campaignIds - 캠페인 ID 목록 (숫자가 아닌 ID는 무시)
+   * @returns {Array} [{campaign_id, campaign_name, name, status, delivery_status, account_id, account_name}] - 찾지 못한 ID는 제외
+   */
+  async getCampaignsByIds(campaignIds) {
+    const validIds = campaignIds.filter(id => /^\d+$/.test(id));
+    if (validIds.length === 0) {
+      return [];
+    }
+
+    try {
+      await this.getAccessToken();
+
+      const query = `
+        SELECT 
+          campaign.id,
+          campaign.name,
+          campaign.status
+        FROM campaign
+        WHERE campaign.id IN (${validIds.join(', ')})
+      `;
+
+      // 조회 범위 내 모든 고객 계정에서 조회 (찾은 캠페인은 소속 계정 기록)
+      const campaigns = [];
+      for (const customer of await this.getScopedCustomers()) {
+        const response = await this.makeGoogleAdsRequest(query, customer.account_id);
+
+        (response.results || []).forEach(row => {
+          const campaignId = row.campaign.id.toString();
+          this.customerByCampaignId.set(campaignId, customer);
+          campaigns.push(this.tagCustomer(customer, {
+            campaign_id: campaignId,
+            campaign_name: row.campaign.name,
+            name: row.campaign.name, // 호환성을 위한 별칭
+            status: row.campaign.status,
+            delivery_status: normalizeDeliveryStatus('google', row.campaign.status)
+          }));
+        });
+      }
+
+      return campaigns;
+
+    } catch (error) {
+      console.error(`[Google Ads] 캠페인 ID 조회 실패: ${error.message}`);
+      throw new Error(`Google Ads 캠페인 ID 조회 실패: ${error.message}`);
+    }
+  }
+
+  /**
+   * ID로 광고 직접 조회 (통합 검색 광고ID: 파라미터용)
+   * @param {Array<string>} adIds - 광고 ID 목록 (숫자가 아닌 ID는 무시)
+   * @returns {Array} [{ad_id, ad_name, campaign_id, campaign_name, account_id, account_name}] - 찾지 못한 ID는 제외
+   */
+  async getAdsByIds(adIds) {
+    const validIds = adIds.filter(id => /^\d+$/.test(id));
+    if (validIds.length === 0) {
+      return [];
+    }
+
+    try {
+      await this.getAccessToken();
+
+      const query = `
+        SELECT 
+          ad_group_ad.ad.id,
+          ad_group_ad.ad.name,
+          campaign.id,
+          campaign.name
+        FROM ad_group_ad
+        WHERE ad_group_ad.ad.id IN (${validIds.join(', ')})
+      `;
+
+      // 조회 범위 내 모든 고객 계정에서 조회 (찾은 광고의 캠페인은 소속 계정 기록)
+      const ads = [];
+      for (const customer of await this.getScopedCustomers()) {
+        const response = await this.makeGoogleAdsRequest(query, customer.account_id);
+
+        (response.results || []).forEach(row => {
+          const adId = this.safeExtractAdId(row);
+          const campaignId = row.campaign.id.toString();
+          this.customerByCampaignId.set(campaignId, customer);
+          ads.push(this.tagCustomer(customer, {
+            ad_id: adId,
+            ad_name: this.safeExtractAdName(row, adId),
+            campaign_id: campaignId,
+            campaign_name: row.campaign.name
+          }));
+        });
+      }
+
+      return ads;
+
+    } catch (error) {
+      console.error(`[Google Ads] 광고 ID 조회 실패: ${error.message}`);
+      throw new Error(`Google Ads 광고 ID 조회 실패: ${error.message}`);
+    }
+  }
+
   /**
    * 안전한 광고 ID 추출 함수
    */
@@ -1816,18 +2458,74 @@ export class GoogleAdsService {
   }
 
   /**
-   * 특정 캠페인들의 광고별 상세 성과 조회
+   * 캠페인 ID를 소속 고객 계정별로 묶음
+   * 캠페인 목록 조회로 소속을 알고 있는 캠페인은 해당 계정에서만, 모르는 캠페인은 모든 고객 계정에서 조회
+   * @param {Array<string>} campaignIds - 캠페인 ID 목록
+   * @param {Array} customers - 조회 범위 고객 계정 목록
+   * @returns {Array} [{customer, campaignIds}]
+   */
+  groupCampaignIdsByCustomer(campaignIds, customers) {
+    const groups = new Map(customers.map(customer => [customer.account_id, { customer, campaignIds: [] }]));
+
+    campaignIds.forEach(campaignId => {
+      const owner = this.customerByCampaignId.get(String(campaignId));
+      if (owner && groups.has(owner.account_id)) {
+        groups.get(owner.account_id).campaignIds.push(campaignId);
+      } else {
+        groups.forEach(group => group.campaignIds.push(campaignId));
+      }
+    });
+
+    return Array.from(groups.values()).filter(group => group.campaignIds.length > 0);
+  }
+
+  /**
+   * 특정 캠페인들의 광고별 상세 성과 조회 (캠페인 소속 고객 계정별로 조회)
+   * options.resolveDateRange가 있으면 고객 계정 시간대 기준으로 날짜 범위를 다시 계산
+   * options.accountFilter(고객 ID 또는 계정명 목록)가 있으면 해당 고객 계정만 조회
    */
-  async getAdLevelPerformance(campaignIds, startDate, endDate) {
+  async getAdLevelPerformance(campaignIds, startDate, endDate, options = {}) {
+    const customers = await this.getScopedCustomers(options.accountFilter);
+    const groups = this.groupCampaignIdsByCustomer(campaignIds, customers);
+
+    const allAds = [];
+    const errors = [];
+
+    for (const group of groups) {
+      try {
+        const ads = await this.getCustomerAdLevelPerformance(group.customer, group.campaignIds, startDate, endDate, options);
+        for (const ad of ads) {
+          allAds.push(this.tagCustomer(group.customer, await this.applyCustomerCurrency(group.customer, ad)));
+        }
+      } catch (error) {
+        console.warn(`Google Ads 고객 계정 ${group.customer.account_id} (${group.customer.name}) 광고 조회 실패:`, error.message);
+        errors.push(error.message);
+      }
+    }
+
+    if (groups.length > 0 && errors.length === groups.length) {
+      throw new Error(errors[0]);
+    }
+
+    return allAds;
+  }
+
+  /**
+   * 한 고객 계정에서 특정 캠페인들의 광고별 상세 성과 조회 (금액은 고객 계정 통화 기준)
+   * options.resolveDateRange가 있으면 고객 계정 시간대 기준으로 날짜 범위를 다시 계산
+   */
+  async getCustomerAdLevelPerformance(customer, campaignIds, startDate, endDate, options = {}) {
     try {
       await this.getAccessToken();
       
+      // 계정 시간대 기준 날짜 범위
+      ({ startDate, endDate } = resolveAccountDateRange(startDate, endDate, getAccountTimeZone('google', customer.account_id, customer.timezone_name), options));
+      
       console.error(`🔍 광고 성과 조회: ${campaignIds.length}개 캠페인, ${startDate} ~ ${endDate}`);
       
       // 방법 1: Resource Name 방식 시도
       try {
-        const customerId = CUSTOMER_ID.replace(/-/g, '');
-        const resourceNames = this.buildResourceNames(CUSTOMER_ID, campaignIds);
+        const resourceNames = this.buildResourceNames(customer.account_id, campaignIds);
         const resourceFilter = resourceNames.map(name => `'${name}'`).join(', ');
         
         console.error('📊 Resource Name 방식으로 광고 조회 시도...');
@@ -1836,6 +2534,8 @@ export class GoogleAdsService {
           SELECT 
             ad_group_ad.ad.id,
             ad_group_ad.ad.name,
+            ad_group.id,
+            ad_group.name,
             campaign.id,
             campaign.name,
             metrics.impressions,
@@ -1852,7 +2552,7 @@ export class GoogleAdsService {
           ORDER BY segments.date, metrics.cost_micros DESC
         `;
 
-        const resourceResponse = await this.makeGoogleAdsRequest(resourceQuery);
+        const resourceResponse = await this.makeGoogleAdsRequest(resourceQuery, customer.account_id);
         
         if (resourceResponse.results && resourceResponse.results.length > 0) {
           console.error(`✅ Resource Name 방식 성공: ${resourceResponse.results.length}개 광고`);
@@ -1884,6 +2584,8 @@ export class GoogleAdsService {
                 ad_id: adId,
                 ad_name: this.safeExtractAdName(row, adId),
                 name: this.safeExtractAdName(row, adId),
+                adset_id: row.adGroup?.id?.toString() || null,
+                adset_name: row.adGroup?.name || null,
                 campaign_id: row.campaign?.id?.toString() || 'unknown',
                 campaign_name: row.campaign?.name || 'Unknown Campaign',
                 dailyData: [],
@@ -1930,6 +2632,8 @@ export class GoogleAdsService {
               ad_id: ad.ad_id,
               ad_name: ad.ad_name,
               name: ad.name,
+              adset_id: ad.adset_id,
+              adset_name: ad.adset_name,
               campaign_id: ad.campaign_id,
               campaign_name: ad.campaign_name,
               spend: ad.totalSpend.toFixed(2),
@@ -1967,6 +2671,8 @@ export class GoogleAdsService {
         SELECT 
           ad_group_ad.ad.id,
           ad_group_ad.ad.name,
+          ad_group.id,
+          ad_group.name,
           campaign.id,
           campaign.name,
           metrics.impressions,
@@ -1982,7 +2688,7 @@ export class GoogleAdsService {
         ORDER BY segments.date, metrics.cost_micros DESC
       `;
 
-      const fallbackResponse = await this.makeGoogleAdsRequest(fallbackQuery);
+      const fallbackResponse = await this.makeGoogleAdsRequest(fallbackQuery, customer.account_id);
       
       if (!fallbackResponse.results || fallbackResponse.results.length === 0) {
         console.error('❌ 클라이언트 필터링: 전체 광고 조회 실패');
@@ -2027,6 +2733,8 @@ export class GoogleAdsService {
             ad_id: adId,
             ad_name: this.safeExtractAdName(row, adId),
             name: this.safeExtractAdName(row, adId),
+            adset_id: row.adGroup?.id?.toString() || null,
+            adset_name: row.adGroup?.name || null,
             campaign_id: campaignId.toString(),
             campaign_name: row.campaign?.name || 'Unknown Campaign',
             dailyData: [],
@@ -2073,6 +2781,8 @@ export class GoogleAdsService {
           ad_id: ad.ad_id,
           ad_name: ad.ad_name,
           name: ad.name,
+          adset_id: ad.adset_id,
+          adset_name: ad.adset_name,
           campaign_id: ad.campaign_id,
           campaign_name: ad.campaign_name,
           spend: ad.totalSpend.toFixed(2),
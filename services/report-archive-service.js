@@ -0,0 +1,840 @@
+/**
+ * 리포트 보관함 서비스
+ * 생성한 HTML 리포트를 메타데이터와 함께 보관하고 목록 조회, 검색, 재다운로드, 삭제, 보관 기간 정리를 제공
+ *
+ * 설정 (환경변수):
+ * - REPORT_RETENTION_DAYS=30              : 리포트 보관 일수 (기본값: 30, 0이면 삭제하지 않음)
+ * - REPORT_CLEANUP_INTERVAL_MINUTES=60    : 보관 기간이 지난 리포트 정리 주기 (기본값: 60분)
+ * - REPORT_CREATOR=홍길동                  : 리포트 작성자 기본값 (없으면 시스템 사용자명)
+ *
+ * 메타데이터는 리포트 폴더(REPORT_OUTPUT_DIR)의 .reports-index.json에 저장
+ *
+ * 공유 링크 (REPORT_BASE_URL 또는 RENDER_EXTERNAL_URL 필요):
+ * - {서버}/share/{서명 토큰}/{파일명} 형식, 만료 시각과 최대 다운로드 수 지정 가능
+ * - 광고주용 리포트는 링크만으로 열람, 내부용 리포트는 REPORT_VIEWERS 계정 로그인 필요
+ * - 링크 폐기와 리포트별 접근 기록 제공
+ */
+
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import crypto from 'crypto';
+import { getReportOutputDir, getReportDownloadUrl, getReportBaseUrl } from '../utils/report-output.js';
+import { createShareToken, getDefaultShareTtlHours } from '../utils/report-share.js';
+
+const INDEX_FILE_NAME = '.reports-index.json';
+const DEFAULT_RETENTION_DAYS = 30;
+const DEFAULT_CLEANUP_INTERVAL_MINUTES = 60;
+const ACCESS_LOG_LIMIT = 200;  // 리포트별 최근 접근 기록 보관 개수
+
+const AUDIENCE_LABELS = {
+  client: '광고주용 (링크 공유)',
+  internal: '내부용 (로그인 필요)'
+};
+
+const ACCESS_RESULT_LABELS = {
+  ok: '✅ 다운로드',
+  expired: '⏰ 만료',
+  revoked: '🚫 폐기됨',
+  limit: '🔢 횟수 초과',
+  unauthorized: '🔒 로그인 실패'
+};
+
+const REPORT_TYPE_LABELS = {
+  campaign: '캠페인 성과 리포트'
+};
+
+const PLATFORM_NAMES = {
+  facebook: 'Facebook',
+  google: 'Google Ads',
+  tiktok: 'TikTok Ads',
+  carrot: '당근마켓'
+};
+
+export class ReportArchiveService {
+  /**
+   * @param {string} outputDir - 리포트 폴더 (기본값: getReportOutputDir())
+   */
+  constructor(outputDir = getReportOutputDir()) {
+    this.outputDir = outputDir;
+    this.indexPath = path.join(outputDir, INDEX_FILE_NAME);
+    this.cleanupTimer = null;
+  }
+
+  /**
+   * MCP 도구 목록 반환
+   */
+  getTools() {
+    return [
+      {
+        name: 'report_list',
+        description: '보관 중인 HTML 리포트 목록을 최신순으로 조회합니다. 키워드, 매체, 작성자, 생성일로 검색할 수 있습니다.',
+        inputSchema: {
+          type: 'object',
+          properties: {
+            query: {
+              type: 'string',
+              description: '검색어 (명령어, 키워드, 파일명에서 부분 일치)'
+            },
+            platform: {
+              type: 'string',
+              description: '매체 (facebook, google, tiktok, carrot)'
+            },
+            report_type: {
+              type: 'string',
+              description: '리포트 종류 (campaign)'
+            },
+            creator: {
+              type: 'string',
+              description: '작성자 (부분 일치)'
+            },
+            created_from: {
+              type: 'string',
+              description: '생성일 시작 (YYYY-MM-DD)'
+            },
+            created_to: {
+              type: 'string',
+              description: '생성일 종료 (YYYY-MM-DD)'
+            },
+            limit: {
+              type: 'number',
+              description: '최대 조회 개수',
+              default: 20
+            }
+          }
+        }
+      },
+      {
+        name: 'report_get',
+        description: '보관 중인 리포트의 상세 정보와 활성 공유 링크를 조회합니다 (새 링크는 만들지 않음, report_share 사용).',
+        inputSchema: {
+          type: 'object',
+          properties: {
+            report_id: {
+              type: 'string',
+              description: '리포트 ID (report_list 결과)'
+            }
+          },
+          required: ['report_id']
+        }
+      },
+      {
+        name: 'report_share',
+        description: '리포트 공유 링크를 만듭니다. 만료 시간과 최대 다운로드 수를 지정할 수 있고, 내부용 리포트는 열람 시 로그인이 필요합니다.',
+        inputSchema: {
+          type: 'object',
+          properties: {
+            report_id: {
+              type: 'string',
+              description: '공유할 리포트 ID'
+            },
+            expires_in_hours: {
+              type: 'number',
+              description: '링크 유효 시간 (선택, 기본값: REPORT_SHARE_TTL_HOURS 또는 72시간)'
+            },
+            max_downloads: {
+              type: 'number',
+              description: '최대 다운로드 수 (선택, 기본값: 제한 없음)'
+            }
+          },
+          required: ['report_id']
+        }
+      },
+      {
+        name: 'report_revoke_share',
+        description: '리포트 공유 링크를 폐기합니다. link_id를 생략하면 해당 리포트의 모든 링크를 폐기합니다.',
+        inputSchema: {
+          type: 'object',
+          properties: {
+            report_id: {
+              type: 'string',
+              description: '리포트 ID'
+            },
+            link_id: {
+              type: 'string',
+              description: '폐기할 링크 ID (선택)'
+            }
+          },
+          required: ['report_id']
+        }
+      },
+      {
+        name: 'report_access_log',
+        description: '리포트 공유 링크와 다운로드 접근 기록을 조회합니다.',
+        inputSchema: {
+          type: 'object',
+          properties: {
+            report_id: {
+              type: 'string',
+              description: '리포트 ID'
+            },
+            limit: {
+              type: 'number',
+              description: '최근 기록 개수',
+              default: 50
+            }
+          },
+          required: ['report_id']
+        }
+      },
+      {
+        name: 'report_delete',
+        description: '보관 중인 리포트를 삭제합니다.',
+        inputSchema: {
+          type: 'object',
+          properties: {
+            report_id: {
+              type: 'string',
+              description: '삭제할 리포트 ID'
+            }
+          },
+          required: ['report_id']
+        }
+      }
+    ];
+  }
+
+  /**
+   * 도구 호출 처리
+   */
+  async handleToolCall(toolName, args) {
+    try {
+      switch (toolName) {
+        case 'report_list':
+          return this.formatReportList(this.listReports(args), args);
+        case 'report_get':
+          return this.formatReportDetail(this.requireReport(args.report_id));
+        case 'report_share':
+          return this.formatShareLink(this.createShareLink(args.report_id, {
+            expiresInHours: args.expires_in_hours,
+            maxDownloads: args.max_downloads
+          }));
+        case 'report_revoke_share':
+          return this.formatRevokedLinks(args.report_id, this.revokeShareLinks(args.report_id, args.link_id));
+        case 'report_access_log':
+          return this.formatAccessLog(this.requireReport(args.report_id), args.limit);
+        case 'report_delete':
+          return this.formatDeletedReport(this.deleteReport(args.report_id));
+        default:
+          throw new Error(`Unknown report archive tool: ${toolName}`);
+      }
+    } catch (error) {
+      console.error(`Report archive tool error [${toolName}]:`, error.message);
+      return this.createErrorResponse(`도구 실행 실패: ${error.message}`);
+    }
+  }
+
+  /**
+   * 에러 응답 생성
+   */
+  createErrorResponse(message) {
+    return {
+      content: [
+        {
+          type: 'text',
+          text: `❌ **리포트 보관함 오류**\n\n${message}`
+        }
+      ]
+    };
+  }
+
+  // === 보관 설정 ===
+
+  /**
+   * 리포트 보관 일수 (0이면 무기한)
+   * @returns {number} 보관 일수
+   */
+  getRetentionDays() {
+    const days = Number(process.env.REPORT_RETENTION_DAYS);
+    return process.env.REPORT_RETENTION_DAYS !== undefined && Number.isFinite(days) && days >= 0
+      ? days
+      : DEFAULT_RETENTION_DAYS;
+  }
+
+  /**
+   * 리포트 작성자 기본값
+   * @returns {string} REPORT_CREATOR 또는 시스템 사용자명
+   */
+  getDefaultCreator() {
+    if (process.env.REPORT_CREATOR) {
+      return process.env.REPORT_CREATOR;
+    }
+    try {
+      return os.userInfo().username;
+    } catch {
+      return 'unknown';
+    }
+  }
+
+  // === 메타데이터 저장소 ===
+
+  /**
+   * 메타데이터 목록 읽기 (파일이 없거나 손상된 경우 빈 목록)
+   * @returns {Array} 리포트 메타데이터 목록
+   */
+  loadIndex() {
+    try {
+      if (!fs.existsSync(this.indexPath)) {
+        return [];
+      }
+      const reports = JSON.parse(fs.readFileSync(this.indexPath, 'utf8'));
+      return Array.isArray(reports) ? reports : [];
+    } catch (error) {
+      console.error(`❌ 리포트 목록 읽기 실패: ${error.message}`);
+      return [];
+    }
+  }
+
+  /**
+   * 메타데이터 목록 저장 (임시 파일에 쓴 뒤 교체)
+   * @param {Array} reports - 리포트 메타데이터 목록
+   */
+  saveIndex(reports) {
+    if (!fs.existsSync(this.outputDir)) {
+      fs.mkdirSync(this.outputDir, { recursive: true });
+    }
+    const tempPath = `${this.indexPath}.${process.pid}.tmp`;
+    fs.writeFileSync(tempPath, JSON.stringify(reports, null, 2), 'utf8');
+    fs.renameSync(tempPath, this.indexPath);
+  }
+
+  /**
+   * 리포트 파일 저장 및 메타데이터 등록 (같은 파일명의 기존 리포트는 교체)
+   * @param {object} report - {fileName, content, command, commandString, reportType, creator}
+   * @returns {object} 등록된 리포트 메타데이터
+   */
+  saveReport({ fileName, content, command, commandString, reportType = 'campaign', creator }) {
+    if (!fs.existsSync(this.outputDir)) {
+      fs.mkdirSync(this.outputDir, { recursive: true });
+    }
+
+    const safeFileName = path.basename(fileName);
+    const filePath = path.join(this.outputDir, safeFileName);
+    fs.writeFileSync(filePath, content, 'utf8');
+
+    const createdAt = new Date();
+    const retentionDays = this.getRetentionDays();
+    const record = {
+      id: crypto.randomBytes(6).toString('hex'),
+      file_name: safeFileName,
+      command: commandString,
+      keyword: command.keyword || '',
+      start_date: command.startDate,
+      end_date: command.endDate,
+      platforms: command.platforms || [],
+      report_type: reportType,
+      // 광고주용(A/B/client) 리포트만 링크로 공개, 나머지는 내부용
+      audience: ['A', 'B', 'client'].includes(command.reportType) ? 'client' : 'internal',
+      creator: creator || this.getDefaultCreator(),
+      created_at: createdAt.toISOString(),
+      expires_at: retentionDays > 0
+        ? new Date(createdAt.getTime() + retentionDays * 24 * 60 * 60 * 1000).toISOString()
+        : null,
+      size_bytes: Buffer.byteLength(content, 'utf8'),
+      share_links: [],
+      access_log: []
+    };
+
+    const reports = this.loadIndex().filter(report => report.file_name !== safeFileName);
+    reports.push(record);
+    this.saveIndex(reports);
+
+    console.error(`📦 리포트 보관: ${record.id} (${safeFileName})`);
+    return record;
+  }
+
+  /**
+   * 리포트 검색 (최신순)
+   * @param {object} filters - {query, platform, report_type, creator, created_from, created_to, limit}
+   * @returns {Array} 조건에 맞는 리포트 메타데이터 목록
+   */
+  listReports(filters = {}) {
+    const query = (filters.query || '').trim().toLowerCase();
+    const creator = (filters.creator || '').trim().toLowerCase();
+    const limit = Number(filters.limit) > 0 ? Number(filters.limit) : 20;
+
+    return this.loadIndex()
+      .filter(report => this.fileExists(report))
+      .filter(report => !query || [report.command, report.keyword, report.file_name]
+        .some(value => (value || '').toLowerCase().includes(query)))
+      .filter(report => !filters.platform || report.platforms.includes(filters.platform))
+      .filter(report => !filters.report_type || report.report_type === filters.report_type)
+      .filter(report => !creator || (report.creator || '').toLowerCase().includes(creator))
+      .filter(report => !filters.created_from || report.created_at.slice(0, 10) >= filters.created_from)
+      .filter(report => !filters.created_to || report.created_at.slice(0, 10) <= filters.created_to)
+      .sort((a, b) => b.created_at.localeCompare(a.created_at))
+      .slice(0, limit);
+  }
+
+  /**
+   * 리포트 ID로 조회
+   * @param {string} reportId - 리포트 ID
+   * @returns {object|null} 리포트 메타데이터 (파일이 없으면 null)
+   */
+  getReport(reportId) {
+    const report = this.loadIndex().find(item => item.id === reportId);
+    return report && this.fileExists(report) ? report : null;
+  }
+
+  /**
+   * 리포트 ID로 조회 (없으면 오류)
+   * @param {string} reportId - 리포트 ID
+   * @returns {object} 리포트 메타데이터
+   * @throws {Error} 리포트가 없는 경우
+   */
+  requireReport(reportId) {
+    const report = this.getReport(reportId);
+    if (!report) {
+      throw new Error(`리포트를 찾을 수 없습니다: ${reportId}`);
+    }
+    return report;
+  }
+
+  /**
+   * 파일명으로 조회
+   * @param {string} fileName - 리포트 파일명
+   * @returns {object|null} 리포트 메타데이터
+   */
+  findReportByFileName(fileName) {
+    return this.loadIndex().find(report => report.file_name === fileName) || null;
+  }
+
+  /**
+   * 리포트 파일 경로
+   * @param {object} report - 리포트 메타데이터
+   * @returns {string} 절대 경로
+   */
+  getReportPath(report) {
+    return path.join(this.outputDir, path.basename(report.file_name));
+  }
+
+  /**
+   * 리포트 전달용 링크 발급
+   * 서버 주소가 있으면 기본 유효 시간의 공유 링크를 만들고, 없으면 file:// 로컬 경로
+   * @param {object} report - 리포트 메타데이터
+   * @returns {string} 공유 링크 또는 file:// URL
+   */
+  issueDownloadUrl(report) {
+    if (!getReportBaseUrl()) {
+      return getReportDownloadUrl(this.getReportPath(report));
+    }
+    return this.createShareLink(report.id).url;
+  }
+
+  // === 공유 링크 ===
+
+  /**
+   * 공유 링크 URL
+   * @param {object} report - 리포트 메타데이터
+   * @param {object} link - 공유 링크 메타데이터
+   * @returns {string} {서버}/share/{토큰}/{파일명}
+   */
+  getShareUrl(report, link) {
+    const token = createShareToken({
+      reportId: report.id,
+      linkId: link.id,
+      expiresAt: link.expires_at,
+      maxDownloads: link.max_downloads
+    });
+    return `${getReportBaseUrl()}/share/${token}/${encodeURIComponent(report.file_name)}`;
+  }
+
+  /**
+   * 만료, 폐기, 횟수 초과가 아닌 링크인지 확인
+   * @param {object} link - 공유 링크 메타데이터
+   * @returns {boolean} 사용 가능 여부
+   */
+  isLinkActive(link) {
+    return !link.revoked_at &&
+      new Date(link.expires_at).getTime() > Date.now() &&
+      (!link.max_downloads || link.download_count < link.max_downloads);
+  }
+
+  /**
+   * 공유 링크 생성
+   * @param {string} reportId - 리포트 ID
+   * @param {object} options - {expiresInHours, maxDownloads}
+   * @returns {object} {report, link, url}
+   * @throws {Error} 리포트가 없거나 서버 주소가 설정되지 않은 경우
+   */
+  createShareLink(reportId, { expiresInHours, maxDownloads } = {}) {
+    if (!getReportBaseUrl()) {
+      throw new Error('공유 링크를 만들려면 REPORT_BASE_URL(또는 RENDER_EXTERNAL_URL)을 설정해야 합니다');
+    }
+
+    const hours = Number(expiresInHours) > 0 ? Number(expiresInHours) : getDefaultShareTtlHours();
+    const limit = Number(maxDownloads) > 0 ? Math.floor(Number(maxDownloads)) : null;
+
+    const reports = this.loadIndex();
+    const report = reports.find(item => item.id === reportId);
+    if (!report || !this.fileExists(report)) {
+      throw new Error(`리포트를 찾을 수 없습니다: ${reportId}`);
+    }
+
+    const now = new Date();
+    const link = {
+      id: crypto.randomBytes(4).toString('hex'),
+      created_at: now.toISOString(),
+      expires_at: new Date(now.getTime() + hours * 60 * 60 * 1000).toISOString(),
+      max_downloads: limit,
+      download_count: 0,
+      revoked_at: null
+    };
+    report.share_links = [...(report.share_links || []), link];
+    this.saveIndex(reports);
+
+    console.error(`🔗 공유 링크 생성: ${report.id}/${link.id} (만료 ${link.expires_at})`);
+    return { report, link, url: this.getShareUrl(report, link) };
+  }
+
+  /**
+   * 공유 링크 폐기
+   * @param {string} reportId - 리포트 ID
+   * @param {string} linkId - 링크 ID (없으면 리포트의 모든 링크)
+   * @returns {number} 폐기한 링크 수
+   * @throws {Error} 리포트나 링크가 없는 경우
+   */
+  revokeShareLinks(reportId, linkId = null) {
+    const reports = this.loadIndex();
+    const report = reports.find(item => item.id === reportId);
+    if (!report) {
+      throw new Error(`리포트를 찾을 수 없습니다: ${reportId}`);
+    }
+
+    const targets = (report.share_links || [])
+      .filter(link => !link.revoked_at && (!linkId || link.id === linkId));
+    if (linkId && targets.length === 0 && !(report.share_links || []).some(link => link.id === linkId)) {
+      throw new Error(`공유 링크를 찾을 수 없습니다: ${linkId}`);
+    }
+
+    const revokedAt = new Date().toISOString();
+    targets.forEach(link => { link.revoked_at = revokedAt; });
+    this.saveIndex(reports);
+
+    console.error(`🚫 공유 링크 폐기: ${reportId} (${targets.length}개)`);
+    return targets.length;
+  }
+
+  /**
+   * 검증된 공유 토큰의 리포트와 링크 조회 (폐기, 횟수 초과 확인)
+   * @param {object} share - verifyShareToken 결과 {reportId, linkId}
+   * @returns {object} {report, link}
+   * @throws {Error} error.code: not_found / revoked / limit
+   */
+  resolveShareLink({ reportId, linkId }) {
+    const report = this.getReport(reportId);
+    const link = report?.share_links?.find(item => item.id === linkId);
+    if (!report || !link) {
+      throw Object.assign(new Error('리포트를 찾을 수 없습니다'), { code: 'not_found' });
+    }
+    if (link.revoked_at) {
+      throw Object.assign(new Error('폐기된 공유 링크입니다'), { code: 'revoked', report, link });
+    }
+    if (link.max_downloads && link.download_count >= link.max_downloads) {
+      throw Object.assign(new Error('다운로드 가능 횟수를 초과했습니다'), { code: 'limit', report, link });
+    }
+    return { report, link };
+  }
+
+  /**
+   * 리포트 접근 기록 추가 (성공한 공유 링크 다운로드는 다운로드 수 증가)
+   * @param {string} reportId - 리포트 ID
+   * @param {object} entry - {link_id, result, ip, user, user_agent}
+   */
+  recordAccess(reportId, entry) {
+    const reports = this.loadIndex();
+    const report = reports.find(item => item.id === reportId);
+    if (!report) return;
+
+    if (entry.result === 'ok' && entry.link_id) {
+      const link = (report.share_links || []).find(item => item.id === entry.link_id);
+      if (link) {
+        link.download_count = (link.download_count || 0) + 1;
+      }
+    }
+
+    report.access_log = [
+      ...(report.access_log || []),
+      { at: new Date().toISOString(), link_id: null, user: null, ...entry }
+    ].slice(-ACCESS_LOG_LIMIT);
+    this.saveIndex(reports);
+  }
+
+  fileExists(report) {
+    return fs.existsSync(this.getReportPath(report));
+  }
+
+  /**
+   * 리포트 삭제 (파일과 메타데이터)
+   * @param {string} reportId - 리포트 ID
+   * @returns {object} 삭제된 리포트 메타데이터
+   * @throws {Error} 리포트가 없는 경우
+   */
+  deleteReport(reportId) {
+    const reports = this.loadIndex();
+    const report = reports.find(item => item.id === reportId);
+    if (!report) {
+      throw new Error(`리포트를 찾을 수 없습니다: ${reportId}`);
+    }
+
+    this.removeReportFile(report.file_name);
+    this.saveIndex(reports.filter(item => item.id !== reportId));
+
+    console.error(`🗑️  리포트 삭제: ${report.id} (${report.file_name})`);
+    return report;
+  }
+
+  removeReportFile(fileName) {
+    const filePath = path.join(this.outputDir, path.basename(fileName));
+    if (fs.existsSync(filePath)) {
+      fs.unlinkSync(filePath);
+    }
+  }
+
+  // === 보관 기간 정리 ===
+
+  /**
+   * 보관 기간이 지난 리포트 삭제
+   * 메타데이터가 없는 이전 버전 HTML 파일은 수정 시각 기준으로 같은 보관 기간 적용, 파일이 사라진 메타데이터는 제거
+   * @returns {number} 삭제한 리포트 수
+   */
+  cleanupExpiredReports() {
+    try {
+      if (!fs.existsSync(this.outputDir)) return 0;
+
+      const now = Date.now();
+      const retentionMs = this.getRetentionDays() * 24 * 60 * 60 * 1000;
+      const reports = this.loadIndex();
+      const keptReports = [];
+      let deletedCount = 0;
+
+      reports.forEach(report => {
+        const expired = report.expires_at && new Date(report.expires_at).getTime() <= now;
+        if (expired) {
+          this.removeReportFile(report.file_name);
+          deletedCount++;
+          console.error(`🗑️  보관 기간 만료 리포트 삭제: ${report.file_name}`);
+        } else if (this.fileExists(report)) {
+          keptReports.push(report);
+        }
+      });
+
+      // 메타데이터 없이 남아 있는 HTML 파일
+      if (retentionMs > 0) {
+        const indexedFiles = new Set(keptReports.map(report => report.file_name));
+        fs.readdirSync(this.outputDir)
+          .filter(fileName => fileName.endsWith('.html') && !indexedFiles.has(fileName))
+          .forEach(fileName => {
+            const filePath = path.join(this.outputDir, fileName);
+            if (now - fs.statSync(filePath).mtime.getTime() > retentionMs) {
+              fs.unlinkSync(filePath);
+              deletedCount++;
+              console.error(`🗑️  오래된 리포트 파일 삭제: ${fileName}`);
+            }
+          });
+      }
+
+      if (keptReports.length !== reports.length) {
+        this.saveIndex(keptReports);
+      }
+
+      if (deletedCount > 0) {
+        console.error(`🧹 리포트 정리 완료: ${deletedCount}개 파일 삭제됨`);
+      }
+      return deletedCount;
+
+    } catch (error) {
+      console.error(`❌ 리포트 정리 실패: ${error.message}`);
+      return 0;
+    }
+  }
+
+  /**
+   * 주기적 정리 작업 시작 (REPORT_CLEANUP_INTERVAL_MINUTES마다, 프로세스 종료를 막지 않음)
+   */
+  startCleanupJob() {
+    if (this.cleanupTimer) return;
+
+    const minutes = Number(process.env.REPORT_CLEANUP_INTERVAL_MINUTES) > 0
+      ? Number(process.env.REPORT_CLEANUP_INTERVAL_MINUTES)
+      : DEFAULT_CLEANUP_INTERVAL_MINUTES;
+
+    this.cleanupExpiredReports();
+    this.cleanupTimer = setInterval(() => this.cleanupExpiredReports(), minutes * 60 * 1000);
+    this.cleanupTimer.unref();
+
+    const retentionDays = this.getRetentionDays();
+    console.error(`🧹 리포트 정리 작업 시작: ${minutes}분마다, 보관 기간 ${retentionDays > 0 ? `${retentionDays}일` : '무기한'}`);
+  }
+
+  // === 출력 형식 ===
+
+  /**
+   * API 응답용 리포트 정보 (다운로드 링크 포함)
+   * @param {object} report - 리포트 메타데이터
+   * @returns {object} 메타데이터 + download_url
+   */
+  toApiRecord(report) {
+    const baseUrl = getReportBaseUrl();
+    const { access_log, ...record } = report;
+    return {
+      ...record,
+      audience: report.audience || 'internal',
+      share_links: (report.share_links || []).map(link => ({
+        ...link,
+        active: this.isLinkActive(link),
+        url: baseUrl && this.isLinkActive(link) ? this.getShareUrl(report, link) : null
+      }))
+    };
+  }
+
+  formatReportLine(report) {
+    const platforms = report.platforms.map(p => PLATFORM_NAMES[p] || p).join(', ');
+    return `📄 **${report.file_name}** (ID: ${report.id})\n` +
+      `   키워드: ${report.keyword || '전체'} | 기간: ${report.start_date} ~ ${report.end_date} | 매체: ${platforms}\n` +
+      `   작성자: ${report.creator} | 생성: ${report.created_at.slice(0, 16).replace('T', ' ')} | 만료: ${report.expires_at ? report.expires_at.slice(0, 10) : '무기한'}`;
+  }
+
+  formatReportList(reports, filters = {}) {
+    if (reports.length === 0) {
+      return {
+        content: [
+          {
+            type: 'text',
+            text: '📦 **리포트 보관함**\n\n조건에 맞는 리포트가 없습니다.'
+          }
+        ]
+      };
+    }
+
+    const conditions = [
+      filters.query && `검색어: ${filters.query}`,
+      filters.platform && `매체: ${PLATFORM_NAMES[filters.platform] || filters.platform}`,
+      filters.report_type && `종류: ${REPORT_TYPE_LABELS[filters.report_type] || filters.report_type}`,
+      filters.creator && `작성자: ${filters.creator}`,
+      (filters.created_from || filters.created_to) && `생성일: ${filters.created_from || ''} ~ ${filters.created_to || ''}`
+    ].filter(Boolean);
+
+    let result = `📦 **리포트 보관함** (${reports.length}개)\n`;
+    if (conditions.length > 0) {
+      result += `🔍 ${conditions.join(' | ')}\n`;
+    }
+    result += '\n' + reports.map(report => this.formatReportLine(report)).join('\n\n');
+    result += '\n\n💡 상세 정보와 공유 링크는 report_get, 새 공유 링크는 report_share 도구에 리포트 ID를 입력하세요.';
+
+    return {
+      content: [
+        {
+          type: 'text',
+          text: result
+        }
+      ]
+    };
+  }
+
+  formatReportDetail(report) {
+    const baseUrl = getReportBaseUrl();
+    const activeLinks = (report.share_links || []).filter(link => this.isLinkActive(link));
+    const links = !baseUrl
+      ? `로컬 파일: ${getReportDownloadUrl(this.getReportPath(report))}`
+      : activeLinks.length > 0
+        ? activeLinks.map(link => `🔗 [${link.id}] ${this.getShareUrl(report, link)}\n   만료: ${link.expires_at.slice(0, 16).replace('T', ' ')} | 다운로드: ${link.download_count}${link.max_downloads ? `/${link.max_downloads}` : ''}회`).join('\n')
+        : '활성 공유 링크 없음 (report_share 도구로 생성)';
+
+    return {
+      content: [
+        {
+          type: 'text',
+          text: `📄 **${report.file_name}**
+
+ID: ${report.id}
+종류: ${REPORT_TYPE_LABELS[report.report_type] || report.report_type}
+공개 범위: ${AUDIENCE_LABELS[report.audience || 'internal']}
+명령어: ${report.command}
+키워드: ${report.keyword || '전체'}
+기간: ${report.start_date} ~ ${report.end_date}
+매체: ${report.platforms.map(p => PLATFORM_NAMES[p] || p).join(', ')}
+작성자: ${report.creator}
+생성: ${report.created_at}
+만료: ${report.expires_at || '무기한'}
+파일 크기: ${Math.round(report.size_bytes / 1024)}KB
+
+${links}`
+        }
+      ]
+    };
+  }
+
+  formatShareLink({ report, link, url }) {
+    return {
+      content: [
+        {
+          type: 'text',
+          text: `🔗 **공유 링크를 만들었습니다** (${report.file_name})
+
+링크 ID: ${link.id}
+공개 범위: ${AUDIENCE_LABELS[report.audience || 'internal']}
+만료: ${link.expires_at.slice(0, 16).replace('T', ' ')} (UTC)
+최대 다운로드: ${link.max_downloads ? `${link.max_downloads}회` : '제한 없음'}
+
+다운로드 링크: ${url}
+
+💡 링크를 폐기하려면 report_revoke_share 도구를 사용하세요.`
+        }
+      ]
+    };
+  }
+
+  formatRevokedLinks(reportId, count) {
+    return {
+      content: [
+        {
+          type: 'text',
+          text: count > 0
+            ? `🚫 리포트 ${reportId}의 공유 링크 ${count}개를 폐기했습니다.`
+            : `리포트 ${reportId}에 폐기할 공유 링크가 없습니다.`
+        }
+      ]
+    };
+  }
+
+  formatAccessLog(report, limit = 50) {
+    const count = Number(limit) > 0 ? Number(limit) : 50;
+    const links = report.share_links || [];
+    const entries = (report.access_log || []).slice(-count).reverse();
+
+    let result = `📜 **접근 기록** (${report.file_name}, ID: ${report.id})\n\n`;
+    result += `🔗 공유 링크 ${links.length}개\n`;
+    links.forEach(link => {
+      const state = link.revoked_at ? '폐기됨' : this.isLinkActive(link) ? '사용 가능' : '만료/횟수 초과';
+      result += `- [${link.id}] ${state} | 만료: ${link.expires_at.slice(0, 16).replace('T', ' ')} | 다운로드: ${link.download_count}${link.max_downloads ? `/${link.max_downloads}` : ''}회\n`;
+    });
+
+    result += `\n🕒 최근 접근 ${entries.length}건\n`;
+    result += entries.length === 0
+      ? '- 기록 없음'
+      : entries.map(entry =>
+        `- ${entry.at.slice(0, 19).replace('T', ' ')} ${ACCESS_RESULT_LABELS[entry.result] || entry.result} | ${entry.link_id ? `링크 ${entry.link_id}` : '직접 다운로드'} | ${entry.user || '-'} | ${entry.ip || '-'}`
+      ).join('\n');
+
+    return {
+      content: [
+        {
+          type: 'text',
+          text: result
+        }
+      ]
+    };
+  }
+
+  formatDeletedReport(report) {
+    return {
+      content: [
+        {
+          type: 'text',
+          text: `🗑️ 리포트를 삭제했습니다: ${report.file_name} (ID: ${report.id})`
+        }
+      ]
+    };
+  }
+}
@@ -0,0 +1,414 @@
+/**
+ * 상태 변경 되돌리기 서비스
+ * 감사 로그(AuditLogService)에 기록된 변경 전 상태와 예산으로 Facebook, Google, TikTok 캠페인/광고세트/광고그룹/광고를 복원
+ *
+ * - undo_last_change : 아직 되돌리지 않은 가장 최근 변경 1건(배치)을 되돌림
+ * - rollback_changes : 배치 ID 또는 시간 범위의 변경을 되돌림 (같은 대상이 여러 번 바뀌었으면 범위 안의 가장 처음 상태로 복원)
+ *
+ * 배치 ID는 변경 도구 호출 1번(일괄 변경 포함)의 감사 로그 ID이며 변경 도구 응답에 함께 표시
+ * 되돌리기도 상태 변경 도구이므로 dry_run, 확인 토큰, 감사 로그가 똑같이 적용되고, 되돌리기 자체도 배치 ID로 다시 되돌릴 수 있음
+ */
+
+import { isToolEnabled } from '../utils/tool-categories.js';
+import { getChangeValues, getRecordedValues, isSameValue, formatChangeValue } from '../utils/mutation-guard.js';
+import { BUDGET_FIELD_LABELS } from '../utils/budget-utils.js';
+
+const ROLLBACK_TOOLS = ['undo_last_change', 'rollback_changes'];
+
+const PLATFORM_NAMES = {
+  facebook: 'Facebook',
+  google: 'Google Ads',
+  tiktok: 'TikTok Ads'
+};
+
+const ENTITY_LABELS = {
+  campaign: '캠페인',
+  adset: '광고세트',
+  ad_group: '광고그룹',
+  ad: '광고'
+};
+
+/**
+ * 날짜(YYYY-MM-DD) 또는 ISO 시각을 Date로 변환 (날짜만 있으면 UTC 기준 하루의 시작/끝)
+ */
+function parseTimeBoundary(value, endOfDay = false) {
+  if (!value) {
+    return null;
+  }
+  const text = String(value).trim();
+  const date = /^\d{4}-\d{2}-\d{2}$/.test(text)
+    ? new Date(`${text}T${endOfDay ? '23:59:59.999' : '00:00:00.000'}Z`)
+    : new Date(text);
+  if (Number.isNaN(date.getTime())) {
+    throw new Error(`날짜 형식이 올바르지 않습니다: ${value} (YYYY-MM-DD 또는 ISO 시각)`);
+  }
+  return date;
+}
+
+/**
+ * 복원 값 표시 (상태값 또는 "일 예산 ₩50,000")
+ */
+function describeRestore(item) {
+  return item.field
+    ? `${BUDGET_FIELD_LABELS[item.field] || item.field} ${formatChangeValue(item, item.restore_value)}`
+    : item.restore_value;
+}
+
+export class RollbackService {
+  /**
+   * @param {object} services - 매체별 서비스 { facebook, google, tiktok }
+   * @param {object} auditLog - 변경 전 상태를 읽을 AuditLogService
+   */
+  constructor(services, auditLog) {
+    this.services = services;
+    this.auditLog = auditLog;
+  }
+
+  /**
+   * MCP 도구 목록 반환
+   */
+  getTools() {
+    return [
+      {
+        name: 'undo_last_change',
+        description: '아직 되돌리지 않은 가장 최근 상태 변경 1건(일괄 변경은 배치 전체)을 변경 전 상태로 되돌립니다. 다시 호출하면 그 이전 변경을 되돌립니다.',
+        inputSchema: {
+          type: 'object',
+          properties: {
+            platform: {
+              type: 'string',
+              enum: ['facebook', 'google', 'tiktok'],
+              description: '특정 매체의 변경만 대상 (선택)'
+            }
+          }
+        }
+      },
+      {
+        name: 'rollback_changes',
+        description: '배치 ID 또는 시간 범위의 상태 변경을 변경 전 상태로 되돌립니다. 복원하지 못한 대상은 결과에 따로 표시합니다.',
+        inputSchema: {
+          type: 'object',
+          properties: {
+            batch_id: {
+              type: 'string',
+              description: '되돌릴 변경 배치 ID (변경 도구 응답 또는 audit_log_search 결과의 ID)'
+            },
+            since: {
+              type: 'string',
+              description: '이 시각 이후 변경 (YYYY-MM-DD 또는 ISO 시각, batch_id가 없을 때)'
+            },
+            until: {
+              type: 'string',
+              description: '이 시각까지의 변경 (선택, 기본값: 현재)'
+            },
+            within_minutes: {
+              type: 'number',
+              description: '최근 N분 동안의 변경 (since 대신 사용 가능)'
+            },
+            platform: {
+              type: 'string',
+              enum: ['facebook', 'google', 'tiktok'],
+              description: '특정 매체의 변경만 대상 (선택, 시간 범위 사용 시)'
+            }
+          }
+        }
+      }
+    ];
+  }
+
+  /**
+   * 도구 호출 처리
+   */
+  async handleToolCall(toolName, args) {
+    try {
+      switch (toolName) {
+        case 'undo_last_change':
+        case 'rollback_changes':
+          return await this.rollback(toolName, args);
+        default:
+          throw new Error(`Unknown rollback tool: ${toolName}`);
+      }
+    } catch (error) {
+      console.error(`Rollback tool error [${toolName}]:`, error.message);
+      return this.createErrorResponse(`도구 실행 실패: ${error.message}`);
+    }
+  }
+
+  /**
+   * 에러 응답 생성
+   */
+  createErrorResponse(message) {
+    return {
+      content: [
+        {
+          type: 'text',
+          text: `❌ **변경 되돌리기 오류**\n\n${message}`
+        }
+      ]
+    };
+  }
+
+  // === 되돌릴 변경 선택 ===
+
+  /**
+   * 이미 되돌린 배치 ID
+   * @param {Array} entries - 감사 로그 항목
+   * @returns {Set<string>} 되돌리기 기록의 rollback_of에 포함된 배치 ID
+   */
+  getRolledBackBatchIds(entries) {
+    return new Set(entries
+      .filter(entry => ROLLBACK_TOOLS.includes(entry.tool_name))
+      .flatMap(entry => entry.rollback_of || []));
+  }
+
+  /**
+   * 변경 전 값으로 복원할 수 있는 변경 (변경 전 값을 알고, 실제로 값이 바뀌었거나 결과를 모르는 경우)
+   */
+  getRestorableChanges(entry) {
+    return (entry.changes || []).filter(change => {
+      const { previous, next } = getRecordedValues(change);
+      return previous !== null && !isSameValue(previous, next);
+    });
+  }
+
+  /**
+   * 되돌릴 감사 로그 항목 선택
+   * @param {string} toolName - undo_last_change 또는 rollback_changes
+   * @param {object} args - 도구 인자
+   * @returns {Array} 오래된 순서의 감사 로그 항목
+   * @throws {Error} 조건이 없거나 배치 ID가 없는 경우
+   */
+  selectEntries(toolName, args = {}) {
+    const entries = this.auditLog.loadEntries();
+    const rolledBack = this.getRolledBackBatchIds(entries);
+    const isCandidate = entry => !ROLLBACK_TOOLS.includes(entry.tool_name) &&
+      !rolledBack.has(entry.id) &&
+      (!args.platform || entry.platform === args.platform) &&
+      this.getRestorableChanges(entry).length > 0;
+
+    if (toolName === 'undo_last_change') {
+      const last = [...entries].reverse().find(isCandidate);
+      return last ? [last] : [];
+    }
+
+    // 배치 ID를 직접 지정하면 이미 되돌렸거나 되돌리기 기록이어도 다시 복원
+    if (args.batch_id) {
+      const entry = entries.find(item => item.id === args.batch_id);
+      if (!entry) {
+        throw new Error(`변경 배치를 찾을 수 없습니다: ${args.batch_id}`);
+      }
+      return [entry];
+    }
+
+    const since = Number(args.within_minutes) > 0
+      ? new Date(Date.now() - Number(args.within_minutes) * 60 * 1000)
+      : parseTimeBoundary(args.since);
+    if (!since) {
+      throw new Error('batch_id, since 또는 within_minutes 중 하나가 필요합니다');
+    }
+    const until = parseTimeBoundary(args.until, true);
+
+    return entries.filter(entry => {
+      const time = new Date(entry.timestamp);
+      return time >= since && (!until || time <= until) && isCandidate(entry);
+    });
+  }
+
+  /**
+   * 대상별 복원 계획 (같은 대상이 여러 번 바뀌었으면 가장 오래된 변경 전 값으로 복원)
+   * @param {string} toolName - undo_last_change 또는 rollback_changes
+   * @param {object} args - 도구 인자
+   * @returns {Array} [{platform, entity_type, id, name, field, currency, restore_value, source_batch_ids, toolName, toolArgs, error}]
+   */
+  buildPlan(toolName, args) {
+    const plan = new Map();
+
+    this.selectEntries(toolName, args).forEach(entry => {
+      this.getRestorableChanges(entry).forEach(change => {
+        const platform = change.platform || entry.platform;
+        const key = `${platform}:${change.entity_type}:${change.id}:${change.field || 'status'}`;
+        if (plan.has(key)) {
+          plan.get(key).source_batch_ids.push(entry.id);
+          return;
+        }
+        plan.set(key, {
+          platform,
+          entity_type: change.entity_type,
+          id: change.id,
+          name: change.name,
+          ...(change.field && { field: change.field, currency: change.currency }),
+          restore_value: getRecordedValues(change).previous,
+          source_batch_ids: [entry.id],
+          ...this.resolveRestoreCall(platform, change, entry.arguments || {})
+        });
+      });
+    });
+
+    return [...plan.values()];
+  }
+
+  /**
+   * 대상 하나를 복원할 도구 호출 (상태는 단일 상태 변경 도구, 예산은 {매체}_set_budget)
+   * @returns {object} {toolName, toolArgs} 또는 복원할 수 없는 경우 {error}
+   */
+  resolveRestoreCall(platform, change, sourceArgs) {
+    const service = this.services[platform];
+    if (!service || typeof service.getStatusMutationTargets !== 'function') {
+      return { error: `${PLATFORM_NAMES[platform] || platform} 서비스가 설정되지 않았습니다` };
+    }
+
+    const { previous } = getRecordedValues(change);
+    const [statusToolName, target] = Object.entries(service.getStatusMutationTargets())
+      .find(([, item]) => item.entityType === change.entity_type && item.idArg) || [];
+    let toolName;
+    let restoreArgs;
+    if (change.field) {
+      toolName = `${platform}_set_budget`;
+      restoreArgs = { entity_type: change.entity_type, entity_id: change.id, amount: String(previous) };
+    } else {
+      toolName = statusToolName;
+      restoreArgs = target ? { [target.idArg]: change.id, status: previous } : null;
+    }
+    // 여러 계정을 쓰는 매체(Google MCC, TikTok 광고주)는 기록된 계정으로 복원 (예산도 상태 도구와 같은 계정 인자 사용)
+    if (restoreArgs && target?.accountArg && change.account_id) {
+      restoreArgs[target.accountArg] = change.account_id;
+    }
+
+    const schema = service.getTools().find(tool => tool.name === toolName)?.inputSchema?.properties;
+    if (!schema) {
+      return { error: `${ENTITY_LABELS[change.entity_type] || change.entity_type} ${change.field ? '예산' : '상태'} 변경 도구가 없습니다` };
+    }
+    if (!isToolEnabled(toolName)) {
+      return { error: `복원에 필요한 ${toolName} 도구가 비활성화되어 있습니다` };
+    }
+
+    const allowedStatuses = change.field ? null : schema.status?.enum;
+    if (allowedStatuses && !allowedStatuses.includes(previous)) {
+      return { error: `${previous} 상태로는 복원할 수 없습니다 (${allowedStatuses.join(', ')}만 가능)` };
+    }
+
+    // 원래 호출의 부가 인자 (예: TikTok advertiser_id) 중 복원 도구가 받는 인자는 그대로 전달
+    const toolArgs = {};
+    Object.keys(schema)
+      .filter(key => !(key in restoreArgs) && sourceArgs[key] !== undefined)
+      .forEach(key => {
+        toolArgs[key] = sourceArgs[key];
+      });
+
+    return { toolName, toolArgs: { ...toolArgs, ...restoreArgs } };
+  }
+
+  // === 미리보기 및 실행 ===
+
+  /**
+   * 되돌리기 미리보기 (dry_run, 확인 토큰, 감사 로그용)
+   * @param {string} toolName - undo_last_change 또는 rollback_changes
+   * @param {object} args - 도구 인자
+   * @returns {Promise<Array>} 상태는 {current_status, target_status}, 예산은 {field, currency, current_value, target_value}와 source_batch_ids (복원할 수 없는 대상은 error 포함)
+   */
+  async previewMutation(toolName, args) {
+    const plan = this.buildPlan(toolName, args);
+    return await Promise.all(plan.map(item => this.previewPlanItem(item)));
+  }
+
+  async previewPlanItem(item) {
+    let current = null;
+    if (!item.error) {
+      try {
+        [current] = await this.services[item.platform].previewMutation(item.toolName, item.toolArgs);
+      } catch (error) {
+        console.error(`⚠️ 복원 대상 상태 조회 실패 [${item.platform} ${item.id}]: ${error.message}`);
+      }
+    }
+
+    const entity = {
+      platform: item.platform,
+      entity_type: item.entity_type,
+      id: item.id,
+      name: current?.name || item.name,
+      source_batch_ids: item.source_batch_ids,
+      ...(item.error && { error: item.error })
+    };
+    const currentValue = current ? getChangeValues(current).current : null;
+    return item.field
+      ? { ...entity, field: item.field, currency: current?.currency || item.currency, current_value: currentValue, target_value: item.restore_value }
+      : { ...entity, current_status: currentValue, target_status: item.restore_value };
+  }
+
+  /**
+   * 변경 전 값으로 복원 후 대상별 결과 반환
+   */
+  async rollback(toolName, args) {
+    const plan = this.buildPlan(toolName, args);
+    if (plan.length === 0) {
+      return {
+        content: [
+          {
+            type: 'text',
+            text: '↩️ **변경 되돌리기**\n\n되돌릴 변경이 없습니다.'
+          }
+        ]
+      };
+    }
+
+    const results = [];
+    for (const item of plan) {
+      let error = item.error || null;
+      if (!error) {
+        try {
+          const response = await this.services[item.platform].handleToolCall(item.toolName, item.toolArgs);
+          const text = response?.content?.[0]?.text || '';
+          if (text.startsWith('❌')) {
+            error = text.split('\n\n').slice(1, 2).join('') || '상태 변경 실패';
+          }
+        } catch (callError) {
+          error = callError.message;
+        }
+      }
+
+      // 응답만으로는 알 수 없으므로 복원 후 값을 다시 조회해 확인
+      const after = await this.previewPlanItem(item);
+      const { current } = getChangeValues(after);
+      if (!error && !isSameValue(current, item.restore_value)) {
+        error = `복원 후 확인 실패 (현재: ${formatChangeValue(item, current)})`;
+      }
+      results.push({ ...item, name: after.name, error });
+    }
+
+    return this.formatRollbackResult(plan, results);
+  }
+
+  // === 출력 ===
+
+  formatRollbackResult(plan, results) {
+    const failed = results.filter(item => item.error);
+    const restored = results.filter(item => !item.error);
+    const batchIds = [...new Set(plan.flatMap(item => item.source_batch_ids))];
+
+    let result = failed.length === results.length
+      ? `❌ **변경 되돌리기 실패**\n\n`
+      : `↩️ **변경 되돌리기 완료**${failed.length > 0 ? ' (일부 실패)' : ''}\n\n`;
+    result += `되돌린 배치: ${batchIds.join(', ')}\n`;
+    result += `복원 ${restored.length}개 / 실패 ${failed.length}개\n\n`;
+
+    restored.forEach(item => {
+      result += `✅ ${item.name || '(이름 없음)'} - ${PLATFORM_NAMES[item.platform] || item.platform} ${ENTITY_LABELS[item.entity_type] || item.entity_type} ${item.id}: ${describeRestore(item)}로 복원\n`;
+    });
+
+    if (failed.length > 0) {
+      result += `\n**복원하지 못한 대상**\n`;
+      failed.forEach(item => {
+        result += `❌ ${item.name || '(이름 없음)'} - ${PLATFORM_NAMES[item.platform] || item.platform} ${ENTITY_LABELS[item.entity_type] || item.entity_type} ${item.id}: ${describeRestore(item)}로 복원 실패 - ${item.error}\n`;
+      });
+    }
+
+    return {
+      content: [
+        {
+          type: 'text',
+          text: result
+        }
+      ]
+    };
+  }
+}
@@ -1,21 +1,26 @@
 import axios from 'axios';
 import 'dotenv/config';
-import { getTikTokDateRange, getPeriodText } from '../utils/date-utils.js';
+import { getTikTokDateRange, getPeriodText, getAccountTimeZone, resolveAccountDateRange } from '../utils/date-utils.js';
 import { formatNumber, formatCurrency, formatPercent, standardizeMetrics, formatPerformanceSummary } from '../utils/format-utils.js';
-
-// TikTok Ads API 설정
-const ACCESS_TOKEN = process.env.TIKTOK_ACCESS_TOKEN;
-const ADVERTISER_ID = process.env.TIKTOK_ADVERTISER_ID;
-const APP_ID = process.env.TIKTOK_APP_ID;
-const SECRET = process.env.TIKTOK_SECRET;
+import { normalizeDeliveryStatus, matchesStatusFilter } from '../utils/delivery-status.js';
+import { filterScopedAccounts } from '../utils/account-scope.js';
+import { loadCredentialsFromEnv } from '../utils/credentials.js';
+import { exchangeRateService } from '../utils/exchange-rate-service.js';
+import { BUDGET_FIELD_LABELS, applyApprovedBudget, parseBudgetAmount, validateMinimumBudget, formatBudgetAmount, formatBudgetChange } from '../utils/budget-utils.js';
+
+// 광고주 목록 캐시 유지 시간 (10분)
+const ADVERTISER_CACHE_TTL = 10 * 60 * 1000;
 const BASE_URL = 'https://business-api.tiktok.com/open_api/v1.3';
 
 // API 버전별 엔드포인트 매핑
 const API_ENDPOINTS = {
   ADVERTISER_INFO: '/advertiser/info/',
+  ADVERTISER_GET: '/oauth2/advertiser/get/',
   CAMPAIGN_GET: '/campaign/get/',
   CAMPAIGN_UPDATE_STATUS: '/campaign/status/update/',
+  CAMPAIGN_UPDATE: '/campaign/update/',
   ADGROUP_GET: '/adgroup/get/',
+  ADGROUP_BUDGET_UPDATE: '/adgroup/budget/update/',
   AD_GET: '/ad/get/',
   REPORT_INTEGRATED: '/report/integrated/get/',
   OAUTH_ACCESS_TOKEN: '/oauth2/access_token/',
@@ -25,10 +30,37 @@ const API_ENDPOINTS = {
   AD_CREATE: '/ad/create/'
 };
 
+/**
+ * 상태 변경 도구별 대상 (미리보기, 되돌리기용): 개체 종류, 단일 ID 인자, 광고주 인자
+ */
+const STATUS_MUTATION_TARGETS = {
+  tiktok_toggle_campaign_status: { entityType: 'campaign', idArg: 'campaign_id', accountArg: 'advertiser_id' }
+};
+
+/**
+ * 예산 변경 대상별 조회 엔드포인트, ID 필드, 최소 예산(USD)
+ */
+const BUDGET_TARGETS = {
+  campaign: { label: '캠페인', endpoint: API_ENDPOINTS.CAMPAIGN_GET, idField: 'campaign_id', nameField: 'campaign_name', filterField: 'campaign_ids', minUsd: 50 },
+  ad_group: { label: '광고그룹', endpoint: API_ENDPOINTS.ADGROUP_GET, idField: 'adgroup_id', nameField: 'adgroup_name', filterField: 'adgroup_ids', minUsd: 20 }
+};
+
+const BUDGET_MODE_FIELDS = {
+  BUDGET_MODE_DAY: 'daily_budget',
+  BUDGET_MODE_DYNAMIC_DAILY_BUDGET: 'daily_budget',
+  BUDGET_MODE_TOTAL: 'lifetime_budget'
+};
+
 export class TikTokAdsService {
-  constructor() {
+  /**
+   * @param {object} credentials - TikTok 자격 증명 {accessToken, advertiserId, advertiserIds, appId, secret} (기본값: 환경변수)
+   */
+  constructor(credentials = loadCredentialsFromEnv().tiktok) {
     this.platform = 'tiktok';
-    this.accessToken = ACCESS_TOKEN; // 실시간으로 환경변수 읽기
+    this.credentials = credentials;
+    this.accessToken = credentials.accessToken;
+    this.advertiserCache = null; // 광고주 목록 캐시
+    this.advertiserByCampaignId = new Map(); // 캠페인 ID → 광고주 (광고 조회/상태 변경 시 사용)
   }
 
   /**
@@ -156,11 +188,65 @@ export class TikTokAdsService {
               type: 'string',
               enum: ['ENABLE', 'DISABLE'],
               description: '설정할 상태'
+            },
+            advertiser_id: {
+              type: 'string',
+              description: '캠페인의 광고주 ID (선택사항, 없으면 등록된 광고주에서 자동으로 찾음)'
             }
           },
           required: ['campaign_id', 'status']
         }
       },
+      {
+        name: 'tiktok_get_budget',
+        description: 'TikTok Ads 캠페인 또는 광고그룹의 일 예산/총 예산을 조회합니다',
+        inputSchema: {
+          type: 'object',
+          properties: {
+            entity_type: {
+              type: 'string',
+              enum: ['campaign', 'ad_group'],
+              description: '대상 종류'
+            },
+            entity_id: {
+              type: 'string',
+              description: '캠페인 또는 광고그룹 ID'
+            },
+            advertiser_id: {
+              type: 'string',
+              description: '광고주 ID (선택사항, 없으면 등록된 광고주에서 자동으로 찾음)'
+            }
+          },
+          required: ['entity_type', 'entity_id']
+        }
+      },
+      {
+        name: 'tiktok_set_budget',
+        description: 'TikTok Ads 캠페인 또는 광고그룹 예산을 변경합니다. 금액 또는 "+20%", "-10%", "+10000" 같은 증감을 지정할 수 있습니다',
+        inputSchema: {
+          type: 'object',
+          properties: {
+            entity_type: {
+              type: 'string',
+              enum: ['campaign', 'ad_group'],
+              description: '대상 종류 (캠페인 예산 최적화를 쓰면 campaign, 아니면 ad_group)'
+            },
+            entity_id: {
+              type: 'string',
+              description: '캠페인 또는 광고그룹 ID'
+            },
+            amount: {
+              type: 'string',
+              description: '새 예산 (광고주 통화 기준, 예: "50000", "+20%", "-10%", "+10000")'
+            },
+            advertiser_id: {
+              type: 'string',
+              description: '광고주 ID (선택사항, 없으면 등록된 광고주에서 자동으로 찾음)'
+            }
+          },
+          required: ['entity_type', 'entity_id', 'amount']
+        }
+      },
       {
         name: 'tiktok_get_ad_group_performance',
         description: 'TikTok Ads 광고그룹 성과를 조회합니다',
@@ -202,8 +288,9 @@ export class TikTokAdsService {
 
   /**
    * 도구 호출 처리
+   * @param {object} options - {approvedChanges: 확인 토큰의 미리보기 변경 내역 (MutationGuard 참고)}
    */
-  async handleToolCall(toolName, args) {
+  async handleToolCall(toolName, args, options = {}) {
     try {
       // 필수 환경변수 검증
       if (!this.validateEnvironmentVariables()) {
@@ -222,7 +309,11 @@ export class TikTokAdsService {
         case 'tiktok_get_campaign_list':
           return await this.getCampaignList(args.status_filter || 'ALL');
         case 'tiktok_toggle_campaign_status':
-          return await this.toggleCampaignStatus(args.campaign_id, args.status);
+          return await this.toggleCampaignStatus(args.campaign_id, args.status, args.advertiser_id);
+        case 'tiktok_get_budget':
+          return await this.getBudget(args.entity_type, args.entity_id, args.advertiser_id);
+        case 'tiktok_set_budget':
+          return await this.setBudget(applyApprovedBudget(args, options.approvedChanges));
         case 'tiktok_get_ad_group_performance':
           return await this.getAdGroupPerformance(args.days || 7, args.campaign_id);
         case 'tiktok_get_creative_performance':
@@ -240,8 +331,8 @@ export class TikTokAdsService {
    * 환경변수 검증
    */
   validateEnvironmentVariables() {
-    const required = [ACCESS_TOKEN, ADVERTISER_ID];
-    return required.every(val => val && val.trim() !== '');
+    const hasAdvertiser = Boolean(this.credentials.advertiserId) || this.credentials.advertiserIds.length > 0;
+    return Boolean(this.credentials.accessToken && this.credentials.accessToken.trim() !== '') && hasAdvertiser;
   }
 
   /**
@@ -252,7 +343,7 @@ export class TikTokAdsService {
       content: [
         {
           type: 'text',
-          text: `❌ **TikTok Ads API 오류**\n\n${message}\n\n**환경변수 확인:**\n- TIKTOK_ACCESS_TOKEN: ${ACCESS_TOKEN ? '✅ 설정됨' : '❌ 필요'}\n- TIKTOK_ADVERTISER_ID: ${ADVERTISER_ID ? '✅ 설정됨' : '❌ 필요'}\n- TIKTOK_APP_ID: ${APP_ID ? '✅ 설정됨' : '선택사항'}\n- TIKTOK_SECRET: ${SECRET ? '✅ 설정됨' : '선택사항'}`
+          text: `❌ **TikTok Ads API 오류**\n\n${message}\n\n**환경변수 확인:**\n- TIKTOK_ACCESS_TOKEN: ${this.credentials.accessToken ? '✅ 설정됨' : '❌ 필요'}\n- TIKTOK_ADVERTISER_ID 또는 TIKTOK_ADVERTISER_IDS: ${this.credentials.advertiserId || this.credentials.advertiserIds.length > 0 ? '✅ 설정됨' : '❌ 필요'}\n- TIKTOK_APP_ID: ${this.credentials.appId ? '✅ 설정됨' : '선택사항'}\n- TIKTOK_SECRET: ${this.credentials.secret ? '✅ 설정됨' : '선택사항'}`
         }
       ]
     };
@@ -263,10 +354,10 @@ export class TikTokAdsService {
   async getCampaignPerformance(days, campaignIds) {
     try {
       
-      const { start_date, end_date } = getTikTokDateRange(days);
+      const { start_date, end_date } = getTikTokDateRange(days, getAccountTimeZone('tiktok', this.credentials.advertiserId));
       
       const params = {
-        advertiser_id: ADVERTISER_ID,
+        advertiser_id: this.credentials.advertiserId,
         service_type: "AUCTION",
         report_type: "BASIC",
         data_level: "AUCTION_CAMPAIGN",
@@ -327,34 +418,19 @@ export class TikTokAdsService {
 
   async getCampaignList(statusFilter) {
     try {
+      const advertisers = await this.getScopedAdvertisers();
+      const allCampaigns = [];
 
-      const params = {
-        advertiser_id: ADVERTISER_ID,
-        fields: [
-          'campaign_id',
-          'campaign_name', 
-          'status',
-          'objective_type',
-          'budget',
-          'budget_mode',
-          'create_time',
-          'modify_time'
-        ]
-      };
-
-      // 상태 필터 추가
-      if (statusFilter !== 'ALL') {
-        params.primary_status = statusFilter;
+      for (const advertiser of advertisers) {
+        const campaigns = await this.getAdvertiserCampaignList(advertiser, statusFilter);
+        allCampaigns.push(...campaigns.map(campaign => this.tagAdvertiser(advertiser, campaign)));
       }
 
-      const response = await this.makeTikTokRequest(API_ENDPOINTS.CAMPAIGN_GET, params);
-      
-
       return {
         content: [
           {
             type: 'text',
-            text: this.formatCampaignList(response.data?.list || [], statusFilter)
+            text: this.formatCampaignList(allCampaigns, statusFilter)
           }
         ]
       };
@@ -366,18 +442,49 @@ export class TikTokAdsService {
         content: [
           {
             type: 'text',
-            text: `❌ **TikTok Ads 캠페인 목록 조회 실패**\n\n**오류**: ${error.message}\n\n**환경변수 확인:**\n- Advertiser ID: ${ADVERTISER_ID}\n- Access Token: ${ACCESS_TOKEN ? '설정됨' : '❌ 없음'}\n- App ID: ${APP_ID ? '설정됨' : '❌ 없음'}\n\n**해결 방법:**\n- Advertiser ID가 올바른지 확인\n- Access Token이 유효한지 확인\n- API 권한 확인`
+            text: `❌ **TikTok Ads 캠페인 목록 조회 실패**\n\n**오류**: ${error.message}\n\n**환경변수 확인:**\n- Advertiser ID: ${this.credentials.advertiserIds.length > 0 ? this.credentials.advertiserIds.join(', ') : this.credentials.advertiserId}\n- Access Token: ${this.credentials.accessToken ? '설정됨' : '❌ 없음'}\n- App ID: ${this.credentials.appId ? '설정됨' : '❌ 없음'}\n\n**해결 방법:**\n- Advertiser ID가 올바른지 확인\n- Access Token이 유효한지 확인\n- API 권한 확인`
           }
         ]
       };
     }
   }
 
-  async toggleCampaignStatus(campaignId, status) {
+  /**
+   * 한 광고주 계정의 캠페인 목록 조회
+   * @param {object} advertiser - 광고주 {account_id, name}
+   * @param {string} statusFilter - ENABLE, DISABLE 또는 ALL
+   * @returns {Array} 캠페인 목록
+   */
+  async getAdvertiserCampaignList(advertiser, statusFilter) {
+    const params = {
+      advertiser_id: advertiser.account_id,
+      fields: [
+        'campaign_id',
+        'campaign_name', 
+        'status',
+        'objective_type',
+        'budget',
+        'budget_mode',
+        'create_time',
+        'modify_time'
+      ]
+    };
+
+    // 상태 필터 추가
+    if (statusFilter !== 'ALL') {
+      params.primary_status = statusFilter;
+    }
+
+    const response = await this.makeTikTokRequest(API_ENDPOINTS.CAMPAIGN_GET, params);
+    return response.data?.list || [];
+  }
+
+  async toggleCampaignStatus(campaignId, status, advertiserId = null) {
     try {
+      const advertiser = await this.findCampaignAdvertiser(campaignId, advertiserId);
 
       const params = {
-        advertiser_id: ADVERTISER_ID,
+        advertiser_id: advertiser.account_id,
         campaign_ids: JSON.stringify([campaignId]),
         operation_status: status
       };
@@ -388,7 +495,7 @@ export class TikTokAdsService {
         content: [
           {
             type: 'text',
-            text: `✅ **TikTok 캠페인 상태 변경 완료**\n\n캠페인 ID: ${campaignId}\n새 상태: ${status === 'ENABLE' ? '✅ 활성' : '⏸️ 일시정지'}\n\n${response.data?.errors?.length ? `⚠️ 경고: ${response.data.errors.map(e => e.message).join(', ')}` : ''}`
+            text: `✅ **TikTok 캠페인 상태 변경 완료**\n\n광고주: ${advertiser.name} (${advertiser.account_id})\n캠페인 ID: ${campaignId}\n새 상태: ${status === 'ENABLE' ? '✅ 활성' : '⏸️ 일시정지'}\n\n${response.data?.errors?.length ? `⚠️ 경고: ${response.data.errors.map(e => e.message).join(', ')}` : ''}`
           }
         ]
       };
@@ -409,10 +516,10 @@ export class TikTokAdsService {
   async getAdGroupPerformance(days, campaignId) {
     try {
       
-      const { start_date, end_date } = getTikTokDateRange(days);
+      const { start_date, end_date } = getTikTokDateRange(days, getAccountTimeZone('tiktok', this.credentials.advertiserId));
       
       const params = {
-        advertiser_id: ADVERTISER_ID,
+        advertiser_id: this.credentials.advertiserId,
         service_type: "AUCTION",
         report_type: "BASIC",
         data_level: "AUCTION_ADGROUP",
@@ -473,10 +580,10 @@ export class TikTokAdsService {
   async getCreativePerformance(days, adGroupId) {
     try {
       
-      const { start_date, end_date } = getTikTokDateRange(days);
+      const { start_date, end_date } = getTikTokDateRange(days, getAccountTimeZone('tiktok', this.credentials.advertiserId));
       
       const params = {
-        advertiser_id: ADVERTISER_ID,
+        advertiser_id: this.credentials.advertiserId,
         service_type: "AUCTION",
         report_type: "BASIC",
         data_level: "AUCTION_AD",
@@ -543,7 +650,7 @@ export class TikTokAdsService {
     try {
       
       const params = {
-        advertiser_ids: `["${ADVERTISER_ID}"]`,
+        advertiser_ids: `["${this.credentials.advertiserId}"]`,
         fields: ['advertiser_id', 'advertiser_name', 'status', 'currency', 'timezone']
       };
 
@@ -562,8 +669,8 @@ export class TikTokAdsService {
             type: 'text',
             text: `✅ **TikTok Ads API 연결 테스트 성공**\n\n` +
                   `🔑 **Access Token**: 설정됨\n` +
-                  `🏢 **Advertiser ID**: ${ADVERTISER_ID}\n` +
-                  `📱 **App ID**: ${APP_ID || 'N/A'}\n` +
+                  `🏢 **Advertiser ID**: ${this.credentials.advertiserId}\n` +
+                  `📱 **App ID**: ${this.credentials.appId || 'N/A'}\n` +
                   `🌐 **Base URL**: ${BASE_URL}\n\n` +
                   `**Advertiser 정보**:\n` +
                   `- ID: ${advertiser.advertiser_id}\n` +
@@ -583,7 +690,7 @@ export class TikTokAdsService {
       } else if (error.response?.status === 40002) {
         diagnosis = `\n🔍 **진단**: 권한 문제\n- Advertiser ID에 대한 접근 권한이 없습니다\n- App이 해당 Advertiser에 대한 권한을 받았는지 확인하세요`;
       } else if (error.response?.status === 40003) {
-        diagnosis = `\n🔍 **진단**: Advertiser ID 문제\n- Advertiser ID '${ADVERTISER_ID}'가 존재하지 않거나 잘못되었습니다`;
+        diagnosis = `\n🔍 **진단**: Advertiser ID 문제\n- Advertiser ID '${this.credentials.advertiserId}'가 존재하지 않거나 잘못되었습니다`;
       }
       
       return {
@@ -594,10 +701,10 @@ export class TikTokAdsService {
                   `**오류**: ${error.message}\n` +
                   `**상태 코드**: ${error.response?.status || 'N/A'}\n` +
                   `**설정 정보**:\n` +
-                  `- Advertiser ID: ${ADVERTISER_ID}\n` +
-                  `- Access Token: ${ACCESS_TOKEN ? '설정됨' : '❌ 없음'}\n` +
-                  `- App ID: ${APP_ID ? '설정됨' : '❌ 없음'}\n` +
-                  `- Secret: ${SECRET ? '설정됨' : '❌ 없음'}` +
+                  `- Advertiser ID: ${this.credentials.advertiserId}\n` +
+                  `- Access Token: ${this.credentials.accessToken ? '설정됨' : '❌ 없음'}\n` +
+                  `- App ID: ${this.credentials.appId ? '설정됨' : '❌ 없음'}\n` +
+                  `- Secret: ${this.credentials.secret ? '설정됨' : '❌ 없음'}` +
                   diagnosis
           }
         ]
@@ -615,9 +722,7 @@ export class TikTokAdsService {
       console.error(`TikTok API Request: ${method} ${url}`);
       console.error('Params:', JSON.stringify(params, null, 2));
       console.error('Access Token Debug:', {
-        'this.accessToken': this.accessToken ? 'SET' : 'NOT SET',
-        'ACCESS_TOKEN': ACCESS_TOKEN ? 'SET' : 'NOT SET',
-        'process.env.TIKTOK_ACCESS_TOKEN': process.env.TIKTOK_ACCESS_TOKEN ? 'SET' : 'NOT SET'
+        'this.accessToken': this.accessToken ? 'SET' : 'NOT SET'
       });
 
       const config = {
@@ -728,6 +833,9 @@ export class TikTokAdsService {
       
       result += `${index + 1}. **${campaign.campaign_name}**\n`;
       result += `   📍 상태: ${status}\n`;
+      if (campaign.account_name) {
+        result += `   🏢 광고주: ${campaign.account_name} (${campaign.account_id})\n`;
+      }
       result += `   🎯 목표: ${objective}\n`;
       result += `   💰 예산: ${budget} (${campaign.budget_mode || 'N/A'})\n`;
       result += `   🆔 ID: ${campaign.campaign_id}\n\n`;
@@ -999,45 +1107,413 @@ export class TikTokAdsService {
     return standardizeMetrics(data, 'tiktok');
   }
 
-  // === 키워드 매칭 함수 (단일/다중 키워드 지원) ===
-  
+  // === 여러 광고주 계정 관련 메서드들 ===
+
   /**
-   * 키워드 매칭 함수 - 단일/다중 키워드 자동 판단
-   * @param {string} name - 캠페인명 또는 광고명
-   * @param {string} keywordString - 키워드 문자열 ("고병우" 또는 "고병우,다이즐")
-   * @returns {boolean} - 매칭 여부
+   * 조회할 광고주 목록 (TIKTOK_ADVERTISER_IDS, "auto"면 토큰으로 접근 가능한 광고주 자동 조회)
+   * 목록 설정이 없으면 TIKTOK_ADVERTISER_ID 하나만 사용
+   * @returns {Array} [{account_id, name, currency, timezone_name}]
    */
-  matchesKeywords(name, keywordString) {
-    if (!keywordString || keywordString.trim() === '') {
-      return true; // 키워드가 없으면 모든 항목 매칭
+  async getAdvertisers() {
+    if (this.advertiserCache && Date.now() < this.advertiserCache.expiresAt) {
+      return this.advertiserCache.advertisers;
     }
-    
-    const lowerName = name.toLowerCase();
-    
-    if (!keywordString.includes(',')) {
-      // 단일 키워드 (기존 방식)
-      return lowerName.includes(keywordString.toLowerCase().trim());
-    } else {
-      // 다중 키워드 AND 조건
-      const keywords = keywordString.split(',')
-        .map(k => k.trim())
-        .filter(k => k.length > 0);
-      
-      return keywords.every(keyword => 
-        lowerName.includes(keyword.toLowerCase())
-      );
+
+    let advertiserIds = this.credentials.advertiserIds.filter(id => id.toLowerCase() !== 'auto');
+
+    if (this.credentials.advertiserIds.some(id => id.toLowerCase() === 'auto')) {
+      try {
+        const response = await this.makeTikTokRequest(API_ENDPOINTS.ADVERTISER_GET, {
+          app_id: this.credentials.appId,
+          secret: this.credentials.secret
+        });
+        const discoveredIds = (response.data?.list || []).map(advertiser => String(advertiser.advertiser_id));
+        console.error(`TikTok: 접근 가능한 광고주 ${discoveredIds.length}개 발견`);
+        advertiserIds = [...new Set([...advertiserIds, ...discoveredIds])];
+      } catch (error) {
+        console.error('TikTok 광고주 자동 조회 실패:', error.message);
+      }
+    }
+
+    if (advertiserIds.length === 0 && this.credentials.advertiserId) {
+      advertiserIds = [this.credentials.advertiserId];
     }
+
+    // 광고주 이름/통화/시간대 조회 (한 번에 최대 100개)
+    const infoMap = new Map();
+    for (let i = 0; i < advertiserIds.length; i += 100) {
+      try {
+        const response = await this.makeTikTokRequest(API_ENDPOINTS.ADVERTISER_INFO, {
+          advertiser_ids: JSON.stringify(advertiserIds.slice(i, i + 100)),
+          fields: JSON.stringify(['advertiser_id', 'name', 'currency', 'timezone'])
+        });
+        (response.data?.list || []).forEach(info => infoMap.set(String(info.advertiser_id), info));
+      } catch (error) {
+        console.warn('TikTok 광고주 정보 조회 실패:', error.message);
+      }
+    }
+
+    const advertisers = advertiserIds.map(advertiserId => {
+      const info = infoMap.get(advertiserId) || {};
+      return {
+        account_id: advertiserId,
+        name: info.name || info.advertiser_name || advertiserId,
+        currency: info.currency || null,
+        timezone_name: info.timezone || null
+      };
+    });
+
+    this.advertiserCache = { advertisers, expiresAt: Date.now() + ADVERTISER_CACHE_TTL };
+    return advertisers;
+  }
+
+  /**
+   * 조회 범위(허용/제외 목록, 명령어 계정: 지정)에 해당하는 광고주 목록
+   * @param {Array<string>} accountFilter - 명령어로 지정한 광고주 ID 또는 광고주명 목록
+   * @returns {Array} [{account_id, name, currency, timezone_name}]
+   */
+  async getScopedAdvertisers(accountFilter = []) {
+    const advertisers = await this.getAdvertisers();
+    return filterScopedAccounts(advertisers, 'tiktok', accountFilter);
+  }
+
+  /**
+   * 캠페인에 광고주 정보 추가 (통합 검색 계정별 묶음 표시용)
+   * @param {object} advertiser - 광고주
+   * @param {object} item - 캠페인 또는 광고 데이터
+   * @returns {object} 광고주 정보가 추가된 새 객체
+   */
+  tagAdvertiser(advertiser, item) {
+    return {
+      ...item,
+      account_id: advertiser.account_id,
+      account_name: advertiser.name,
+      account_currency: advertiser.currency,
+      account_timezone: getAccountTimeZone('tiktok', advertiser.account_id, advertiser.timezone_name)
+    };
+  }
+
+  /**
+   * 캠페인이 속한 광고주 찾기 (상태 변경용)
+   * @param {string} campaignId - 캠페인 ID
+   * @param {string} advertiserId - 직접 지정한 광고주 ID (선택)
+   * @returns {object} 광고주
+   * @throws {Error} 등록된 광고주에서 캠페인을 찾지 못한 경우
+   */
+  async findCampaignAdvertiser(campaignId, advertiserId = null) {
+    const advertisers = await this.getScopedAdvertisers();
+
+    if (advertiserId) {
+      const advertiser = advertisers.find(candidate => candidate.account_id === String(advertiserId));
+      if (!advertiser) {
+        throw new Error(`조회 범위에 없는 광고주 ID입니다: ${advertiserId}`);
+      }
+      return advertiser;
+    }
+
+    if (advertisers.length === 1) {
+      return advertisers[0];
+    }
+
+    if (!this.advertiserByCampaignId.has(String(campaignId))) {
+      await this.getCampaignsByIds([String(campaignId)]);
+    }
+
+    const advertiser = this.advertiserByCampaignId.get(String(campaignId));
+    if (!advertiser) {
+      throw new Error(`등록된 광고주 계정에서 캠페인 ${campaignId}을(를) 찾을 수 없습니다`);
+    }
+    return advertiser;
+  }
+
+  /**
+   * 캠페인 ID를 소속 광고주별로 묶음
+   * 소속을 알고 있는 캠페인은 해당 광고주에서만, 모르는 캠페인은 모든 광고주에서 조회
+   * @param {Array<string>} campaignIds - 캠페인 ID 목록
+   * @param {Array} advertisers - 조회 범위 광고주 목록
+   * @returns {Array} [{advertiser, campaignIds}]
+   */
+  groupCampaignIdsByAdvertiser(campaignIds, advertisers) {
+    const groups = new Map(advertisers.map(advertiser => [advertiser.account_id, { advertiser, campaignIds: [] }]));
+
+    campaignIds.forEach(campaignId => {
+      const owner = this.advertiserByCampaignId.get(String(campaignId));
+      if (owner && groups.has(owner.account_id)) {
+        groups.get(owner.account_id).campaignIds.push(campaignId);
+      } else {
+        groups.forEach(group => group.campaignIds.push(campaignId));
+      }
+    });
+
+    return Array.from(groups.values()).filter(group => group.campaignIds.length > 0);
+  }
+
+  // === 예산 관리 ===
+
+  /**
+   * 캠페인/광고그룹 예산 조회
+   * 광고주를 지정하지 않으면 조회 범위의 광고주에서 차례로 찾음
+   * @param {string} entityType - campaign 또는 ad_group
+   * @param {string} entityId - 캠페인 또는 광고그룹 ID
+   * @param {string} advertiserId - 광고주 ID (선택)
+   * @returns {Promise<object>} {entity_type, id, name, advertiser, currency, field, amount, budget_mode}
+   */
+  async getBudgetInfo(entityType, entityId, advertiserId = null) {
+    const target = BUDGET_TARGETS[entityType];
+    if (!target) {
+      throw new Error(`지원하지 않는 대상 종류입니다: ${entityType} (campaign 또는 ad_group)`);
+    }
+
+    const advertisers = entityType === 'campaign'
+      ? [await this.findCampaignAdvertiser(entityId, advertiserId)]
+      : advertiserId
+        ? [await this.findCampaignAdvertiser(null, advertiserId)]
+        : await this.getScopedAdvertisers();
+
+    for (const advertiser of advertisers) {
+      const response = await this.makeTikTokRequest(target.endpoint, {
+        advertiser_id: advertiser.account_id,
+        fields: JSON.stringify([target.idField, target.nameField, 'budget', 'budget_mode']),
+        filtering: JSON.stringify({ [target.filterField]: [String(entityId)] })
+      });
+
+      const item = response.data?.list?.[0];
+      if (item) {
+        const field = BUDGET_MODE_FIELDS[item.budget_mode] || null;
+        return {
+          entity_type: entityType,
+          id: String(entityId),
+          name: item[target.nameField],
+          advertiser,
+          currency: advertiser.currency,
+          field,
+          amount: field && Number(item.budget) > 0 ? Number(item.budget) : null,
+          budget_mode: item.budget_mode
+        };
+      }
+    }
+
+    throw new Error(`등록된 광고주 계정에서 ${target.label} ${entityId}을(를) 찾을 수 없습니다`);
+  }
+
+  /**
+   * 최소 예산 (TikTok 기준 USD 금액을 광고주 통화로 환산, KRW/USD 외 통화는 확인하지 않음)
+   * @param {string} entityType - campaign 또는 ad_group
+   * @param {string} currency - 광고주 통화
+   * @returns {Promise<number|null>} 최소 예산
+   */
+  async getMinimumBudget(entityType, currency) {
+    const minUsd = BUDGET_TARGETS[entityType].minUsd;
+    if (currency === 'USD') {
+      return minUsd;
+    }
+    if (currency === 'KRW') {
+      return Math.ceil(await exchangeRateService.convertUsdToKrw(minUsd));
+    }
+    return null;
+  }
+
+  async getBudget(entityType, entityId, advertiserId = null) {
+    try {
+      const info = await this.getBudgetInfo(entityType, entityId, advertiserId);
+      const minimum = await this.getMinimumBudget(entityType, info.currency);
+
+      let result = `💰 **TikTok ${BUDGET_TARGETS[entityType].label} 예산**\n\n`;
+      result += `광고주: ${info.advertiser.name} (${info.advertiser.account_id})\n`;
+      result += `**${info.name}** (${info.id})\n`;
+      result += info.field
+        ? `${BUDGET_FIELD_LABELS[info.field]}: ${formatBudgetAmount(info.amount, info.currency)}\n`
+        : `예산: 제한 없음 (${info.budget_mode})\n`;
+      if (minimum !== null) {
+        result += `\n최소 예산: ${formatBudgetAmount(minimum, info.currency)} (${info.currency})`;
+      }
+
+      return {
+        content: [
+          {
+            type: 'text',
+            text: result
+          }
+        ]
+      };
+    } catch (error) {
+      return {
+        content: [
+          {
+            type: 'text',
+            text: `❌ **TikTok 예산 조회 실패**\n\n**오류**: ${error.message}`
+          }
+        ]
+      };
+    }
+  }
+
+  /**
+   * 예산 변경 내역 계산 (미리보기와 실제 변경에 같이 사용)
+   * @param {object} args - {entity_type, entity_id, amount, advertiser_id}
+   * @returns {Promise<object>} {platform, entity_type, id, name, field, currency, current_value, target_value, account_name, advertiser_id}
+   * @throws {Error} 예산 제한이 없거나 최소 예산보다 적은 경우
+   */
+  async previewBudgetChange(args) {
+    const info = await this.getBudgetInfo(args.entity_type, args.entity_id, args.advertiser_id);
+
+    if (!info.field) {
+      throw new Error(args.entity_type === 'campaign'
+        ? '캠페인 예산이 제한 없음으로 설정돼 있습니다. 광고그룹(entity_type: ad_group) 예산을 변경하세요'
+        : '광고그룹 예산이 제한 없음으로 설정돼 있습니다. 캠페인 예산 최적화를 쓰는 경우 캠페인(entity_type: campaign) 예산을 변경하세요');
+    }
+
+    const targetValue = parseBudgetAmount(args.amount, info.amount, info.currency);
+    const minimum = await this.getMinimumBudget(args.entity_type, info.currency);
+    validateMinimumBudget(targetValue, minimum, info.currency, `TikTok ${BUDGET_TARGETS[args.entity_type].label} ${BUDGET_FIELD_LABELS[info.field]}`);
+
+    return {
+      platform: this.platform,
+      entity_type: info.entity_type,
+      id: info.id,
+      name: info.name,
+      field: info.field,
+      currency: info.currency,
+      current_value: info.amount,
+      target_value: targetValue,
+      account_name: info.advertiser.name,
+      advertiser_id: info.advertiser.account_id
+    };
+  }
+
+  async setBudget(args) {
+    try {
+      const change = await this.previewBudgetChange(args);
+
+      if (change.entity_type === 'campaign') {
+        await this.makeTikTokRequest(API_ENDPOINTS.CAMPAIGN_UPDATE, {
+          advertiser_id: change.advertiser_id,
+          campaign_id: change.id,
+          budget: change.target_value
+        }, 'POST');
+      } else {
+        await this.makeTikTokRequest(API_ENDPOINTS.ADGROUP_BUDGET_UPDATE, {
+          advertiser_id: change.advertiser_id,
+          budget: [{ adgroup_id: change.id, budget: change.target_value }]
+        }, 'POST');
+      }
+
+      const format = amount => formatBudgetAmount(amount, change.currency);
+      return {
+        content: [
+          {
+            type: 'text',
+            text: `✅ **TikTok ${BUDGET_TARGETS[change.entity_type].label} 예산 변경 완료**\n\n광고주: ${change.account_name} (${change.advertiser_id})\n${change.name} (${change.id})\n${BUDGET_FIELD_LABELS[change.field]}: ${format(change.current_value)} → ${format(change.target_value)}${formatBudgetChange(change.current_value, change.target_value)}`
+          }
+        ]
+      };
+    } catch (error) {
+      console.error('TikTok 예산 변경 실패:', error.message);
+      return {
+        content: [
+          {
+            type: 'text',
+            text: `❌ **TikTok 예산 변경 실패**\n\n**오류**: ${error.message}`
+          }
+        ]
+      };
+    }
+  }
+
+  // === 상태/예산 변경 미리보기 ===
+
+  /**
+   * 상태 변경 도구별 대상 개체 종류와 ID 인자 (되돌리기에서 복원 도구를 찾을 때 사용)
+   * @returns {object} 도구 이름 → {entityType, idArg | idsArg, accountArg}
+   */
+  getStatusMutationTargets() {
+    return STATUS_MUTATION_TARGETS;
+  }
+
+  /**
+   * 상태/예산 변경 도구의 변경 내역 미리보기 (dry_run, 확인 토큰용, 실제로 변경하지 않음)
+   * 예산 변경은 [{platform, entity_type, id, name, field, currency, current_value, target_value}]를 반환
+   * @param {string} toolName - 상태/예산 변경 도구 이름
+   * @param {object} args - 도구 인자
+   * @param {Array|null} approvedChanges - 확인 토큰의 미리보기 변경 내역 (예산 변경은 미리보기 목표 금액 그대로 사용)
+   * @returns {Promise<Array>} [{platform, entity_type, id, name, current_status, target_status, account_name}] (찾지 못한 ID는 name/current_status가 null)
+   */
+  async previewMutation(toolName, args, approvedChanges = null) {
+    if (toolName === 'tiktok_set_budget') {
+      const { advertiser_id, ...change } = await this.previewBudgetChange(applyApprovedBudget(args, approvedChanges));
+      return [change];
+    }
+
+    if (!STATUS_MUTATION_TARGETS[toolName]) {
+      throw new Error(`미리보기를 지원하지 않는 도구입니다: ${toolName}`);
+    }
+
+    const campaignId = String(args.campaign_id);
+    const [campaign] = await this.getCampaignsByIds([campaignId]);
+
+    return [{
+      platform: this.platform,
+      entity_type: 'campaign',
+      id: campaignId,
+      name: campaign?.campaign_name ?? null,
+      current_status: campaign?.status ?? null,
+      target_status: args.status,
+      account_name: campaign?.account_name ?? null
+    }];
   }
 
   // === 통합 검색을 위한 새로운 메서드들 ===
 
   /**
-   * 특정 날짜 범위에서 활동한 캠페인 목록을 성과 데이터와 함께 조회
+   * 특정 날짜 범위에서 활동한 캠페인 목록을 성과 데이터와 함께 조회 (조회 범위의 모든 광고주)
+   * options.resolveDateRange가 있으면 광고주 시간대 기준으로 날짜 범위를 다시 계산
+   * options.accountFilter(광고주 ID 또는 광고주명 목록)가 있으면 해당 광고주만 조회
+   * options.statusFilter('active'|'paused')가 있으면 해당 상태 캠페인만, options.includeZeroSpend면 지출 없는 캠페인도 포함
+   */
+  async getCampaignListWithDateFilter(startDate, endDate, options = {}) {
+    const advertisers = await this.getScopedAdvertisers(options.accountFilter);
+
+    if (advertisers.length === 0) {
+      console.warn('조회 범위에 해당하는 TikTok 광고주 계정이 없습니다.');
+      return [];
+    }
+
+    const allCampaigns = [];
+    const errors = [];
+
+    for (const advertiser of advertisers) {
+      try {
+        const campaigns = await this.getAdvertiserCampaignListWithDateFilter(advertiser, startDate, endDate, options);
+        campaigns.forEach(campaign => {
+          this.advertiserByCampaignId.set(String(campaign.campaign_id), advertiser);
+          allCampaigns.push(this.tagAdvertiser(advertiser, campaign));
+        });
+      } catch (error) {
+        // 개별 광고주 실패는 전체 실패로 처리하지 않음
+        console.warn(`TikTok 광고주 ${advertiser.account_id} (${advertiser.name}) 캠페인 조회 실패:`, error.message);
+        errors.push(error.message);
+      }
+    }
+
+    if (errors.length === advertisers.length) {
+      throw new Error(errors[0]);
+    }
+
+    return allCampaigns.sort((a, b) => parseFloat(b.spend) - parseFloat(a.spend));
+  }
+
+  /**
+   * 한 광고주 계정에서 특정 날짜 범위에 활동한 캠페인 목록을 성과 데이터와 함께 조회
+   * options.resolveDateRange가 있으면 광고주 시간대 기준으로 날짜 범위를 다시 계산
+   * options.statusFilter('active'|'paused')가 있으면 해당 상태 캠페인만, options.includeZeroSpend면 지출 없는 캠페인도 포함
    */
-  async getCampaignListWithDateFilter(startDate, endDate) {
+  async getAdvertiserCampaignListWithDateFilter(advertiser, startDate, endDate, options = {}) {
     try {
+      // 광고주 시간대 기준 날짜 범위
+      ({ startDate, endDate } = resolveAccountDateRange(startDate, endDate, getAccountTimeZone('tiktok', advertiser.account_id, advertiser.timezone_name), options));
+
       const params = {
-        advertiser_id: ADVERTISER_ID,
+        advertiser_id: advertiser.account_id,
         start_date: startDate,
         end_date: endDate,
         data_level: 'AUCTION_CAMPAIGN',
@@ -1075,13 +1551,35 @@ export class TikTokAdsService {
         campaign.spend += parseFloat(metrics.spend || 0);
       });
 
-      // Map을 배열로 변환하고 지출액 > 0인 캠페인만 필터링 후 지출순으로 정렬
+      // 리포트에는 상태 정보가 없으므로 캠페인 목록에서 게재 상태 조회
+      const campaignStatuses = await this.getCampaignStatuses(advertiser.account_id);
+      const statusMap = new Map(campaignStatuses.map(campaign => [String(campaign.campaign_id), campaign.operation_status]));
+
+      // 무지출포함: 기간 내 리포트 행이 없는 캠페인도 지출 0으로 추가
+      if (options.includeZeroSpend) {
+        campaignStatuses.forEach(campaign => {
+          const campaignId = String(campaign.campaign_id);
+          if (!campaignMap.has(campaignId)) {
+            campaignMap.set(campaignId, {
+              campaign_id: campaignId,
+              campaign_name: campaign.campaign_name,
+              name: campaign.campaign_name,
+              spend: 0
+            });
+          }
+        });
+      }
+
+      // Map을 배열로 변환하고 지출액 > 0인 캠페인만(무지출포함 시 전체) 필터링 후 지출순으로 정렬
       return Array.from(campaignMap.values())
-        .filter(campaign => campaign.spend > 0)
+        .filter(campaign => options.includeZeroSpend || campaign.spend > 0)
         .map(campaign => ({
           ...campaign,
-          spend: campaign.spend.toFixed(2)
+          spend: campaign.spend.toFixed(2),
+          status: statusMap.get(String(campaign.campaign_id)),
+          delivery_status: normalizeDeliveryStatus('tiktok', statusMap.get(String(campaign.campaign_id)))
         }))
+        .filter(campaign => matchesStatusFilter(campaign.delivery_status, options.statusFilter))
         .sort((a, b) => parseFloat(b.spend) - parseFloat(a.spend));
 
     } catch (error) {
@@ -1091,18 +1589,163 @@ export class TikTokAdsService {
   }
 
   /**
-   * 특정 캠페인들의 광고별 상세 성과 조회
+   * 광고주 계정의 캠페인 게재 상태 목록 조회 (삭제된 캠페인 제외)
+   * @param {string} advertiserId - 광고주 ID (기본값: 자격 증명의 advertiserId)
+   * @returns {Array} [{campaign_id, campaign_name, operation_status}] - 조회 실패 시 빈 배열
    */
-  async getAdLevelPerformance(campaignIds, startDate, endDate) {
+  async getCampaignStatuses(advertiserId = this.credentials.advertiserId) {
     try {
       const params = {
-        advertiser_id: ADVERTISER_ID,
+        advertiser_id: advertiserId,
+        fields: JSON.stringify(['campaign_id', 'campaign_name', 'operation_status']),
+        page_size: 1000
+      };
+
+      const response = await this.makeTikTokRequest(API_ENDPOINTS.CAMPAIGN_GET, params);
+      return (response.data?.list || []).filter(campaign => campaign.operation_status !== 'DELETE');
+    } catch (error) {
+      console.warn('TikTok 캠페인 상태 조회 실패:', error.message);
+      return [];
+    }
+  }
+
+  /**
+   * ID로 캠페인 직접 조회 (통합 검색 캠페인ID: 파라미터용)
+   * @param {Array<string>} campaignIds - 캠페인 ID 목록 (숫자가 아닌 ID는 무시)
+   * @returns {Array} [{campaign_id, campaign_name, name, status, delivery_status, account_id, account_name}] - 찾지 못한 ID는 제외
+   */
+  async getCampaignsByIds(campaignIds) {
+    const validIds = campaignIds.filter(id => /^\d+$/.test(id));
+    if (validIds.length === 0) {
+      return [];
+    }
+
+    try {
+      // 조회 범위 내 모든 광고주에서 조회 (찾은 캠페인은 소속 광고주 기록)
+      const campaigns = [];
+      for (const advertiser of await this.getScopedAdvertisers()) {
+        const params = {
+          advertiser_id: advertiser.account_id,
+          fields: JSON.stringify(['campaign_id', 'campaign_name', 'operation_status']),
+          filtering: JSON.stringify({ campaign_ids: validIds }),
+          page_size: 1000
+        };
+
+        const response = await this.makeTikTokRequest(API_ENDPOINTS.CAMPAIGN_GET, params);
+
+        (response.data?.list || []).forEach(campaign => {
+          const campaignId = String(campaign.campaign_id);
+          this.advertiserByCampaignId.set(campaignId, advertiser);
+          campaigns.push(this.tagAdvertiser(advertiser, {
+            campaign_id: campaignId,
+            campaign_name: campaign.campaign_name,
+            name: campaign.campaign_name, // 호환성을 위한 별칭
+            status: campaign.operation_status,
+            delivery_status: normalizeDeliveryStatus('tiktok', campaign.operation_status)
+          }));
+        });
+      }
+
+      return campaigns;
+
+    } catch (error) {
+      console.error('TikTok 캠페인 ID 조회 실패:', error.message);
+      throw new Error(`TikTok 캠페인 ID 조회 실패: ${error.message}`);
+    }
+  }
+
+  /**
+   * ID로 광고 직접 조회 (통합 검색 광고ID: 파라미터용)
+   * @param {Array<string>} adIds - 광고 ID 목록 (숫자가 아닌 ID는 무시)
+   * @returns {Array} [{ad_id, ad_name, campaign_id, campaign_name, account_id, account_name}] - 찾지 못한 ID는 제외
+   */
+  async getAdsByIds(adIds) {
+    const validIds = adIds.filter(id => /^\d+$/.test(id));
+    if (validIds.length === 0) {
+      return [];
+    }
+
+    try {
+      // 조회 범위 내 모든 광고주에서 조회 (찾은 광고의 캠페인은 소속 광고주 기록)
+      const ads = [];
+      for (const advertiser of await this.getScopedAdvertisers()) {
+        const params = {
+          advertiser_id: advertiser.account_id,
+          fields: JSON.stringify(['ad_id', 'ad_name', 'campaign_id', 'campaign_name']),
+          filtering: JSON.stringify({ ad_ids: validIds }),
+          page_size: 1000
+        };
+
+        const response = await this.makeTikTokRequest(API_ENDPOINTS.AD_GET, params);
+
+        (response.data?.list || []).forEach(ad => {
+          const campaignId = String(ad.campaign_id);
+          this.advertiserByCampaignId.set(campaignId, advertiser);
+          ads.push(this.tagAdvertiser(advertiser, {
+            ad_id: String(ad.ad_id),
+            ad_name: ad.ad_name,
+            campaign_id: campaignId,
+            campaign_name: ad.campaign_name
+          }));
+        });
+      }
+
+      return ads;
+
+    } catch (error) {
+      console.error('TikTok 광고 ID 조회 실패:', error.message);
+      throw new Error(`TikTok 광고 ID 조회 실패: ${error.message}`);
+    }
+  }
+
+  /**
+   * 특정 캠페인들의 광고별 상세 성과 조회 (캠페인 소속 광고주별로 조회)
+   * options.resolveDateRange가 있으면 광고주 시간대 기준으로 날짜 범위를 다시 계산
+   * options.accountFilter(광고주 ID 또는 광고주명 목록)가 있으면 해당 광고주만 조회
+   */
+  async getAdLevelPerformance(campaignIds, startDate, endDate, options = {}) {
+    const advertisers = await this.getScopedAdvertisers(options.accountFilter);
+    const groups = this.groupCampaignIdsByAdvertiser(campaignIds, advertisers);
+
+    const allAds = [];
+    const errors = [];
+
+    for (const group of groups) {
+      try {
+        const ads = await this.getAdvertiserAdLevelPerformance(group.advertiser, group.campaignIds, startDate, endDate, options);
+        allAds.push(...ads.map(ad => this.tagAdvertiser(group.advertiser, ad)));
+      } catch (error) {
+        console.warn(`TikTok 광고주 ${group.advertiser.account_id} (${group.advertiser.name}) 광고 조회 실패:`, error.message);
+        errors.push(error.message);
+      }
+    }
+
+    if (groups.length > 0 && errors.length === groups.length) {
+      throw new Error(errors[0]);
+    }
+
+    return allAds.sort((a, b) => parseFloat(b.spend) - parseFloat(a.spend));
+  }
+
+  /**
+   * 한 광고주 계정에서 특정 캠페인들의 광고별 상세 성과 조회
+   * options.resolveDateRange가 있으면 광고주 시간대 기준으로 날짜 범위를 다시 계산
+   */
+  async getAdvertiserAdLevelPerformance(advertiser, campaignIds, startDate, endDate, options = {}) {
+    try {
+      // 광고주 시간대 기준 날짜 범위
+      ({ startDate, endDate } = resolveAccountDateRange(startDate, endDate, getAccountTimeZone('tiktok', advertiser.account_id, advertiser.timezone_name), options));
+
+      const params = {
+        advertiser_id: advertiser.account_id,
         service_type: "AUCTION",
         report_type: "BASIC",
         data_level: "AUCTION_AD",
         dimensions: JSON.stringify(["ad_id", "stat_time_day"]),
         metrics: JSON.stringify([
           "ad_name",
+          "adgroup_id",
+          "adgroup_name",
           "campaign_id",
           "spend",
           "impressions",
@@ -1145,6 +1788,8 @@ export class TikTokAdsService {
             ad_id: adId,
             ad_name: metrics.ad_name || `Ad ${adId}`,
             name: metrics.ad_name || `Ad ${adId}`,
+            adset_id: metrics.adgroup_id,
+            adset_name: metrics.adgroup_name,
             campaign_id: metrics.campaign_id,
             dailyData: [],
             totalSpend: 0,
@@ -1189,6 +1834,8 @@ export class TikTokAdsService {
           ad_id: ad.ad_id,
           ad_name: ad.ad_name,
           name: ad.name,
+          adset_id: ad.adset_id,
+          adset_name: ad.adset_name,
           campaign_id: ad.campaign_id,
           spend: ad.totalSpend.toFixed(2),
           impressions: ad.totalImpressions.toString(),
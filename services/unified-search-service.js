@@ -3,43 +3,34 @@
  * 정형화된 명령어를 처리하여 다중 매체에서 캠페인 검색 및 성과 조회
  */
 
-import { parseUserCommand, validateCommand, formatCommandSummary } from '../utils/command-parser.js';
+import { parseUserCommand, validateCommand, formatCommandSummary, resolveCommandDateRange, getDisplayUnitLabel } from '../utils/command-parser.js';
+import { shiftDays } from '../utils/date-utils.js';
+import { matchesKeywords } from '../utils/keyword-matcher.js';
+import { annotateTaxonomy, annotateAdTaxonomy, matchesTaxonomyFilters } from '../utils/campaign-taxonomy.js';
 import { formatNumber, formatCurrency, formatPercent } from '../utils/format-utils.js';
-import { calculateDailyTrends, formatTrendText, calculatePeriodSummary, calculateDerivedMetrics } from '../utils/daily-trend-calculator.js';
-import fs from 'fs';
-import path from 'path';
+import { calculateDailyTrends, formatTrendText, calculatePeriodSummary, calculateDerivedMetrics, summarizeMetrics } from '../utils/daily-trend-calculator.js';
+import { buildPeriodComparison } from '../utils/period-comparison.js';
+import { buildTaxonomyPivot, resolvePivotDimension, UNCLASSIFIED_LABEL } from '../utils/taxonomy-pivot.js';
+import { itemsMatchConditions } from '../utils/metric-conditions.js';
+import { rankItems, sortByMetric, getSortValue, resolveSortSettings, describeSortSettings } from '../utils/result-sorting.js';
+import { getIdsForPlatform } from '../utils/entity-id.js';
+import { matchesStatusFilter, getStatusLabel, normalizeDeliveryStatus, parseStatusFilter } from '../utils/delivery-status.js';
+import { getRemoteReportEndpoint } from '../utils/report-output.js';
+import { ReportArchiveService } from './report-archive-service.js';
+import { getDefaultShareTtlHours } from '../utils/report-share.js';
+import { isToolEnabled } from '../utils/tool-categories.js';
+
+const PLATFORM_NAMES = {
+  facebook: 'Facebook',
+  google: 'Google Ads',
+  tiktok: 'TikTok Ads',
+  carrot: '당근마켓'
+};
 
 export class UnifiedSearchService {
-  constructor(services) {
+  constructor(services, reportArchive = new ReportArchiveService()) {
     this.services = services; // { facebook: FacebookAdsService, google: GoogleAdsService, tiktok: TikTokAdsService, carrot: CarrotAdsService }
-  }
-
-  /**
-   * 키워드 매칭 함수 - 단일/다중 키워드 자동 판단
-   * @param {string} name - 캠페인명 또는 광고명
-   * @param {string} keywordString - 키워드 문자열 ("고병우" 또는 "고병우,다이즐")
-   * @returns {boolean} - 매칭 여부
-   */
-  matchesKeywords(name, keywordString) {
-    if (!keywordString || keywordString.trim() === '') {
-      return true; // 키워드가 없으면 모든 항목 매칭
-    }
-    
-    const lowerName = name.toLowerCase();
-    
-    if (!keywordString.includes(',')) {
-      // 단일 키워드 (기존 방식)
-      return lowerName.includes(keywordString.toLowerCase().trim());
-    } else {
-      // 다중 키워드 AND 조건
-      const keywords = keywordString.split(',')
-        .map(k => k.trim())
-        .filter(k => k.length > 0);
-      
-      return keywords.every(keyword => 
-        lowerName.includes(keyword.toLowerCase())
-      );
-    }
+    this.reportArchive = reportArchive; // 생성한 HTML 리포트 보관함
   }
 
   /**
@@ -60,6 +51,10 @@ export class UnifiedSearchService {
             filename: {
               type: 'string',
               description: '저장할 파일명 (선택, 기본값: 자동생성)'
+            },
+            creator: {
+              type: 'string',
+              description: '리포트 작성자 (선택, 기본값: REPORT_CREATOR 또는 시스템 사용자명)'
             }
           },
           required: ['command']
@@ -77,14 +72,57 @@ export class UnifiedSearchService {
             },
             output_format: {
               type: 'string',
-              enum: ['text', 'html'],
+              enum: ['text', 'html', 'json'],
+              default: 'text',
+              description: '출력 형식 - text: 텍스트 형식(기본값), html: HTML 테이블 형식, json: 구조화된 JSON'
+            }
+          },
+          required: ['command']
+        }
+      },
+      {
+        name: 'taxonomy_pivot_report',
+        description: '캠페인명/광고명 해시태그 기준으로 광고비, CTR, CPA, 전환수를 피벗합니다 (예: 담당자별 성과, #숏폼 vs #이미지 소재 비교). 모든 매체 결과를 합산합니다.',
+        inputSchema: {
+          type: 'object',
+          properties: {
+            command: {
+              type: 'string',
+              description: '검색 명령어 (예: "키워드: 날짜:지난달 매체:전체 과금:CPA")'
+            },
+            dimension: {
+              type: 'string',
+              description: '피벗 기준 - 분류 필드(담당자, 업종, 과금, 광고주) 또는 쉼표로 구분한 태그 목록(예: "숏폼,이미지"). 생략 시 명령어의 피벗: 값 사용'
+            },
+            output_format: {
+              type: 'string',
+              enum: ['text', 'html', 'json'],
               default: 'text',
-              description: '출력 형식 - text: 텍스트 형식(기본값), html: HTML 테이블 형식'
+              description: '출력 형식 - text: 텍스트 형식(기본값), html: HTML 리포트, json: 구조화된 JSON'
             }
           },
           required: ['command']
         }
       },
+      {
+        name: 'bulk_toggle_campaigns_by_command',
+        description: '검색 명령어(키워드, 매체, 계정, 분류 조건)에 맞는 모든 매체의 캠페인을 한 번에 활성/중지합니다 (예: 계약 중단 광고주 전체 중지). 처음 호출하면 대상 미리보기와 확인 토큰만 돌려주며, 같은 인자에 confirmation_token을 붙여 다시 호출해야 실행됩니다. 실행할 때는 다시 검색하지 않고 미리보기 대상만 바꾸며, 그 사이 상태가 바뀐 캠페인이 있으면 실행하지 않습니다. 결과는 매체별 표로 보여줍니다.',
+        inputSchema: {
+          type: 'object',
+          properties: {
+            command: {
+              type: 'string',
+              description: '검색 명령어 (예: "키워드:고병우 매체:전체"). 키워드 또는 캠페인ID가 필요하며, 기간 내 지출과 상태: 조건에 관계없이 이름이 맞는 캠페인을 모두 대상으로 합니다'
+            },
+            status: {
+              type: 'string',
+              enum: ['active', 'paused'],
+              description: '변경할 상태 (active: 활성, paused: 중지)'
+            }
+          },
+          required: ['command', 'status']
+        }
+      },
       {
         name: 'search_help',
         description: '정형화된 검색 명령어 사용법과 예시를 제공합니다',
@@ -106,18 +144,23 @@ export class UnifiedSearchService {
 
   /**
    * 도구 호출 처리
+   * @param {object} options - {approvedChanges: 확인 토큰의 미리보기 변경 내역 (MutationGuard 참고)}
    */
-  async handleToolCall(toolName, args) {
+  async handleToolCall(toolName, args, options = {}) {
     try {
       switch (toolName) {
         case 'structured_campaign_search':
           return await this.executeStructuredSearch(args.command, args.output_format);
+        case 'taxonomy_pivot_report':
+          return await this.executeTaxonomyPivot(args.command, args.dimension, args.output_format);
         case 'search_help':
           return this.getSearchHelp();
         case 'test_html_output':
           return this.testHtmlOutput();
         case 'generate_html_file':
-          return await this.generateHtmlFile(args.command, args.filename);
+          return await this.generateHtmlFile(args.command, args.filename, args.creator);
+        case 'bulk_toggle_campaigns_by_command':
+          return await this.bulkToggleCampaignsByCommand(args, options.approvedChanges);
         default:
           throw new Error(`Unknown unified search tool: ${toolName}`);
       }
@@ -150,13 +193,22 @@ export class UnifiedSearchService {
       const platformResults = await this.fetchCampaignData(command);
       
       // 3단계: 키워드 필터링
-      const filteredResults = this.filterByKeyword(platformResults, command.keyword);
+      const filteredResults = this.filterCampaigns(platformResults, command);
       
       // 4단계: 광고별 성과 조회
-      const detailedResults = await this.fetchAdLevelData(filteredResults, command);
+      const adLevelResults = await this.fetchAdLevelData(filteredResults, command);
+      
+      // 5단계: 성과 지표 조건 필터링 (조건: 파라미터가 있는 경우)
+      const conditionedResults = this.filterByMetricConditions(adLevelResults, command);
       
-      // 5단계: 결과 포맷팅
-      return await this.formatSearchResults(detailedResults, command, outputFormat);
+      // 6단계: 정렬 및 상위/하위 N개 선택 (정렬:, 상위:, 하위: 파라미터가 있는 경우)
+      const detailedResults = this.applySortAndLimit(conditionedResults, command);
+      
+      // 7단계: 비교 기간 조회 (비교: 파라미터가 있는 경우)
+      const comparison = await this.fetchComparisonData(detailedResults, command);
+      
+      // 8단계: 결과 포맷팅
+      return await this.formatSearchResults(detailedResults, command, outputFormat, comparison);
 
     } catch (error) {
       console.error('Structured search execution error:', error.message);
@@ -164,6 +216,366 @@ export class UnifiedSearchService {
     }
   }
 
+  /**
+   * 해시태그 피벗 리포트 실행
+   * 통합 검색과 같은 방식으로 광고별 성과를 조회한 뒤 태그 기준으로 다시 묶음
+   */
+  async executeTaxonomyPivot(commandString, dimension, outputFormat = 'text') {
+    try {
+      const command = parseUserCommand(commandString);
+      if (dimension) {
+        command.pivotDimension = dimension;
+      }
+
+      if (!command.pivotDimension) {
+        command.errors.push('피벗 기준이 필요합니다 (예: 피벗:담당자, 피벗:숏폼,이미지)');
+        command.isValid = false;
+      }
+
+      if (!validateCommand(command)) {
+        return this.createErrorResponse(`명령어 오류: ${command.errors.join(', ')}`);
+      }
+
+      const platformResults = await this.fetchCampaignData(command);
+      const filteredResults = this.filterCampaigns(platformResults, command);
+      const adLevelResults = await this.fetchAdLevelData(filteredResults, command);
+      const detailedResults = this.applySortAndLimit(this.filterByMetricConditions(adLevelResults, command), command);
+
+      if (outputFormat === 'html') {
+        return await this.generateHtmlReport(detailedResults, command);
+      }
+
+      const pivot = buildTaxonomyPivot(detailedResults, resolvePivotDimension(command.pivotDimension));
+
+      if (outputFormat === 'json') {
+        return {
+          content: [
+            {
+              type: 'text',
+              text: JSON.stringify(pivot, null, 2)
+            }
+          ]
+        };
+      }
+
+      const errors = Object.entries(detailedResults)
+        .filter(([, { error }]) => error)
+        .map(([platform, { error }]) => `- ${platform}: ${error}`);
+
+      let result = `${formatCommandSummary(command)}\n\n${this.formatTaxonomyPivotText(pivot)}`;
+      if (errors.length > 0) {
+        result += `\n\n**조회 실패 매체**\n${errors.join('\n')}`;
+      }
+
+      return {
+        content: [
+          {
+            type: 'text',
+            text: result
+          }
+        ]
+      };
+
+    } catch (error) {
+      console.error('Taxonomy pivot execution error:', error.message);
+      return this.createErrorResponse(`피벗 리포트 생성 중 오류가 발생했습니다: ${error.message}`);
+    }
+  }
+
+  // === 검색 명령어 기준 캠페인 일괄 상태 변경 ===
+
+  /**
+   * 매체의 캠페인 단일 상태 변경 도구와 목표 상태 원본값
+   * @param {string} platform - 매체 코드
+   * @param {string} targetStatus - 공통 상태 (active 또는 paused)
+   * @returns {object} {service, toolName, target, status} 또는 변경할 수 없는 경우 {error}
+   */
+  resolveCampaignStatusTool(platform, targetStatus) {
+    const service = this.services[platform];
+    if (!service || typeof service.getStatusMutationTargets !== 'function') {
+      return { error: '상태 변경을 지원하지 않는 매체입니다' };
+    }
+
+    const [toolName, target] = Object.entries(service.getStatusMutationTargets())
+      .find(([, item]) => item.entityType === 'campaign' && item.idArg) || [];
+    const statuses = service.getTools().find(tool => tool.name === toolName)?.inputSchema?.properties?.status?.enum || [];
+    const status = statuses.find(value => normalizeDeliveryStatus(platform, value) === targetStatus);
+
+    if (!toolName || !status) {
+      return { error: '캠페인 상태 변경 도구가 없습니다' };
+    }
+    if (!isToolEnabled(toolName)) {
+      return { error: `${toolName} 도구가 비활성화되어 있습니다` };
+    }
+    return { service, toolName, target, status };
+  }
+
+  /**
+   * 명령어에 맞는 캠페인과 변경 내역 (dry_run, 확인 토큰, 감사 로그용)
+   * 기간 내 지출이 없는 캠페인도 포함하고 상태: 조건은 무시해 실행 전후 대상이 같도록 함 (이미 목표 상태인 캠페인은 실행 시 건너뜀)
+   * 확인 토큰으로 실행할 때(approvedChanges)는 다시 검색하지 않고 미리보기 대상의 현재 상태만 다시 조회
+   * @param {string} toolName - bulk_toggle_campaigns_by_command
+   * @param {object} args - {command, status}
+   * @param {Array|null} approvedChanges - 확인 토큰에 저장된 미리보기 변경 내역
+   * @returns {Promise<Array>} [{platform, entity_type, id, name, current_status, target_status, account_id, account_name}] (변경할 수 없는 매체의 캠페인은 error 포함)
+   * @throws {Error} 명령어 오류, 키워드/캠페인ID 없음 또는 매체 조회 실패
+   */
+  async previewMutation(toolName, args, approvedChanges = null) {
+    if (toolName !== 'bulk_toggle_campaigns_by_command') {
+      throw new Error(`미리보기를 지원하지 않는 도구입니다: ${toolName}`);
+    }
+
+    const targetStatus = parseStatusFilter(args.status);
+    if (!targetStatus) {
+      throw new Error('변경할 상태는 active(활성) 또는 paused(중지)만 가능합니다');
+    }
+
+    if (approvedChanges) {
+      return await this.refreshApprovedCampaignChanges(approvedChanges, targetStatus);
+    }
+
+    const command = parseUserCommand(args.command || '');
+    if (!validateCommand(command)) {
+      throw new Error(`명령어 오류: ${command.errors.join(', ')}`);
+    }
+    if (!this.hasDirectIds(command) && !(command.keyword || '').trim()) {
+      throw new Error('모든 캠페인을 한 번에 바꾸지 않도록 키워드 또는 캠페인ID가 필요합니다 (예: 키워드:고병우 매체:전체)');
+    }
+
+    command.includeZeroSpend = true;
+    command.statusFilter = null;
+
+    const platformResults = this.filterCampaigns(await this.fetchCampaignData(command), command);
+
+    const failedPlatforms = Object.entries(platformResults)
+      .filter(([platform, { error }]) => error && this.services[platform])
+      .map(([platform, { error }]) => `${PLATFORM_NAMES[platform] || platform}: ${error}`);
+    if (failedPlatforms.length > 0) {
+      // 일부 매체만 바뀌지 않도록 조회 실패 시 전체 중단
+      throw new Error(`캠페인 조회에 실패한 매체가 있습니다. 매체:를 조정해 다시 시도하세요\n${failedPlatforms.join('\n')}`);
+    }
+
+    const platformChanges = await Promise.all(Object.entries(platformResults).map(async ([platform, { campaigns }]) => {
+      const statusTool = this.resolveCampaignStatusTool(platform, targetStatus);
+      const targetCampaigns = campaigns.filter(campaign => campaign.delivery_status !== 'deleted');
+      const configuredStatuses = statusTool.error ? new Map() : await this.getConfiguredCampaignStatuses(statusTool.service, targetCampaigns);
+
+      return targetCampaigns.map(campaign => ({
+        platform,
+        entity_type: 'campaign',
+        id: String(campaign.campaign_id),
+        name: campaign.campaign_name || campaign.name || null,
+        current_status: configuredStatuses.get(String(campaign.campaign_id)) ?? null,
+        target_status: statusTool.status ?? null,
+        ...(campaign.account_id && { account_id: String(campaign.account_id), account_name: campaign.account_name }),
+        ...(statusTool.error && { error: statusTool.error })
+      }));
+    }));
+
+    return platformChanges.flat();
+  }
+
+  /**
+   * 미리보기에서 확인한 캠페인의 현재 설정 상태 다시 조회 (미리보기 이후 새로 검색되는 캠페인은 대상에서 제외)
+   * @param {Array} changes - 확인 토큰에 저장된 미리보기 변경 내역
+   * @param {string} targetStatus - 공통 상태 (active 또는 paused)
+   * @returns {Promise<Array>} 같은 대상의 변경 내역 (current_status만 현재 값, 찾지 못한 캠페인은 null)
+   */
+  async refreshApprovedCampaignChanges(changes, targetStatus) {
+    const platforms = [...new Set(changes.filter(change => !change.error).map(change => change.platform))];
+    const platformStatuses = new Map(await Promise.all(platforms.map(async (platform) => {
+      const statusTool = this.resolveCampaignStatusTool(platform, targetStatus);
+      if (statusTool.error) {
+        return [platform, { error: statusTool.error }];
+      }
+
+      const campaigns = changes
+        .filter(change => change.platform === platform && !change.error)
+        .map(change => ({ campaign_id: change.id, account_id: change.account_id }));
+      return [platform, { statuses: await this.getConfiguredCampaignStatuses(statusTool.service, campaigns) }];
+    })));
+
+    return changes.map(change => {
+      if (change.error) {
+        return change;
+      }
+      const { statuses, error } = platformStatuses.get(change.platform);
+      return error
+        ? { ...change, current_status: null, error }
+        : { ...change, current_status: statuses.get(change.id) ?? null };
+    });
+  }
+
+  /**
+   * 캠페인에 설정된 상태 (상태 변경 도구가 받는 값, 예: Facebook ACTIVE/PAUSED)
+   * 검색 결과의 configured_status(없으면 status)를 그대로 쓰고, 상태가 없는 캠페인(광고ID로 찾은 캠페인, 미리보기 대상 재조회)만
+   * 매체별로 getCampaignsByIds 한 번으로 조회 (Facebook status는 effective_status라 configured_status 우선)
+   * @param {object} service - 매체 서비스
+   * @param {Array} campaigns - 대상 캠페인 목록 [{campaign_id, configured_status?, status?}]
+   * @returns {Promise<Map>} 캠페인 ID → 설정 상태 (조회하지 못한 캠페인은 제외)
+   */
+  async getConfiguredCampaignStatuses(service, campaigns) {
+    const statuses = new Map();
+    const missingIds = [];
+    campaigns.forEach(campaign => {
+      const status = campaign.configured_status ?? campaign.status;
+      if (status) {
+        statuses.set(String(campaign.campaign_id), status);
+      } else {
+        missingIds.push(String(campaign.campaign_id));
+      }
+    });
+
+    if (missingIds.length > 0 && typeof service.getCampaignsByIds === 'function') {
+      try {
+        (await service.getCampaignsByIds(missingIds)).forEach(campaign => {
+          const status = campaign.configured_status ?? campaign.status;
+          if (status) {
+            statuses.set(String(campaign.campaign_id), status);
+          }
+        });
+      } catch (error) {
+        console.error(`${PLATFORM_NAMES[service.platform] || service.platform} 캠페인 상태 조회 실패:`, error.message);
+      }
+    }
+
+    return statuses;
+  }
+
+  /**
+   * 검색 명령어에 맞는 캠페인을 모든 매체에서 활성/중지
+   * 매체별 캠페인 상태 변경 도구를 캠페인마다 호출하고 매체별 결과 표를 반환
+   * @param {object} args - {command, status}
+   * @param {Array|null} approvedChanges - 확인 토큰에 저장된 미리보기 변경 내역 (있으면 이 캠페인만 변경)
+   * @returns {Promise<object>} MCP 응답
+   */
+  async bulkToggleCampaignsByCommand(args, approvedChanges = null) {
+    let changes;
+    try {
+      changes = await this.previewMutation('bulk_toggle_campaigns_by_command', args, approvedChanges);
+    } catch (error) {
+      return {
+        content: [
+          {
+            type: 'text',
+            text: `❌ **캠페인 일괄 상태 변경 실패**\n\n**오류**: ${error.message}`
+          }
+        ]
+      };
+    }
+
+    if (changes.length === 0) {
+      return {
+        content: [
+          {
+            type: 'text',
+            text: `ℹ️ **캠페인 일괄 상태 변경**\n\n명령어에 맞는 캠페인이 없습니다: ${args.command}`
+          }
+        ]
+      };
+    }
+
+    // 미리보기 이후 상태가 바뀌었거나 사라진 캠페인이 있으면 확인한 내용과 다르게 바뀌지 않도록 전체 중단
+    if (approvedChanges) {
+      const changeKey = change => `${change.platform}:${change.id}`;
+      const approvedStatuses = new Map(approvedChanges.map(change => [changeKey(change), change.current_status ?? null]));
+      const drifted = changes.filter(change => !change.error && change.current_status !== approvedStatuses.get(changeKey(change)));
+      if (drifted.length > 0) {
+        const details = drifted
+          .map(change => `- ${PLATFORM_NAMES[change.platform] || change.platform} ${change.name || '(이름 없음)'} (${change.id}): ${approvedStatuses.get(changeKey(change)) ?? '알 수 없음'} → ${change.current_status ?? '찾을 수 없음'}`)
+          .join('\n');
+        return {
+          content: [
+            {
+              type: 'text',
+              text: `❌ **캠페인 일괄 상태 변경 실패**\n\n**오류**: 미리보기 이후 상태가 바뀐 캠페인이 있어 아무것도 바꾸지 않았습니다. 다시 미리보기를 받으세요\n\n${details}`
+            }
+          ]
+        };
+      }
+    }
+
+    const targetStatus = parseStatusFilter(args.status);
+    const results = [];
+    for (const change of changes) {
+      if (change.error) {
+        results.push({ change, outcome: 'failed', message: change.error });
+        continue;
+      }
+      if (change.current_status === change.target_status) {
+        results.push({ change, outcome: 'unchanged' });
+        continue;
+      }
+
+      const { service, toolName, target } = this.resolveCampaignStatusTool(change.platform, targetStatus);
+      const toolArgs = {
+        [target.idArg]: change.id,
+        status: change.target_status,
+        ...(target.accountArg && change.account_id && { [target.accountArg]: change.account_id })
+      };
+
+      try {
+        const response = await service.handleToolCall(toolName, toolArgs);
+        const text = response?.content?.[0]?.text || '';
+        results.push(text.startsWith('❌')
+          ? { change, outcome: 'failed', message: text.split('\n\n')[1]?.replace('**오류**: ', '') || '변경 실패' }
+          : { change, outcome: 'changed' });
+      } catch (error) {
+        results.push({ change, outcome: 'failed', message: error.message });
+      }
+    }
+
+    return {
+      content: [
+        {
+          type: 'text',
+          text: this.formatBulkToggleResults(args.command, targetStatus, results)
+        }
+      ]
+    };
+  }
+
+  /**
+   * 일괄 상태 변경 결과 텍스트 (매체별 표 + 실패 목록)
+   * @param {string} commandString - 검색 명령어
+   * @param {string} targetStatus - 공통 상태 (active 또는 paused)
+   * @param {Array} results - [{change, outcome: changed|unchanged|failed, message}]
+   * @returns {string} 결과 텍스트
+   */
+  formatBulkToggleResults(commandString, targetStatus, results) {
+    const failed = results.filter(result => result.outcome === 'failed');
+    const changed = results.filter(result => result.outcome === 'changed');
+    const title = failed.length === 0
+      ? '✅ **캠페인 일괄 상태 변경 완료**'
+      : changed.length > 0 ? '⚠️ **캠페인 일괄 상태 변경 일부 실패**' : '❌ **캠페인 일괄 상태 변경 실패**';
+
+    let text = `${title}\n\n`;
+    text += `명령어: ${commandString}\n`;
+    text += `변경할 상태: ${getStatusLabel(targetStatus)}\n\n`;
+    text += '| 매체 | 대상 | 변경 | 이미 목표 상태 | 실패 |\n';
+    text += '|------|------|------|----------------|------|\n';
+
+    const platforms = [...new Set(results.map(result => result.change.platform))];
+    platforms.forEach(platform => {
+      const platformResults = results.filter(result => result.change.platform === platform);
+      const count = outcome => platformResults.filter(result => result.outcome === outcome).length;
+      text += `| ${PLATFORM_NAMES[platform] || platform} | ${platformResults.length} | ${count('changed')} | ${count('unchanged')} | ${count('failed')} |\n`;
+    });
+    if (platforms.length > 1) {
+      const count = outcome => results.filter(result => result.outcome === outcome).length;
+      text += `| **합계** | ${results.length} | ${count('changed')} | ${count('unchanged')} | ${count('failed')} |\n`;
+    }
+
+    if (failed.length > 0) {
+      text += `\n**실패한 캠페인**\n`;
+      failed.forEach(({ change, message }) => {
+        text += `- ${PLATFORM_NAMES[change.platform] || change.platform} ${change.name || '(이름 없음)'} (${change.id}): ${message}\n`;
+      });
+    }
+
+    return text.trimEnd();
+  }
+
   /**
    * 지정된 매체에서 캠페인 데이터 조회 (병렬)
    */
@@ -179,13 +591,16 @@ export class UnifiedSearchService {
           return { platform, data: [], error: `${platform} 서비스가 설정되지 않았습니다` };
         }
 
-        // 날짜 필터링된 캠페인 목록 조회
-        const campaignData = await service.getCampaignListWithDateFilter(
-          command.startDate,
-          command.endDate
-        );
+        // ID 직접 조회 또는 날짜 필터링된 캠페인 목록 조회
+        const campaignData = this.hasDirectIds(command)
+          ? await this.fetchCampaignsByIds(service, platform, command)
+          : await service.getCampaignListWithDateFilter(
+            command.startDate,
+            command.endDate,
+            this.getCampaignQueryOptions(command)
+          );
         
-        return { platform, data: campaignData, error: null };
+        return { platform, data: annotateTaxonomy(campaignData), error: null };
       } catch (error) {
         console.error(`Error fetching data from ${platform}:`, error.message);
         return { platform, data: [], error: error.message };
@@ -205,8 +620,145 @@ export class UnifiedSearchService {
     return results;
   }
 
+  /**
+   * 캠페인ID:/광고ID: 파라미터가 있는지 확인
+   * @param {object} command - 파싱된 명령어 객체
+   */
+  hasDirectIds(command) {
+    return command.campaignIds?.length > 0 || command.adIds?.length > 0;
+  }
+
+  /**
+   * ID로 캠페인 직접 조회 (광고ID는 소속 캠페인으로 변환)
+   * @param {object} service - 매체 서비스
+   * @param {string} platform - 매체 코드
+   * @param {object} command - 파싱된 명령어 객체
+   * @returns {Array} 캠페인 목록 (중복 제거)
+   */
+  async fetchCampaignsByIds(service, platform, command) {
+    const campaignIds = getIdsForPlatform(command.campaignIds, platform);
+    const adIds = getIdsForPlatform(command.adIds, platform);
+
+    const campaigns = campaignIds.length > 0 ? await service.getCampaignsByIds(campaignIds) : [];
+    const ads = adIds.length > 0 ? await service.getAdsByIds(adIds) : [];
+
+    const campaignMap = new Map(campaigns.map(campaign => [String(campaign.campaign_id), campaign]));
+    ads.forEach(ad => {
+      const campaignId = String(ad.campaign_id);
+      if (!campaignMap.has(campaignId)) {
+        campaignMap.set(campaignId, {
+          campaign_id: campaignId,
+          campaign_name: ad.campaign_name,
+          name: ad.campaign_name, // 호환성을 위한 별칭
+          ...(ad.account_id ? { account_id: ad.account_id, account_name: ad.account_name } : {})
+        });
+      }
+    });
+
+    console.error(`${platform}: ID 직접 조회로 ${campaignMap.size}개 캠페인 발견`);
+    return Array.from(campaignMap.values());
+  }
+
+  /**
+   * 광고ID: 파라미터가 있으면 요청한 광고만 남김
+   * 캠페인ID:로 직접 요청한 캠페인의 광고는 모두 유지
+   * @param {Array} ads - 광고 목록
+   * @param {string} platform - 매체 코드
+   * @param {object} command - 파싱된 명령어 객체
+   */
+  filterAdsByDirectIds(ads, platform, command) {
+    if (!(command.adIds?.length > 0)) {
+      return ads;
+    }
+
+    const adIds = getIdsForPlatform(command.adIds, platform);
+    const campaignIds = getIdsForPlatform(command.campaignIds, platform);
+
+    return ads.filter(ad =>
+      adIds.includes(String(ad.ad_id)) || campaignIds.includes(String(ad.campaign_id))
+    );
+  }
+
+  /**
+   * 명령어 조건으로 캠페인 필터링 (키워드 → 상태 → 해시태그 분류)
+   * ID 직접 조회 시에는 키워드(이름) 매칭을 건너뜀
+   * @param {object} platformResults - 매체별 캠페인 조회 결과
+   * @param {object} command - 파싱된 명령어 객체
+   */
+  filterCampaigns(platformResults, command) {
+    const keywordExpression = this.hasDirectIds(command) ? null : command.keywordExpression;
+    const keywordFiltered = this.filterByKeyword(platformResults, keywordExpression);
+    const statusFiltered = this.filterByStatus(keywordFiltered, command.statusFilter);
+    return this.filterByTaxonomy(statusFiltered, command.taxonomyFilters);
+  }
+
+  /**
+   * 캠페인 상태로 필터링 (상태:활성, 상태:중지)
+   * 목록 조회는 매체 서비스에서 이미 필터링하므로 ID 직접 조회 결과에 주로 적용됨
+   * @param {object} platformResults - 매체별 캠페인 조회 결과
+   * @param {string|null} statusFilter - command.statusFilter
+   */
+  filterByStatus(platformResults, statusFilter) {
+    if (!statusFilter) {
+      return platformResults;
+    }
+
+    const filteredResults = {};
+
+    Object.entries(platformResults).forEach(([platform, { campaigns, error }]) => {
+      if (error) {
+        filteredResults[platform] = { campaigns: [], error };
+        return;
+      }
+
+      const matchedCampaigns = campaigns.filter(campaign => matchesStatusFilter(campaign.delivery_status, statusFilter));
+
+      if (matchedCampaigns.length > 0) {
+        filteredResults[platform] = {
+          campaigns: matchedCampaigns,
+          error: null
+        };
+      }
+    });
+
+    return filteredResults;
+  }
+
+  /**
+   * 캠페인명 해시태그 분류로 캠페인 필터링 (담당자:, 업종:, 과금: 등)
+   * @param {object} platformResults - 매체별 캠페인 조회 결과
+   * @param {object} taxonomyFilters - command.taxonomyFilters
+   */
+  filterByTaxonomy(platformResults, taxonomyFilters) {
+    if (!taxonomyFilters || Object.keys(taxonomyFilters).length === 0) {
+      return platformResults;
+    }
+
+    const filteredResults = {};
+
+    Object.entries(platformResults).forEach(([platform, { campaigns, error }]) => {
+      if (error) {
+        filteredResults[platform] = { campaigns: [], error };
+        return;
+      }
+
+      const matchedCampaigns = campaigns.filter(campaign => matchesTaxonomyFilters(campaign.taxonomy, taxonomyFilters));
+
+      if (matchedCampaigns.length > 0) {
+        filteredResults[platform] = {
+          campaigns: matchedCampaigns,
+          error: null
+        };
+      }
+    });
+
+    return filteredResults;
+  }
+
   /**
    * 키워드로 캠페인 필터링
+   * @param {object} platformResults - 매체별 캠페인 조회 결과
+   * @param {object|string|null} keyword - 키워드 구문 트리(command.keywordExpression) 또는 키워드 문자열
    */
   filterByKeyword(platformResults, keyword) {
     const filteredResults = {};
@@ -219,7 +771,7 @@ export class UnifiedSearchService {
 
       const matchedCampaigns = campaigns.filter(campaign => {
         const campaignName = campaign.campaign_name || campaign.name || '';
-        return this.matchesKeywords(campaignName, keyword);
+        return matchesKeywords(campaignName, keyword);
       });
 
       if (matchedCampaigns.length > 0) {
@@ -253,12 +805,13 @@ export class UnifiedSearchService {
         const adPerformance = await service.getAdLevelPerformance(
           campaignIds,
           command.startDate,
-          command.endDate
+          command.endDate,
+          this.getAdQueryOptions(command)
         );
 
         detailedResults[platform] = {
           campaigns,
-          ads: adPerformance || [],
+          ads: annotateAdTaxonomy(this.filterAdsByDirectIds(adPerformance, platform, command), campaigns),
           error: null
         };
       } catch (error) {
@@ -274,6 +827,243 @@ export class UnifiedSearchService {
     return detailedResults;
   }
 
+  /**
+   * 표시 단위별 성과 묶음 생성 (조건 필터링, 정렬의 기준 단위)
+   * @param {Array} campaigns - 캠페인 목록
+   * @param {Array} ads - 광고 목록
+   * @param {string} displayUnit - 표시 단위 (campaign, adset, ad)
+   * @returns {Array} [{campaign, adset, ad, ads, name}] - ads는 해당 묶음에 속한 광고들
+   */
+  getUnitGroups(campaigns, ads, displayUnit) {
+    return this.groupAdsByCampaign(campaigns, ads).flatMap(({ campaign, campaignAds }) => {
+      const campaignName = campaign.campaign_name || campaign.name;
+
+      if (displayUnit === 'campaign') {
+        return [{ campaign, ads: campaignAds, name: campaignName }];
+      }
+
+      if (displayUnit === 'adset') {
+        return this.groupAdsByAdset(campaignAds).map(({ adset, adsetAds }) => ({
+          campaign,
+          adset,
+          ads: adsetAds,
+          name: `${campaignName} > ${adset.adset_name}`
+        }));
+      }
+
+      return campaignAds.map(ad => ({ campaign, ad, ads: [ad], name: `${campaignName} > ${ad.ad_name || ad.name}` }));
+    });
+  }
+
+  /**
+   * 묶음 목록으로 매체 결과 재구성
+   * 캠페인 단위면 묶음의 캠페인을, 그 외에는 남은 광고가 처음 등장하는 순서로 캠페인을 나열
+   * @param {Array} groups - getUnitGroups 결과 중 남길 묶음 (순서 유지)
+   * @param {Array} campaigns - 원래 캠페인 목록
+   * @param {string} displayUnit - 표시 단위
+   * @param {boolean} keepEmptyCampaigns - 광고가 남지 않은 캠페인을 뒤에 유지할지 여부
+   * @returns {object} {campaigns, ads, error}
+   */
+  rebuildFromGroups(groups, campaigns, displayUnit, keepEmptyCampaigns = false) {
+    const groupedCampaigns = [...new Set(groups.map(group => group.campaign))];
+    const remainingCampaigns = keepEmptyCampaigns && displayUnit !== 'campaign'
+      ? campaigns.filter(campaign => !groupedCampaigns.includes(campaign))
+      : [];
+
+    return {
+      campaigns: [...groupedCampaigns, ...remainingCampaigns],
+      ads: groups.flatMap(group => group.ads),
+      error: null
+    };
+  }
+
+  /**
+   * 성과 지표 조건으로 결과 필터링 (조건:CTR>1.5 광고비>=100000 전환수=0)
+   * 단위:캠페인이면 캠페인 합산, 단위:광고세트면 광고세트 합산, 그 외에는 광고별 성과로 거름
+   * @param {object} detailedResults - fetchAdLevelData 결과
+   * @param {object} command - 파싱된 명령어 객체
+   * @returns {object} 조건을 만족하는 캠페인/광고만 남긴 결과
+   */
+  filterByMetricConditions(detailedResults, command) {
+    const conditions = command.metricConditions;
+    if (!conditions || conditions.length === 0) {
+      return detailedResults;
+    }
+
+    const conditionedResults = {};
+
+    Object.entries(detailedResults).forEach(([platform, { campaigns, ads, error }]) => {
+      if (error) {
+        conditionedResults[platform] = { campaigns, ads, error };
+        return;
+      }
+
+      const matchedGroups = this.getUnitGroups(campaigns, ads, command.displayUnit)
+        .filter(group => itemsMatchConditions(group.ads, conditions));
+
+      conditionedResults[platform] = this.rebuildFromGroups(matchedGroups, campaigns, command.displayUnit);
+    });
+
+    return conditionedResults;
+  }
+
+  /**
+   * 정렬 및 상위/하위 N개 선택 (정렬:CPA 상위:10, 하위:5)
+   * 표시 단위(캠페인/광고세트/광고) 기준으로 전체 매체를 통틀어 순위를 매김
+   * @param {object} detailedResults - fetchAdLevelData 결과
+   * @param {object} command - 파싱된 명령어 객체
+   * @returns {object} 순위대로 정렬된 결과 (매체 내 캠페인/광고 순서 반영)
+   */
+  applySortAndLimit(detailedResults, command) {
+    if (!command.sort && !command.limit) {
+      return detailedResults;
+    }
+
+    const { metric, direction } = resolveSortSettings(command);
+    const ranking = this.buildRanking(detailedResults, command);
+    const sortedResults = {};
+
+    Object.entries(detailedResults).forEach(([platform, { campaigns, ads, error }]) => {
+      if (error) {
+        sortedResults[platform] = { campaigns, ads, error };
+        return;
+      }
+
+      // 묶음 안의 광고도 같은 기준으로 정렬
+      const platformGroups = ranking
+        .filter(entry => entry.platform === platform)
+        .map(entry => ({ ...entry, ads: sortByMetric(entry.ads, ad => summarizeMetrics([ad]), metric, direction) }));
+
+      sortedResults[platform] = this.rebuildFromGroups(platformGroups, campaigns, command.displayUnit, !command.limit);
+    });
+
+    return sortedResults;
+  }
+
+  /**
+   * 전체 매체를 통틀어 정렬 기준으로 순위 계산
+   * @param {object} detailedResults - fetchAdLevelData 결과
+   * @param {object} command - 파싱된 명령어 객체 (sort, limit, displayUnit)
+   * @returns {Array} [{platform, campaign, adset, ad, ads, name, metrics}] - 순위 순서
+   */
+  buildRanking(detailedResults, command) {
+    const entries = [];
+
+    Object.entries(detailedResults).forEach(([platform, { campaigns, ads, error }]) => {
+      if (error) {
+        return;
+      }
+
+      this.getUnitGroups(campaigns, ads, command.displayUnit).forEach(group => {
+        entries.push({ platform, ...group, metrics: summarizeMetrics(group.ads) });
+      });
+    });
+
+    return rankItems(entries, entry => entry.metrics, command);
+  }
+
+  /**
+   * 결과를 기준 결과에 있는 캠페인/광고로 제한 (기간 비교용)
+   * @param {object} results - 제한할 결과 (비교 기간)
+   * @param {object} referenceResults - 기준 결과 (기준 기간)
+   * @param {string} displayUnit - 표시 단위 (campaign이면 캠페인, adset이면 광고세트 기준으로 제한)
+   * @returns {object} 기준 결과에 있는 캠페인/광고만 남긴 결과
+   */
+  restrictToResults(results, referenceResults, displayUnit = 'ad') {
+    const restrictedResults = {};
+    const getUnitKey = {
+      campaign: ad => String(ad.campaign_id || ad.parent_id),
+      adset: ad => `${ad.campaign_id || ad.parent_id}:${this.getAdsetKey(ad)}`,
+      ad: ad => String(ad.ad_id || ad.ad_name || ad.name)
+    }[displayUnit] || (ad => String(ad.ad_id || ad.ad_name || ad.name));
+
+    Object.entries(results).forEach(([platform, { campaigns, ads, error }]) => {
+      const reference = referenceResults[platform];
+      if (!reference) {
+        return;
+      }
+
+      const campaignIds = new Set(reference.campaigns.map(campaign => String(campaign.campaign_id || campaign.id)));
+      const unitKeys = new Set(reference.ads.map(getUnitKey));
+
+      restrictedResults[platform] = {
+        campaigns: campaigns.filter(campaign => campaignIds.has(String(campaign.campaign_id || campaign.id))),
+        ads: ads.filter(ad => campaignIds.has(String(ad.campaign_id || ad.parent_id)) && (displayUnit === 'campaign' || unitKeys.has(getUnitKey(ad)))),
+        error
+      };
+    });
+
+    return restrictedResults;
+  }
+
+  /**
+   * 매체 서비스에 전달할 날짜 옵션
+   * 각 서비스가 광고 계정 시간대 기준으로 상대 날짜(어제, 이번달 등)를 다시 계산할 수 있도록 함
+   * @param {object} command - 파싱된 명령어 객체
+   * @returns {object} {resolveDateRange: (timeZone) => {startDate, endDate}}
+   */
+  getDateRangeOptions(command) {
+    return {
+      resolveDateRange: (timeZone) => resolveCommandDateRange(command, timeZone, Boolean(command.isComparePeriod))
+    };
+  }
+
+  /**
+   * 매체 서비스의 광고 성과 조회 옵션 (날짜 옵션 + 계정 범위)
+   * @param {object} command - 파싱된 명령어 객체
+   * @returns {object} {resolveDateRange, accountFilter}
+   */
+  getAdQueryOptions(command) {
+    return {
+      ...this.getDateRangeOptions(command),
+      accountFilter: command.accountFilter || []
+    };
+  }
+
+  /**
+   * 매체 서비스의 캠페인 목록 조회 옵션 (광고 성과 조회 옵션 + 상태 필터, 무지출 포함 여부)
+   * @param {object} command - 파싱된 명령어 객체
+   * @returns {object} {resolveDateRange, accountFilter, statusFilter, includeZeroSpend}
+   */
+  getCampaignQueryOptions(command) {
+    return {
+      ...this.getAdQueryOptions(command),
+      statusFilter: command.statusFilter || null,
+      includeZeroSpend: Boolean(command.includeZeroSpend)
+    };
+  }
+
+  /**
+   * 비교 기간 데이터 조회 및 기준 기간과의 증감 계산
+   * @param {object} detailedResults - 기준 기간 광고별 성과 결과
+   * @param {object} command - 파싱된 명령어 객체
+   * @returns {object|null} buildPeriodComparison 결과, 비교 기간이 없으면 null
+   */
+  async fetchComparisonData(detailedResults, command) {
+    if (!command.compareStartDate || !command.compareEndDate) {
+      return null;
+    }
+
+    // 비교 기간으로 동일한 조회 과정 수행
+    const compareCommand = {
+      ...command,
+      startDate: command.compareStartDate,
+      endDate: command.compareEndDate,
+      isComparePeriod: true
+    };
+
+    const platformResults = await this.fetchCampaignData(compareCommand);
+    const filteredResults = this.filterCampaigns(platformResults, compareCommand);
+    const previousResults = await this.fetchAdLevelData(filteredResults, compareCommand);
+
+    // 성과 조건과 상위/하위 N개 선택은 기준 기간에만 적용하고, 비교 기간은 기준 기간에 남은 캠페인/광고만 비교
+    const comparedResults = command.metricConditions?.length > 0 || command.limit
+      ? this.restrictToResults(previousResults, detailedResults, command.displayUnit)
+      : previousResults;
+
+    return buildPeriodComparison(detailedResults, comparedResults, command);
+  }
+
   /**
    * CSS 스타일 생성
    */
@@ -412,6 +1202,20 @@ export class UnifiedSearchService {
         border-left: 5px solid #3498db;
         border-radius: 5px 5px 0 0;
       }
+      .account-section {
+        margin: 10px 0 30px 0;
+        padding-left: 12px;
+        border-left: 4px solid #8e44ad;
+      }
+      .account-name {
+        margin: 10px 0;
+        color: #8e44ad;
+      }
+      .account-name small { color: #6c757d; font-weight: normal; }
+      .status-cell { font-weight: bold; text-align: center; }
+      .status-active { color: #28a745; }
+      .status-paused { color: #dc3545; }
+      .status-deleted, .status-other { color: #6c757d; }
       .campaign-summary, .campaign-daily, .ads-summary, .ads-daily {
         margin: 25px 0;
         padding: 20px;
@@ -511,6 +1315,69 @@ export class UnifiedSearchService {
         background-color: #f8f9fa;
         font-weight: bold;
       }
+      .comparison-section {
+        margin: 30px 0;
+      }
+      .comparison-period {
+        color: #7f8c8d;
+        margin-bottom: 10px;
+      }
+      .comparison-table td {
+        white-space: normal;
+        vertical-align: top;
+      }
+      .comparison-table .previous-value {
+        color: #95a5a6;
+        font-size: 12px;
+      }
+      .comparison-total-row td, .comparison-platform-row td {
+        font-weight: bold;
+        background-color: #eef5fb;
+      }
+      .comparison-ad-row td:first-child {
+        padding-left: 30px;
+      }
+      .campaign-drilldown > summary, .adset-drilldown > summary {
+        cursor: pointer;
+      }
+      .campaign-drilldown > summary h4 {
+        display: inline;
+      }
+      .adset-drilldown {
+        margin: 8px 0 8px 15px;
+        border-left: 3px solid #3498db;
+        padding-left: 10px;
+      }
+      .adset-drilldown .adset-name {
+        font-weight: bold;
+      }
+      .adset-drilldown .adset-meta {
+        color: #7f8c8d;
+        font-size: 12px;
+        margin-left: 10px;
+      }
+      .adset-total-row td {
+        font-weight: bold;
+        background-color: #eef5fb;
+      }
+      .pivot-section, .ranking-section {
+        margin: 30px 0;
+      }
+      .ranking-settings {
+        color: #7f8c8d;
+        margin-bottom: 10px;
+      }
+      .pivot-note {
+        color: #7f8c8d;
+        margin-bottom: 10px;
+      }
+      .pivot-total-row td {
+        font-weight: bold;
+        background-color: #eef5fb;
+      }
+      .pivot-unclassified-row td {
+        color: #95a5a6;
+      }
       
       /* PDF 인쇄 최적화 스타일 */
       @media print {
@@ -648,8 +1515,12 @@ export class UnifiedSearchService {
     const conversionRate = totalClicks > 0 ? (totalConversions / totalClicks * 100).toFixed(2) : '0.00';
     const costPerConversion = totalConversions > 0 ? (totalSpend / totalConversions).toFixed(2) : '0.00';
 
-    // 테이블 헤더 생성
-    const headerHtml = tableColumns.summary.map(col => `<th>${col.startsWith('총') || col.startsWith('평균') ? col : '총 ' + col}</th>`).join('');
+    // 테이블 헤더 생성 (상태 정보가 있는 매체는 상태 컬럼 추가)
+    const statusHeaderHtml = campaign.delivery_status ? '<th>상태</th>' : '';
+    const statusCellHtml = campaign.delivery_status
+      ? `<td class="status-cell status-${campaign.delivery_status}">${getStatusLabel(campaign.delivery_status)}</td>`
+      : '';
+    const headerHtml = statusHeaderHtml + tableColumns.summary.map(col => `<th>${col.startsWith('총') || col.startsWith('평균') ? col : '총 ' + col}</th>`).join('');
     
     // 테이블 데이터 생성 (리포트 타입에 따라)
     let dataHtml = '';
@@ -702,7 +1573,7 @@ export class UnifiedSearchService {
           </thead>
           <tbody>
           <tr>
-            ${dataHtml}
+            ${statusCellHtml}${dataHtml}
           </tr>
         </tbody>
       </table>
@@ -944,11 +1815,143 @@ export class UnifiedSearchService {
         </tr>`;
       });
 
-      html += '</tbody></table></div></div>';
-    });
+      html += '</tbody></table></div></div>';
+    });
+
+    html += '</div>';
+    return html;
+  }
+
+  /**
+   * 광고 성과 테이블 행 HTML 생성 (리포트 타입별 컬럼)
+   * @param {object} ad - 광고 성과 데이터 (광고세트 합산 행은 summarizeMetrics 결과에 name 추가)
+   * @param {string} reportType - 리포트 타입 (internal, A, B, client)
+   * @param {string} rowAttributes - tr 태그에 추가할 속성 (선택)
+   * @returns {string} tr HTML
+   */
+  formatAdRowHtml(ad, reportType, rowAttributes = '') {
+    const spend = parseFloat(ad.spend || 0);
+    const impressions = parseInt(ad.impressions || 0);
+    const clicks = parseInt(ad.clicks || 0);
+    let conversions = parseInt(ad.conversions || 0);
+    const ctr = impressions > 0 ? (clicks / impressions * 100).toFixed(2) : '0.00';
+    const cpm = impressions > 0 ? (spend / impressions * 1000).toFixed(2) : '0.00';
+    const cpc = clicks > 0 ? (spend / clicks).toFixed(2) : '0.00';
+    let costPerConversion = parseFloat(ad.cost_per_conversion || ad.costPerConversion || 0);
+
+    // Facebook Actions 데이터 처리
+    if (conversions === 0 && ad.actions && Array.isArray(ad.actions)) {
+      const actions = ad.actions;
+      const leadActions = actions.find(action => action.action_type === 'lead')?.value || 0;
+      const purchaseActions = actions.find(action => action.action_type === 'purchase')?.value || 0;
+      const registrationActions = actions.find(action => action.action_type === 'complete_registration')?.value || 0;
+      conversions = parseInt(leadActions) + parseInt(purchaseActions) + parseInt(registrationActions);
+
+      if (conversions > 0 && costPerConversion === 0) {
+        costPerConversion = spend / conversions;
+      }
+    }
+
+    const conversionRate = clicks > 0 ? (conversions / clicks * 100).toFixed(2) : '0.00';
+
+    // 광고 데이터 행 생성 (리포트 타입에 따라)
+    let adsDataHtml = '';
+    if (reportType === 'A') {
+      // 광고주용 A타입: 광고비 포함
+      adsDataHtml = `
+        <td>${ad.ad_name || ad.name}</td>
+        <td class="metric-value">₩${spend.toLocaleString()}</td>
+        <td class="metric-value">${impressions.toLocaleString()}</td>
+        <td class="metric-value">${clicks.toLocaleString()}</td>
+        <td class="metric-value">${ctr}%</td>
+        <td class="metric-value">₩${parseFloat(cpc).toLocaleString()}</td>
+        <td class="metric-value">₩${parseFloat(cpm).toLocaleString()}</td>`;
+    } else if (reportType === 'B') {
+      // 광고주용 B타입: 전환수 포함 (편집 가능)
+      const editableConversions = conversions > 0 ? conversions.toLocaleString() : '0';
+      adsDataHtml = `
+        <td>${ad.ad_name || ad.name}</td>
+        <td class="metric-value">${impressions.toLocaleString()}</td>
+        <td class="metric-value">${clicks.toLocaleString()}</td>
+        <td class="metric-value">${ctr}%</td>
+        <td class="metric-value editable-conversion" contenteditable="true" style="background-color: #fffbcc; cursor: text;" data-original="${conversions || 0}">${editableConversions}</td>`;
+    } else if (reportType === 'client') {
+      // 기존 광고주용: 비용 및 전환 관련 정보 제외
+      adsDataHtml = `
+        <td>${ad.ad_name || ad.name}</td>
+        <td class="metric-value">${impressions.toLocaleString()}</td>
+        <td class="metric-value">${clicks.toLocaleString()}</td>
+        <td class="metric-value">${ctr}%</td>`;
+    } else {
+      // 내부용: 모든 정보 포함
+      adsDataHtml = `
+        <td>${ad.ad_name || ad.name}</td>
+        <td class="metric-value">₩${spend.toLocaleString()}</td>
+        <td class="metric-value">${impressions.toLocaleString()}</td>
+        <td class="metric-value">${clicks.toLocaleString()}</td>
+        <td class="metric-value">${ctr}%</td>
+        <td class="metric-value">₩${parseFloat(cpc).toLocaleString()}</td>
+        <td class="metric-value">₩${parseFloat(cpm).toLocaleString()}</td>
+        <td class="metric-value">${conversions > 0 ? conversions.toLocaleString() : '-'}</td>
+        <td class="metric-value">${conversions > 0 ? conversionRate + '%' : '-'}</td>
+        <td class="metric-value">${costPerConversion > 0 ? '₩' + costPerConversion.toLocaleString() : '-'}</td>`;
+    }
+
+    return `
+          <tr${rowAttributes ? ` ${rowAttributes}` : ''}>
+            ${adsDataHtml}
+          </tr>`;
+  }
+
+  /**
+   * 캠페인 → 광고세트 → 광고 드릴다운 HTML 생성
+   * 광고세트마다 합산 성과를 요약에 표시하고, 펼치면 소속 광고별 성과 표시
+   * @param {Array} campaignAds - 한 캠페인의 광고 목록
+   * @param {object} tableColumns - 리포트 타입별 테이블 컬럼
+   * @param {string} reportType - 리포트 타입 (internal, A, B, client)
+   * @returns {string} 광고세트 드릴다운 HTML
+   */
+  formatAdsetDrilldownHtml(campaignAds, tableColumns, reportType) {
+    const adsetGroups = this.groupAdsByAdset(campaignAds);
+    const { metrics, metricLabels } = this.getReportMetrics(reportType);
+    const adsHeaderHtml = tableColumns.ads.map(col => `<th>${col}</th>`).join('');
 
-    html += '</div>';
-    return html;
+    if (adsetGroups.length === 0) {
+      return '<p class="no-data">광고 데이터가 없습니다.</p>';
+    }
+
+    const adsetsHtml = adsetGroups.map(({ adset, adsetAds }) => {
+      const adsetMetrics = summarizeMetrics(adsetAds);
+      const metaText = metrics
+        .map(metric => `${metricLabels[metric]} ${this.formatMetricValue(metric, adsetMetrics[metric])}`)
+        .join(' · ');
+
+      return `
+          <details class="adset-drilldown">
+            <summary>
+              <span class="adset-name">🗂️ ${adset.adset_name}</span>
+              <span class="adset-meta">광고 ${adsetAds.length}개 · ${metaText}</span>
+            </summary>
+            <div class="table-wrapper">
+              <table>
+                <thead>
+                  <tr>
+                    ${adsHeaderHtml}
+                  </tr>
+                </thead>
+                <tbody>${this.formatAdRowHtml({ ...adsetMetrics, name: '광고세트 합계' }, reportType, 'class="adset-total-row"')}${adsetAds.map(ad => this.formatAdRowHtml(ad, reportType)).join('')}
+                </tbody>
+              </table>
+            </div>
+          </details>`;
+    }).join('');
+
+    return `
+        <div class="adsets-summary">
+          <details class="campaign-drilldown" open>
+            <summary><h4>🗂️ 광고세트별 성과 (${adsetGroups.length}개)</h4></summary>${adsetsHtml}
+          </details>
+        </div>`;
   }
 
   /**
@@ -1008,77 +2011,7 @@ export class UnifiedSearchService {
         html += `<tr><td colspan="${tableColumns.ads.length}" class="no-data">광고 데이터가 없습니다.</td></tr>`;
       } else {
         campaignAds.forEach(ad => {
-          const spend = parseFloat(ad.spend || 0);
-          const impressions = parseInt(ad.impressions || 0);
-          const clicks = parseInt(ad.clicks || 0);
-          let conversions = parseInt(ad.conversions || 0);
-          const ctr = impressions > 0 ? (clicks / impressions * 100).toFixed(2) : '0.00';
-          const cpm = impressions > 0 ? (spend / impressions * 1000).toFixed(2) : '0.00';
-          const cpc = clicks > 0 ? (spend / clicks).toFixed(2) : '0.00';
-          let costPerConversion = parseFloat(ad.cost_per_conversion || ad.costPerConversion || 0);
-
-          // Facebook Actions 데이터 처리
-          if (conversions === 0 && ad.actions && Array.isArray(ad.actions)) {
-            const actions = ad.actions;
-            const leadActions = actions.find(action => action.action_type === 'lead')?.value || 0;
-            const purchaseActions = actions.find(action => action.action_type === 'purchase')?.value || 0;
-            const registrationActions = actions.find(action => action.action_type === 'complete_registration')?.value || 0;
-            conversions = parseInt(leadActions) + parseInt(purchaseActions) + parseInt(registrationActions);
-            
-            if (conversions > 0 && costPerConversion === 0) {
-              costPerConversion = spend / conversions;
-            }
-          }
-
-          const conversionRate = clicks > 0 ? (conversions / clicks * 100).toFixed(2) : '0.00';
-
-          // 광고 데이터 행 생성 (리포트 타입에 따라)
-          let adsDataHtml = '';
-          if (reportType === 'A') {
-            // 광고주용 A타입: 광고비 포함
-            adsDataHtml = `
-              <td>${ad.ad_name || ad.name}</td>
-              <td class="metric-value">₩${spend.toLocaleString()}</td>
-              <td class="metric-value">${impressions.toLocaleString()}</td>
-              <td class="metric-value">${clicks.toLocaleString()}</td>
-              <td class="metric-value">${ctr}%</td>
-              <td class="metric-value">₩${parseFloat(cpc).toLocaleString()}</td>
-              <td class="metric-value">₩${parseFloat(cpm).toLocaleString()}</td>`;
-          } else if (reportType === 'B') {
-            // 광고주용 B타입: 전환수 포함 (편집 가능)
-            const editableConversions = conversions > 0 ? conversions.toLocaleString() : '0';
-            adsDataHtml = `
-              <td>${ad.ad_name || ad.name}</td>
-              <td class="metric-value">${impressions.toLocaleString()}</td>
-              <td class="metric-value">${clicks.toLocaleString()}</td>
-              <td class="metric-value">${ctr}%</td>
-              <td class="metric-value editable-conversion" contenteditable="true" style="background-color: #fffbcc; cursor: text;" data-original="${conversions || 0}">${editableConversions}</td>`;
-          } else if (reportType === 'client') {
-            // 기존 광고주용: 비용 및 전환 관련 정보 제외
-            adsDataHtml = `
-              <td>${ad.ad_name || ad.name}</td>
-              <td class="metric-value">${impressions.toLocaleString()}</td>
-              <td class="metric-value">${clicks.toLocaleString()}</td>
-              <td class="metric-value">${ctr}%</td>`;
-          } else {
-            // 내부용: 모든 정보 포함
-            adsDataHtml = `
-              <td>${ad.ad_name || ad.name}</td>
-              <td class="metric-value">₩${spend.toLocaleString()}</td>
-              <td class="metric-value">${impressions.toLocaleString()}</td>
-              <td class="metric-value">${clicks.toLocaleString()}</td>
-              <td class="metric-value">${ctr}%</td>
-              <td class="metric-value">₩${parseFloat(cpc).toLocaleString()}</td>
-              <td class="metric-value">₩${parseFloat(cpm).toLocaleString()}</td>
-              <td class="metric-value">${conversions > 0 ? conversions.toLocaleString() : '-'}</td>
-              <td class="metric-value">${conversions > 0 ? conversionRate + '%' : '-'}</td>
-              <td class="metric-value">${costPerConversion > 0 ? '₩' + costPerConversion.toLocaleString() : '-'}</td>`;
-          }
-
-          html += `
-          <tr>
-            ${adsDataHtml}
-          </tr>`;
+          html += this.formatAdRowHtml(ad, reportType);
         });
       }
 
@@ -1086,6 +2019,9 @@ export class UnifiedSearchService {
 
         // 4. 광고별 일별 성과 (단위별 표시 로직 적용)
         html += this.formatAdsDailyHtml(campaignAds, tableColumns, reportType);
+      } else if (displayUnit === 'adset') {
+        // 3-1. 광고세트 → 광고 드릴다운 (접기/펼치기)
+        html += this.formatAdsetDrilldownHtml(campaignAds, tableColumns, reportType);
       } else {
         // displayUnit이 'campaign'인 경우 광고 단위 성과 제외
         html += '<p style="color: #666; font-style: italic; margin: 20px 0;">☝️ 캠페인 단위로만 표시됩니다.</p>';
@@ -1156,7 +2092,7 @@ export class UnifiedSearchService {
   /**
    * HTML 리포트 생성
    */
-  async generateHtmlReport(detailedResults, command) {
+  async generateHtmlReport(detailedResults, command, comparison = null) {
     const summary = formatCommandSummary(command);
     const platformNames = {
       facebook: 'Facebook Ads',
@@ -1241,7 +2177,20 @@ export class UnifiedSearchService {
       } else if (campaigns.length === 0) {
         bodyHtml += '<p class="no-data">매칭되는 캠페인이 없습니다.</p>';
       } else {
-        bodyHtml += this.formatCampaignTableHtml(campaigns, ads, platform, tableColumns, command.reportType, command.displayUnit);
+        // 광고 계정 정보가 있으면 계정별로 묶어서 표시
+        this.groupCampaignsByAccount(campaigns).forEach(({ account, accountCampaigns }) => {
+          const campaignTableHtml = this.formatCampaignTableHtml(accountCampaigns, ads, platform, tableColumns, command.reportType, command.displayUnit);
+          if (!account) {
+            bodyHtml += campaignTableHtml;
+            return;
+          }
+
+          bodyHtml += `
+        <div class="account-section" data-account-id="${account.account_id}">
+          <h3 class="account-name">🏢 ${account.account_name} <small>(${account.account_id} · ${accountCampaigns.length}개 캠페인)</small></h3>
+          ${campaignTableHtml}
+        </div>`;
+        });
         
         // 집계 업데이트
         totalCampaigns += campaigns.length;
@@ -1399,6 +2348,12 @@ export class UnifiedSearchService {
       </div>
     </div>
 
+    ${(command.sort || command.limit) ? this.formatRankingHtml(this.buildRanking(detailedResults, command), command) : ''}
+
+    ${comparison ? this.formatComparisonHtml(comparison, command.reportType, command.displayUnit) : ''}
+
+    ${command.pivotDimension ? this.formatTaxonomyPivotHtml(buildTaxonomyPivot(detailedResults, command.pivotDimension), command.reportType) : ''}
+    
     ${bodyHtml}
     
     ${summaryHtml}
@@ -1428,9 +2383,13 @@ export class UnifiedSearchService {
   /**
    * 검색 결과 포맷팅
    */
-  async formatSearchResults(detailedResults, command, outputFormat = 'text') {
+  async formatSearchResults(detailedResults, command, outputFormat = 'text', comparison = null) {
     if (outputFormat === 'html') {
-      return await this.generateHtmlReport(detailedResults, command);
+      return await this.generateHtmlReport(detailedResults, command, comparison);
+    }
+
+    if (outputFormat === 'json') {
+      return this.formatJsonResults(detailedResults, command, comparison);
     }
 
     // 기존 텍스트 출력 로직
@@ -1466,19 +2425,37 @@ export class UnifiedSearchService {
 
       result += `${platformName} (${campaigns.length} campaigns, ${ads.length} ads)\n\n`;
       
-      // 캠페인별로 그룹화된 광고들 표시
-      const campaignGroups = this.groupAdsByCampaign(campaigns, ads);
+      // 광고 계정 → 캠페인 순으로 그룹화된 광고들 표시
+      const accountGroups = this.groupCampaignsByAccount(campaigns);
+      const campaignGroups = this.groupAdsByCampaign(accountGroups.flatMap(({ accountCampaigns }) => accountCampaigns), ads);
       
       campaignGroups.forEach(({ campaign, campaignAds }) => {
-        result += `**Campaign**: ${campaign.campaign_name || campaign.name}\n`;
+        const accountGroup = accountGroups.find(({ account, accountCampaigns }) => account && accountCampaigns[0] === campaign);
+        if (accountGroup) {
+          result += `🏢 **Account**: ${accountGroup.account.account_name} (${accountGroup.account.account_id}, ${accountGroup.accountCampaigns.length} campaigns)\n\n`;
+        }
+
+        const statusText = campaign.delivery_status ? ` | 상태: ${getStatusLabel(campaign.delivery_status)}` : '';
+        result += `**Campaign**: ${campaign.campaign_name || campaign.name}${statusText}\n`;
         
         if (campaignAds.length === 0) {
           result += `└── No ad data available\n\n`;
           return;
         }
 
-        campaignAds.forEach((ad, index) => {
-          const isLast = index === campaignAds.length - 1;
+        // 광고세트 단위: 광고세트별로 묶고 광고세트 합산 성과를 먼저 표시
+        const adsetGroups = command.displayUnit === 'adset' ? this.groupAdsByAdset(campaignAds) : null;
+        const orderedAds = adsetGroups ? adsetGroups.flatMap(({ adsetAds }) => adsetAds) : campaignAds;
+
+        orderedAds.forEach((ad, index) => {
+          const adsetGroup = adsetGroups?.find(({ adsetAds }) => adsetAds[0] === ad);
+          if (adsetGroup) {
+            const adsetMetrics = summarizeMetrics(adsetGroup.adsetAds);
+            result += `🗂️ **AdSet**: ${adsetGroup.adset.adset_name} (${adsetGroup.adsetAds.length} ads)\n`;
+            result += `    광고비: ${formatCurrency(adsetMetrics.spend)} | 노출수: ${formatNumber(adsetMetrics.impressions)} | 클릭수: ${formatNumber(adsetMetrics.clicks)} | ctr: ${adsetMetrics.ctr}% | 전환수: ${formatNumber(adsetMetrics.conversions)}\n`;
+          }
+
+          const isLast = index === orderedAds.length - 1;
           const prefix = isLast ? '└──' : '├──';
           
           const spend = parseFloat(ad.spend || 0);
@@ -1586,6 +2563,18 @@ export class UnifiedSearchService {
       result += `No campaigns found matching the specified criteria.`;
     }
 
+    if (comparison) {
+      result += `\n\n${this.formatComparisonText(comparison)}`;
+    }
+
+    if (command.sort || command.limit) {
+      result += `\n\n${this.formatRankingText(this.buildRanking(detailedResults, command), command)}`;
+    }
+
+    if (command.pivotDimension) {
+      result += `\n\n${this.formatTaxonomyPivotText(buildTaxonomyPivot(detailedResults, command.pivotDimension))}`;
+    }
+
     return {
       content: [
         {
@@ -1614,6 +2603,478 @@ export class UnifiedSearchService {
     });
   }
 
+  /**
+   * 캠페인을 광고 계정별로 그룹화 (캠페인 순서대로 계정 나열)
+   * 계정 정보가 없는 캠페인은 account가 null인 그룹으로 묶음
+   * @param {Array} campaigns - 캠페인 목록
+   * @returns {Array} [{account: {account_id, account_name}|null, accountCampaigns}]
+   */
+  groupCampaignsByAccount(campaigns) {
+    const accountMap = new Map();
+
+    campaigns.forEach(campaign => {
+      const accountId = campaign.account_id ? String(campaign.account_id) : '';
+      if (!accountMap.has(accountId)) {
+        accountMap.set(accountId, {
+          account: accountId ? { account_id: accountId, account_name: campaign.account_name || accountId } : null,
+          accountCampaigns: []
+        });
+      }
+      accountMap.get(accountId).accountCampaigns.push(campaign);
+    });
+
+    return Array.from(accountMap.values());
+  }
+
+  /**
+   * 광고세트(광고그룹) 식별 키
+   * Facebook 광고세트, Google/TikTok 광고그룹, 당근마켓 adset_name 공통
+   */
+  getAdsetKey(ad) {
+    return String(ad.adset_id || ad.adset_name || '');
+  }
+
+  /**
+   * 캠페인의 광고를 광고세트별로 그룹화 (광고 순서대로 광고세트 나열)
+   * @param {Array} campaignAds - 한 캠페인의 광고 목록
+   * @returns {Array} [{adset: {adset_id, adset_name}, adsetAds}]
+   */
+  groupAdsByAdset(campaignAds) {
+    const adsetMap = new Map();
+
+    campaignAds.forEach(ad => {
+      const key = this.getAdsetKey(ad);
+      if (!adsetMap.has(key)) {
+        adsetMap.set(key, {
+          adset: {
+            adset_id: ad.adset_id || null,
+            adset_name: ad.adset_name || (key ? `광고세트 ${key}` : '(광고세트 정보 없음)')
+          },
+          adsetAds: []
+        });
+      }
+      adsetMap.get(key).adsetAds.push(ad);
+    });
+
+    return Array.from(adsetMap.values());
+  }
+
+  /**
+   * 기간 비교 결과 텍스트 포맷팅
+   * @param {object} comparison - buildPeriodComparison 결과
+   * @returns {string} 매체/캠페인/광고별 증감 텍스트
+   */
+  formatComparisonText(comparison) {
+    const { currentPeriod, previousPeriod, total, platforms } = comparison;
+    const platformNames = {
+      facebook: 'Facebook Ads',
+      google: 'Google Ads',
+      tiktok: 'TikTok Ads',
+      carrot: '당근마켓'
+    };
+
+    const formatRow = ({ current, previous, changes }) => {
+      let line = `광고비: ${formatCurrency(current.spend)} (이전 ${formatCurrency(previous.spend)}, ${formatTrendText(changes, 'spend')})`;
+      line += ` | 노출수: ${formatNumber(current.impressions)} (${formatTrendText(changes, 'impressions')})`;
+      line += ` | 클릭수: ${formatNumber(current.clicks)} (${formatTrendText(changes, 'clicks')})`;
+      line += ` | CTR: ${current.ctr}% (${formatTrendText(changes, 'ctr')})`;
+      line += ` | 전환수: ${formatNumber(current.conversions)} (${formatTrendText(changes, 'conversions')})`;
+      return line;
+    };
+
+    let result = `**기간 비교** (기준: ${currentPeriod.startDate} ~ ${currentPeriod.endDate} / 비교: ${previousPeriod.startDate} ~ ${previousPeriod.endDate})\n`;
+    result += `- 전체: ${formatRow(total)}\n\n`;
+
+    Object.entries(platforms).forEach(([platform, platformComparison]) => {
+      const platformName = platformNames[platform] || platform;
+
+      if (platformComparison.error) {
+        result += `**${platformName}** - Error: ${platformComparison.error}\n\n`;
+        return;
+      }
+
+      result += `**${platformName}**: ${formatRow(platformComparison)}\n`;
+
+      platformComparison.campaigns.forEach(campaign => {
+        result += `  **Campaign**: ${campaign.campaign_name}\n`;
+        result += `    ${formatRow(campaign)}\n`;
+
+        campaign.ads.forEach((ad, index) => {
+          const prefix = index === campaign.ads.length - 1 ? '└──' : '├──';
+          result += `    ${prefix} ${ad.ad_name}: ${formatRow(ad)}\n`;
+        });
+      });
+
+      result += '\n';
+    });
+
+    return result.trimEnd();
+  }
+
+  /**
+   * 리포트 타입별 요약 지표 목록 (getTableColumns와 동일한 노출 기준)
+   * @param {string} reportType - 리포트 타입 (internal, A, B, client)
+   * @returns {object} {metrics: summarizeMetrics 키 배열, metricLabels: 지표별 표시 이름}
+   */
+  getReportMetrics(reportType) {
+    const metricsByReportType = {
+      A: ['spend', 'impressions', 'clicks', 'ctr', 'cpc', 'cpm'],
+      B: ['impressions', 'clicks', 'ctr', 'conversions'],
+      client: ['impressions', 'clicks', 'ctr'],
+      internal: ['spend', 'impressions', 'clicks', 'ctr', 'cpc', 'conversions', 'cost_per_conversion']
+    };
+    const metricLabels = {
+      spend: '광고비',
+      impressions: '노출수',
+      clicks: '클릭수',
+      ctr: 'CTR',
+      cpc: 'CPC',
+      cpm: 'CPM',
+      conversions: '전환수',
+      cost_per_conversion: '전환단가'
+    };
+
+    return {
+      metrics: metricsByReportType[reportType] || metricsByReportType.internal,
+      metricLabels
+    };
+  }
+
+  /**
+   * 요약 지표 값 HTML 표시 형식
+   * @param {string} metric - summarizeMetrics 키
+   * @param {number} value - 지표 값
+   */
+  formatMetricValue(metric, value) {
+    if (['spend', 'cpc', 'cpm', 'cost_per_conversion'].includes(metric)) {
+      return `₩${Math.round(value).toLocaleString()}`;
+    }
+    if (metric === 'ctr') {
+      return `${value}%`;
+    }
+    return value.toLocaleString();
+  }
+
+  /**
+   * 기간 비교 결과 HTML 포맷팅
+   * @param {object} comparison - buildPeriodComparison 결과
+   * @param {string} reportType - 리포트 타입 (internal, A, B, client)
+   * @param {string} displayUnit - 표시 단위 (campaign, adset, ad)
+   * @returns {string} 기간 비교 섹션 HTML
+   */
+  formatComparisonHtml(comparison, reportType, displayUnit = 'ad') {
+    const { currentPeriod, previousPeriod, total, platforms } = comparison;
+    const platformNames = {
+      facebook: 'Facebook Ads',
+      google: 'Google Ads',
+      tiktok: 'TikTok Ads',
+      carrot: '당근마켓'
+    };
+
+    const { metrics, metricLabels } = this.getReportMetrics(reportType);
+    const formatValue = this.formatMetricValue;
+
+    const formatChange = (trend) => {
+      if (trend.change === 0) return '<span class="neutral">변화없음</span>';
+      const direction = trend.change > 0 ? '▲' : '▼';
+      const cssClass = trend.change > 0 ? 'increase' : 'decrease';
+      return `<span class="${cssClass}">${direction} ${Math.abs(trend.change).toLocaleString()} (${trend.changePercent}%)</span>`;
+    };
+
+    const formatRow = (label, row, rowClass) => {
+      const cells = metrics.map(metric => `
+            <td>
+              ${formatValue(metric, row.current[metric])}
+              <div class="previous-value">이전 ${formatValue(metric, row.previous[metric])}</div>
+              ${formatChange(row.changes[metric])}
+            </td>`).join('');
+      return `
+          <tr class="${rowClass}">
+            <td>${label}</td>${cells}
+          </tr>`;
+    };
+
+    let rowsHtml = formatRow('전체', total, 'comparison-total-row');
+
+    Object.entries(platforms).forEach(([platform, platformComparison]) => {
+      if (platformComparison.error) {
+        return;
+      }
+
+      rowsHtml += formatRow(platformNames[platform] || platform, platformComparison, 'comparison-platform-row');
+
+      platformComparison.campaigns.forEach(campaign => {
+        rowsHtml += formatRow(`📋 ${campaign.campaign_name}`, campaign, 'comparison-campaign-row');
+
+        if (displayUnit !== 'campaign') {
+          campaign.ads.forEach(ad => {
+            rowsHtml += formatRow(ad.ad_name, ad, 'comparison-ad-row');
+          });
+        }
+      });
+    });
+
+    return `
+    <div class="comparison-section">
+      <h2>📈 기간 비교</h2>
+      <div class="comparison-period">
+        기준 기간: ${currentPeriod.startDate} ~ ${currentPeriod.endDate} / 비교 기간: ${previousPeriod.startDate} ~ ${previousPeriod.endDate}
+      </div>
+      <div class="table-wrapper">
+        <table class="comparison-table">
+          <thead>
+            <tr>
+              <th>구분</th>
+              ${metrics.map(metric => `<th>${metricLabels[metric]}</th>`).join('')}
+            </tr>
+          </thead>
+          <tbody>${rowsHtml}
+          </tbody>
+        </table>
+      </div>
+    </div>`;
+  }
+
+  /**
+   * 정렬 순위 텍스트 포맷팅
+   * @param {Array} ranking - buildRanking 결과
+   * @param {object} command - 파싱된 명령어 객체
+   * @returns {string} 전체 매체 순위 텍스트
+   */
+  formatRankingText(ranking, command) {
+    const { metric, label } = resolveSortSettings(command);
+    const unitText = getDisplayUnitLabel(command.displayUnit);
+
+    let result = `**${unitText} 순위** (${describeSortSettings(command)})\n`;
+
+    if (ranking.length === 0) {
+      return result + '- 해당하는 항목이 없습니다';
+    }
+
+    ranking.forEach(({ platform, name, metrics }, index) => {
+      const value = getSortValue(metrics, metric);
+      result += `${index + 1}. [${platform}] ${name} - ${label}: ${value === null ? '-' : this.formatMetricText(metric, value)}`;
+      result += ` | 광고비: ${formatCurrency(metrics.spend)} | 전환수: ${formatNumber(metrics.conversions)}\n`;
+    });
+
+    return result.trimEnd();
+  }
+
+  /**
+   * 정렬 순위 HTML 포맷팅
+   * @param {Array} ranking - buildRanking 결과
+   * @param {object} command - 파싱된 명령어 객체
+   * @returns {string} 순위 섹션 HTML
+   */
+  formatRankingHtml(ranking, command) {
+    const { metrics, metricLabels } = this.getReportMetrics(command.reportType);
+    const unitText = getDisplayUnitLabel(command.displayUnit);
+    const platformNames = {
+      facebook: 'Facebook Ads',
+      google: 'Google Ads',
+      tiktok: 'TikTok Ads',
+      carrot: '당근마켓'
+    };
+
+    const rowsHtml = ranking.map((entry, index) => `
+          <tr>
+            <td>${index + 1}</td>
+            <td>${platformNames[entry.platform] || entry.platform}</td>
+            <td>${entry.name}</td>${metrics.map(metric => `
+            <td>${this.formatMetricValue(metric, entry.metrics[metric])}</td>`).join('')}
+          </tr>`).join('');
+
+    return `
+    <div class="ranking-section">
+      <h2>🏆 ${unitText} 순위</h2>
+      <div class="ranking-settings">${describeSortSettings(command)}</div>
+      <div class="table-wrapper">
+        <table class="ranking-table">
+          <thead>
+            <tr>
+              <th>순위</th>
+              <th>매체</th>
+              <th>${unitText}</th>
+              ${metrics.map(metric => `<th>${metricLabels[metric]}</th>`).join('')}
+            </tr>
+          </thead>
+          <tbody>${rowsHtml}
+          </tbody>
+        </table>
+      </div>
+    </div>`;
+  }
+
+  /**
+   * 지표 값 텍스트 표시 형식
+   * @param {string} metric - summarizeMetrics 키
+   * @param {number} value - 지표 값
+   */
+  formatMetricText(metric, value) {
+    if (['spend', 'cpc', 'cpm', 'cost_per_conversion'].includes(metric)) {
+      return formatCurrency(value);
+    }
+    if (['ctr', 'conversion_rate'].includes(metric)) {
+      return `${value}%`;
+    }
+    return formatNumber(value);
+  }
+
+  /**
+   * 해시태그 피벗 결과 텍스트 포맷팅
+   * @param {object} pivot - buildTaxonomyPivot 결과
+   * @returns {string} 분류값별 성과 텍스트
+   */
+  formatTaxonomyPivotText(pivot) {
+    const { dimension, rows, total } = pivot;
+
+    let result = `**${dimension.label}별 성과**\n`;
+
+    rows.forEach(({ value, metrics, campaignCount, adCount }) => {
+      result += `- **${value}** (캠페인 ${campaignCount}개, 광고 ${adCount}개): `;
+      result += `광고비: ${formatCurrency(metrics.spend)}`;
+      result += ` | CTR: ${metrics.ctr}%`;
+      result += ` | 전환수: ${formatNumber(metrics.conversions)}`;
+      result += ` | CPA: ${metrics.conversions > 0 ? formatCurrency(metrics.cost_per_conversion) : '-'}\n`;
+    });
+
+    result += `- 전체: 광고비: ${formatCurrency(total.spend)} | CTR: ${total.ctr}% | 전환수: ${formatNumber(total.conversions)}`;
+
+    if (dimension.type === 'tags') {
+      result += `\n\n※ 여러 태그를 가진 광고는 각 태그 행에 모두 포함되어 행 합계가 전체와 다를 수 있습니다`;
+    }
+
+    return result;
+  }
+
+  /**
+   * 해시태그 피벗 결과 HTML 포맷팅
+   * @param {object} pivot - buildTaxonomyPivot 결과
+   * @param {string} reportType - 리포트 타입 (internal, A, B, client)
+   * @returns {string} 피벗 섹션 HTML
+   */
+  formatTaxonomyPivotHtml(pivot, reportType) {
+    const { dimension, rows, total } = pivot;
+    const { metrics, metricLabels } = this.getReportMetrics(reportType);
+
+    const formatRow = (label, rowMetrics, counts, rowClass) => `
+          <tr class="${rowClass}">
+            <td>${label}</td>
+            <td>${counts}</td>${metrics.map(metric => `
+            <td>${this.formatMetricValue(metric, rowMetrics[metric])}</td>`).join('')}
+          </tr>`;
+
+    let rowsHtml = rows.map(row => formatRow(
+      row.value,
+      row.metrics,
+      `${row.campaignCount} / ${row.adCount}`,
+      row.value === UNCLASSIFIED_LABEL ? 'pivot-unclassified-row' : ''
+    )).join('');
+    rowsHtml += formatRow('전체', total, '-', 'pivot-total-row');
+
+    return `
+    <div class="pivot-section">
+      <h2>🏷️ ${dimension.label}별 성과</h2>
+      ${dimension.type === 'tags' ? '<div class="pivot-note">여러 태그를 가진 광고는 각 태그 행에 모두 포함됩니다</div>' : ''}
+      <div class="table-wrapper">
+        <table class="pivot-table">
+          <thead>
+            <tr>
+              <th>${dimension.label}</th>
+              <th>캠페인 / 광고</th>
+              ${metrics.map(metric => `<th>${metricLabels[metric]}</th>`).join('')}
+            </tr>
+          </thead>
+          <tbody>${rowsHtml}
+          </tbody>
+        </table>
+      </div>
+    </div>`;
+  }
+
+  /**
+   * 검색 결과를 구조화된 JSON으로 포맷팅
+   * @param {object} detailedResults - 광고별 성과 결과
+   * @param {object} command - 파싱된 명령어 객체
+   * @param {object|null} comparison - buildPeriodComparison 결과
+   * @returns {object} MCP 응답 (JSON 문자열)
+   */
+  formatJsonResults(detailedResults, command, comparison = null) {
+    const platforms = {};
+
+    Object.entries(detailedResults).forEach(([platform, { campaigns, ads, error }]) => {
+      platforms[platform] = {
+        error: error || null,
+        metrics: summarizeMetrics(ads),
+        campaigns: this.groupAdsByCampaign(campaigns, ads).map(({ campaign, campaignAds }) => ({
+          campaign_id: campaign.campaign_id || campaign.id,
+          campaign_name: campaign.campaign_name || campaign.name,
+          status: campaign.delivery_status || null,
+          account_id: campaign.account_id || null,
+          account_name: campaign.account_name || null,
+          taxonomy: campaign.taxonomy || null,
+          metrics: summarizeMetrics(campaignAds),
+          adsets: this.groupAdsByAdset(campaignAds).map(({ adset, adsetAds }) => ({
+            adset_id: adset.adset_id,
+            adset_name: adset.adset_name,
+            metrics: summarizeMetrics(adsetAds),
+            ad_ids: adsetAds.map(ad => ad.ad_id)
+          })),
+          ads: campaignAds.map(ad => ({
+            ad_id: ad.ad_id,
+            ad_name: ad.ad_name || ad.name,
+            adset_id: ad.adset_id || null,
+            adset_name: ad.adset_name || null,
+            metrics: summarizeMetrics([ad])
+          }))
+        }))
+      };
+    });
+
+    const allAds = Object.values(detailedResults).flatMap(({ ads }) => ads || []);
+
+    const result = {
+      command: {
+        keyword: command.keyword,
+        startDate: command.startDate,
+        endDate: command.endDate,
+        platforms: command.platforms,
+        reportType: command.reportType,
+        displayUnit: command.displayUnit,
+        compareStartDate: command.compareStartDate,
+        compareEndDate: command.compareEndDate,
+        compareType: command.compareType,
+        taxonomyFilters: command.taxonomyFilters,
+        pivotDimension: command.pivotDimension,
+        metricConditions: command.metricConditions,
+        sort: command.sort,
+        limit: command.limit
+      },
+      summary: summarizeMetrics(allAds),
+      platforms,
+      comparison,
+      ranking: (command.sort || command.limit) ? this.buildRanking(detailedResults, command).map(({ platform, campaign, adset, ad, name, metrics }, index) => ({
+        rank: index + 1,
+        platform,
+        campaign_id: campaign.campaign_id || campaign.id,
+        adset_id: adset ? adset.adset_id : undefined,
+        ad_id: ad ? ad.ad_id : undefined,
+        name,
+        metrics
+      })) : null,
+      pivot: command.pivotDimension ? buildTaxonomyPivot(detailedResults, command.pivotDimension) : null
+    };
+
+    return {
+      content: [
+        {
+          type: 'text',
+          text: JSON.stringify(result, null, 2)
+        }
+      ]
+    };
+  }
+
   /**
    * 검색 도움말 반환
    */
@@ -1625,15 +3086,36 @@ export class UnifiedSearchService {
 
 **파라미터 설명:**
 
-**키워드** (필수)
+**키워드** (필수, 캠페인ID/광고ID 지정 시 생략 가능)
 - 캠페인명에서 검색할 키워드
 - 예: \`키워드:고병우\`, \`키워드:치아교정\`
+- \`,\`: AND (예: \`키워드:고병우,치과\`)
+- \`|\`: OR (예: \`키워드:치과|안과\`)
+- \`-\`: NOT (예: \`키워드:치과,-테스트\`)
+- 괄호로 묶기: \`키워드:(치과|안과),-테스트\`
+
+**캠페인ID / 광고ID** (선택, 이름 대신 ID로 직접 조회)
+- \`캠페인ID:120210000000000000\`, \`광고ID:1790000000000000000,23850000000000000\`: 쉼표로 여러 ID 지정
+- ID 형식으로 매체 자동 감지 (Facebook: 120/23으로 시작하는 15~18자리, TikTok: 18~19자리, Google: 12자리 이하, 당근마켓: 숫자가 아닌 ID)
+- \`google:12345678901\`처럼 매체를 앞에 붙이면 해당 매체에서만 조회
+- 지정하면 키워드 매칭을 건너뛰고, 매체를 지정하지 않으면 감지한 매체만 조회
+- 광고ID는 해당 광고만, 캠페인ID는 캠페인의 모든 광고를 표시
 
 **날짜** (선택, 기본값: 어제)
 - \`20250720-20250721\`: 특정 기간
 - \`어제\`: 어제 하루
 - \`오늘\`: 오늘 하루  
 - \`7일\`: 최근 7일
+- \`이번주\`, \`지난주\`: 주 단위 (이번주는 어제까지)
+- \`이번달\`(\`MTD\`), \`지난달\`: 월 단위 (이번달은 어제까지)
+- \`이번분기\`, \`지난분기\`, \`3분기\`, \`2025년3분기\`, \`2025Q3\`: 분기 단위
+- \`7월\`, \`2025년7월\`: 특정 월
+- \`올해\`(\`YTD\`), \`작년\`: 연 단위
+- \`2025-W30\`: ISO 주차 (월요일 시작)
+- 연도를 생략한 월/분기/주차가 아직 오지 않은 경우 연도를 함께 지정해야 함
+
+**주시작** (선택, 기본값: 월요일)
+- \`월요일\`, \`일요일\`: 이번주/지난주 계산 기준 (WEEK_START_DAY 환경변수로 기본값 변경)
 
 **매체** (선택, 기본값: 전체)
 - \`페이스북\`, \`facebook\`, \`fb\`
@@ -1643,11 +3125,77 @@ export class UnifiedSearchService {
 - \`전체\`, \`all\`: 모든 매체
 - 여러 매체: \`구글,페이스북,당근마켓\`
 
+**상태** (선택, 기본값: 전체)
+- \`활성\`: 게재 중인 캠페인만, \`중지\`: 일시중지된 캠페인만, \`전체\`: 상태 무관
+- 텍스트 결과의 캠페인 줄과 HTML 캠페인 합산 표에 상태가 표시됨
+- 당근마켓은 시트에 상태 정보가 없어 상태 필터를 적용할 수 없음
+
+**계정** (선택, Facebook 광고 계정 / Google Ads 하위 고객 계정 / TikTok 광고주 범위)
+- \`계정:노블리에\`: 계정명에 "노블리에"가 포함된 계정만 조회 (계정 ID도 가능, 쉼표로 여러 계정)
+- META_AD_ACCOUNT_ALLOWLIST / META_AD_ACCOUNT_DENYLIST, GOOGLE_ADS_CUSTOMER_ALLOWLIST / GOOGLE_ADS_CUSTOMER_DENYLIST, TIKTOK_ADVERTISER_ALLOWLIST / TIKTOK_ADVERTISER_DENYLIST 환경변수로 조회할 계정을 기본 제한
+- 결과는 매체 → 광고 계정 → 캠페인 순으로 묶어서 표시
+
+**무지출포함** (선택)
+- \`무지출포함\`: 기간 내 지출이 없는 캠페인도 포함 (기본값: 지출이 있는 캠페인만)
+- 예: \`키워드: 날짜:어제 상태:활성 무지출포함 단위:캠페인 조건:광고비=0\` → 활성인데 어제 지출이 없는 캠페인
+
+**단위** (선택, 기본값: 광고)
+- \`캠페인\`: 캠페인 합산 성과까지만 표시
+- \`광고세트\`(\`광고그룹\`): 캠페인 → 광고세트 → 광고 드릴다운 (HTML은 광고세트별 접기/펼치기)
+- \`광고\`: 광고별 성과와 일별 성과까지 표시
+- Facebook 광고세트, Google/TikTok 광고그룹, 당근마켓 광고세트 기준
+
+**비교** (선택)
+- \`전주\`: 기준 기간을 7일 앞당긴 기간과 비교
+- \`전월\`: 기준 기간을 한 달 앞당긴 기간과 비교
+- \`20250601-20250630\`, \`지난달\`, \`2분기\` 등: 날짜와 같은 형식으로 지정한 기간과 비교
+- 매체/캠페인/광고별 증감(절대값, %)이 함께 표시됨
+
+**캠페인 분류 필터** (선택, 캠페인명 해시태그 기준)
+- 캠페인명 규칙: \`#과금방식 #광고주 #업종 #담당자 ...\` (예: \`#CPA #노블리에 #결혼정보 #김효경\`)
+- \`담당자:김효경\`: 담당자 태그로 필터
+- \`업종:치과\`: 업종 태그로 필터
+- \`과금:CPA\`: 과금방식 태그로 필터 (\`CPA\`, \`CPR+\` 등)
+- 쉼표로 여러 값 지정 시 OR (예: \`담당자:김효경,김단아\`), 여러 필터 지정 시 AND
+- 태그 위치와 이름은 CAMPAIGN_TAXONOMY 환경변수로 변경 가능
+
+**조건** (선택, 성과 지표 필터)
+- \`조건:CTR>1.5\`, \`조건:광고비>=100000 전환수=0\`: 공백 또는 쉼표로 여러 조건 지정 (모두 만족)
+- 지표: 광고비, 노출수, 클릭수, CTR, CPC, CPM, 전환수, 전환율, CPA
+- 연산자: \`>\`, \`>=\`, \`<\`, \`<=\`, \`=\`, \`!=\` / 값에 \`10만\`, \`5천원\`, \`1.5%\` 형식 사용 가능
+- \`단위:광고\`(기본값)이면 광고별 성과, \`단위:광고세트\`면 광고세트 합산, \`단위:캠페인\`이면 캠페인 합산 성과에 적용
+- 전환이 없는 광고는 CPA 조건에 포함되지 않음
+
+**정렬** (선택, 기본값: 매체별 광고비 순)
+- \`정렬:CPA\`: CPA 내림차순, \`정렬:CPA오름\`: CPA 오름차순 (조건과 같은 지표 사용)
+- \`상위:10\`: 정렬 지표 값이 가장 큰 10개, \`하위:5\`: 가장 작은 5개
+- 전체 매체를 통틀어 \`단위:\`에 따라 캠페인, 광고세트 또는 광고 기준으로 순위를 매김
+- 전환이 없는 광고는 CPA 순위에서 항상 마지막
+
+**피벗** (선택, 해시태그 기준 성과 집계)
+- \`피벗:담당자\`: 담당자별 광고비/CTR/CPA/전환수 (\`업종\`, \`과금\`, \`광고주\`도 가능)
+- \`피벗:숏폼,이미지\`: 캠페인명/광고명에 \`#숏폼\`, \`#이미지\` 태그가 있는 광고끼리 비교
+- 태그가 없는 광고는 \`(미분류)\` 행으로 집계
+- 텍스트/HTML/JSON 결과에 피벗 표가 추가됨 (taxonomy_pivot_report 도구로 피벗만 조회 가능)
+
+**캠페인 일괄 상태 변경** (bulk_toggle_campaigns_by_command 도구)
+- 같은 명령어로 찾은 모든 매체 캠페인을 한 번에 활성/중지 (예: \`키워드:고병우 매체:전체\`, status: paused)
+- 지출/상태 조건과 무관하게 이름이 맞는 캠페인 전체가 대상이며, 처음 호출하면 미리보기와 확인 토큰만 받고 토큰을 붙여 다시 호출해야 실행
+- 실행 시 다시 검색하지 않고 미리보기 대상만 변경하며, 그 사이 상태가 바뀐 캠페인이 있으면 전체 중단
+
 **사용 예시:**
 1. \`키워드:고병우 날짜:20250720-20250721 매체:구글,페이스북\`
 2. \`키워드:울산심플치과 날짜:어제 매체:틱톡\`
 3. \`키워드:치아교정 날짜:7일 매체:전체\`
 4. \`키워드:김영희 날짜:20250701-20250731 매체:페이스북\`
+5. \`키워드:고병우 날짜:7일 매체:전체 비교:전주\`
+6. \`키워드: 날짜:지난달 담당자:김효경 과금:CPA\`
+7. \`키워드: 날짜:지난달 매체:전체 피벗:담당자\`
+8. \`키워드: 날짜:어제 매체:전체 조건:광고비>=10만 전환수=0\`
+9. \`키워드: 날짜:7일 매체:전체 정렬:CPA 상위:5\`
+10. \`캠페인ID:120210000000000000 날짜:7일\`
+11. \`키워드: 날짜:어제 매체:전체 상태:활성 무지출포함 단위:캠페인\`
+12. \`키워드: 날짜:7일 매체:페이스북 계정:노블리에\`
 
 **결과 형태:**
 - 매체별로 매칭된 캠페인 목록
@@ -1656,7 +3204,7 @@ export class UnifiedSearchService {
 - 전체 요약 통계
 
 **주의사항:**
-- 조회 기간은 최대 90일까지 가능
+- 조회 기간은 최대 92일(한 분기)까지 가능 (MAX_QUERY_DAYS 환경변수로 변경, 올해/YTD, 작년은 366일까지)
 - 키워드는 대소문자 구분하지 않음
 - 매체가 설정되지 않은 경우 해당 매체는 제외됨`;
 
@@ -1763,17 +3311,18 @@ export class UnifiedSearchService {
 
   /**
    * HTML 파일 생성 및 로컬 저장
+   * REPORT_REMOTE_URL을 설정한 경우에만 원격 서버에서 생성, 그 외에는 이 프로세스에서 생성해 리포트 보관함에 저장
    */
-  async generateHtmlFile(commandString, filename) {
+  async generateHtmlFile(commandString, filename, creator) {
     try {
       console.error(`HTML 파일 생성 시작: ${commandString}`);
       
-      // 로컬 MCP 모드에서는 Render API 호출
-      if (!process.env.RENDER_EXTERNAL_URL) {
-        return await this.generateHtmlViaRenderAPI(commandString, filename);
+      // 원격 생성은 명시적으로 설정한 경우에만 (API 키가 원격 서버로 전송됨)
+      const remoteEndpoint = getRemoteReportEndpoint();
+      if (remoteEndpoint) {
+        return await this.generateHtmlViaRemoteAPI(remoteEndpoint, commandString, filename);
       }
 
-      // Render 서버에서 직접 실행하는 경우 (기존 로직)
       // 1. 명령어 파싱
       const command = parseUserCommand(commandString);
       
@@ -1783,11 +3332,13 @@ export class UnifiedSearchService {
 
       // 2. 데이터 수집 (기존 로직 재사용)
       const platformResults = await this.fetchCampaignData(command);
-      const filteredResults = this.filterByKeyword(platformResults, command.keyword);
-      const detailedResults = await this.fetchAdLevelData(filteredResults, command);
+      const filteredResults = this.filterCampaigns(platformResults, command);
+      const adLevelResults = await this.fetchAdLevelData(filteredResults, command);
+      const detailedResults = this.applySortAndLimit(this.filterByMetricConditions(adLevelResults, command), command);
+      const comparison = await this.fetchComparisonData(detailedResults, command);
       
       // 3. HTML 생성
-      const htmlReport = await this.generateHtmlReport(detailedResults, command);
+      const htmlReport = await this.generateHtmlReport(detailedResults, command, comparison);
       const htmlContent = htmlReport.content[0].text;
       
       // 4. 파일명 생성
@@ -1797,24 +3348,25 @@ export class UnifiedSearchService {
       const defaultName = `campaign-report-${keyword}-${dateRange}-${timestamp}.html`;
       const fileName = filename || defaultName;
       
-      // 5. 임시 폴더에 저장
-      const tempDir = '/tmp/mcp-html-reports';
-      
-      // 디렉토리가 없으면 생성
-      if (!fs.existsSync(tempDir)) {
-        fs.mkdirSync(tempDir, { recursive: true });
-      }
-      
-      const filePath = path.join(tempDir, fileName);
-      fs.writeFileSync(filePath, htmlContent, 'utf8');
+      // 5. 리포트 보관함에 저장 (메타데이터 등록)
+      const report = this.reportArchive.saveReport({
+        fileName,
+        content: htmlContent,
+        command,
+        commandString,
+        reportType: 'campaign',
+        creator
+      });
+      const filePath = this.reportArchive.getReportPath(report);
       
       // 6. 통계 계산
       const totalCampaigns = Object.values(detailedResults).reduce((sum, {campaigns}) => sum + (campaigns?.length || 0), 0);
       const totalAds = Object.values(detailedResults).reduce((sum, {ads}) => sum + (ads?.length || 0), 0);
       const fileSizeKB = Math.round(htmlContent.length / 1024);
       
-      // 7. 다운로드 URL 생성
-      const downloadUrl = `https://mcp-ads.onrender.com/download/${fileName}`;
+      // 7. 다운로드 URL 생성 (자체 서버의 서명된 공유 링크 또는 file:// 경로)
+      const downloadUrl = this.reportArchive.issueDownloadUrl(report);
+      const isLocalFile = downloadUrl.startsWith('file://');
       
       console.error(`HTML 파일 생성 완료: ${filePath}`);
       console.error(`다운로드 URL: ${downloadUrl}`);
@@ -1830,6 +3382,7 @@ export class UnifiedSearchService {
 기간: ${command.startDate} ~ ${command.endDate}
 키워드: ${command.keyword || '전체'}
 파일 크기: ${fileSizeKB}KB
+리포트 ID: ${report.id} (보관 만료: ${report.expires_at ? report.expires_at.slice(0, 10) : '무기한'})
 매체: ${command.platforms.map(p => {
   const names = { facebook: 'Facebook', google: 'Google Ads', tiktok: 'TikTok Ads', carrot: '당근마켓' };
   return names[p] || p;
@@ -1837,8 +3390,11 @@ export class UnifiedSearchService {
 
 다운로드 링크: ${downloadUrl}
 
-위 링크를 클릭하거나 브라우저에 붙여넣기하여 HTML 파일을 다운로드하세요.
-링크는 30분 후 만료됩니다.`
+${isLocalFile
+  ? `로컬 파일로 저장되었습니다: ${filePath}\n브라우저 주소창에 위 링크를 붙여넣어 열어보세요.`
+  : `위 링크를 클릭하거나 브라우저에 붙여넣기하여 HTML 파일을 다운로드하세요.\n링크는 ${getDefaultShareTtlHours()}시간 후 만료됩니다.${report.audience === 'client' ? '' : ' 내부용 리포트라 열람 시 로그인이 필요합니다.'}`}
+
+보관된 리포트는 report_list 도구로 다시 찾을 수 있습니다.`
           }
         ]
       };
@@ -1850,40 +3406,44 @@ export class UnifiedSearchService {
   }
 
   /**
-   * Render API를 통해 HTML 파일 생성 (로컬 MCP용)
+   * 원격 서버 API를 통해 HTML 파일 생성 (REPORT_REMOTE_URL 설정 시)
+   * @param {string} endpoint - 원격 /api/generate-html URL
    */
-  async generateHtmlViaRenderAPI(commandString, filename) {
+  async generateHtmlViaRemoteAPI(endpoint, commandString, filename) {
     try {
-      console.error('Render API를 통해 HTML 생성 중...');
+      console.error(`원격 서버를 통해 HTML 생성 중: ${endpoint}`);
       
-      // API 키 수집
+      // API 키 수집 (각 매체 서비스의 자격 증명 사용)
       const apiKeys = {};
+      const { facebook, google, tiktok } = this.services;
       
-      if (process.env.META_ACCESS_TOKEN && process.env.META_AD_ACCOUNT_ID) {
+      if (facebook?.credentials.accessToken && facebook.credentials.adAccountId) {
         apiKeys.facebook = {
-          access_token: process.env.META_ACCESS_TOKEN,
-          ad_account_id: process.env.META_AD_ACCOUNT_ID
+          access_token: facebook.credentials.accessToken,
+          ad_account_id: facebook.credentials.adAccountId
         };
       }
       
-      if (process.env.GOOGLE_ADS_CUSTOMER_ID) {
+      if (google?.credentials.customerId) {
         apiKeys.google = {
-          customer_id: process.env.GOOGLE_ADS_CUSTOMER_ID
+          customer_id: google.credentials.customerId
         };
       }
       
-      if (process.env.TIKTOK_ACCESS_TOKEN && process.env.TIKTOK_ADVERTISER_ID) {
+      if (tiktok?.credentials.accessToken && tiktok.credentials.advertiserId) {
         apiKeys.tiktok = {
-          access_token: process.env.TIKTOK_ACCESS_TOKEN,
-          advertiser_id: process.env.TIKTOK_ADVERTISER_ID
+          access_token: tiktok.credentials.accessToken,
+          advertiser_id: tiktok.credentials.advertiserId
         };
       }
 
-      // Render API 호출
-      const response = await fetch('https://mcp-ads.onrender.com/api/generate-html', {
+      // 원격 API 호출
+      const response = await fetch(endpoint, {
         method: 'POST',
         headers: {
-          'Content-Type': 'application/json'
+          'Content-Type': 'application/json',
+          // 원격 서버 API 키 (read 권한)
+          ...(process.env.REPORT_REMOTE_API_KEY ? { Authorization: `Bearer ${process.env.REPORT_REMOTE_API_KEY}` } : {})
         },
         body: JSON.stringify({
           command: commandString,
@@ -1900,7 +3460,7 @@ export class UnifiedSearchService {
       const result = await response.json();
       
       if (result.success) {
-        console.error(`Render API 호출 성공: ${result.download_url}`);
+        console.error(`원격 API 호출 성공: ${result.download_url}`);
         
         return {
           content: [
@@ -1913,9 +3473,9 @@ export class UnifiedSearchService {
 📥 **다운로드 방법**: 
 위의 링크를 클릭하거나 복사하여 브라우저 주소창에 붙여넣으세요.
 
-⏰ **주의사항**: 링크는 30분 후 자동 만료됩니다.
+⏰ **주의사항**: 링크는 원격 서버의 보관 기간이 지나면 만료됩니다.
 
-🌐 **접근성**: 모든 MCP 사용자가 중앙 서버에서 파일에 접근할 수 있습니다.
+🌐 **접근성**: 원격 서버(${process.env.REPORT_REMOTE_URL})에서 파일에 접근할 수 있습니다.
 
 📊 **리포트 링크**: ${result.download_url}`
             }
@@ -1926,8 +3486,8 @@ export class UnifiedSearchService {
       }
 
     } catch (error) {
-      console.error('Render API 호출 실패:', error.message);
-      return this.createErrorResponse(`중앙 서버 HTML 생성 실패: ${error.message}`);
+      console.error('원격 API 호출 실패:', error.message);
+      return this.createErrorResponse(`원격 서버 HTML 생성 실패: ${error.message}`);
     }
   }
 
@@ -1935,12 +3495,10 @@ export class UnifiedSearchService {
    * 날짜 범위 추출
    */
   getDateRangeFromCommand(command) {
-    const startDate = new Date(command.startDate);
-    const endDate = new Date(command.endDate);
     const dates = [];
     
-    for (let d = new Date(startDate); d <= endDate; d.setDate(d.getDate() + 1)) {
-      dates.push(new Date(d).toISOString().split('T')[0]);
+    for (let date = command.startDate; date <= command.endDate; date = shiftDays(date, 1)) {
+      dates.push(date);
     }
     
     return dates;
@@ -1965,6 +3523,13 @@ export class UnifiedSearchService {
       initializeCampaignDropdown();
     });
     
+    // 인쇄/PDF 저장 시 접힌 광고세트 드릴다운 모두 펼치기
+    window.addEventListener('beforeprint', function() {
+      document.querySelectorAll('details').forEach(details => {
+        details.open = true;
+      });
+    });
+    
     function initializeCampaignDropdown() {
       const campaignSections = document.querySelectorAll('.campaign-section[data-campaign-name]');
       const campaignSelect = document.getElementById('campaignSelect');
@@ -2032,6 +3597,13 @@ export class UnifiedSearchService {
         section.style.display = showSection ? '' : 'none';
       });
       
+      // 보이는 캠페인이 없는 광고 계정 섹션 숨김
+      document.querySelectorAll('.account-section').forEach(section => {
+        const hasVisibleCampaign = Array.from(section.querySelectorAll('.campaign-section'))
+          .some(campaignSection => campaignSection.style.display !== 'none');
+        section.style.display = hasVisibleCampaign ? '' : 'none';
+      });
+      
       // 플랫폼 섹션 필터링
       platformSections.forEach(section => {
         if (selectedPlatform === 'all') {
@@ -0,0 +1,145 @@
+#!/usr/bin/env node
+
+/**
+ * 리포트 관리 API 권한 테스트
+ *
+ * - 열람 계정(REPORT_VIEWERS) 로그인은 조회만 가능하고 삭제/공유 링크 생성/폐기는 403
+ * - admin API 키는 삭제/공유 링크 생성/폐기 가능
+ * - MCP report_share 도구는 read 키나 열람 계정 로그인으로 호출할 수 없음
+ *
+ * 사용법: node test-report-api-auth.js (임시 폴더와 임시 포트로 서버를 띄워 확인 후 종료)
+ */
+
+import assert from 'assert';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { spawn } from 'child_process';
+import { fileURLToPath } from 'url';
+import { createApiKey } from './utils/api-keys.js';
+
+const PORT = 39000 + Math.floor(Math.random() * 900);
+const BASE_URL = `http://localhost:${PORT}`;
+const tempDir = fs.mkdtempSync(path.join(os.tmpdir(), 'report-api-auth-'));
+const reportsDir = path.join(tempDir, 'reports');
+
+process.env.API_KEYS_FILE = path.join(tempDir, 'api-keys.json');
+const { key: adminKey } = createApiKey('테스트 관리자', 'admin');
+const { key: readKey } = createApiKey('테스트 조회', 'read');
+
+const viewerAuth = `Basic ${Buffer.from('viewer:viewer-password').toString('base64')}`;
+
+/**
+ * 테스트용 리포트를 보관함에 직접 등록
+ * @returns {string} 리포트 ID
+ */
+async function seedReport() {
+  process.env.REPORT_OUTPUT_DIR = reportsDir;
+  const { ReportArchiveService } = await import('./services/report-archive-service.js');
+  const archive = new ReportArchiveService(reportsDir);
+  fs.mkdirSync(reportsDir, { recursive: true });
+  const report = archive.saveReport({
+    fileName: 'auth-test.html',
+    content: '<p>test</p>',
+    command: { keyword: '테스트', startDate: '2026-01-01', endDate: '2026-01-07', platforms: ['facebook'] },
+    commandString: '키워드:테스트',
+    creator: 'test'
+  });
+  return report.id;
+}
+
+function startServer() {
+  const server = spawn(process.execPath, [fileURLToPath(new URL('./server.js', import.meta.url))], {
+    env: {
+      ...process.env,
+      PORT: String(PORT),
+      RENDER_EXTERNAL_URL: BASE_URL,
+      REPORT_OUTPUT_DIR: reportsDir,
+      REPORT_VIEWERS: 'viewer:viewer-password',
+      AUDIT_LOG_FILE: path.join(tempDir, 'audit-log.jsonl')
+    },
+    stdio: ['ignore', 'ignore', 'pipe']
+  });
+
+  return new Promise((resolve, reject) => {
+    const timer = setTimeout(() => reject(new Error('서버 시작 시간 초과')), 15000);
+    server.stderr.on('data', chunk => {
+      if (String(chunk).includes('running on port')) {
+        clearTimeout(timer);
+        resolve(server);
+      }
+    });
+    server.on('exit', code => {
+      clearTimeout(timer);
+      reject(new Error(`서버가 종료되었습니다 (코드: ${code})`));
+    });
+  });
+}
+
+async function request(method, pathname, authorization, body) {
+  const response = await fetch(`${BASE_URL}${pathname}`, {
+    method,
+    headers: {
+      'Content-Type': 'application/json',
+      ...(authorization && { Authorization: authorization })
+    },
+    body: body ? JSON.stringify(body) : undefined
+  });
+  return response.status;
+}
+
+/**
+ * MCP tools/call 요청
+ * @returns {Promise<number>} HTTP 상태 코드
+ */
+async function callTool(name, args, authorization) {
+  return request('POST', '/message', authorization, {
+    jsonrpc: '2.0',
+    id: 1,
+    method: 'tools/call',
+    params: { name, arguments: args }
+  });
+}
+
+async function runTests(reportId) {
+  const adminRoutes = [
+    ['POST', `/api/reports/${reportId}/share`],
+    ['POST', `/api/reports/${reportId}/revoke`],
+    ['DELETE', `/api/reports/${reportId}`]
+  ];
+
+  assert.strictEqual(await request('GET', `/api/reports/${reportId}`, viewerAuth), 200, '열람 계정은 리포트를 조회할 수 있어야 합니다');
+  console.log('✅ 열람 계정 조회 허용');
+
+  for (const [method, pathname] of adminRoutes) {
+    assert.strictEqual(await request(method, pathname, viewerAuth, {}), 403, `열람 계정의 ${method} ${pathname}는 403이어야 합니다`);
+    assert.strictEqual(await request(method, pathname, `Bearer ${readKey}`, {}), 403, `read 키의 ${method} ${pathname}는 403이어야 합니다`);
+    console.log(`✅ 열람 계정/read 키 차단: ${method} ${pathname}`);
+  }
+
+  assert.strictEqual(await callTool('report_share', { report_id: reportId }, `Bearer ${readKey}`), 403, 'read 키로 report_share를 호출할 수 없어야 합니다');
+  assert.strictEqual(await callTool('report_share', { report_id: reportId }, viewerAuth), 401, '열람 계정 로그인으로 report_share를 호출할 수 없어야 합니다');
+  assert.strictEqual(await callTool('report_get', { report_id: reportId }, `Bearer ${readKey}`), 200, 'read 키로 report_get을 호출할 수 있어야 합니다');
+  const accessLog = await fetch(`${BASE_URL}/api/reports/${reportId}/access-log`, { headers: { Authorization: viewerAuth } }).then(response => response.json());
+  assert.strictEqual(accessLog.share_links.length, 0, 'report_get은 공유 링크를 만들지 않아야 합니다');
+  console.log('✅ MCP report_share는 read 키/열람 계정 차단, report_get은 허용 (공유 링크 생성 없음)');
+
+  for (const [method, pathname] of adminRoutes) {
+    assert.strictEqual(await request(method, pathname, `Bearer ${adminKey}`, {}), 200, `admin 키의 ${method} ${pathname}는 허용되어야 합니다`);
+    console.log(`✅ admin 키 허용: ${method} ${pathname}`);
+  }
+}
+
+let server = null;
+try {
+  const reportId = await seedReport();
+  server = await startServer();
+  await runTests(reportId);
+  console.log('\n🎉 리포트 관리 API 권한 테스트 통과');
+} catch (error) {
+  console.error(`\n❌ 테스트 실패: ${error.message}`);
+  process.exitCode = 1;
+} finally {
+  server?.kill();
+  fs.rmSync(tempDir, { recursive: true, force: true });
+}
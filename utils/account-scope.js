@@ -0,0 +1,93 @@
+/**
+ * 광고 계정 조회 범위 유틸리티
+ *
+ * 설정 (환경변수, 쉼표로 구분한 계정 ID 또는 계정명):
+ * - META_AD_ACCOUNT_ALLOWLIST=1234567890,act_2345678901  : 지정한 계정만 조회
+ * - META_AD_ACCOUNT_DENYLIST=테스트계정,3456789012         : 지정한 계정은 제외
+ * - GOOGLE_ADS_CUSTOMER_ALLOWLIST / GOOGLE_ADS_CUSTOMER_DENYLIST : Google Ads 하위 고객 계정 (MCC)
+ * - TIKTOK_ADVERTISER_ALLOWLIST / TIKTOK_ADVERTISER_DENYLIST     : TikTok 광고주 (TIKTOK_ADVERTISER_IDS=auto 자동 조회 시)
+ *
+ * 명령어:
+ * - 계정:노블리에            : 계정명에 "노블리에"가 포함된 계정만 조회
+ * - 계정:1234567890,스마일   : 쉼표로 여러 계정 지정 (OR)
+ *
+ * 계정 ID는 act_ 접두사와 하이픈(123-456-7890) 유무와 관계없이 정확히 일치, 계정명은 대소문자 무시 부분 일치
+ */
+
+/**
+ * 매체별 허용/제외 목록 환경변수 이름
+ */
+const SCOPE_ENV_KEYS = {
+  facebook: { allow: 'META_AD_ACCOUNT_ALLOWLIST', deny: 'META_AD_ACCOUNT_DENYLIST' },
+  google: { allow: 'GOOGLE_ADS_CUSTOMER_ALLOWLIST', deny: 'GOOGLE_ADS_CUSTOMER_DENYLIST' },
+  tiktok: { allow: 'TIKTOK_ADVERTISER_ALLOWLIST', deny: 'TIKTOK_ADVERTISER_DENYLIST' }
+};
+
+/**
+ * 계정 목록 문자열 파싱
+ * @param {string} value - 쉼표로 구분한 계정 ID 또는 계정명
+ * @returns {Array<string>} 계정 지정 목록
+ */
+export function parseAccountList(value) {
+  return (value || '').split(',').map(item => item.trim()).filter(Boolean);
+}
+
+/**
+ * 매체의 계정 허용/제외 목록 설정 반환
+ * @param {string} platform - 매체 코드
+ * @returns {object} {allowlist: Array<string>, denylist: Array<string>}
+ */
+export function getAccountScopeConfig(platform) {
+  const envKeys = SCOPE_ENV_KEYS[platform];
+  if (!envKeys) {
+    return { allowlist: [], denylist: [] };
+  }
+
+  return {
+    allowlist: parseAccountList(process.env[envKeys.allow]),
+    denylist: parseAccountList(process.env[envKeys.deny])
+  };
+}
+
+/**
+ * 비교용 계정 ID 정규화 (act_ 접두사, 하이픈 제거)
+ * @param {string} id - 계정 ID
+ * @returns {string} 정규화된 계정 ID
+ */
+function normalizeAccountId(id) {
+  return String(id || '').replace(/^act_/, '').replace(/-/g, '');
+}
+
+/**
+ * 계정이 지정 목록 중 하나와 일치하는지 확인
+ * @param {object} account - {account_id, name}
+ * @param {Array<string>} selectors - 계정 ID 또는 계정명 목록
+ * @returns {boolean} 일치 여부
+ */
+export function matchesAccount(account, selectors) {
+  const accountId = normalizeAccountId(account.account_id || account.id);
+  const accountName = (account.name || account.account_name || '').toLowerCase();
+
+  return (selectors || []).some(selector => {
+    return normalizeAccountId(selector) === accountId ||
+      (accountName !== '' && accountName.includes(selector.toLowerCase()));
+  });
+}
+
+/**
+ * 설정과 명령어 조건으로 조회할 계정 선택
+ * 허용 목록이 있으면 그 안에서만, 제외 목록은 항상 제외, 명령어 계정 지정이 있으면 그중 일치하는 계정만
+ * @param {Array} accounts - 계정 목록 [{account_id, name}]
+ * @param {string} platform - 매체 코드
+ * @param {Array<string>} requested - 명령어 계정: 지정 목록 (없으면 설정만 적용)
+ * @returns {Array} 조회 대상 계정 목록
+ */
+export function filterScopedAccounts(accounts, platform, requested = []) {
+  const { allowlist, denylist } = getAccountScopeConfig(platform);
+
+  return (accounts || []).filter(account =>
+    (allowlist.length === 0 || matchesAccount(account, allowlist)) &&
+    !matchesAccount(account, denylist) &&
+    (!requested || requested.length === 0 || matchesAccount(account, requested))
+  );
+}
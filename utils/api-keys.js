@@ -0,0 +1,174 @@
+/**
+ * HTTP 서버 API 키 유틸리티
+ *
+ * 설정 (환경변수):
+ * - API_KEYS_FILE=./config/api-keys.json : API 키 저장 파일 (기본값: ./config/api-keys.json)
+ * - API_AUTH_DISABLED=true               : 인증 끄기 (로컬 개발용, 기본값: 인증 필요)
+ *
+ * 권한(scope):
+ * - read  : 조회/리포트 도구, 리포트 생성 및 조회
+ * - write : read + 캠페인/광고 상태 변경 도구 (mutate 분류)
+ * - admin : write + 관리 도구 (리포트 삭제, 공유 링크 폐기, SSE 연결)
+ *
+ * 키는 "mcpads_{키 ID}_{비밀값}" 형식이며 파일에는 SHA-256 해시만 저장 (발급 시 한 번만 표시)
+ * 요청 헤더: Authorization: Bearer {키} 또는 X-API-Key: {키}
+ */
+
+import fs from 'fs';
+import path from 'path';
+import crypto from 'crypto';
+
+const DEFAULT_KEYS_FILE = path.join('config', 'api-keys.json');
+const KEY_PREFIX = 'mcpads';
+
+const SCOPE_LEVELS = {
+  read: 1,
+  write: 2,
+  admin: 3
+};
+
+export const API_KEY_SCOPES = Object.keys(SCOPE_LEVELS);
+
+/**
+ * API 키 저장 파일 경로
+ * @returns {string} 절대 경로
+ */
+export function getApiKeysFile() {
+  return path.resolve(process.env.API_KEYS_FILE || DEFAULT_KEYS_FILE);
+}
+
+/**
+ * API 키 인증 사용 여부
+ * @returns {boolean} API_AUTH_DISABLED=true가 아니면 true
+ */
+export function isApiAuthEnabled() {
+  return String(process.env.API_AUTH_DISABLED || '').toLowerCase() !== 'true';
+}
+
+function hashKey(key) {
+  return crypto.createHash('sha256').update(key).digest('hex');
+}
+
+/**
+ * 저장된 API 키 목록 (해시만 포함)
+ * @returns {Array} [{id, name, scope, hash, created_at, revoked_at}]
+ */
+export function loadApiKeys() {
+  const filePath = getApiKeysFile();
+  try {
+    if (!fs.existsSync(filePath)) {
+      return [];
+    }
+    const keys = JSON.parse(fs.readFileSync(filePath, 'utf8'));
+    return Array.isArray(keys) ? keys : [];
+  } catch (error) {
+    console.error(`❌ API 키 파일 읽기 실패: ${error.message}`);
+    return [];
+  }
+}
+
+function saveApiKeys(keys) {
+  const filePath = getApiKeysFile();
+  fs.mkdirSync(path.dirname(filePath), { recursive: true });
+  const tempPath = `${filePath}.${process.pid}.tmp`;
+  fs.writeFileSync(tempPath, JSON.stringify(keys, null, 2), { encoding: 'utf8', mode: 0o600 });
+  fs.renameSync(tempPath, filePath);
+}
+
+/**
+ * API 키 발급
+ * @param {string} name - 키 이름 (사용자/용도)
+ * @param {string} scope - read, write 또는 admin
+ * @returns {object} {key: 평문 키 (이때만 확인 가능), record: 저장된 메타데이터}
+ * @throws {Error} 이름이 없거나 지원하지 않는 권한인 경우
+ */
+export function createApiKey(name, scope = 'read') {
+  if (!name || !String(name).trim()) {
+    throw new Error('키 이름이 필요합니다');
+  }
+  if (!SCOPE_LEVELS[scope]) {
+    throw new Error(`유효하지 않은 권한입니다: "${scope}" (${API_KEY_SCOPES.join(', ')}만 가능)`);
+  }
+
+  const id = crypto.randomBytes(4).toString('hex');
+  const key = `${KEY_PREFIX}_${id}_${crypto.randomBytes(24).toString('base64url')}`;
+  const record = {
+    id,
+    name: String(name).trim(),
+    scope,
+    hash: hashKey(key),
+    created_at: new Date().toISOString(),
+    revoked_at: null
+  };
+
+  saveApiKeys([...loadApiKeys(), record]);
+  return { key, record };
+}
+
+/**
+ * API 키 폐기
+ * @param {string} id - 키 ID
+ * @returns {object} 폐기한 키 메타데이터
+ * @throws {Error} 키가 없거나 이미 폐기된 경우
+ */
+export function revokeApiKey(id) {
+  const keys = loadApiKeys();
+  const record = keys.find(item => item.id === id);
+  if (!record) {
+    throw new Error(`API 키를 찾을 수 없습니다: ${id}`);
+  }
+  if (record.revoked_at) {
+    throw new Error(`이미 폐기된 API 키입니다: ${id}`);
+  }
+
+  record.revoked_at = new Date().toISOString();
+  saveApiKeys(keys);
+  return record;
+}
+
+/**
+ * 평문 API 키 확인
+ * @param {string} key - 요청에 포함된 키
+ * @returns {object|null} 유효한 키의 메타데이터 {id, name, scope} (없거나 폐기된 경우 null)
+ */
+export function authenticateApiKey(key) {
+  const match = new RegExp(`^${KEY_PREFIX}_([0-9a-f]{8})_[A-Za-z0-9_-]+$`).exec(String(key || ''));
+  if (!match) {
+    return null;
+  }
+
+  const record = loadApiKeys().find(item => item.id === match[1]);
+  if (!record || record.revoked_at) {
+    return null;
+  }
+
+  const expected = Buffer.from(record.hash, 'hex');
+  const actual = Buffer.from(hashKey(key), 'hex');
+  if (expected.length !== actual.length || !crypto.timingSafeEqual(expected, actual)) {
+    return null;
+  }
+  return { id: record.id, name: record.name, scope: record.scope };
+}
+
+/**
+ * 요청 헤더에서 API 키 추출
+ * @param {object} headers - HTTP 요청 헤더
+ * @returns {string|null} Authorization: Bearer 또는 X-API-Key 값
+ */
+export function extractApiKey(headers = {}) {
+  const bearer = /^Bearer\s+(.+)$/i.exec(headers.authorization || '');
+  if (bearer) {
+    return bearer[1].trim();
+  }
+  return headers['x-api-key'] ? String(headers['x-api-key']).trim() : null;
+}
+
+/**
+ * 키 권한이 필요한 권한을 포함하는지 확인 (admin ⊃ write ⊃ read)
+ * @param {string} keyScope - 키 권한
+ * @param {string} requiredScope - 필요한 권한
+ * @returns {boolean} 허용 여부
+ */
+export function hasScope(keyScope, requiredScope) {
+  return (SCOPE_LEVELS[keyScope] || 0) >= (SCOPE_LEVELS[requiredScope] || Infinity);
+}
@@ -0,0 +1,136 @@
+/**
+ * 캠페인/광고세트/광고그룹 예산 변경 공통 유틸리티
+ *
+ * 예산 변경 금액 문법 (set_budget 도구의 amount):
+ * - "50000"  : 해당 금액으로 변경
+ * - "+20%"   : 현재 예산의 20% 증액 ("-15%"는 15% 감액)
+ * - "+10000" : 현재 예산에 10,000 더하기 ("-5000"은 빼기)
+ *
+ * 금액은 모두 계정 통화의 기본 단위(원, 달러)이며 통화 최소 단위로 반올림
+ */
+
+/**
+ * 소수점 없는 통화 (Facebook 통화 오프셋 1 기준)
+ */
+const ZERO_DECIMAL_CURRENCIES = new Set(['KRW', 'JPY', 'VND', 'CLP', 'COP', 'CRC', 'HUF', 'ISK', 'IDR', 'PYG', 'TWD']);
+
+const CURRENCY_SYMBOLS = {
+  KRW: '₩',
+  USD: '$',
+  JPY: '¥',
+  EUR: '€'
+};
+
+export const BUDGET_FIELD_LABELS = {
+  daily_budget: '일 예산',
+  lifetime_budget: '총 예산'
+};
+
+/**
+ * 확인 토큰으로 실행할 때 미리보기에서 확인한 목표 금액을 그대로 적용하도록 amount를 절대 금액으로 바꾼 인자
+ * 비율/증감 변경("+20%")을 실행 시점의 예산으로 다시 계산하지 않기 위해 사용
+ * @param {object} args - set_budget 도구 인자
+ * @param {Array|null} approvedChanges - 확인 토큰에 저장된 미리보기 변경 내역 (MutationGuard 참고)
+ * @returns {object} 도구 인자 (미리보기 내역이 없으면 그대로)
+ */
+export function applyApprovedBudget(args, approvedChanges) {
+  const approved = (approvedChanges || []).find(change => change.field && change.target_value !== null && change.target_value !== undefined);
+  return approved ? { ...args, amount: String(approved.target_value) } : args;
+}
+
+/**
+ * 통화 소수점 자리수
+ * @param {string} currency - 통화 코드
+ * @returns {number} 0 또는 2
+ */
+export function getCurrencyDecimals(currency) {
+  return ZERO_DECIMAL_CURRENCIES.has(String(currency || '').toUpperCase()) ? 0 : 2;
+}
+
+/**
+ * 통화 최소 단위로 반올림
+ * @param {number} amount - 금액
+ * @param {string} currency - 통화 코드
+ * @returns {number} 반올림한 금액
+ */
+export function roundBudgetAmount(amount, currency) {
+  const factor = 10 ** getCurrencyDecimals(currency);
+  return Math.round(amount * factor) / factor;
+}
+
+/**
+ * 변경할 예산 금액 계산
+ * @param {string|number} input - "50000", "+20%", "-15%", "+10000" 형식
+ * @param {number} currentAmount - 현재 예산
+ * @param {string} currency - 통화 코드
+ * @returns {number} 새 예산 (통화 최소 단위로 반올림)
+ * @throws {Error} 형식이 잘못됐거나 결과가 0 이하인 경우
+ */
+export function parseBudgetAmount(input, currentAmount, currency) {
+  const text = String(input ?? '').replace(/[,\s원₩$]/g, '');
+  const match = /^([+-])?(\d+(?:\.\d+)?)(%)?$/.exec(text);
+  if (!match) {
+    throw new Error(`예산 금액 형식이 올바르지 않습니다: "${input}" (예: 50000, +20%, -15%, +10000)`);
+  }
+
+  const [, sign, number, percent] = match;
+  const value = Number(number);
+  if (percent && !sign) {
+    throw new Error(`비율 변경은 +/- 부호가 필요합니다: "${input}" (예: +20%, -15%)`);
+  }
+  if (sign && !Number.isFinite(currentAmount)) {
+    throw new Error('현재 예산을 알 수 없어 증감 금액을 계산할 수 없습니다');
+  }
+
+  const delta = percent ? currentAmount * value / 100 : value;
+  const amount = sign === '+' ? currentAmount + delta : sign === '-' ? currentAmount - delta : value;
+  const rounded = roundBudgetAmount(amount, currency);
+  if (!(rounded > 0)) {
+    throw new Error(`변경 후 예산이 0 이하입니다: ${formatBudgetAmount(rounded, currency)}`);
+  }
+  return rounded;
+}
+
+/**
+ * 매체 최소 예산 확인
+ * @param {number} amount - 새 예산
+ * @param {number|null} minimum - 최소 예산 (null이면 확인하지 않음)
+ * @param {string} currency - 통화 코드
+ * @param {string} description - 최소 예산 설명 (예: Facebook 일 예산)
+ * @throws {Error} 최소 예산보다 적은 경우
+ */
+export function validateMinimumBudget(amount, minimum, currency, description) {
+  if (minimum !== null && minimum !== undefined && amount < minimum) {
+    throw new Error(`${description} 최소 금액은 ${formatBudgetAmount(minimum, currency)}입니다 (요청: ${formatBudgetAmount(amount, currency)})`);
+  }
+}
+
+/**
+ * 예산 금액 표시 (₩50,000 / $12.50 / 12.50 EUR)
+ * @param {number} amount - 금액
+ * @param {string} currency - 통화 코드
+ * @returns {string} 표시 문자열
+ */
+export function formatBudgetAmount(amount, currency) {
+  if (amount === null || amount === undefined) {
+    return '-';
+  }
+  const code = String(currency || '').toUpperCase();
+  const decimals = getCurrencyDecimals(code);
+  const number = Number(amount).toLocaleString('en-US', { minimumFractionDigits: decimals, maximumFractionDigits: decimals });
+  return CURRENCY_SYMBOLS[code] ? `${CURRENCY_SYMBOLS[code]}${number}` : `${number} ${code}`.trim();
+}
+
+/**
+ * 예산 변경 비율 표시
+ * @param {number} currentAmount - 현재 예산
+ * @param {number} targetAmount - 새 예산
+ * @returns {string} (+20.0%) 형식 (현재 예산이 없으면 빈 문자열)
+ */
+export function formatBudgetChange(currentAmount, targetAmount) {
+  if (!(currentAmount > 0)) {
+    return '';
+  }
+  const rate = (targetAmount - currentAmount) / currentAmount * 100;
+  return ` (${rate >= 0 ? '+' : ''}${rate.toFixed(1)}%)`;
+}
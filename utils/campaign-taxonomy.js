@@ -0,0 +1,159 @@
+/**
+ * 캠페인명 해시태그 분류 체계(taxonomy) 파서
+ *
+ * 캠페인명 규칙: "#과금방식 #광고주 #업종 #담당자 #기타..."
+ * 예: "#CPA #노블리에 #결혼정보 #김효경 #01 노블리에규칙용"
+ *   → { billing: 'CPA', client: '노블리에', industry: '결혼정보', manager: '김효경' }
+ *
+ * 태그 위치와 이름은 CAMPAIGN_TAXONOMY 환경변수(JSON 배열)로 변경 가능
+ * 예: CAMPAIGN_TAXONOMY=[{"key":"billing","label":"과금","position":0},{"key":"manager","label":"담당자","position":3,"aliases":["담당"]}]
+ */
+
+/**
+ * 기본 분류 체계 (태그 순서 기준)
+ */
+const DEFAULT_TAXONOMY_FIELDS = [
+  { key: 'billing', label: '과금', position: 0 },
+  { key: 'client', label: '광고주', position: 1 },
+  { key: 'industry', label: '업종', position: 2 },
+  { key: 'manager', label: '담당자', position: 3 }
+];
+
+/**
+ * 분류 체계 필드 목록 반환 (CAMPAIGN_TAXONOMY 환경변수 우선)
+ * @returns {Array} [{key, label, position, aliases}]
+ */
+export function getTaxonomyFields() {
+  if (!process.env.CAMPAIGN_TAXONOMY) {
+    return DEFAULT_TAXONOMY_FIELDS;
+  }
+
+  try {
+    const fields = JSON.parse(process.env.CAMPAIGN_TAXONOMY);
+    const validFields = (Array.isArray(fields) ? fields : [])
+      .filter(field => field && field.key && field.label && Number.isInteger(field.position) && field.position >= 0);
+
+    if (validFields.length === 0) {
+      throw new Error('유효한 필드가 없습니다');
+    }
+    return validFields;
+  } catch (error) {
+    console.warn('CAMPAIGN_TAXONOMY 설정 오류, 기본 분류 체계 사용:', error.message);
+    return DEFAULT_TAXONOMY_FIELDS;
+  }
+}
+
+/**
+ * 이름에서 해시태그 추출
+ * @param {string} name - 캠페인명
+ * @returns {Array<string>} 해시태그 목록 (# 제외, 등장 순서)
+ */
+export function extractHashtags(name) {
+  return Array.from((name || '').matchAll(/#([^#\s]+)/g), match => match[1]);
+}
+
+/**
+ * 캠페인명을 분류 체계로 파싱
+ * @param {string} campaignName - 캠페인명
+ * @returns {object} {billing, client, industry, manager, ...} - 태그가 없는 필드는 null
+ */
+export function parseCampaignTaxonomy(campaignName) {
+  const tags = extractHashtags(campaignName);
+  const taxonomy = {};
+
+  getTaxonomyFields().forEach(field => {
+    taxonomy[field.key] = tags[field.position] || null;
+  });
+
+  return taxonomy;
+}
+
+/**
+ * 캠페인/광고 목록에 분류 체계 정보 추가
+ * @param {Array} items - 캠페인 또는 광고 목록 (campaign_name 또는 name 필요)
+ * @returns {Array} taxonomy, tags 필드가 추가된 목록
+ */
+export function annotateTaxonomy(items) {
+  return (items || []).map(item => {
+    const campaignName = item.campaign_name || item.name || '';
+    return {
+      ...item,
+      taxonomy: parseCampaignTaxonomy(campaignName),
+      tags: extractHashtags(campaignName)
+    };
+  });
+}
+
+/**
+ * 광고 목록에 소속 캠페인의 분류 체계와 광고명 해시태그 추가
+ * taxonomy는 캠페인명 기준, tags는 캠페인명 + 광고명 해시태그 (예: #숏폼, #랜딩2)
+ * @param {Array} ads - 광고 목록
+ * @param {Array} campaigns - annotateTaxonomy가 적용된 캠페인 목록
+ * @returns {Array} taxonomy, tags 필드가 추가된 광고 목록
+ */
+export function annotateAdTaxonomy(ads, campaigns) {
+  const campaignMap = new Map((campaigns || []).map(campaign => [String(campaign.campaign_id || campaign.id), campaign]));
+
+  return (ads || []).map(ad => {
+    const campaign = campaignMap.get(String(ad.campaign_id || ad.parent_id));
+    const campaignName = campaign?.campaign_name || campaign?.name || ad.campaign_name || '';
+    const campaignTags = campaign?.tags || extractHashtags(campaignName);
+    const adTags = extractHashtags(ad.ad_name || ad.name);
+
+    return {
+      ...ad,
+      taxonomy: campaign?.taxonomy || parseCampaignTaxonomy(campaignName),
+      tags: [...new Set([...campaignTags, ...adTags])]
+    };
+  });
+}
+
+/**
+ * 명령어에서 분류 체계 필터 추출 (예: 담당자:김효경 업종:치과 과금:CPA)
+ * 여러 값은 쉼표로 구분하며 OR 조건 (예: 담당자:김효경,김단아)
+ * @param {string} userInput - 사용자 입력 문자열
+ * @returns {object} { [field.key]: ['값1', '값2'] }
+ */
+export function parseTaxonomyFilters(userInput) {
+  const filters = {};
+
+  getTaxonomyFields().forEach(field => {
+    const names = [field.label, ...(field.aliases || [])];
+    for (const name of names) {
+      const escapedName = name.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+      const match = userInput.match(new RegExp(`(?:^|\\s)${escapedName}:([^\\s]+)`));
+      if (match) {
+        filters[field.key] = match[1].split(',').map(value => value.trim()).filter(Boolean);
+        break;
+      }
+    }
+  });
+
+  return filters;
+}
+
+/**
+ * 분류 체계 필터 매칭 (필드 간 AND, 값 간 OR, 대소문자 무시 부분 일치)
+ * @param {object} taxonomy - parseCampaignTaxonomy 결과
+ * @param {object} filters - parseTaxonomyFilters 결과
+ * @returns {boolean} 매칭 여부
+ */
+export function matchesTaxonomyFilters(taxonomy, filters) {
+  return Object.entries(filters || {}).every(([key, values]) => {
+    const tag = (taxonomy?.[key] || '').toLowerCase();
+    return tag !== '' && values.some(value => tag.includes(value.toLowerCase()));
+  });
+}
+
+/**
+ * 분류 체계 필터를 요약 텍스트로 변환
+ * @param {object} filters - parseTaxonomyFilters 결과
+ * @returns {Array<string>} ["담당자: 김효경", ...]
+ */
+export function describeTaxonomyFilters(filters) {
+  const fields = getTaxonomyFields();
+  return Object.entries(filters || {}).map(([key, values]) => {
+    const label = fields.find(field => field.key === key)?.label || key;
+    return `${label}: ${values.join(', ')}`;
+  });
+}
@@ -7,55 +7,67 @@
  * 예시:
  * - 키워드:고병우 날짜:20250720-20250721 매체:구글,페이스북
  * - 키워드:울산심플치과 날짜:어제 매체:전체
+ * - 키워드:고병우 날짜:7일 비교:전주
+ * - 키워드:고병우 날짜:지난달 비교:전월
+ * - 키워드:(치과|안과),-테스트 날짜:7일
+ * - 키워드: 날짜:지난달 담당자:김효경 과금:CPA
+ * - 키워드:스마일라식 날짜:이번달 피벗:숏폼,이미지
+ * - 키워드: 날짜:어제 조건:광고비>=100000 전환수=0
+ * - 키워드: 날짜:7일 정렬:CPA 상위:5
+ * - 캠페인ID:120210000000000000 날짜:7일
+ * - 키워드: 날짜:어제 상태:활성 무지출포함
+ * - 키워드: 날짜:7일 매체:페이스북 계정:노블리에
  */
 
-/**
- * 날짜 문자열을 표준 형식으로 변환
- * @param {string} dateStr - YYYYMMDD 형식의 날짜 문자열
- * @returns {string} YYYY-MM-DD 형식의 날짜 문자열
- */
-function formatDate(dateStr) {
-  if (dateStr.length === 8) {
-    // YYYYMMDD -> YYYY-MM-DD
-    return `${dateStr.slice(0, 4)}-${dateStr.slice(4, 6)}-${dateStr.slice(6, 8)}`;
-  }
-  return dateStr;
-}
+import {
+  getYesterday,
+  shiftDays,
+  shiftOneMonthBack,
+  parseDateExpression,
+  isYearPeriodExpression,
+  normalizeWeekStart,
+  getDefaultWeekStart
+} from './date-utils.js';
+import { parseKeywordExpression } from './keyword-matcher.js';
+import { parseTaxonomyFilters, describeTaxonomyFilters } from './campaign-taxonomy.js';
+import { parseMetricConditions, describeMetricConditions } from './metric-conditions.js';
+import { parseSortOption, describeSortSettings } from './result-sorting.js';
+import { parseEntityIds, describeEntityIds } from './entity-id.js';
+import { parseStatusFilter, getStatusLabel } from './delivery-status.js';
+import { parseAccountList } from './account-scope.js';
 
 /**
- * 어제 날짜를 반환
- * @returns {string} YYYY-MM-DD 형식의 어제 날짜
+ * 비교 기간 계산
+ * @param {string} compareStr - 비교 파라미터 값 (전주, 전월 또는 날짜 표현식)
+ * @param {string} startDate - 기준 기간 시작일 (YYYY-MM-DD)
+ * @param {string} endDate - 기준 기간 종료일 (YYYY-MM-DD)
+ * @param {string} weekStart - 주 시작 요일 ('monday' 또는 'sunday')
+ * @param {string} timeZone - 오늘 계산 시간대 (기본값: 배포 기본 시간대)
+ * @returns {object} {startDate, endDate, type} 형식의 비교 기간
+ * @throws {Error} 해석할 수 없는 비교 기간인 경우
  */
-function getYesterday() {
-  const yesterday = new Date();
-  yesterday.setDate(yesterday.getDate() - 1);
-  return yesterday.toISOString().split('T')[0];
-}
+function resolveCompareRange(compareStr, startDate, endDate, weekStart, timeZone) {
+  if (compareStr === '전주') {
+    return {
+      startDate: shiftDays(startDate, -7),
+      endDate: shiftDays(endDate, -7),
+      type: 'previous_week'
+    };
+  }
 
-/**
- * 오늘 날짜를 반환
- * @returns {string} YYYY-MM-DD 형식의 오늘 날짜
- */
-function getToday() {
-  const today = new Date();
-  return today.toISOString().split('T')[0];
-}
+  if (compareStr === '전월') {
+    return {
+      startDate: shiftOneMonthBack(startDate),
+      endDate: shiftOneMonthBack(endDate),
+      type: 'previous_month'
+    };
+  }
 
-/**
- * 최근 N일 날짜 범위를 반환
- * @param {number} days - 일수
- * @returns {object} {startDate, endDate} 형식의 날짜 범위
- */
-function getRecentDays(days) {
-  const endDate = new Date();
-  endDate.setDate(endDate.getDate() - 1); // 어제까지
-  
-  const startDate = new Date(endDate);
-  startDate.setDate(startDate.getDate() - (days - 1));
-  
+  // 그 외에는 날짜: 파라미터와 같은 문법으로 해석 (예: 20250601-20250630, 지난달, 2분기)
+  const range = parseDateExpression(compareStr, { weekStart, timeZone });
   return {
-    startDate: startDate.toISOString().split('T')[0],
-    endDate: endDate.toISOString().split('T')[0]
+    ...range,
+    type: 'custom'
   };
 }
 
@@ -78,6 +90,23 @@ const PLATFORM_MAP = {
   'all': 'all'
 };
 
+/**
+ * 연 단위 기간 표현(올해/YTD, 작년)의 최대 조회 기간(일) - 윤년 1년
+ */
+const YEAR_PERIOD_MAX_DAYS = 366;
+
+/**
+ * 최대 조회 기간(일) - MAX_QUERY_DAYS 환경변수, 기본값 92일(한 분기)
+ * 연 단위 기간 표현(올해/YTD, 작년)은 366일까지 허용 (MAX_QUERY_DAYS가 더 크면 그 값)
+ * @param {boolean} yearPeriod - 연 단위 기간 표현 여부
+ * @returns {number} 최대 조회 기간(일)
+ */
+function getMaxQueryDays(yearPeriod = false) {
+  const parsed = parseInt(process.env.MAX_QUERY_DAYS);
+  const maxDays = parsed > 0 ? parsed : 92;
+  return yearPeriod ? Math.max(maxDays, YEAR_PERIOD_MAX_DAYS) : maxDays;
+}
+
 /**
  * 모든 지원 매체 목록
  */
@@ -91,55 +120,92 @@ const ALL_PLATFORMS = ['facebook', 'google', 'tiktok', 'carrot'];
 export function parseUserCommand(userInput) {
   const command = {
     keyword: null,
+    keywordExpression: null, // 키워드 구문 트리 (keyword-matcher.js)
     startDate: null,
     endDate: null,
     platforms: [],
     reportType: 'internal', // 기본값: 내부용
     customTitle: null, // 기본값: null (자동 제목 사용)
+    compareStartDate: null, // 기본값: null (기간 비교 없음)
+    compareEndDate: null,
+    compareType: null,
+    weekStart: getDefaultWeekStart(), // 기본값: WEEK_START_DAY 환경변수 또는 월요일
+    taxonomyFilters: {}, // 캠페인명 해시태그 필터 (담당자:, 업종:, 과금: 등)
+    pivotDimension: null, // 해시태그 피벗 기준 (예: 담당자, 숏폼,이미지)
+    metricConditions: [], // 성과 지표 조건 (예: CTR>1.5 광고비>=100000)
+    sort: null, // 정렬 기준 {metric, label, direction} (기본값: null - 매체별 지출 순)
+    limit: null, // 상위/하위 N개 {type: 'top'|'bottom', count}
+    campaignIds: [], // 직접 조회할 캠페인 ID [{id, platform}] (entity-id.js)
+    adIds: [], // 직접 조회할 광고 ID [{id, platform}]
+    statusFilter: null, // 캠페인 상태 필터 ('active'|'paused', 기본값: null - 전체)
+    includeZeroSpend: false, // 기간 내 지출이 없는 캠페인 포함 여부
+    accountFilter: [], // 조회할 광고 계정 (계정 ID 또는 계정명, account-scope.js)
+    dateExpression: null, // 원본 날짜 표현식 (계정 시간대별 재계산용)
+    compareExpression: null,
     raw: userInput,
     isValid: true,
     errors: []
   };
 
   try {
-    // 키워드 추출 (빈 키워드도 허용)
+    // 캠페인/광고 ID 추출 (캠페인ID:120210000000000000, 광고ID:google:12345678901)
+    const idParams = [
+      { pattern: /캠페인ID:([^\s]+)/i, field: 'campaignIds' },
+      { pattern: /광고ID:([^\s]+)/i, field: 'adIds' }
+    ];
+    idParams.forEach(({ pattern, field }) => {
+      const idMatch = userInput.match(pattern);
+      if (idMatch) {
+        try {
+          command[field] = parseEntityIds(idMatch[1]);
+        } catch (error) {
+          command.errors.push(error.message);
+          command.isValid = false;
+        }
+      }
+    });
+    const hasDirectIds = command.campaignIds.length > 0 || command.adIds.length > 0;
+
+    // 키워드 추출 (빈 키워드도 허용, ID 직접 조회 시 생략 가능)
     const keywordMatch = userInput.match(/키워드:([^\s]*)/);
     if (keywordMatch) {
       command.keyword = keywordMatch[1] || ''; // 빈 문자열도 허용
+      try {
+        command.keywordExpression = parseKeywordExpression(command.keyword);
+      } catch (error) {
+        command.errors.push(error.message);
+        command.isValid = false;
+      }
+    } else if (hasDirectIds) {
+      command.keyword = '';
     } else {
       command.errors.push('키워드가 지정되지 않았습니다');
       command.isValid = false;
     }
 
-    // 날짜 추출 및 처리
+    // 주 시작 요일 추출 (이번주/지난주 계산 기준)
+    const weekStartMatch = userInput.match(/주시작:([^\s]+)/);
+    if (weekStartMatch) {
+      const weekStart = normalizeWeekStart(weekStartMatch[1]);
+      if (weekStart) {
+        command.weekStart = weekStart;
+      } else {
+        command.errors.push('유효하지 않은 주 시작 요일입니다 (월요일 또는 일요일만 가능)');
+        command.isValid = false;
+      }
+    }
+
+    // 날짜 추출 및 처리 (date-utils의 날짜 표현식 문법 사용)
     const dateMatch = userInput.match(/날짜:([^\s]+)/);
     if (dateMatch) {
-      const dateStr = dateMatch[1];
-      
-      if (dateStr.includes('-')) {
-        // 날짜 범위 (예: 20250720-20250721)
-        const [start, end] = dateStr.split('-');
-        command.startDate = formatDate(start);
-        command.endDate = formatDate(end);
-      } else if (dateStr === '어제') {
-        const yesterday = getYesterday();
-        command.startDate = yesterday;
-        command.endDate = yesterday;
-      } else if (dateStr === '오늘') {
-        const today = getToday();
-        command.startDate = today;
-        command.endDate = today;
-      } else if (dateStr.match(/^\d+일$/)) {
-        // N일 (예: 7일)
-        const days = parseInt(dateStr.replace('일', ''));
-        const range = getRecentDays(days);
+      command.dateExpression = dateMatch[1];
+      try {
+        const range = parseDateExpression(dateMatch[1], { weekStart: command.weekStart });
         command.startDate = range.startDate;
         command.endDate = range.endDate;
-      } else {
-        // 단일 날짜
-        const formattedDate = formatDate(dateStr);
-        command.startDate = formattedDate;
-        command.endDate = formattedDate;
+      } catch (error) {
+        command.errors.push(error.message);
+        command.isValid = false;
       }
     } else {
       // 날짜 지정 안됨 - 기본값은 어제
@@ -169,8 +235,11 @@ export function parseUserCommand(userInput) {
         }
       }
     } else {
-      // 매체 지정 안됨 - 기본값은 전체
-      command.platforms = [...ALL_PLATFORMS];
+      // 매체 지정 안됨 - 기본값은 전체 (ID 직접 조회 시 ID 형식으로 감지한 매체만)
+      const detectedPlatforms = [...command.campaignIds, ...command.adIds].map(entity => entity.platform);
+      command.platforms = hasDirectIds && !detectedPlatforms.includes(null)
+        ? ALL_PLATFORMS.filter(platform => detectedPlatforms.includes(platform))
+        : [...ALL_PLATFORMS];
     }
 
     // 리포트 타입 추출
@@ -201,16 +270,18 @@ export function parseUserCommand(userInput) {
       }
     }
 
-    // 표시 단위 추출 (캠페인/광고)
+    // 표시 단위 추출 (캠페인/광고세트/광고)
     const unitMatch = userInput.match(/단위:([^\s]+)/);
     if (unitMatch) {
       const unitStr = unitMatch[1].toLowerCase();
       if (unitStr === '캠페인' || unitStr === 'campaign') {
         command.displayUnit = 'campaign';
+      } else if (['광고세트', '광고그룹', 'adset', 'adgroup'].includes(unitStr)) {
+        command.displayUnit = 'adset';
       } else if (unitStr === '광고' || unitStr === 'ad') {
         command.displayUnit = 'ad';
       } else {
-        command.errors.push('유효하지 않은 단위입니다 (캠페인 또는 광고만 가능)');
+        command.errors.push('유효하지 않은 단위입니다 (캠페인, 광고세트 또는 광고만 가능)');
         command.isValid = false;
       }
     } else {
@@ -240,6 +311,89 @@ export function parseUserCommand(userInput) {
       }
     }
 
+    // 캠페인명 해시태그 분류 필터 추출 (담당자:김효경 업종:치과 과금:CPA)
+    command.taxonomyFilters = parseTaxonomyFilters(userInput);
+
+    // 해시태그 피벗 기준 추출 (피벗:담당자, 피벗:숏폼,이미지)
+    const pivotMatch = userInput.match(/피벗:([^\s]+)/);
+    if (pivotMatch) {
+      command.pivotDimension = pivotMatch[1];
+    }
+
+    // 성과 지표 조건 추출 (조건:CTR>1.5 광고비>=100000 전환수=0 - 다음 파라미터 전까지)
+    const conditionMatch = userInput.match(/조건:(.+?)(?=\s+[^\s:<>=!]+:|$)/);
+    if (conditionMatch) {
+      try {
+        command.metricConditions = parseMetricConditions(conditionMatch[1]);
+      } catch (error) {
+        command.errors.push(error.message);
+        command.isValid = false;
+      }
+    }
+
+    // 비교 기간 추출 (전주, 전월 또는 날짜 표현식)
+    const compareMatch = userInput.match(/비교:([^\s]+)/);
+    if (compareMatch && command.startDate && command.endDate) {
+      command.compareExpression = compareMatch[1];
+      try {
+        const compareRange = resolveCompareRange(compareMatch[1], command.startDate, command.endDate, command.weekStart);
+        command.compareStartDate = compareRange.startDate;
+        command.compareEndDate = compareRange.endDate;
+        command.compareType = compareRange.type;
+      } catch (error) {
+        command.errors.push(`유효하지 않은 비교 기간입니다: ${error.message}`);
+        command.isValid = false;
+      }
+    }
+
+    // 캠페인 상태 필터 추출 (상태:활성, 상태:중지, 상태:전체)
+    const statusMatch = userInput.match(/상태:([^\s]+)/);
+    if (statusMatch) {
+      try {
+        command.statusFilter = parseStatusFilter(statusMatch[1]);
+      } catch (error) {
+        command.errors.push(error.message);
+        command.isValid = false;
+      }
+    }
+
+    // 광고 계정 지정 추출 (계정:노블리에, 계정:1234567890,스마일)
+    const accountMatch = userInput.match(/계정:([^\s]+)/);
+    if (accountMatch) {
+      command.accountFilter = parseAccountList(accountMatch[1]);
+    }
+
+    // 무지출 캠페인 포함 여부 (무지출포함)
+    command.includeZeroSpend = /(?:^|\s)무지출포함(?=\s|$)/.test(userInput);
+
+    // 정렬 기준 추출 (정렬:CPA, 정렬:CPA오름, 정렬:CTR내림)
+    const sortMatch = userInput.match(/정렬:([^\s]+)/);
+    if (sortMatch) {
+      try {
+        command.sort = parseSortOption(sortMatch[1]);
+      } catch (error) {
+        command.errors.push(error.message);
+        command.isValid = false;
+      }
+    }
+
+    // 상위/하위 N개 추출 (상위:10, 하위:5)
+    const topMatch = userInput.match(/상위:([^\s]+)/);
+    const bottomMatch = userInput.match(/하위:([^\s]+)/);
+    if (topMatch && bottomMatch) {
+      command.errors.push('상위:와 하위:는 함께 사용할 수 없습니다');
+      command.isValid = false;
+    } else if (topMatch || bottomMatch) {
+      const limitStr = (topMatch || bottomMatch)[1];
+      const count = parseInt(limitStr, 10);
+      if (!/^\d+$/.test(limitStr) || count < 1) {
+        command.errors.push(`유효하지 않은 개수입니다: ${limitStr} (1 이상의 숫자)`);
+        command.isValid = false;
+      } else {
+        command.limit = { type: topMatch ? 'top' : 'bottom', count };
+      }
+    }
+
     // 날짜 유효성 검사
     if (command.startDate && command.endDate) {
       const start = new Date(command.startDate);
@@ -250,10 +404,31 @@ export function parseUserCommand(userInput) {
         command.isValid = false;
       }
       
-      // 너무 긴 기간 체크 (90일 제한)
-      const diffDays = (end - start) / (1000 * 60 * 60 * 24);
-      if (diffDays > 90) {
-        command.errors.push('조회 기간이 90일을 초과할 수 없습니다');
+      // 너무 긴 기간 체크 (기본 92일 제한 - 분기 단위 조회 허용, 올해/작년은 366일 제한)
+      const maxDays = getMaxQueryDays(isYearPeriodExpression(command.dateExpression));
+      const periodDays = (end - start) / (1000 * 60 * 60 * 24) + 1;
+      if (periodDays > maxDays) {
+        command.errors.push(`조회 기간이 ${maxDays}일을 초과할 수 없습니다 (요청: ${periodDays}일)`);
+        command.isValid = false;
+      }
+    }
+
+    // 비교 기간 유효성 검사
+    if (command.compareStartDate && command.compareEndDate) {
+      const compareStart = new Date(command.compareStartDate);
+      const compareEnd = new Date(command.compareEndDate);
+
+      if (compareStart > compareEnd) {
+        command.errors.push('비교 기간의 시작일이 종료일보다 늦습니다');
+        command.isValid = false;
+      }
+
+      // 연 단위 기간과의 비교(예: 날짜:올해 비교:작년)는 연 단위 제한(366일) 적용
+      const yearPeriod = isYearPeriodExpression(command.dateExpression) || isYearPeriodExpression(command.compareExpression);
+      const maxDays = getMaxQueryDays(yearPeriod);
+      const comparePeriodDays = (compareEnd - compareStart) / (1000 * 60 * 60 * 24) + 1;
+      if (comparePeriodDays > maxDays) {
+        command.errors.push(`비교 기간이 ${maxDays}일을 초과할 수 없습니다 (요청: ${comparePeriodDays}일)`);
         command.isValid = false;
       }
     }
@@ -266,6 +441,27 @@ export function parseUserCommand(userInput) {
   return command;
 }
 
+/**
+ * 특정 시간대 기준으로 명령어의 조회 기간 재계산
+ * 어제, 이번달 같은 상대 날짜를 광고 계정 시간대의 "오늘" 기준으로 다시 해석
+ * @param {object} command - 파싱된 명령어 객체
+ * @param {string} timeZone - 계정 시간대
+ * @param {boolean} compare - true면 비교 기간 반환
+ * @returns {object} {startDate, endDate}
+ */
+export function resolveCommandDateRange(command, timeZone, compare = false) {
+  const range = command.dateExpression
+    ? parseDateExpression(command.dateExpression, { weekStart: command.weekStart, timeZone })
+    : { startDate: getYesterday(timeZone), endDate: getYesterday(timeZone) };
+
+  if (!compare) {
+    return range;
+  }
+
+  const { startDate, endDate } = resolveCompareRange(command.compareExpression, range.startDate, range.endDate, command.weekStart, timeZone);
+  return { startDate, endDate };
+}
+
 /**
  * 명령어 유효성 검사
  * @param {object} command - 파싱된 명령어 객체
@@ -301,6 +497,50 @@ export function formatCommandSummary(command) {
   
   let summary = `검색 조건\n- 키워드: "${command.keyword}"\n- 기간: ${dateRange}\n- 매체: ${platformList}\n- 리포트: ${reportTypeText}`;
   
+  if (command.campaignIds?.length > 0) {
+    summary += `\n- 캠페인ID: ${describeEntityIds(command.campaignIds)}`;
+  }
+  
+  if (command.adIds?.length > 0) {
+    summary += `\n- 광고ID: ${describeEntityIds(command.adIds)}`;
+  }
+  
+  if (command.compareStartDate && command.compareEndDate) {
+    const compareRange = command.compareStartDate === command.compareEndDate
+      ? command.compareStartDate
+      : `${command.compareStartDate} ~ ${command.compareEndDate}`;
+    summary += `\n- 비교 기간: ${compareRange}`;
+  }
+  
+  if (command.accountFilter?.length > 0) {
+    summary += `\n- 계정: ${command.accountFilter.join(', ')}`;
+  }
+  
+  if (command.statusFilter) {
+    summary += `\n- 상태: ${getStatusLabel(command.statusFilter)}`;
+  }
+  
+  if (command.includeZeroSpend) {
+    summary += `\n- 무지출 캠페인 포함`;
+  }
+  
+  describeTaxonomyFilters(command.taxonomyFilters).forEach(filterText => {
+    summary += `\n- ${filterText}`;
+  });
+  
+  if (command.pivotDimension) {
+    summary += `\n- 피벗: ${command.pivotDimension}`;
+  }
+  
+  const sortText = describeSortSettings(command);
+  if (sortText) {
+    summary += `\n- 정렬: ${sortText}`;
+  }
+  
+  if (command.metricConditions?.length > 0) {
+    summary += `\n- 조건 (${getDisplayUnitLabel(command.displayUnit)} 단위): ${describeMetricConditions(command.metricConditions)}`;
+  }
+  
   if (command.customTitle) {
     summary += `\n- 제목: "${command.customTitle}"`;
   }
@@ -308,6 +548,15 @@ export function formatCommandSummary(command) {
   return summary;
 }
 
+/**
+ * 표시 단위 이름 반환
+ * @param {string} displayUnit - 표시 단위 (campaign, adset, ad)
+ * @returns {string} 캠페인, 광고세트 또는 광고
+ */
+export function getDisplayUnitLabel(displayUnit) {
+  return { campaign: '캠페인', adset: '광고세트' }[displayUnit] || '광고';
+}
+
 /**
  * 예시 명령어 목록 반환
  * @returns {Array} 예시 명령어 배열
@@ -318,7 +567,19 @@ export function getExampleCommands() {
     '키워드:울산심플치과 날짜:어제 매체:틱톡 리포트:광고주',
     '키워드:치아교정 날짜:7일 매체:전체 제목:2024년 4분기 치아교정 캠페인 성과',
     '키워드:김영희 날짜:20250701-20250731 매체:페이스북 리포트:내부',
-    '키워드:성형외과 날짜:오늘 매체:구글 리포트:광고주 제목:모모성형외과 일일 성과 리포트'
+    '키워드:성형외과 날짜:오늘 매체:구글 리포트:광고주 제목:모모성형외과 일일 성과 리포트',
+    '키워드:고병우 날짜:7일 매체:전체 비교:전주',
+    '키워드:치아교정 날짜:지난달 매체:전체 리포트:광고주',
+    '키워드:고병우 날짜:이번주 주시작:일요일 매체:페이스북',
+    '키워드:(치과|안과),-테스트 날짜:지난주 매체:전체',
+    '키워드: 날짜:지난달 매체:전체 피벗:담당자',
+    '키워드: 날짜:어제 매체:전체 조건:광고비>=10만 전환수=0',
+    '키워드: 날짜:7일 매체:전체 정렬:CPA 상위:5',
+    '키워드:치과 날짜:지난주 매체:전체 단위:광고세트',
+    '캠페인ID:120210000000000000 날짜:7일',
+    '광고ID:google:712345678901 날짜:어제 비교:전주',
+    '키워드: 날짜:어제 매체:전체 상태:활성 무지출포함 단위:캠페인',
+    '키워드: 날짜:7일 매체:페이스북 계정:노블리에'
   ];
 }
 
@@ -0,0 +1,125 @@
+/**
+ * 매체 API 자격 증명 유틸리티
+ *
+ * 각 매체 서비스는 생성할 때 받은 자격 증명 객체만 사용하므로,
+ * 요청마다 다른 API 키로 서비스 인스턴스를 만들어도 다른 요청과 섞이지 않음
+ *
+ * 구조:
+ * - facebook: {accessToken, adAccountId}
+ * - google:   {clientId, clientSecret, refreshToken, developerToken, customerId, loginCustomerId}
+ * - tiktok:   {accessToken, advertiserId, advertiserIds, appId, secret}
+ * - carrot:   {serviceAccountKey, spreadsheetId, sheetName, sheetRange}
+ */
+
+import { parseAccountList } from './account-scope.js';
+
+/**
+ * 환경변수에서 매체별 자격 증명 읽기
+ * @param {object} env - 환경변수 객체 (기본값: process.env)
+ * @returns {object} {facebook, google, tiktok, carrot}
+ */
+export function loadCredentialsFromEnv(env = process.env) {
+  const advertiserIds = parseAccountList(env.TIKTOK_ADVERTISER_IDS);
+
+  return {
+    facebook: {
+      accessToken: env.META_ACCESS_TOKEN,
+      adAccountId: env.META_AD_ACCOUNT_ID
+    },
+    google: {
+      clientId: env.GOOGLE_ADS_CLIENT_ID,
+      clientSecret: env.GOOGLE_ADS_CLIENT_SECRET,
+      refreshToken: env.GOOGLE_ADS_REFRESH_TOKEN,
+      developerToken: env.GOOGLE_ADS_DEVELOPER_TOKEN,
+      customerId: env.GOOGLE_ADS_CUSTOMER_ID,
+      // MCC(관리자 계정)로 하위 계정을 조회할 때 login-customer-id (없으면 customerId 사용)
+      loginCustomerId: env.GOOGLE_ADS_LOGIN_CUSTOMER_ID
+    },
+    tiktok: {
+      accessToken: env.TIKTOK_ACCESS_TOKEN,
+      // 단일 광고주 도구(성과/광고그룹/소재 조회, 연결 테스트)의 기본 광고주
+      advertiserId: env.TIKTOK_ADVERTISER_ID || advertiserIds.find(id => /^\d+$/.test(id)),
+      // 여러 광고주 계정 (쉼표로 구분한 광고주 ID, "auto"면 토큰으로 접근 가능한 광고주 자동 조회)
+      advertiserIds,
+      appId: env.TIKTOK_APP_ID,
+      secret: env.TIKTOK_SECRET
+    },
+    carrot: {
+      serviceAccountKey: env.GOOGLE_SHEETS_SERVICE_ACCOUNT_KEY,
+      spreadsheetId: env.CARROT_SPREADSHEET_ID,
+      sheetName: env.CARROT_SHEET_NAME || '성과데이터',
+      sheetRange: env.CARROT_SHEET_RANGE || 'A:M'
+    }
+  };
+}
+
+/**
+ * 매체 자격 증명이 서비스를 활성화할 만큼 설정되어 있는지 확인
+ * @param {object} credentials - loadCredentialsFromEnv 형식의 자격 증명
+ * @param {string} platform - 매체 코드
+ * @returns {boolean} 활성화 가능 여부
+ */
+export function hasPlatformCredentials(credentials, platform) {
+  const platformCredentials = credentials?.[platform] || {};
+
+  switch (platform) {
+    case 'facebook':
+      return Boolean(platformCredentials.accessToken && platformCredentials.adAccountId);
+    case 'google':
+      return Boolean(platformCredentials.clientId && platformCredentials.customerId);
+    case 'tiktok':
+      return Boolean(platformCredentials.accessToken &&
+        (platformCredentials.advertiserId || platformCredentials.advertiserIds?.length > 0));
+    case 'carrot':
+      return Boolean(platformCredentials.serviceAccountKey && platformCredentials.spreadsheetId);
+    default:
+      return false;
+  }
+}
+
+/**
+ * 요청 본문의 api_keys를 기본 자격 증명 위에 덮어쓴 새 자격 증명 생성 (기본 자격 증명은 변경하지 않음)
+ * @param {object} baseCredentials - 서버 기본 자격 증명
+ * @param {object} apiKeys - 요청의 api_keys ({facebook: {access_token, ad_account_id}, google: {customer_id}, tiktok: {access_token, advertiser_id}})
+ * @returns {object} 요청 전용 자격 증명
+ */
+export function applyRequestApiKeys(baseCredentials, apiKeys) {
+  const credentials = {
+    facebook: { ...baseCredentials.facebook },
+    google: { ...baseCredentials.google },
+    tiktok: { ...baseCredentials.tiktok },
+    carrot: { ...baseCredentials.carrot }
+  };
+
+  if (!apiKeys || typeof apiKeys !== 'object') {
+    return credentials;
+  }
+
+  if (apiKeys.facebook && typeof apiKeys.facebook === 'object') {
+    const { access_token, ad_account_id } = apiKeys.facebook;
+    if (access_token && ad_account_id) {
+      credentials.facebook.accessToken = String(access_token).substring(0, 500);
+      credentials.facebook.adAccountId = String(ad_account_id).substring(0, 100);
+    }
+  }
+
+  if (apiKeys.google && typeof apiKeys.google === 'object') {
+    const { customer_id } = apiKeys.google;
+    if (customer_id) {
+      // 요청한 고객 계정으로 조회 (GOOGLE_ADS_LOGIN_CUSTOMER_ID가 없으면 login-customer-id도 요청 고객 계정)
+      credentials.google.customerId = String(customer_id).substring(0, 50);
+    }
+  }
+
+  if (apiKeys.tiktok && typeof apiKeys.tiktok === 'object') {
+    const { access_token, advertiser_id } = apiKeys.tiktok;
+    if (access_token && advertiser_id) {
+      credentials.tiktok.accessToken = String(access_token).substring(0, 500);
+      credentials.tiktok.advertiserId = String(advertiser_id).substring(0, 100);
+      // 요청 토큰으로는 지정한 광고주 하나만 조회
+      credentials.tiktok.advertiserIds = [];
+    }
+  }
+
+  return credentials;
+}
@@ -64,7 +64,7 @@ export function calculateDailyTrends(dailyData) {
  * @param {number} currentValue - 현재 값
  * @returns {object} {change: 절대값 변화, changePercent: 퍼센트 변화}
  */
-function calculateChange(previousValue, currentValue) {
+export function calculateChange(previousValue, currentValue) {
   const prev = parseFloat(previousValue) || 0;
   const curr = parseFloat(currentValue) || 0;
   
@@ -103,6 +103,44 @@ export function calculateDerivedMetrics(dayData) {
   };
 }
 
+/**
+ * 광고/캠페인 데이터에서 전환수 추출 (Facebook Actions 포함)
+ * @param {object} item - 성과 데이터 {conversions, actions}
+ * @returns {number} 전환수
+ */
+export function getConversions(item) {
+  const conversions = parseFloat(item.conversions || 0);
+  if (conversions === 0 && item.actions && Array.isArray(item.actions)) {
+    const leadActions = item.actions.find(action => action.action_type === 'lead')?.value || 0;
+    const purchaseActions = item.actions.find(action => action.action_type === 'purchase')?.value || 0;
+    const registrationActions = item.actions.find(action => action.action_type === 'complete_registration')?.value || 0;
+    return parseInt(leadActions) + parseInt(purchaseActions) + parseInt(registrationActions);
+  }
+  return conversions;
+}
+
+/**
+ * 여러 광고의 성과를 합산하고 파생 지표 계산
+ * @param {Array} items - 성과 데이터 배열 [{spend, impressions, clicks, conversions}, ...]
+ * @returns {object} 합산 지표와 파생 지표 {spend, impressions, clicks, conversions, ctr, cpm, cpc, conversion_rate, cost_per_conversion}
+ */
+export function summarizeMetrics(items) {
+  const totals = (items || []).reduce((acc, item) => ({
+    spend: acc.spend + parseFloat(item.spend || 0),
+    impressions: acc.impressions + parseInt(item.impressions || 0),
+    clicks: acc.clicks + parseInt(item.clicks || 0),
+    conversions: acc.conversions + getConversions(item)
+  }), { spend: 0, impressions: 0, clicks: 0, conversions: 0 });
+
+  return {
+    spend: parseFloat(totals.spend.toFixed(2)),
+    impressions: totals.impressions,
+    clicks: totals.clicks,
+    conversions: parseFloat(totals.conversions.toFixed(2)),
+    ...calculateDerivedMetrics(totals)
+  };
+}
+
 /**
  * 일별 추이를 텍스트로 포맷팅
  * @param {object} trends - calculateDailyTrends 결과의 trends 객체
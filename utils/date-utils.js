@@ -1,20 +1,527 @@
 // 날짜 관련 공통 유틸리티 함수들
 
+/**
+ * 주 시작 요일 설정값 (getUTCDay 기준 요일 번호)
+ */
+const WEEK_START_DAYS = {
+  monday: 1,
+  sunday: 0
+};
+
+/**
+ * 주 시작 요일 입력값 매핑 (주시작: 파라미터, WEEK_START_DAY 환경변수)
+ */
+const WEEK_START_ALIASES = {
+  '월': 'monday',
+  '월요일': 'monday',
+  'monday': 'monday',
+  'mon': 'monday',
+  '일': 'sunday',
+  '일요일': 'sunday',
+  'sunday': 'sunday',
+  'sun': 'sunday'
+};
+
+/**
+ * 지원하는 날짜 표현 안내 (오류 메시지용)
+ */
+const SUPPORTED_DATE_EXPRESSIONS = '어제, 오늘, N일, 이번주, 지난주, 이번달(MTD), 지난달, 이번분기, 지난분기, 올해(YTD), 작년, N월, YYYY년N월, N분기, YYYY년N분기, YYYY-Www, YYYYMMDD, YYYYMMDD-YYYYMMDD';
+
+/**
+ * 연 단위 기간 표현 (최대 조회 기간 제한에서 제외)
+ */
+const YEAR_PERIOD_EXPRESSIONS = new Set(['올해', '금년', 'ytd', '작년', '지난해']);
+
+/**
+ * Date 객체를 YYYY-MM-DD 문자열로 변환 (UTC 기준)
+ * @param {Date} date - 변환할 날짜
+ * @returns {string} YYYY-MM-DD 형식의 날짜
+ */
+function toDateString(date) {
+  return date.toISOString().split('T')[0];
+}
+
+/**
+ * 연/월/일로 YYYY-MM-DD 문자열 생성 (월은 1부터, 범위를 넘으면 자동 보정)
+ */
+function makeDate(year, month, day) {
+  return toDateString(new Date(Date.UTC(year, month - 1, day)));
+}
+
+/**
+ * YYYY-MM-DD 문자열을 연/월/일 숫자로 분리
+ */
+function splitDate(dateStr) {
+  const [year, month, day] = dateStr.split('-').map(Number);
+  return { year, month, day };
+}
+
+/**
+ * YYYY-MM-DD 날짜를 일 단위로 이동
+ * @param {string} dateStr - YYYY-MM-DD 형식의 날짜
+ * @param {number} days - 이동할 일수 (음수면 과거)
+ * @returns {string} YYYY-MM-DD 형식의 날짜
+ */
+export function shiftDays(dateStr, days) {
+  const date = new Date(`${dateStr}T00:00:00Z`);
+  date.setUTCDate(date.getUTCDate() + days);
+  return toDateString(date);
+}
+
+/**
+ * YYYY-MM-DD 날짜를 한 달 전으로 이동 (말일은 말일로 맞춤)
+ * @param {string} dateStr - YYYY-MM-DD 형식의 날짜
+ * @returns {string} YYYY-MM-DD 형식의 날짜
+ */
+export function shiftOneMonthBack(dateStr) {
+  const { year, month, day } = splitDate(dateStr);
+  const lastDayOfMonth = new Date(Date.UTC(year, month, 0)).getUTCDate();
+  const lastDayOfPrevMonth = new Date(Date.UTC(year, month - 1, 0)).getUTCDate();
+  const targetDay = day === lastDayOfMonth ? lastDayOfPrevMonth : Math.min(day, lastDayOfPrevMonth);
+  return makeDate(year, month - 1, targetDay);
+}
+
+/**
+ * YYYYMMDD 문자열을 YYYY-MM-DD로 변환 (존재하지 않는 날짜는 오류)
+ * @param {string} dateStr - YYYYMMDD 형식의 날짜 문자열
+ * @returns {string} YYYY-MM-DD 형식의 날짜 문자열
+ */
+export function parseCompactDate(dateStr) {
+  const year = parseInt(dateStr.slice(0, 4));
+  const month = parseInt(dateStr.slice(4, 6));
+  const day = parseInt(dateStr.slice(6, 8));
+  const formatted = makeDate(year, month, day);
+
+  if (formatted !== `${dateStr.slice(0, 4)}-${dateStr.slice(4, 6)}-${dateStr.slice(6, 8)}`) {
+    throw new Error(`존재하지 않는 날짜입니다: ${dateStr}`);
+  }
+  return formatted;
+}
+
+/**
+ * REPORT_TIMEZONE이 없거나 잘못된 경우 사용하는 시간대
+ */
+const DEFAULT_TIMEZONE = 'Asia/Seoul';
+
+/**
+ * 유효한 IANA 시간대인지 확인
+ * @param {string} timeZone - 시간대 (예: Asia/Seoul, America/Los_Angeles)
+ * @returns {boolean} 유효 여부
+ */
+export function isValidTimeZone(timeZone) {
+  if (!timeZone) return false;
+  try {
+    new Intl.DateTimeFormat('en-US', { timeZone });
+    return true;
+  } catch (error) {
+    return false;
+  }
+}
+
+/**
+ * 검증한 REPORT_TIMEZONE 캐시 {value: 환경변수 원본값, timeZone: 사용할 시간대}
+ * 날짜 유틸 대부분의 기본 인자로 호출되므로 값이 바뀔 때만 다시 검증하고 경고도 한 번만 출력
+ */
+let defaultTimeZoneCache = null;
+
+/**
+ * 배포 기본 시간대 반환 (REPORT_TIMEZONE 환경변수, 없거나 유효하지 않으면 Asia/Seoul)
+ * @returns {string} IANA 시간대
+ */
+export function getDefaultTimeZone() {
+  const value = process.env.REPORT_TIMEZONE;
+  if (defaultTimeZoneCache?.value === value) {
+    return defaultTimeZoneCache.timeZone;
+  }
+
+  let timeZone = value || DEFAULT_TIMEZONE;
+  if (value && !isValidTimeZone(value)) {
+    console.warn(`유효하지 않은 REPORT_TIMEZONE(${value}), ${DEFAULT_TIMEZONE} 사용`);
+    timeZone = DEFAULT_TIMEZONE;
+  }
+  defaultTimeZoneCache = { value, timeZone };
+  return timeZone;
+}
+
+/**
+ * 광고 계정별 시간대 반환
+ * ACCOUNT_TIMEZONES 환경변수(JSON)에서 "매체:계정ID" → "매체" 순으로 찾고,
+ * 없으면 API가 알려준 계정 시간대, 그마저 없으면 배포 기본 시간대 사용
+ *
+ * 예: ACCOUNT_TIMEZONES={"facebook:1234567890":"America/Los_Angeles","tiktok":"Asia/Tokyo"}
+ *
+ * @param {string} platform - 매체 코드 (facebook, google, tiktok, carrot)
+ * @param {string} accountId - 광고 계정 ID (act_ 접두사, 하이픈 무시)
+ * @param {string} apiTimeZone - API에서 조회한 계정 시간대 (선택)
+ * @returns {string} IANA 시간대
+ */
+export function getAccountTimeZone(platform, accountId = null, apiTimeZone = null) {
+  let configured = {};
+  try {
+    configured = JSON.parse(process.env.ACCOUNT_TIMEZONES || '{}');
+  } catch (error) {
+    console.warn('ACCOUNT_TIMEZONES 파싱 실패:', error.message);
+  }
+
+  const normalizedId = accountId ? String(accountId).replace(/^act_/, '').replace(/-/g, '') : null;
+  const candidates = [
+    normalizedId ? configured[`${platform}:${normalizedId}`] : null,
+    normalizedId ? configured[`${platform}:act_${normalizedId}`] : null,
+    configured[platform],
+    apiTimeZone
+  ];
+
+  return candidates.find(timeZone => isValidTimeZone(timeZone)) || getDefaultTimeZone();
+}
+
+/**
+ * Date 객체를 특정 시간대의 YYYY-MM-DD 문자열로 변환
+ * @param {Date} date - 변환할 시각
+ * @param {string} timeZone - IANA 시간대 (기본값: 배포 기본 시간대)
+ * @returns {string} YYYY-MM-DD 형식의 날짜
+ */
+export function formatDateInTimeZone(date, timeZone = getDefaultTimeZone()) {
+  const parts = new Intl.DateTimeFormat('en-US', {
+    timeZone,
+    year: 'numeric',
+    month: '2-digit',
+    day: '2-digit'
+  }).formatToParts(date);
+  const part = type => parts.find(p => p.type === type).value;
+  return `${part('year')}-${part('month')}-${part('day')}`;
+}
+
+/**
+ * 오늘 날짜를 반환
+ * @param {string} timeZone - IANA 시간대 (기본값: 배포 기본 시간대)
+ * @returns {string} YYYY-MM-DD 형식의 오늘 날짜
+ */
+export function getToday(timeZone = getDefaultTimeZone()) {
+  return formatDateInTimeZone(new Date(), timeZone);
+}
+
+/**
+ * 어제 날짜를 반환
+ * @param {string} timeZone - IANA 시간대 (기본값: 배포 기본 시간대)
+ * @returns {string} YYYY-MM-DD 형식의 어제 날짜
+ */
+export function getYesterday(timeZone = getDefaultTimeZone()) {
+  return shiftDays(getToday(timeZone), -1);
+}
+
+/**
+ * 최근 N일 날짜 범위를 반환 (어제까지)
+ * @param {number} days - 일수
+ * @param {string} timeZone - IANA 시간대 (기본값: 배포 기본 시간대)
+ * @returns {object} {startDate, endDate} 형식의 날짜 범위
+ */
+export function getRecentDays(days, timeZone = getDefaultTimeZone()) {
+  const endDate = getYesterday(timeZone);
+  return {
+    startDate: shiftDays(endDate, -(days - 1)),
+    endDate
+  };
+}
+
+/**
+ * 계정 시간대 기준으로 날짜 범위 재계산
+ * 명령어의 상대 날짜(어제, 이번달 등)를 계정 시간대의 "오늘" 기준으로 다시 해석
+ * @param {string} startDate - 기본 시간대 기준 시작일
+ * @param {string} endDate - 기본 시간대 기준 종료일
+ * @param {string} timeZone - 계정 시간대
+ * @param {object} options - {resolveDateRange: (timeZone) => {startDate, endDate}}
+ * @returns {object} {startDate, endDate}
+ */
+export function resolveAccountDateRange(startDate, endDate, timeZone, options = {}) {
+  if (!options.resolveDateRange || !timeZone || timeZone === getDefaultTimeZone()) {
+    return { startDate, endDate };
+  }
+
+  try {
+    return options.resolveDateRange(timeZone);
+  } catch (error) {
+    console.warn(`${timeZone} 기준 날짜 계산 실패, 기본 날짜 사용:`, error.message);
+    return { startDate, endDate };
+  }
+}
+
+/**
+ * 스프레드시트 등 외부 데이터의 날짜 문자열을 YYYY-MM-DD로 변환
+ * 날짜만 있는 값은 시간대 변환 없이 그대로 사용하고, 시각이 포함된 값만 지정 시간대로 변환
+ * @param {string} dateStr - 날짜 문자열 (2025-07-21, 2025.07.21, 2025. 7. 21, 2025/7/21, 20250721 등)
+ * @param {string} timeZone - 시각이 포함된 값을 변환할 시간대 (기본값: 배포 기본 시간대)
+ * @returns {string|null} YYYY-MM-DD 형식의 날짜, 해석 불가 시 null
+ */
+export function parseLocalDate(dateStr, timeZone = getDefaultTimeZone()) {
+  if (!dateStr) return null;
+  const value = String(dateStr).trim();
+
+  const match = value.match(/^(\d{4})\s*[-./년]\s*(\d{1,2})\s*[-./월]\s*(\d{1,2})\s*(?:일|\.)?$/) || value.match(/^(\d{4})(\d{2})(\d{2})$/);
+  if (match) {
+    const [, year, month, day] = match.map(Number);
+    const formatted = makeDate(year, month, day);
+    // 존재하지 않는 날짜(2025-02-30 등)는 거부
+    return formatted === `${match[1]}-${String(month).padStart(2, '0')}-${String(day).padStart(2, '0')}` ? formatted : null;
+  }
+
+  const date = new Date(value);
+  if (isNaN(date.getTime())) return null;
+  return formatDateInTimeZone(date, timeZone);
+}
+
+/**
+ * 주 시작 요일 정규화
+ * @param {string} weekStart - 주 시작 요일 (monday, sunday, 월요일, 일요일 등)
+ * @returns {string|null} 'monday' 또는 'sunday', 해석 불가 시 null
+ */
+export function normalizeWeekStart(weekStart) {
+  if (!weekStart) return null;
+  return WEEK_START_ALIASES[String(weekStart).trim().toLowerCase()] || null;
+}
+
+/**
+ * 기본 주 시작 요일 (WEEK_START_DAY 환경변수, 기본값: 월요일)
+ * @returns {string} 'monday' 또는 'sunday'
+ */
+export function getDefaultWeekStart() {
+  return normalizeWeekStart(process.env.WEEK_START_DAY) || 'monday';
+}
+
+/**
+ * 해당 날짜가 속한 주의 시작일
+ * @param {string} dateStr - YYYY-MM-DD 형식의 날짜
+ * @param {string} weekStart - 'monday' 또는 'sunday'
+ * @returns {string} YYYY-MM-DD 형식의 주 시작일
+ */
+function getWeekStartDate(dateStr, weekStart) {
+  const dayOfWeek = new Date(`${dateStr}T00:00:00Z`).getUTCDay();
+  const offset = (dayOfWeek - WEEK_START_DAYS[weekStart] + 7) % 7;
+  return shiftDays(dateStr, -offset);
+}
+
+/**
+ * ISO 주차의 월요일 날짜
+ * @param {number} year - ISO 연도
+ * @param {number} week - ISO 주차 (1~53)
+ * @returns {string} YYYY-MM-DD 형식의 주 시작일(월요일)
+ */
+function getIsoWeekMonday(year, week) {
+  // 1월 4일이 속한 주가 ISO 1주차
+  const firstWeekMonday = getWeekStartDate(makeDate(year, 1, 4), 'monday');
+  return shiftDays(firstWeekMonday, (week - 1) * 7);
+}
+
+/**
+ * ISO 연도의 주차 수 (52 또는 53)
+ */
+function getIsoWeeksInYear(year) {
+  // 12월 28일은 항상 해당 ISO 연도의 마지막 주에 속함
+  const lastWeekMonday = getWeekStartDate(makeDate(year, 12, 28), 'monday');
+  const firstWeekMonday = getIsoWeekMonday(year, 1);
+  const diffDays = (new Date(`${lastWeekMonday}T00:00:00Z`) - new Date(`${firstWeekMonday}T00:00:00Z`)) / (1000 * 60 * 60 * 24);
+  return diffDays / 7 + 1;
+}
+
+/**
+ * 날짜가 속한 ISO 연도
+ */
+function getIsoYear(dateStr) {
+  const thursday = shiftDays(getWeekStartDate(dateStr, 'monday'), 3);
+  return splitDate(thursday).year;
+}
+
+/**
+ * 진행 중인 기간은 어제까지로 자르고, 아직 시작되지 않은 기간은 오류 처리
+ * @param {string} startDate - 기간 시작일
+ * @param {string} endDate - 기간 종료일
+ * @param {string} label - 오류 메시지용 기간 이름
+ * @param {string} today - 기준 오늘 날짜
+ * @returns {object} {startDate, endDate}
+ */
+function clampToYesterday(startDate, endDate, label, today) {
+  const yesterday = shiftDays(today, -1);
+
+  if (startDate > yesterday) {
+    if (startDate === today) {
+      throw new Error(`${label}은(는) 오늘 시작되어 어제까지 조회할 데이터가 없습니다 (오늘 데이터는 날짜:오늘 사용)`);
+    }
+    throw new Error(`${label}은(는) 아직 시작되지 않은 기간입니다 (${startDate}부터)`);
+  }
+
+  return {
+    startDate,
+    endDate: endDate > yesterday ? yesterday : endDate
+  };
+}
+
+/**
+ * 연도가 생략된 월/분기/주차가 미래인 경우의 오류
+ */
+function throwAmbiguousYear(expression, example) {
+  throw new Error(`"${expression}"은(는) 올해 아직 오지 않은 기간입니다. 연도를 함께 지정하세요 (예: ${example})`);
+}
+
+/**
+ * 연 단위 기간 표현인지 확인 (올해/YTD, 작년)
+ * @param {string} expression - 날짜 표현식
+ * @returns {boolean} 연 단위 기간이면 true
+ */
+export function isYearPeriodExpression(expression) {
+  return YEAR_PERIOD_EXPRESSIONS.has(String(expression || '').trim().toLowerCase());
+}
+
+/**
+ * 날짜 표현식을 날짜 범위로 해석 (날짜:, 비교: 파라미터 공용 문법)
+ *
+ * 지원 표현:
+ * - 어제, 오늘, N일(최근 N일, 어제까지)
+ * - YYYYMMDD, YYYYMMDD-YYYYMMDD
+ * - 이번주/WTD, 지난주(저번주) - 주 시작 요일 설정 반영
+ * - 이번달/MTD, 지난달(저번달), 이번분기/QTD, 지난분기, 올해/YTD, 작년(지난해)
+ * - N월, YYYY년N월, YYYYMM
+ * - N분기, YYYY년N분기, QN, YYYYQN
+ * - ISO 주차: YYYY-Www, YYYYWww, Www (항상 월요일 시작)
+ * 진행 중인 기간(이번달, 올해, 이번 분기 등)은 어제까지로 계산
+ *
+ * @param {string} expression - 날짜 표현식
+ * @param {object} options - {today: 기준 날짜(YYYY-MM-DD), timeZone: 오늘 계산 시간대, weekStart: 'monday'|'sunday'}
+ * @returns {object} {startDate, endDate} (YYYY-MM-DD)
+ * @throws {Error} 해석할 수 없거나 모호한 표현인 경우
+ */
+export function parseDateExpression(expression, options = {}) {
+  const expr = String(expression || '').trim();
+  const lowerExpr = expr.toLowerCase();
+  const today = options.today || getToday(options.timeZone);
+  const yesterday = shiftDays(today, -1);
+  const weekStart = normalizeWeekStart(options.weekStart) || getDefaultWeekStart();
+  const { year: thisYear, month: thisMonth } = splitDate(today);
+  const thisQuarter = Math.ceil(thisMonth / 3);
+  let match;
+
+  if (!expr) {
+    throw new Error('날짜 표현이 비어 있습니다');
+  }
+
+  // 명시적 날짜 / 날짜 범위
+  if ((match = expr.match(/^(\d{8})-(\d{8})$/))) {
+    return { startDate: parseCompactDate(match[1]), endDate: parseCompactDate(match[2]) };
+  }
+  if (/^\d{8}$/.test(expr)) {
+    const date = parseCompactDate(expr);
+    return { startDate: date, endDate: date };
+  }
+
+  // 상대 날짜
+  if (expr === '어제') {
+    return { startDate: yesterday, endDate: yesterday };
+  }
+  if (expr === '오늘') {
+    return { startDate: today, endDate: today };
+  }
+  if ((match = expr.match(/^(\d+)일$/))) {
+    const days = parseInt(match[1]);
+    if (days < 1) {
+      throw new Error('최근 N일은 1일 이상이어야 합니다');
+    }
+    return { startDate: shiftDays(yesterday, -(days - 1)), endDate: yesterday };
+  }
+
+  // 달력 기준 기간 키워드
+  switch (lowerExpr) {
+    case '이번주':
+    case 'wtd': {
+      const start = getWeekStartDate(today, weekStart);
+      return clampToYesterday(start, shiftDays(start, 6), '이번주', today);
+    }
+    case '지난주':
+    case '저번주': {
+      const start = shiftDays(getWeekStartDate(today, weekStart), -7);
+      return { startDate: start, endDate: shiftDays(start, 6) };
+    }
+    case '이번달':
+    case 'mtd':
+      return clampToYesterday(makeDate(thisYear, thisMonth, 1), makeDate(thisYear, thisMonth + 1, 0), '이번달', today);
+    case '지난달':
+    case '저번달':
+      return { startDate: makeDate(thisYear, thisMonth - 1, 1), endDate: makeDate(thisYear, thisMonth, 0) };
+    case '이번분기':
+    case 'qtd':
+      return clampToYesterday(makeDate(thisYear, thisQuarter * 3 - 2, 1), makeDate(thisYear, thisQuarter * 3 + 1, 0), '이번분기', today);
+    case '지난분기':
+    case '저번분기':
+      return { startDate: makeDate(thisYear, thisQuarter * 3 - 5, 1), endDate: makeDate(thisYear, thisQuarter * 3 - 2, 0) };
+    case '올해':
+    case '금년':
+    case 'ytd':
+      return clampToYesterday(makeDate(thisYear, 1, 1), makeDate(thisYear, 12, 31), '올해', today);
+    case '작년':
+    case '지난해':
+      return { startDate: makeDate(thisYear - 1, 1, 1), endDate: makeDate(thisYear - 1, 12, 31) };
+    default:
+      break;
+  }
+
+  // 월: N월, YYYY년N월, YYYYMM
+  if ((match = expr.match(/^(?:(\d{4})년)?(\d{1,2})월$/)) || (match = expr.match(/^(\d{4})(\d{2})$/))) {
+    const month = parseInt(match[2]);
+    if (month < 1 || month > 12) {
+      throw new Error(`유효하지 않은 월입니다: ${expr} (1~12월만 가능)`);
+    }
+    const year = match[1] ? parseInt(match[1]) : thisYear;
+    if (!match[1] && month > thisMonth) {
+      throwAmbiguousYear(expr, `${thisYear - 1}년${month}월`);
+    }
+    return clampToYesterday(makeDate(year, month, 1), makeDate(year, month + 1, 0), `${year}년 ${month}월`, today);
+  }
+
+  // 분기: N분기, YYYY년N분기, QN, YYYYQN
+  if ((match = expr.match(/^(?:(\d{4})년)?(\d)분기$/)) || (match = expr.match(/^(\d{4})?-?q(\d)$/i))) {
+    const quarter = parseInt(match[2]);
+    if (quarter < 1 || quarter > 4) {
+      throw new Error(`유효하지 않은 분기입니다: ${expr} (1~4분기만 가능)`);
+    }
+    const year = match[1] ? parseInt(match[1]) : thisYear;
+    if (!match[1] && quarter > thisQuarter) {
+      throwAmbiguousYear(expr, `${thisYear - 1}년${quarter}분기`);
+    }
+    return clampToYesterday(makeDate(year, quarter * 3 - 2, 1), makeDate(year, quarter * 3 + 1, 0), `${year}년 ${quarter}분기`, today);
+  }
+
+  // ISO 주차: YYYY-Www, YYYYWww, Www
+  if ((match = expr.match(/^(?:(\d{4})-?)?w(\d{1,2})$/i))) {
+    const week = parseInt(match[2]);
+    const year = match[1] ? parseInt(match[1]) : getIsoYear(today);
+    const weeksInYear = getIsoWeeksInYear(year);
+    if (week < 1 || week > weeksInYear) {
+      throw new Error(`유효하지 않은 ISO 주차입니다: ${expr} (${year}년은 1~${weeksInYear}주차)`);
+    }
+    const start = getIsoWeekMonday(year, week);
+    if (!match[1] && start > yesterday) {
+      throwAmbiguousYear(expr, `${year - 1}-W${String(week).padStart(2, '0')}`);
+    }
+    return clampToYesterday(start, shiftDays(start, 6), `${year}년 ${week}주차`, today);
+  }
+
+  // 연도 없는 모호한 표현 안내
+  if (/^\d+주$/.test(expr)) {
+    throw new Error(`"${expr}"은(는) 모호한 표현입니다. 최근 N일은 N일, 주차는 YYYY-Www 형식을 사용하세요`);
+  }
+
+  throw new Error(`해석할 수 없는 날짜 표현입니다: "${expr}" (지원 형식: ${SUPPORTED_DATE_EXPRESSIONS})`);
+}
+
 /**
  * 날짜 범위 계산 (Facebook 방식 기준)
  * @param {number} days - 조회할 일수 (1=어제, 7=최근 일주일)
+ * @param {string} timeZone - IANA 시간대 (기본값: 배포 기본 시간대)
  * @returns {Object} {since: 'YYYY-MM-DD', until: 'YYYY-MM-DD'}
  */
-export function getDateRange(days) {
-  const endDate = new Date();
-  endDate.setDate(endDate.getDate() - 1); // 어제까지
-  
-  const startDate = new Date(endDate);
-  startDate.setDate(startDate.getDate() - (days - 1));
-  
+export function getDateRange(days, timeZone = getDefaultTimeZone()) {
+  const { startDate, endDate } = getRecentDays(days, timeZone);
+
   return {
-    since: startDate.toISOString().split('T')[0],
-    until: endDate.toISOString().split('T')[0]
+    since: startDate,
+    until: endDate
   };
 }
 
@@ -30,10 +537,11 @@ export function getPeriodText(days) {
 /**
  * Google Ads 형식의 날짜 범위 생성
  * @param {number} days - 조회할 일수
+ * @param {string} timeZone - IANA 시간대 (기본값: 배포 기본 시간대)
  * @returns {Object} Google Ads API 형식
  */
-export function getGoogleDateRange(days) {
-  const { since, until } = getDateRange(days);
+export function getGoogleDateRange(days, timeZone = getDefaultTimeZone()) {
+  const { since, until } = getDateRange(days, timeZone);
   return {
     start_date: since,
     end_date: until
@@ -43,12 +551,13 @@ export function getGoogleDateRange(days) {
 /**
  * TikTok 형식의 날짜 범위 생성
  * @param {number} days - 조회할 일수
+ * @param {string} timeZone - IANA 시간대 (기본값: 배포 기본 시간대)
  * @returns {Object} TikTok API 형식
  */
-export function getTikTokDateRange(days) {
-  const { since, until } = getDateRange(days);
+export function getTikTokDateRange(days, timeZone = getDefaultTimeZone()) {
+  const { since, until } = getDateRange(days, timeZone);
   return {
     start_date: since,
     end_date: until
   };
-}
\ No newline at end of file
+}
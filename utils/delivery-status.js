@@ -0,0 +1,108 @@
+/**
+ * 캠페인 게재 상태 정규화 및 상태 필터 유틸리티
+ *
+ * 문법:
+ * - 상태:활성     : 게재 중(활성) 캠페인만
+ * - 상태:중지     : 일시중지된 캠페인만
+ * - 상태:전체     : 상태 무관 (기본값)
+ *
+ * 매체별 원본 상태값을 active / paused / deleted / other / unknown 으로 통일
+ */
+
+const STATUS_FILTER_ALIASES = {
+  '활성': 'active',
+  '진행': 'active',
+  '진행중': 'active',
+  '게재중': 'active',
+  'on': 'active',
+  'active': 'active',
+  'enabled': 'active',
+  '중지': 'paused',
+  '일시중지': 'paused',
+  '비활성': 'paused',
+  'off': 'paused',
+  'paused': 'paused',
+  '전체': null,
+  'all': null
+};
+
+/**
+ * 매체별 원본 상태값 → 공통 상태
+ * Facebook effective_status, Google campaign.status, TikTok operation_status/secondary_status
+ */
+const RAW_STATUS_MAP = {
+  facebook: {
+    ACTIVE: 'active',
+    PAUSED: 'paused',
+    CAMPAIGN_PAUSED: 'paused',
+    ADSET_PAUSED: 'paused',
+    DELETED: 'deleted',
+    ARCHIVED: 'deleted'
+  },
+  google: {
+    ENABLED: 'active',
+    PAUSED: 'paused',
+    REMOVED: 'deleted'
+  },
+  tiktok: {
+    ENABLE: 'active',
+    DISABLE: 'paused',
+    DELETE: 'deleted',
+    CAMPAIGN_STATUS_ENABLE: 'active',
+    CAMPAIGN_STATUS_DISABLE: 'paused',
+    CAMPAIGN_STATUS_DELETE: 'deleted'
+  }
+};
+
+const STATUS_LABELS = {
+  active: '활성',
+  paused: '중지',
+  deleted: '삭제',
+  other: '기타'
+};
+
+/**
+ * 상태 필터 파싱
+ * @param {string} value - 상태 파라미터 값 (예: 활성, 중지, 전체)
+ * @returns {string|null} 'active', 'paused' 또는 null (전체)
+ * @throws {Error} 지원하지 않는 상태인 경우
+ */
+export function parseStatusFilter(value) {
+  const key = (value || '').trim().toLowerCase();
+  if (!(key in STATUS_FILTER_ALIASES)) {
+    throw new Error(`유효하지 않은 상태입니다: "${value}" (활성, 중지 또는 전체만 가능)`);
+  }
+  return STATUS_FILTER_ALIASES[key];
+}
+
+/**
+ * 매체 원본 상태값을 공통 상태로 변환
+ * @param {string} platform - 매체 코드
+ * @param {string} rawStatus - 매체 원본 상태값
+ * @returns {string} active, paused, deleted, other 또는 unknown (상태 정보 없음)
+ */
+export function normalizeDeliveryStatus(platform, rawStatus) {
+  if (!rawStatus) {
+    return 'unknown';
+  }
+  return RAW_STATUS_MAP[platform]?.[String(rawStatus).toUpperCase()] || 'other';
+}
+
+/**
+ * 상태 필터 매칭
+ * @param {string} deliveryStatus - normalizeDeliveryStatus 결과
+ * @param {string|null} statusFilter - parseStatusFilter 결과
+ * @returns {boolean} 매칭 여부 (필터가 없으면 항상 true)
+ */
+export function matchesStatusFilter(deliveryStatus, statusFilter) {
+  return !statusFilter || deliveryStatus === statusFilter;
+}
+
+/**
+ * 공통 상태의 표시 이름
+ * @param {string} deliveryStatus - normalizeDeliveryStatus 결과
+ * @returns {string} 활성, 중지, 삭제, 기타 또는 '-'
+ */
+export function getStatusLabel(deliveryStatus) {
+  return STATUS_LABELS[deliveryStatus] || '-';
+}
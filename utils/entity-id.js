@@ -0,0 +1,124 @@
+/**
+ * 캠페인/광고 ID 직접 조회용 ID 파싱 유틸리티
+ *
+ * 문법 (쉼표로 여러 ID 구분):
+ * - 캠페인ID:120210000000000000        : 매체 자동 감지
+ * - 광고ID:1790000000000000000,23850000000000000
+ * - 캠페인ID:google:12345678901        : "매체:ID" 형식으로 매체 직접 지정
+ *
+ * 매체 자동 감지 규칙 (ID 형식 기준):
+ * - Facebook: 15~18자리 숫자, 120 또는 23으로 시작
+ * - TikTok: 18~19자리 숫자, 16~19로 시작
+ * - Google Ads: 12자리 이하 숫자
+ * - 당근마켓: 숫자가 아닌 ID (스프레드시트에 기록된 ID)
+ * - 그 외: 판별 불가 (조회 대상 매체 모두에서 조회)
+ */
+
+/**
+ * "매체:ID" 형식에서 사용할 수 있는 매체 접두사
+ */
+const ID_PLATFORM_PREFIXES = {
+  '페이스북': 'facebook',
+  'facebook': 'facebook',
+  'fb': 'facebook',
+  'meta': 'facebook',
+  '구글': 'google',
+  'google': 'google',
+  '틱톡': 'tiktok',
+  'tiktok': 'tiktok',
+  '당근마켓': 'carrot',
+  '당근': 'carrot',
+  'carrot': 'carrot'
+};
+
+/**
+ * ID 형식으로 매체 감지
+ * @param {string} id - 캠페인 또는 광고 ID
+ * @returns {string|null} facebook, google, tiktok, carrot 또는 null (판별 불가)
+ */
+export function detectPlatformFromId(id) {
+  const value = String(id || '').trim();
+  if (!value) {
+    return null;
+  }
+
+  if (!/^\d+$/.test(value)) {
+    return 'carrot';
+  }
+  if (value.length <= 12) {
+    return 'google';
+  }
+  if (value.length <= 18 && (value.startsWith('120') || value.startsWith('23'))) {
+    return 'facebook';
+  }
+  if (value.length >= 18 && /^1[6-9]/.test(value)) {
+    return 'tiktok';
+  }
+  return null;
+}
+
+/**
+ * ID 목록 문자열 파싱
+ * @param {string} value - 쉼표로 구분한 ID 목록 (예: "120210000000000000,google:12345678901")
+ * @returns {Array} [{id, platform}] - platform이 null이면 매체 판별 불가
+ * @throws {Error} ID가 비어 있거나 알 수 없는 매체 접두사인 경우
+ */
+export function parseEntityIds(value) {
+  const tokens = (value || '').split(',').map(token => token.trim()).filter(Boolean);
+  if (tokens.length === 0) {
+    throw new Error('ID가 비어 있습니다 (예: 캠페인ID:120210000000000000, 광고ID:google:12345678901)');
+  }
+
+  const entities = tokens.map(token => {
+    const prefixMatch = token.match(/^([^:]+):(.+)$/);
+    if (!prefixMatch) {
+      return { id: token, platform: detectPlatformFromId(token) };
+    }
+
+    const platform = ID_PLATFORM_PREFIXES[prefixMatch[1].toLowerCase()];
+    if (!platform) {
+      throw new Error(`알 수 없는 매체 접두사입니다: "${prefixMatch[1]}" (예: google:12345678901, 틱톡:1790000000000000000)`);
+    }
+    return { id: prefixMatch[2].trim(), platform };
+  });
+
+  // 같은 ID 중복 제거
+  const seen = new Set();
+  return entities.filter(({ id, platform }) => {
+    const key = `${platform}:${id}`;
+    if (seen.has(key)) return false;
+    seen.add(key);
+    return true;
+  });
+}
+
+/**
+ * 특정 매체에서 조회할 ID 목록
+ * 매체를 판별할 수 없는 ID는 모든 매체에서 조회
+ * @param {Array} entities - parseEntityIds 결과
+ * @param {string} platform - 매체 코드
+ * @returns {Array<string>} ID 목록
+ */
+export function getIdsForPlatform(entities, platform) {
+  return (entities || [])
+    .filter(entity => entity.platform === platform || entity.platform === null)
+    .map(entity => entity.id);
+}
+
+/**
+ * ID 목록을 요약 텍스트로 변환
+ * @param {Array} entities - parseEntityIds 결과
+ * @returns {string} 예: "120210000000000000 (Facebook), 12345678901 (Google Ads)"
+ */
+export function describeEntityIds(entities) {
+  const platformNames = {
+    facebook: 'Facebook',
+    google: 'Google Ads',
+    tiktok: 'TikTok Ads',
+    carrot: '당근마켓'
+  };
+
+  return (entities || [])
+    .map(({ id, platform }) => `${id} (${platformNames[platform] || '매체 자동'})`)
+    .join(', ');
+}
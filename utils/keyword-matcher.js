@@ -0,0 +1,154 @@
+/**
+ * 키워드 표현식 파싱 및 매칭 유틸리티
+ *
+ * 문법:
+ * - 치과          : 이름에 "치과" 포함
+ * - 치과,강남     : AND (모두 포함)
+ * - 치과|안과     : OR (하나 이상 포함)
+ * - -테스트       : NOT (포함하지 않음)
+ * - (치과|안과),-테스트 : 괄호로 묶기
+ *
+ * 우선순위: NOT > AND(,) > OR(|)
+ * 괄호 뒤에 바로 이어지는 항목은 AND로 처리 (예: (치과|안과)-테스트)
+ * 대소문자는 구분하지 않음
+ */
+
+/**
+ * 키워드 표현식을 토큰 배열로 분리
+ * @param {string} expression - 키워드 표현식
+ * @returns {Array} [{type: 'term'|'and'|'or'|'not'|'lparen'|'rparen', value}]
+ */
+function tokenize(expression) {
+  const tokens = [];
+  let term = '';
+
+  const flushTerm = () => {
+    const value = term.trim();
+    if (value) {
+      tokens.push({ type: 'term', value });
+    }
+    term = '';
+  };
+
+  for (const char of expression) {
+    if (char === ',' || char === '|' || char === '(' || char === ')') {
+      flushTerm();
+      tokens.push({ type: { ',': 'and', '|': 'or', '(': 'lparen', ')': 'rparen' }[char] });
+    } else if (char === '-' && term.trim() === '') {
+      // 항목 시작 위치의 '-'만 NOT으로 처리 (중간의 '-'는 키워드 일부)
+      tokens.push({ type: 'not' });
+    } else {
+      term += char;
+    }
+  }
+  flushTerm();
+
+  // 빈 항목을 만드는 쉼표는 무시 (기존 "고병우," 같은 입력 호환)
+  return tokens.filter((token, index) => {
+    if (token.type !== 'and') return true;
+    const prev = tokens[index - 1];
+    const next = tokens[index + 1];
+    return prev && next && !['and', 'or', 'lparen', 'not'].includes(prev.type) && !['and', 'or', 'rparen'].includes(next.type);
+  });
+}
+
+/**
+ * 키워드 표현식을 구문 트리로 파싱
+ * @param {string} expression - 키워드 표현식 (예: "(치과|안과),-테스트")
+ * @returns {object|null} 구문 트리 ({type: 'term'|'not'|'and'|'or', ...}), 빈 표현식이면 null
+ * @throws {Error} 괄호 짝이 맞지 않거나 연산자 뒤에 키워드가 없는 경우
+ */
+export function parseKeywordExpression(expression) {
+  if (!expression || expression.trim() === '') {
+    return null; // 키워드가 없으면 모든 항목 매칭
+  }
+
+  const tokens = tokenize(expression);
+  let position = 0;
+
+  const peek = () => tokens[position];
+  const next = () => tokens[position++];
+
+  const parseOr = () => {
+    const operands = [parseAnd()];
+    while (peek()?.type === 'or') {
+      next();
+      operands.push(parseAnd());
+    }
+    return operands.length === 1 ? operands[0] : { type: 'or', operands };
+  };
+
+  const parseAnd = () => {
+    const operands = [parseUnary()];
+    while (peek() && (peek().type === 'and' || ['term', 'not', 'lparen'].includes(peek().type))) {
+      if (peek().type === 'and') {
+        next();
+      }
+      operands.push(parseUnary());
+    }
+    return operands.length === 1 ? operands[0] : { type: 'and', operands };
+  };
+
+  const parseUnary = () => {
+    const token = next();
+    if (!token) {
+      throw new Error(`키워드 표현식이 불완전합니다: "${expression}" (연산자 뒤에 키워드가 필요합니다)`);
+    }
+
+    if (token.type === 'not') {
+      return { type: 'not', operand: parseUnary() };
+    }
+    if (token.type === 'lparen') {
+      const inner = parseOr();
+      if (next()?.type !== 'rparen') {
+        throw new Error(`키워드 표현식의 괄호가 닫히지 않았습니다: "${expression}"`);
+      }
+      return inner;
+    }
+    if (token.type === 'term') {
+      return { type: 'term', value: token.value.toLowerCase() };
+    }
+    if (token.type === 'rparen') {
+      throw new Error(`키워드 표현식에 짝이 없는 닫는 괄호가 있습니다: "${expression}"`);
+    }
+    throw new Error(`키워드 표현식이 불완전합니다: "${expression}" (연산자 뒤에 키워드가 필요합니다)`);
+  };
+
+  const tree = parseOr();
+  if (position < tokens.length) {
+    throw new Error(`키워드 표현식에 짝이 없는 닫는 괄호가 있습니다: "${expression}"`);
+  }
+  return tree;
+}
+
+/**
+ * 구문 트리 평가
+ */
+function evaluate(node, lowerName) {
+  switch (node.type) {
+    case 'term':
+      return lowerName.includes(node.value);
+    case 'not':
+      return !evaluate(node.operand, lowerName);
+    case 'and':
+      return node.operands.every(operand => evaluate(operand, lowerName));
+    case 'or':
+      return node.operands.some(operand => evaluate(operand, lowerName));
+    default:
+      return false;
+  }
+}
+
+/**
+ * 이름이 키워드 표현식과 매칭되는지 확인 (모든 매체 공용)
+ * @param {string} name - 캠페인명 또는 광고명
+ * @param {object|string|null} expression - parseKeywordExpression 결과 또는 키워드 표현식 문자열
+ * @returns {boolean} 매칭 여부
+ */
+export function matchesKeywords(name, expression) {
+  const tree = typeof expression === 'string' ? parseKeywordExpression(expression) : expression;
+  if (!tree) {
+    return true; // 키워드가 없으면 모든 항목 매칭
+  }
+  return evaluate(tree, (name || '').toLowerCase());
+}
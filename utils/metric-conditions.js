@@ -0,0 +1,123 @@
+/**
+ * 성과 지표 조건 필터 유틸리티
+ *
+ * 문법 (조건: 파라미터, 공백 또는 쉼표로 여러 조건 구분 - 모두 만족해야 함):
+ * - 조건:CTR>1.5
+ * - 조건:광고비>=100000 전환수=0
+ * - 조건:광고비>=10만,CPA<=30000
+ *
+ * 연산자: >, >=, <, <=, =, !=
+ * 값: 숫자 (만/천 단위, 원/% 접미사 허용 - 예: 10만원, 1.5%)
+ */
+
+import { summarizeMetrics } from './daily-trend-calculator.js';
+
+/**
+ * 조건에 사용할 수 있는 지표 (summarizeMetrics 키 기준)
+ */
+const CONDITION_METRICS = [
+  { key: 'spend', label: '광고비', aliases: ['spend', '지출', '비용', '광고비'] },
+  { key: 'impressions', label: '노출수', aliases: ['impressions', '노출', '노출수'] },
+  { key: 'clicks', label: '클릭수', aliases: ['clicks', '클릭', '클릭수'] },
+  { key: 'ctr', label: 'CTR', aliases: ['ctr', '클릭률'] },
+  { key: 'cpc', label: 'CPC', aliases: ['cpc', '클릭당비용'] },
+  { key: 'cpm', label: 'CPM', aliases: ['cpm'] },
+  { key: 'conversions', label: '전환수', aliases: ['conversions', '전환', '전환수', '리드', '리드수'] },
+  { key: 'conversion_rate', label: '전환율', aliases: ['conversion_rate', 'cvr', '전환율'] },
+  { key: 'cost_per_conversion', label: 'CPA', aliases: ['cost_per_conversion', 'cpa', '전환단가'] }
+];
+
+const OPERATORS = {
+  '>': (actual, expected) => actual > expected,
+  '>=': (actual, expected) => actual >= expected,
+  '<': (actual, expected) => actual < expected,
+  '<=': (actual, expected) => actual <= expected,
+  '=': (actual, expected) => actual === expected,
+  '!=': (actual, expected) => actual !== expected
+};
+
+const UNIT_MULTIPLIERS = { '천': 1000, '만': 10000 };
+
+/**
+ * 지표 이름(한글/영문 별칭)으로 지표 정의 찾기
+ * @param {string} name - 지표 이름 (예: CTR, 광고비, 전환수)
+ * @returns {object|null} {key, label, aliases}
+ */
+export function findConditionMetric(name) {
+  const lowerName = (name || '').trim().toLowerCase();
+  return CONDITION_METRICS.find(metric => metric.aliases.includes(lowerName)) || null;
+}
+
+/**
+ * 조건 표현식 파싱
+ * @param {string} expression - 조건 표현식 (예: "CTR>1.5 광고비>=100000 전환수=0")
+ * @returns {Array} [{metric, label, operator, value, text}]
+ * @throws {Error} 형식이 잘못되었거나 지원하지 않는 지표인 경우
+ */
+export function parseMetricConditions(expression) {
+  const normalized = (expression || '').replace(/\s*(>=|<=|!=|=|>|<)\s*/g, '$1');
+  const tokens = normalized.split(/[\s,]+/).filter(Boolean);
+
+  if (tokens.length === 0) {
+    throw new Error('조건이 비어 있습니다 (예: 조건:CTR>1.5 광고비>=100000)');
+  }
+
+  return tokens.map(token => {
+    const match = token.match(/^([^<>=!]+)(>=|<=|!=|=|>|<)(\d+(?:\.\d+)?)(천|만)?(원|%)?$/);
+    if (!match) {
+      throw new Error(`조건 형식이 올바르지 않습니다: "${token}" (예: CTR>1.5, 광고비>=10만, 전환수=0)`);
+    }
+
+    const [, name, operator, number, unit] = match;
+    const metric = findConditionMetric(name);
+    if (!metric) {
+      const supported = CONDITION_METRICS.map(item => item.label).join(', ');
+      throw new Error(`지원하지 않는 조건 지표입니다: "${name}" (지원: ${supported})`);
+    }
+
+    return {
+      metric: metric.key,
+      label: metric.label,
+      operator,
+      value: parseFloat(number) * (UNIT_MULTIPLIERS[unit] || 1),
+      text: token
+    };
+  });
+}
+
+/**
+ * 합산 지표가 모든 조건을 만족하는지 확인
+ * 전환이 없는 경우 CPA는 계산할 수 없으므로 CPA 조건은 만족하지 않는 것으로 처리
+ * @param {object} metrics - summarizeMetrics 결과
+ * @param {Array} conditions - parseMetricConditions 결과
+ * @returns {boolean} 모든 조건 만족 여부
+ */
+export function matchesMetricConditions(metrics, conditions) {
+  return (conditions || []).every(({ metric, operator, value }) => {
+    if (metric === 'cost_per_conversion' && !(metrics.conversions > 0)) {
+      return false;
+    }
+    return OPERATORS[operator](Number(metrics[metric] || 0), value);
+  });
+}
+
+/**
+ * 성과 항목 묶음(광고 1개 또는 캠페인의 광고들)이 조건을 만족하는지 확인
+ * @param {Array} items - 성과 데이터 배열
+ * @param {Array} conditions - parseMetricConditions 결과
+ * @returns {boolean} 모든 조건 만족 여부
+ */
+export function itemsMatchConditions(items, conditions) {
+  return matchesMetricConditions(summarizeMetrics(items), conditions);
+}
+
+/**
+ * 조건 목록을 요약 텍스트로 변환
+ * @param {Array} conditions - parseMetricConditions 결과
+ * @returns {string} 예: "CTR > 1.5, 광고비 >= 100,000"
+ */
+export function describeMetricConditions(conditions) {
+  return (conditions || [])
+    .map(({ label, operator, value }) => `${label} ${operator} ${value.toLocaleString()}`)
+    .join(', ');
+}
@@ -0,0 +1,475 @@
+/**
+ * 광고 변경 도구 미리보기(dry_run) 및 2단계 확인 유틸리티
+ *
+ * 모든 변경(mutate) 도구(상태 변경, 예산 변경, 되돌리기)에 공통 인자 추가:
+ * - dry_run: true            : 실제로 변경하지 않고 대상 이름, 현재 상태, 변경할 상태만 반환
+ * - confirmation_token: "…"  : 미리보기에서 받은 확인 토큰 (확인 모드에서 실행할 때 필요)
+ *
+ * 설정 (환경변수):
+ * - MUTATION_CONFIRMATION=required       : 변경 도구는 확인 토큰을 다시 보내야만 실행 (기본값: off)
+ * - MUTATION_CONFIRMATION_TTL_MINUTES=5  : 확인 토큰 유효 시간 (기본값: 5분)
+ *
+ * 검색 명령어 기준 캠페인 일괄 상태 변경(bulk_toggle_campaigns_by_command)은 설정과 관계없이 항상 확인 토큰 필요
+ *
+ * 확인 토큰은 도구 이름과 인자에 묶여 있어, 인자(ID, 상태)가 하나라도 바뀌면 실행되지 않으며 한 번만 사용 가능
+ * 토큰은 발급받은 호출자(API 키, 키가 없으면 연결 방식)만 사용할 수 있음
+ * 토큰에는 미리보기 변경 내역을 함께 저장하고, 토큰으로 실행하면 그 내역(approvedChanges)을 서비스에 넘겨 미리보기에서 확인한 대상과 목표 값만 변경
+ *
+ * 실제 변경은 실행 전후 상태를 다시 조회해 감사 로그(AuditLogService)에 기록하고, 응답에 되돌리기용 배치 ID(감사 로그 ID)를 표시
+ */
+
+import crypto from 'crypto';
+import { normalizeDeliveryStatus, getStatusLabel } from './delivery-status.js';
+import { BUDGET_FIELD_LABELS, formatBudgetAmount, formatBudgetChange } from './budget-utils.js';
+
+const DEFAULT_CONFIRMATION_TTL_MINUTES = 5;
+
+/**
+ * 확인 모드 설정과 관계없이 항상 확인 토큰이 필요한 도구 (검색 결과 전체를 여러 매체에서 한 번에 바꾸는 도구)
+ */
+const ALWAYS_CONFIRM_TOOLS = new Set(['bulk_toggle_campaigns_by_command']);
+
+const ENTITY_LABELS = {
+  campaign: '캠페인',
+  adset: '광고세트',
+  ad_group: '광고그룹',
+  ad: '광고'
+};
+
+const PLATFORM_NAMES = {
+  facebook: 'Facebook',
+  google: 'Google Ads',
+  tiktok: 'TikTok Ads',
+  carrot: '당근마켓'
+};
+
+/**
+ * 변경 도구 공통 인자 스키마
+ */
+const MUTATION_CONTROL_PROPERTIES = {
+  dry_run: {
+    type: 'boolean',
+    description: 'true면 실제로 변경하지 않고 대상 이름, 현재 상태, 변경할 상태만 미리 봅니다',
+    default: false
+  },
+  confirmation_token: {
+    type: 'string',
+    description: '미리보기에서 받은 확인 토큰 (확인 모드에서 실제로 변경할 때 필요, 인자는 미리보기와 같아야 함)'
+  }
+};
+
+/**
+ * 변경 도구 스키마에 dry_run, confirmation_token 인자 추가
+ * @param {object} tool - MCP 도구 정의
+ * @returns {object} 공통 인자를 추가한 도구 정의
+ */
+export function withMutationControls(tool) {
+  return {
+    ...tool,
+    inputSchema: {
+      ...tool.inputSchema,
+      properties: {
+        ...(tool.inputSchema?.properties || {}),
+        ...MUTATION_CONTROL_PROPERTIES
+      }
+    }
+  };
+}
+
+/**
+ * 인자를 키 순서와 무관하게 비교하기 위한 문자열
+ */
+function canonicalize(value) {
+  if (Array.isArray(value)) {
+    return `[${value.map(canonicalize).join(',')}]`;
+  }
+  if (value && typeof value === 'object') {
+    return `{${Object.keys(value).sort().map(key => `${JSON.stringify(key)}:${canonicalize(value[key])}`).join(',')}}`;
+  }
+  return JSON.stringify(value ?? null);
+}
+
+function hashArguments(toolName, args) {
+  return crypto.createHash('sha256').update(`${toolName}:${canonicalize(args)}`).digest('hex');
+}
+
+/**
+ * 확인 토큰을 묶을 호출자 식별값 (API 키 ID, 키 없이 호출하면 연결 방식)
+ * @param {object} context - 호출 정보 {transport, apiKey}
+ * @returns {string} 호출자 식별값
+ */
+function getCallerId(context = {}) {
+  return context.apiKey?.id ? `key:${context.apiKey.id}` : `transport:${context.transport || 'stdio'}`;
+}
+
+/**
+ * 변경 내역의 현재 값과 목표 값
+ * 상태 변경은 current_status/target_status, 예산 등 값 변경은 field와 current_value/target_value 사용
+ * @param {object} change - previewMutation 결과 항목
+ * @returns {object} {current, target}
+ */
+export function getChangeValues(change) {
+  return change.field
+    ? { current: change.current_value ?? null, target: change.target_value ?? null }
+    : { current: change.current_status ?? null, target: change.target_status ?? null };
+}
+
+/**
+ * 감사 로그 변경 내역의 변경 전, 목표, 변경 후 값
+ * @param {object} change - 감사 로그 changes 항목
+ * @returns {object} {previous, target, next}
+ */
+export function getRecordedValues(change) {
+  return change.field
+    ? { previous: change.previous_value ?? null, target: change.target_value ?? null, next: change.new_value ?? null }
+    : { previous: change.previous_status ?? null, target: change.target_status ?? null, next: change.new_status ?? null };
+}
+
+/**
+ * 두 값이 같은지 비교 (예산 금액은 숫자로 비교)
+ */
+export function isSameValue(a, b) {
+  if (a === null || a === undefined || b === null || b === undefined) {
+    return false;
+  }
+  return typeof a === 'number' || typeof b === 'number'
+    ? Math.abs(Number(a) - Number(b)) < 1e-6
+    : a === b;
+}
+
+/**
+ * 변경 값 표시 (상태는 원본값(공통 상태), 예산은 통화 금액)
+ * @param {object} change - 변경 내역 (platform, field, currency)
+ * @param {*} value - 상태값 또는 금액
+ * @returns {string} 표시 문자열
+ */
+export function formatChangeValue(change, value) {
+  if (value === null || value === undefined) {
+    return '❓ 알 수 없음';
+  }
+  if (change.field) {
+    return formatBudgetAmount(value, change.currency);
+  }
+  return `${value}(${getStatusLabel(normalizeDeliveryStatus(change.platform, value))})`;
+}
+
+function changeKey(change) {
+  return `${change.platform}:${change.entity_type}:${change.id}:${change.field || 'status'}`;
+}
+
+/**
+ * 변경 미리보기 텍스트
+ * @param {string} toolName - 도구 이름
+ * @param {Array} changes - previewMutation 결과
+ * @param {object} options - {token, ttlMinutes, confirmationRequired}
+ * @returns {string} 미리보기 텍스트
+ */
+export function formatMutationPreview(toolName, changes, { token = null, ttlMinutes = DEFAULT_CONFIRMATION_TTL_MINUTES, confirmationRequired = false } = {}) {
+  const missing = changes.filter(change => getChangeValues(change).current === null && !change.error);
+  const unchanged = changes.filter(change => {
+    const { current, target } = getChangeValues(change);
+    return isSameValue(current, target);
+  });
+
+  let result = confirmationRequired
+    ? `🔐 **변경 확인 필요** (아직 변경하지 않았습니다)\n\n`
+    : `🔍 **변경 미리보기** (dry_run, 실제로 변경하지 않았습니다)\n\n`;
+  result += `도구: ${toolName}\n대상: ${changes.length}개\n\n`;
+
+  if (changes.length === 0) {
+    return result + '변경할 대상이 없습니다.';
+  }
+
+  changes.forEach((change, index) => {
+    const { current, target } = getChangeValues(change);
+    const platform = PLATFORM_NAMES[change.platform] || change.platform;
+    const entity = ENTITY_LABELS[change.entity_type] || change.entity_type;
+    const account = change.account_name ? ` | 계정: ${change.account_name}` : '';
+    const field = change.field ? `${BUDGET_FIELD_LABELS[change.field] || change.field}: ` : '';
+    const rate = change.field && current !== null ? formatBudgetChange(current, target) : '';
+    const note = change.error
+      ? ` ⚠️ ${change.error}`
+      : current === null
+      ? ' ⚠️ 찾을 수 없음'
+      : isSameValue(current, target) ? ' (이미 같은 값)' : '';
+    result += `${index + 1}. **${change.name || '(이름 없음)'}** - ${platform} ${entity} ${change.id}${account}\n`;
+    result += `   ${field}${formatChangeValue(change, current)} → ${formatChangeValue(change, target)}${rate}${note}\n`;
+  });
+
+  if (missing.length > 0) {
+    result += `\n⚠️ 찾을 수 없는 ID ${missing.length}개: ${missing.map(change => change.id).join(', ')} - ID를 다시 확인하세요.\n`;
+  }
+  if (unchanged.length > 0) {
+    result += `\nℹ️ 이미 목표 값인 대상 ${unchanged.length}개는 변경되지 않습니다.\n`;
+  }
+
+  if (token) {
+    result += `\n✅ 실행하려면 같은 인자에 confirmation_token: "${token}" 을 추가해 ${ttlMinutes}분 안에 다시 호출하세요.`;
+  } else {
+    result += `\n💡 실행하려면 dry_run 없이 다시 호출하세요.`;
+  }
+
+  return result;
+}
+
+/**
+ * 실행 결과 판정 (변경 후 값이 실행 전에 계산한 목표 값인지 확인)
+ * 비율 변경(+20%)은 실행 후 다시 계산하면 목표가 달라지므로 실행 전 목표와 비교
+ * @param {object} response - 도구 응답
+ * @param {Array} before - 변경 전 previewMutation 결과
+ * @param {Array|null} after - 변경 후 previewMutation 결과
+ * @returns {string} success, partial 또는 failed
+ */
+function getMutationResult(response, before, after) {
+  if (response?.content?.[0]?.text?.startsWith('❌')) {
+    return 'failed';
+  }
+  if (!before || !after) {
+    return 'success';
+  }
+
+  const targets = new Map(before.map(change => [changeKey(change), getChangeValues(change).target]));
+  const found = after.filter(change => getChangeValues(change).current !== null);
+  const applied = found.filter(change => isSameValue(getChangeValues(change).current, targets.get(changeKey(change))));
+  if (found.length > 0 && applied.length === 0) {
+    return 'failed';
+  }
+  return applied.length < before.length ? 'partial' : 'success';
+}
+
+export class MutationGuard {
+  /**
+   * @param {object} auditLog - 실제 변경을 기록할 AuditLogService (없으면 기록하지 않음)
+   */
+  constructor(auditLog = null) {
+    this.auditLog = auditLog;
+    this.pendingConfirmations = new Map(); // 확인 토큰 → {toolName, argsHash, callerId, changes, expiresAt}
+  }
+
+  /**
+   * 확인 모드 사용 여부
+   * @param {string} toolName - 도구 이름 (지정하면 항상 확인이 필요한 도구인지도 확인)
+   * @returns {boolean} MUTATION_CONFIRMATION=required이거나 항상 확인이 필요한 도구면 true
+   */
+  isConfirmationRequired(toolName = null) {
+    return ALWAYS_CONFIRM_TOOLS.has(toolName) ||
+      String(process.env.MUTATION_CONFIRMATION || '').toLowerCase() === 'required';
+  }
+
+  /**
+   * 확인 토큰 유효 시간
+   * @returns {number} 분 단위
+   */
+  getConfirmationTtlMinutes() {
+    const minutes = Number(process.env.MUTATION_CONFIRMATION_TTL_MINUTES);
+    return minutes > 0 ? minutes : DEFAULT_CONFIRMATION_TTL_MINUTES;
+  }
+
+  /**
+   * 확인 토큰 발급
+   * @param {string} toolName - 도구 이름
+   * @param {object} args - dry_run, confirmation_token을 뺀 도구 인자
+   * @param {Array} changes - 미리보기 변경 내역 (토큰으로 실행할 때 이 내역만 변경)
+   * @param {object} context - 호출 정보 {transport, apiKey} (토큰을 발급받은 호출자만 사용 가능)
+   * @returns {string} 확인 토큰
+   */
+  issueConfirmationToken(toolName, args, changes, context = {}) {
+    this.removeExpiredTokens();
+
+    const token = crypto.randomBytes(9).toString('base64url');
+    this.pendingConfirmations.set(token, {
+      toolName,
+      argsHash: hashArguments(toolName, args),
+      callerId: getCallerId(context),
+      changes,
+      expiresAt: Date.now() + this.getConfirmationTtlMinutes() * 60 * 1000
+    });
+    return token;
+  }
+
+  /**
+   * 확인 토큰 검증 후 사용 처리 (한 번만 사용 가능)
+   * @param {string} token - 확인 토큰
+   * @param {string} toolName - 도구 이름
+   * @param {object} args - dry_run, confirmation_token을 뺀 도구 인자
+   * @param {object} context - 호출 정보 {transport, apiKey}
+   * @returns {Array} 토큰 발급 시 미리보기 변경 내역
+   * @throws {Error} 토큰이 없거나 만료됐거나 다른 호출자가 발급받았거나 도구/인자가 다른 경우
+   */
+  consumeConfirmationToken(token, toolName, args, context = {}) {
+    this.removeExpiredTokens();
+
+    const pending = this.pendingConfirmations.get(token);
+    if (!pending) {
+      throw new Error('확인 토큰이 없거나 만료되었습니다. dry_run으로 다시 미리보기를 받으세요.');
+    }
+    if (pending.callerId !== getCallerId(context)) {
+      throw new Error('다른 호출자가 발급받은 확인 토큰입니다. 직접 미리보기를 받아 발급된 토큰을 사용하세요.');
+    }
+    if (pending.toolName !== toolName || pending.argsHash !== hashArguments(toolName, args)) {
+      throw new Error('확인 토큰을 발급받을 때와 도구 또는 인자가 다릅니다. 대상 ID와 상태를 다시 확인하세요.');
+    }
+    this.pendingConfirmations.delete(token);
+    return pending.changes;
+  }
+
+  removeExpiredTokens() {
+    const now = Date.now();
+    this.pendingConfirmations.forEach((pending, token) => {
+      if (pending.expiresAt <= now) {
+        this.pendingConfirmations.delete(token);
+      }
+    });
+  }
+
+  /**
+   * 현재 상태 조회 (감사 로그용, 실패해도 변경은 계속 진행)
+   * @param {Array|null} approvedChanges - 확인 토큰의 미리보기 변경 내역 (있으면 그 대상과 목표 값 기준으로 조회)
+   * @returns {Promise<Array|null>} previewMutation 결과 (조회 실패 시 null)
+   */
+  async captureState(service, toolName, args, approvedChanges = null) {
+    if (typeof service.previewMutation !== 'function') {
+      return null;
+    }
+    try {
+      return await service.previewMutation(toolName, args, approvedChanges);
+    } catch (error) {
+      console.error(`⚠️ 상태 조회 실패 [${toolName}]: ${error.message}`);
+      return null;
+    }
+  }
+
+  /**
+   * 변경 실행 후 전후 상태를 감사 로그에 기록
+   * @param {object} service - 매체 서비스
+   * @param {string} toolName - 도구 이름
+   * @param {object} args - 도구 인자
+   * @param {Function} execute - 실제 변경 실행 (args, {approvedChanges}) => MCP 응답
+   * @param {object} context - 호출 정보 (AuditLogService.record 참고)
+   * @param {Array|null} approvedChanges - 확인 토큰의 미리보기 변경 내역 (확인 토큰 없이 실행하면 null)
+   * @returns {Promise<object>} MCP 응답
+   */
+  async executeWithAudit(service, toolName, args, execute, context, approvedChanges = null) {
+    const options = { approvedChanges };
+    if (!this.auditLog) {
+      return await execute(args, options);
+    }
+
+    const before = await this.captureState(service, toolName, args, approvedChanges);
+    if (before && before.length === 0) {
+      // 변경할 대상이 없으면 (예: 되돌릴 변경 없음) 기록하지 않음
+      return await execute(args, options);
+    }
+
+    let response;
+    let failure = null;
+    try {
+      response = await execute(args, options);
+    } catch (error) {
+      failure = error;
+    }
+    const after = before && !failure ? await this.captureState(service, toolName, args, approvedChanges) : null;
+
+    const afterByKey = new Map((after || []).map(change => [changeKey(change), change]));
+    const platforms = [...new Set((before || []).map(change => change.platform))];
+    const rollbackOf = [...new Set((before || []).flatMap(change => change.source_batch_ids || []))];
+    const responseText = response?.content?.[0]?.text || '';
+    const record = this.auditLog.record({
+      tool_name: toolName,
+      platform: platforms.length > 1 ? 'multi' : platforms[0] || (/^(facebook|google|tiktok)_/.exec(toolName) || [])[1] || null,
+      arguments: args,
+      changes: (before || []).map(change => {
+        const { current, target } = getChangeValues(change);
+        const afterChange = afterByKey.get(changeKey(change));
+        const next = afterChange ? getChangeValues(afterChange).current : null;
+        const entity = {
+          platform: change.platform,
+          entity_type: change.entity_type,
+          id: change.id,
+          name: change.name,
+          ...(change.account_id && { account_id: change.account_id })
+        };
+        return change.field
+          ? { ...entity, field: change.field, currency: change.currency, previous_value: current, target_value: target, new_value: next }
+          : { ...entity, previous_status: current, target_status: target, new_status: next };
+      }),
+      ...(rollbackOf.length > 0 && { rollback_of: rollbackOf }),
+      result: failure ? 'error' : getMutationResult(response, before, after),
+      message: failure
+        ? failure.message
+        : responseText.startsWith('❌') ? responseText.split('\n\n').slice(1, 2).join('') : null
+    }, context);
+
+    if (failure) {
+      throw failure;
+    }
+    if (record.result === 'failed' || !response?.content?.[0]) {
+      return response;
+    }
+
+    // 일괄 변경도 한 번에 되돌릴 수 있도록 배치 ID(감사 로그 ID) 안내
+    const [first, ...rest] = response.content;
+    return {
+      ...response,
+      content: [
+        { ...first, text: `${first.text}\n\n🧾 변경 배치 ID: ${record.id} (rollback_changes 도구에 batch_id로 입력하면 되돌릴 수 있습니다)` },
+        ...rest
+      ]
+    };
+  }
+
+  /**
+   * 변경 도구 실행 (dry_run 미리보기, 확인 토큰 검증 후 실행)
+   * @param {object} service - previewMutation을 구현한 매체 서비스
+   * @param {string} toolName - 도구 이름
+   * @param {object} args - 도구 인자 (dry_run, confirmation_token 포함 가능)
+   * @param {Function} execute - 실제 변경 실행 (args, {approvedChanges}) => MCP 응답
+   * @param {object} context - 감사 로그용 호출 정보 {transport, apiKey, ip}
+   * @returns {Promise<object>} MCP 응답
+   */
+  async run(service, toolName, args, execute, context = {}) {
+    const { dry_run, confirmation_token, ...toolArgs } = args || {};
+    const confirmationRequired = this.isConfirmationRequired(toolName);
+    let approvedChanges = null;
+
+    try {
+      if (dry_run || (confirmationRequired && !confirmation_token)) {
+        if (typeof service.previewMutation !== 'function') {
+          throw new Error(`미리보기를 지원하지 않는 도구입니다: ${toolName}`);
+        }
+
+        const changes = await service.previewMutation(toolName, toolArgs);
+        const token = confirmationRequired ? this.issueConfirmationToken(toolName, toolArgs, changes, context) : null;
+        return {
+          content: [
+            {
+              type: 'text',
+              text: formatMutationPreview(toolName, changes, {
+                token,
+                ttlMinutes: this.getConfirmationTtlMinutes(),
+                confirmationRequired: confirmationRequired && !dry_run
+              })
+            }
+          ]
+        };
+      }
+
+      // 확인 모드가 아니어도 토큰을 보냈으면 검증
+      if (confirmation_token) {
+        approvedChanges = this.consumeConfirmationToken(confirmation_token, toolName, toolArgs, context);
+      }
+    } catch (error) {
+      console.error(`변경 확인 실패 [${toolName}]:`, error.message);
+      return {
+        content: [
+          {
+            type: 'text',
+            text: `❌ **변경 확인 실패**\n\n${error.message}`
+          }
+        ]
+      };
+    }
+
+    return await this.executeWithAudit(service, toolName, toolArgs, execute, context, approvedChanges);
+  }
+}
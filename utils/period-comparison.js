@@ -0,0 +1,168 @@
+/**
+ * 기간 비교 계산 유틸리티
+ * 기준 기간과 비교 기간의 매체/캠페인/광고별 성과를 맞대어 증감을 계산
+ */
+
+import { calculateChange, summarizeMetrics } from './daily-trend-calculator.js';
+import { sortByMetric, resolveSortSettings } from './result-sorting.js';
+
+/**
+ * 증감을 계산할 지표 목록
+ */
+export const COMPARISON_METRICS = [
+  'spend',
+  'impressions',
+  'clicks',
+  'conversions',
+  'ctr',
+  'cpm',
+  'cpc',
+  'conversion_rate',
+  'cost_per_conversion'
+];
+
+/**
+ * 두 지표 묶음 사이의 증감 계산
+ * @param {object} previous - 비교 기간 지표 (summarizeMetrics 결과)
+ * @param {object} current - 기준 기간 지표 (summarizeMetrics 결과)
+ * @returns {object} 지표별 {change, changePercent}
+ */
+export function compareMetrics(previous, current) {
+  const changes = {};
+  COMPARISON_METRICS.forEach(metric => {
+    changes[metric] = calculateChange(previous[metric], current[metric]);
+  });
+  return changes;
+}
+
+/**
+ * 캠페인 식별 키
+ */
+function getCampaignKey(campaign) {
+  return String(campaign.campaign_id || campaign.id);
+}
+
+/**
+ * 광고가 속한 캠페인 식별 키 (groupAdsByCampaign과 동일한 기준)
+ */
+function getAdCampaignKey(ad) {
+  return String(ad.campaign_id || ad.parent_id);
+}
+
+/**
+ * 광고 식별 키
+ */
+function getAdKey(ad) {
+  return String(ad.ad_id || ad.ad_name || ad.name || '');
+}
+
+/**
+ * 두 기간에 걸친 항목들을 키 기준으로 묶음
+ * @param {Array} currentItems - 기준 기간 항목들
+ * @param {Array} previousItems - 비교 기간 항목들
+ * @param {Function} getKey - 항목 식별 키 함수
+ * @returns {Array} [{ first, current: [], previous: [] }] - first는 표시 정보를 가져올 첫 항목
+ */
+function groupByPeriod(currentItems, previousItems, getKey) {
+  const groups = new Map();
+
+  const addItems = (items, period) => {
+    items.forEach(item => {
+      const key = getKey(item);
+      if (!groups.has(key)) {
+        groups.set(key, { first: item, current: [], previous: [] });
+      }
+      groups.get(key)[period].push(item);
+    });
+  };
+
+  addItems(currentItems, 'current');
+  addItems(previousItems, 'previous');
+
+  return Array.from(groups.values());
+}
+
+/**
+ * 기준/비교 기간 지표와 증감을 묶은 비교 행 생성
+ */
+function createComparisonRow(info, currentItems, previousItems) {
+  const current = summarizeMetrics(currentItems);
+  const previous = summarizeMetrics(previousItems);
+  return {
+    ...info,
+    current,
+    previous,
+    changes: compareMetrics(previous, current)
+  };
+}
+
+/**
+ * 비교 행 정렬 (정렬: 설정이 있으면 기준 기간 지표 기준, 없으면 기준 기간 광고비 내림차순)
+ */
+function sortRows(rows, command) {
+  if (!command.sort && !command.limit) {
+    return rows.sort((a, b) => b.current.spend - a.current.spend);
+  }
+  const { metric, direction } = resolveSortSettings(command);
+  return sortByMetric(rows, row => row.current, metric, direction);
+}
+
+/**
+ * 기준 기간과 비교 기간의 통합 검색 결과를 비교
+ * @param {object} currentResults - 기준 기간 fetchAdLevelData 결과 { platform: {campaigns, ads, error} }
+ * @param {object} previousResults - 비교 기간 fetchAdLevelData 결과
+ * @param {object} command - 파싱된 명령어 객체 (startDate, endDate, compareStartDate, compareEndDate, compareType)
+ * @returns {object} 전체/매체/캠페인/광고별 비교 결과
+ */
+export function buildPeriodComparison(currentResults, previousResults, command) {
+  const platforms = {};
+  const allCurrentAds = [];
+  const allPreviousAds = [];
+
+  const platformKeys = [...new Set([...Object.keys(currentResults), ...Object.keys(previousResults)])];
+
+  platformKeys.forEach(platform => {
+    const current = currentResults[platform] || { campaigns: [], ads: [], error: null };
+    const previous = previousResults[platform] || { campaigns: [], ads: [], error: null };
+    const currentAds = current.ads || [];
+    const previousAds = previous.ads || [];
+
+    allCurrentAds.push(...currentAds);
+    allPreviousAds.push(...previousAds);
+
+    // 캠페인 목록은 두 기간의 합집합 (한쪽 기간에만 있으면 반대쪽은 0으로 계산)
+    const campaignRows = groupByPeriod(current.campaigns || [], previous.campaigns || [], getCampaignKey)
+      .map(({ first }) => {
+        const key = getCampaignKey(first);
+        const campaignCurrentAds = currentAds.filter(ad => getAdCampaignKey(ad) === key);
+        const campaignPreviousAds = previousAds.filter(ad => getAdCampaignKey(ad) === key);
+
+        const row = createComparisonRow({
+          campaign_id: first.campaign_id || first.id,
+          campaign_name: first.campaign_name || first.name
+        }, campaignCurrentAds, campaignPreviousAds);
+
+        row.ads = sortRows(groupByPeriod(campaignCurrentAds, campaignPreviousAds, getAdKey)
+          .map(group => createComparisonRow({
+            ad_id: group.first.ad_id,
+            ad_name: group.first.ad_name || group.first.name
+          }, group.current, group.previous)), command);
+
+        return row;
+      });
+
+    platforms[platform] = {
+      ...createComparisonRow({}, currentAds, previousAds),
+      campaigns: sortRows(campaignRows, command),
+      error: current.error || previous.error || null
+    };
+  });
+
+  return {
+    type: command.compareType,
+    currentPeriod: { startDate: command.startDate, endDate: command.endDate },
+    previousPeriod: { startDate: command.compareStartDate, endDate: command.compareEndDate },
+    total: createComparisonRow({}, allCurrentAds, allPreviousAds),
+    platforms
+  };
+}
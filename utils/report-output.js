@@ -0,0 +1,62 @@
+/**
+ * HTML 리포트 저장 위치 및 다운로드 링크 유틸리티
+ *
+ * 설정 (환경변수):
+ * - REPORT_OUTPUT_DIR=/var/reports            : 리포트 저장 폴더 (기본값: Render는 /tmp/mcp-html-reports, 로컬은 ./temp)
+ * - REPORT_BASE_URL=https://ads.example.com   : 리포트를 내려주는 자체 서버 주소 (/download/파일명 링크 생성)
+ * - REPORT_REMOTE_URL=https://other.example.com : 설정한 경우에만 이 서버의 /api/generate-html로 리포트 생성 요청 (API 키가 전송됨)
+ * - REPORT_REMOTE_API_KEY=mcpads_...             : 원격 서버에서 발급한 read 권한 API 키
+ *
+ * 다운로드 링크 우선순위: REPORT_BASE_URL → RENDER_EXTERNAL_URL → file:// 로컬 경로
+ */
+
+import path from 'path';
+import { pathToFileURL } from 'url';
+
+/**
+ * 리포트 저장 폴더
+ * @returns {string} 절대 경로
+ */
+export function getReportOutputDir() {
+  if (process.env.REPORT_OUTPUT_DIR) {
+    return path.resolve(process.env.REPORT_OUTPUT_DIR);
+  }
+  return process.env.RENDER_EXTERNAL_URL
+    ? '/tmp/mcp-html-reports'  // Render 프로덕션 환경
+    : path.join(process.cwd(), 'temp');  // 로컬 개발 환경
+}
+
+/**
+ * 리포트를 내려주는 서버 주소
+ * @returns {string|null} REPORT_BASE_URL 또는 RENDER_EXTERNAL_URL (끝의 / 제거), 없으면 null
+ */
+export function getReportBaseUrl() {
+  const baseUrl = process.env.REPORT_BASE_URL || process.env.RENDER_EXTERNAL_URL;
+  return baseUrl ? baseUrl.replace(/\/+$/, '') : null;
+}
+
+/**
+ * 저장한 리포트의 다운로드 링크
+ * @param {string} filePath - 저장한 파일의 절대 경로
+ * @returns {string} 자체 서버 다운로드 URL 또는 file:// URL
+ */
+export function getReportDownloadUrl(filePath) {
+  const baseUrl = getReportBaseUrl();
+  if (baseUrl) {
+    return `${baseUrl}/download/${encodeURIComponent(path.basename(filePath))}`;
+  }
+  return pathToFileURL(filePath).href;
+}
+
+/**
+ * 원격 리포트 생성 엔드포인트 (명시적으로 설정한 경우에만 사용)
+ * HTTP 서버 모드(RENDER_EXTERNAL_URL)에서는 자기 자신을 다시 호출하지 않도록 항상 로컬 생성
+ * @returns {string|null} /api/generate-html URL 또는 null (로컬 생성)
+ */
+export function getRemoteReportEndpoint() {
+  const remoteUrl = process.env.REPORT_REMOTE_URL;
+  if (!remoteUrl || process.env.RENDER_EXTERNAL_URL) {
+    return null;
+  }
+  return `${remoteUrl.replace(/\/+$/, '')}/api/generate-html`;
+}
@@ -0,0 +1,141 @@
+/**
+ * 리포트 공유 링크 서명 및 열람 로그인 유틸리티
+ *
+ * 설정 (환경변수):
+ * - REPORT_SHARE_SECRET=임의의긴문자열          : 공유 링크 HMAC 서명 키 (없으면 프로세스마다 임시 키 생성 → 재시작 시 기존 링크 무효)
+ * - REPORT_SHARE_TTL_HOURS=72                 : 공유 링크 기본 유효 시간 (기본값: 72시간)
+ * - REPORT_VIEWERS=kim:비밀번호1,lee:비밀번호2  : 내부용 리포트와 직접 다운로드에 필요한 열람 계정 (HTTP Basic 인증)
+ *
+ * 공유 토큰: base64url(JSON {r: 리포트 ID, l: 링크 ID, e: 만료 시각(초), m: 최대 다운로드 수}) + "." + HMAC-SHA256 서명
+ * 토큰은 서명과 만료만 검증하고, 폐기 여부와 다운로드 횟수는 리포트 보관함에서 확인
+ */
+
+import crypto from 'crypto';
+
+const DEFAULT_SHARE_TTL_HOURS = 72;
+
+let ephemeralSecret = null;
+
+/**
+ * 공유 링크 서명 키
+ * @returns {string} REPORT_SHARE_SECRET 또는 프로세스 임시 키
+ */
+function getShareSecret() {
+  if (process.env.REPORT_SHARE_SECRET) {
+    return process.env.REPORT_SHARE_SECRET;
+  }
+  if (!ephemeralSecret) {
+    ephemeralSecret = crypto.randomBytes(32).toString('hex');
+    console.error('⚠️ REPORT_SHARE_SECRET이 없어 임시 서명 키를 사용합니다 (서버 재시작 시 공유 링크 무효)');
+  }
+  return ephemeralSecret;
+}
+
+function sign(payload) {
+  return crypto.createHmac('sha256', getShareSecret()).update(payload).digest('base64url');
+}
+
+/**
+ * 공유 링크 기본 유효 시간
+ * @returns {number} 시간 단위
+ */
+export function getDefaultShareTtlHours() {
+  const hours = Number(process.env.REPORT_SHARE_TTL_HOURS);
+  return hours > 0 ? hours : DEFAULT_SHARE_TTL_HOURS;
+}
+
+/**
+ * 공유 토큰 생성 (같은 링크 정보로는 항상 같은 토큰)
+ * @param {object} link - {reportId, linkId, expiresAt: ISO 문자열, maxDownloads: number|null}
+ * @returns {string} 서명된 토큰
+ */
+export function createShareToken({ reportId, linkId, expiresAt, maxDownloads }) {
+  const payload = Buffer.from(JSON.stringify({
+    r: reportId,
+    l: linkId,
+    e: Math.floor(new Date(expiresAt).getTime() / 1000),
+    m: maxDownloads || null
+  })).toString('base64url');
+  return `${payload}.${sign(payload)}`;
+}
+
+/**
+ * 공유 토큰 검증
+ * @param {string} token - 서명된 토큰
+ * @returns {object} {reportId, linkId, expiresAt: Date, maxDownloads}
+ * @throws {Error} 서명이 맞지 않거나 만료된 경우 (error.code: invalid / expired, 만료 시 error.reportId/linkId 포함)
+ */
+export function verifyShareToken(token) {
+  const [payload, signature] = String(token || '').split('.');
+  const expected = payload ? sign(payload) : '';
+
+  if (!payload || !signature || signature.length !== expected.length ||
+      !crypto.timingSafeEqual(Buffer.from(signature), Buffer.from(expected))) {
+    throw Object.assign(new Error('유효하지 않은 공유 링크입니다'), { code: 'invalid' });
+  }
+
+  let data;
+  try {
+    data = JSON.parse(Buffer.from(payload, 'base64url').toString('utf8'));
+  } catch {
+    throw Object.assign(new Error('유효하지 않은 공유 링크입니다'), { code: 'invalid' });
+  }
+
+  const expiresAt = new Date(data.e * 1000);
+  if (expiresAt.getTime() <= Date.now()) {
+    throw Object.assign(new Error('만료된 공유 링크입니다'), { code: 'expired', reportId: data.r, linkId: data.l });
+  }
+
+  return { reportId: data.r, linkId: data.l, expiresAt, maxDownloads: data.m || null };
+}
+
+/**
+ * 열람 계정 목록
+ * @returns {Map<string, string>} 사용자명 → 비밀번호
+ */
+function getReportViewers() {
+  const viewers = new Map();
+  (process.env.REPORT_VIEWERS || '').split(',').forEach(entry => {
+    const separator = entry.indexOf(':');
+    if (separator > 0) {
+      viewers.set(entry.slice(0, separator).trim(), entry.slice(separator + 1).trim());
+    }
+  });
+  return viewers;
+}
+
+/**
+ * 열람 계정이 설정되어 있는지 확인
+ * @returns {boolean} 설정 여부
+ */
+export function hasReportViewers() {
+  return getReportViewers().size > 0;
+}
+
+/**
+ * HTTP Basic 인증 헤더로 열람 계정 확인
+ * @param {string} authorization - Authorization 헤더 값
+ * @returns {string|null} 로그인한 사용자명 (실패 시 null)
+ */
+export function authenticateReportViewer(authorization) {
+  const match = /^Basic\s+(.+)$/i.exec(authorization || '');
+  if (!match) {
+    return null;
+  }
+
+  const decoded = Buffer.from(match[1], 'base64').toString('utf8');
+  const separator = decoded.indexOf(':');
+  if (separator < 0) {
+    return null;
+  }
+
+  const username = decoded.slice(0, separator);
+  const expected = getReportViewers().get(username);
+  if (expected === undefined) {
+    return null;
+  }
+
+  // 길이가 달라도 비교 시간이 같도록 해시끼리 비교
+  const digest = value => crypto.createHash('sha256').update(value).digest();
+  return crypto.timingSafeEqual(digest(decoded.slice(separator + 1)), digest(expected)) ? username : null;
+}
@@ -0,0 +1,130 @@
+/**
+ * 검색 결과 정렬 및 상위/하위 N개 선택 유틸리티
+ *
+ * 문법:
+ * - 정렬:CPA        : CPA 내림차순 (기본값)
+ * - 정렬:CPA오름    : CPA 오름차순 (정렬:CTR_내림, 정렬:광고비,asc 형식도 허용)
+ * - 상위:10         : 정렬 지표 값이 가장 큰 10개
+ * - 하위:5          : 정렬 지표 값이 가장 작은 5개
+ *
+ * 값이 없는 항목(전환이 없는 광고의 CPA 등)은 정렬 방향과 관계없이 항상 뒤로 보냄
+ */
+
+import { findConditionMetric } from './metric-conditions.js';
+
+const DIRECTION_ALIASES = {
+  '오름': 'asc',
+  '오름차순': 'asc',
+  'asc': 'asc',
+  '내림': 'desc',
+  '내림차순': 'desc',
+  'desc': 'desc'
+};
+
+/**
+ * 정렬 옵션 파싱
+ * @param {string} value - 정렬 파라미터 값 (예: "CPA", "CPA오름", "CTR_내림")
+ * @returns {object} {metric, label, direction: 'asc'|'desc'|null} - 방향을 지정하지 않으면 null
+ * @throws {Error} 지원하지 않는 지표인 경우
+ */
+export function parseSortOption(value) {
+  const match = (value || '').match(/^(.+?)[,_]?(오름차순|내림차순|오름|내림|asc|desc)?$/i);
+  const metric = match ? findConditionMetric(match[1]) : null;
+
+  if (!metric) {
+    throw new Error(`지원하지 않는 정렬 지표입니다: "${value}" (예: 정렬:광고비, 정렬:CPA오름, 정렬:CTR내림)`);
+  }
+
+  return {
+    metric: metric.key,
+    label: metric.label,
+    direction: match[2] ? DIRECTION_ALIASES[match[2].toLowerCase()] : null
+  };
+}
+
+/**
+ * 정렬에 사용할 지표 값 (계산할 수 없는 값은 null)
+ * @param {object} metrics - summarizeMetrics 결과
+ * @param {string} metric - 지표 키
+ * @returns {number|null} 지표 값
+ */
+export function getSortValue(metrics, metric) {
+  if (metric === 'cost_per_conversion' && !(metrics.conversions > 0)) {
+    return null;
+  }
+  return Number(metrics[metric] || 0);
+}
+
+/**
+ * 지표 값 기준 정렬 (값이 없는 항목은 항상 뒤로)
+ * @param {Array} items - 정렬할 항목 배열
+ * @param {Function} getMetrics - 항목의 summarizeMetrics 결과를 반환하는 함수
+ * @param {string} metric - 지표 키
+ * @param {string} direction - 'asc' 또는 'desc'
+ * @returns {Array} 정렬된 새 배열
+ */
+export function sortByMetric(items, getMetrics, metric, direction) {
+  return items
+    .map((item, index) => ({ item, index, value: getSortValue(getMetrics(item), metric) }))
+    .sort((a, b) => {
+      if (a.value === null && b.value === null) return a.index - b.index;
+      if (a.value === null) return 1;
+      if (b.value === null) return -1;
+      const diff = direction === 'asc' ? a.value - b.value : b.value - a.value;
+      return diff !== 0 ? diff : a.index - b.index;
+    })
+    .map(({ item }) => item);
+}
+
+/**
+ * 명령어의 정렬/상위·하위 설정을 적용할 항목 선택
+ * 상위:N은 지표 값이 큰 N개, 하위:N은 작은 N개를 고른 뒤 정렬 방향대로 나열
+ * @param {Array} items - 정렬할 항목 배열
+ * @param {Function} getMetrics - 항목의 summarizeMetrics 결과를 반환하는 함수
+ * @param {object} command - 파싱된 명령어 객체 (sort, limit)
+ * @returns {Array} 정렬 및 선택된 새 배열
+ */
+export function rankItems(items, getMetrics, command) {
+  const { metric, direction } = resolveSortSettings(command);
+  let ranked = items;
+
+  if (command.limit) {
+    const selectDirection = command.limit.type === 'bottom' ? 'asc' : 'desc';
+    ranked = sortByMetric(ranked, getMetrics, metric, selectDirection).slice(0, command.limit.count);
+  }
+
+  return sortByMetric(ranked, getMetrics, metric, direction);
+}
+
+/**
+ * 명령어의 정렬 지표와 방향 결정
+ * 정렬 지표가 없으면 광고비, 방향이 없으면 하위:N일 때 오름차순, 그 외 내림차순
+ * @param {object} command - 파싱된 명령어 객체
+ * @returns {object} {metric, label, direction}
+ */
+export function resolveSortSettings(command) {
+  const sort = command.sort || { metric: 'spend', label: '광고비', direction: null };
+  return {
+    metric: sort.metric,
+    label: sort.label,
+    direction: sort.direction || (command.limit?.type === 'bottom' ? 'asc' : 'desc')
+  };
+}
+
+/**
+ * 정렬/상위·하위 설정을 요약 텍스트로 변환
+ * @param {object} command - 파싱된 명령어 객체
+ * @returns {string|null} 예: "CPA 오름차순, 하위 5개" (설정이 없으면 null)
+ */
+export function describeSortSettings(command) {
+  if (!command.sort && !command.limit) {
+    return null;
+  }
+
+  const { label, direction } = resolveSortSettings(command);
+  let text = `${label} ${direction === 'asc' ? '오름차순' : '내림차순'}`;
+  if (command.limit) {
+    text += `, ${command.limit.type === 'bottom' ? '하위' : '상위'} ${command.limit.count}개`;
+  }
+  return text;
+}
@@ -0,0 +1,112 @@
+/**
+ * 해시태그 분류 기준 성과 피벗 유틸리티
+ * 통합 검색 결과(detailedResults)의 광고별 성과를 태그 기준으로 다시 묶음 (추가 API 호출 없음)
+ *
+ * 피벗 기준:
+ * - 분류 체계 필드: 담당자, 업종, 과금, 광고주 (예: 피벗:담당자 → 담당자별 성과)
+ * - 태그 목록: 쉼표로 구분한 해시태그 (예: 피벗:숏폼,이미지 → #숏폼 vs #이미지 소재 성과)
+ */
+
+import { summarizeMetrics } from './daily-trend-calculator.js';
+import { getTaxonomyFields } from './campaign-taxonomy.js';
+
+/**
+ * 분류되지 않은 광고 행 이름
+ */
+export const UNCLASSIFIED_LABEL = '(미분류)';
+
+/**
+ * 피벗 기준 문자열 해석
+ * @param {string} dimension - 분류 체계 필드명(라벨, 별칭, key) 또는 쉼표로 구분한 태그 목록
+ * @returns {object} {type: 'field', key, label} 또는 {type: 'tags', tags, label}
+ * @throws {Error} 피벗 기준이 비어 있는 경우
+ */
+export function resolvePivotDimension(dimension) {
+  const value = (dimension || '').trim();
+  if (!value) {
+    throw new Error('피벗 기준이 필요합니다 (예: 피벗:담당자, 피벗:숏폼,이미지)');
+  }
+
+  const field = getTaxonomyFields().find(taxonomyField =>
+    [taxonomyField.label, taxonomyField.key, ...(taxonomyField.aliases || [])]
+      .some(name => name.toLowerCase() === value.toLowerCase())
+  );
+
+  if (field) {
+    return { type: 'field', key: field.key, label: field.label };
+  }
+
+  const tags = value.split(',').map(tag => tag.trim().replace(/^#/, '')).filter(Boolean);
+  return { type: 'tags', tags, label: tags.map(tag => `#${tag}`).join(' vs ') };
+}
+
+/**
+ * 광고가 속하는 피벗 행 값 목록
+ * 태그 목록 기준일 때 여러 태그를 가진 광고는 각 행에 모두 포함됨
+ */
+function getPivotValues(ad, dimension) {
+  if (dimension.type === 'field') {
+    return [ad.taxonomy?.[dimension.key] || UNCLASSIFIED_LABEL];
+  }
+
+  const adTags = (ad.tags || []).map(tag => tag.toLowerCase());
+  const matchedTags = dimension.tags.filter(tag => adTags.includes(tag.toLowerCase()));
+  return matchedTags.length > 0 ? matchedTags.map(tag => `#${tag}`) : [UNCLASSIFIED_LABEL];
+}
+
+/**
+ * 통합 검색 결과를 태그 기준으로 피벗
+ * @param {object} detailedResults - fetchAdLevelData 결과 { platform: {campaigns, ads, error} }
+ * @param {string|object} dimension - 피벗 기준 문자열 또는 resolvePivotDimension 결과
+ * @returns {object} {dimension, rows: [{value, metrics, campaignCount, adCount, platforms}], total}
+ */
+export function buildTaxonomyPivot(detailedResults, dimension) {
+  const resolvedDimension = typeof dimension === 'string' ? resolvePivotDimension(dimension) : dimension;
+  const groups = new Map();
+  const allAds = [];
+
+  Object.entries(detailedResults).forEach(([platform, { ads, error }]) => {
+    if (error) {
+      return;
+    }
+
+    (ads || []).forEach(ad => {
+      allAds.push(ad);
+
+      getPivotValues(ad, resolvedDimension).forEach(value => {
+        if (!groups.has(value)) {
+          groups.set(value, { ads: [], campaignKeys: new Set(), platforms: {} });
+        }
+
+        const group = groups.get(value);
+        group.ads.push(ad);
+        group.campaignKeys.add(`${platform}:${ad.campaign_id || ad.parent_id}`);
+        group.platforms[platform] = group.platforms[platform] || [];
+        group.platforms[platform].push(ad);
+      });
+    });
+  });
+
+  const rows = Array.from(groups.entries())
+    .map(([value, group]) => ({
+      value,
+      metrics: summarizeMetrics(group.ads),
+      campaignCount: group.campaignKeys.size,
+      adCount: group.ads.length,
+      platforms: Object.fromEntries(
+        Object.entries(group.platforms).map(([platform, platformAds]) => [platform, summarizeMetrics(platformAds)])
+      )
+    }))
+    .sort((a, b) => {
+      // 미분류 행은 항상 마지막
+      if (a.value === UNCLASSIFIED_LABEL) return 1;
+      if (b.value === UNCLASSIFIED_LABEL) return -1;
+      return b.metrics.spend - a.metrics.spend;
+    });
+
+  return {
+    dimension: resolvedDimension,
+    rows,
+    total: summarizeMetrics(allAds)
+  };
+}
@@ -0,0 +1,134 @@
+/**
+ * MCP 도구 분류 및 노출 정책 유틸리티
+ *
+ * 분류:
+ * - read   : 조회/리포트 도구 (기본값)
+ * - mutate : 캠페인/광고그룹/광고 상태·예산 변경, 변경 되돌리기 등 광고 계정을 변경하는 도구
+ * - admin  : 리포트 삭제, 공유 링크 생성/폐기 등 관리 도구
+ *
+ * 분류별로 필요한 API 키 권한(scope): read → read, mutate → write, admin → admin
+ *
+ * 노출 정책 (환경변수, 도구 목록과 도구 호출에 똑같이 적용):
+ * - READ_ONLY_MODE=true                      : mutate, admin 도구 전체 비활성화
+ * - DISABLED_TOOL_CATEGORIES=admin           : 지정한 분류 비활성화 (쉼표로 구분)
+ * - ENABLED_TOOLS=structured_*,report_list   : 지정한 패턴의 도구만 사용 (쉼표로 구분, * 와일드카드)
+ * - DISABLED_TOOLS=facebook_bulk_*,google_*  : 지정한 패턴의 도구 제외
+ *
+ * 레거시 Facebook 도구(접두사 없는 이름)는 facebook_ 이름과 레거시 이름 중 하나라도 제외 패턴에 맞으면 제외
+ */
+
+/**
+ * 광고 계정을 변경하는 도구 이름 패턴 (레거시 접두사 없는 Facebook 도구 포함)
+ */
+const MUTATE_TOOL_PATTERNS = [
+  /(^|_)toggle_/,
+  /(^|_)bulk_toggle_/,
+  /(^|_)set_budget$/
+];
+
+/**
+ * 이름 패턴과 무관하게 광고 계정을 변경하는 도구
+ */
+const MUTATE_TOOLS = new Set([
+  'undo_last_change',
+  'rollback_changes'
+]);
+
+/**
+ * 관리 도구 이름
+ */
+const ADMIN_TOOLS = new Set([
+  'report_delete',
+  'report_share',
+  'report_revoke_share'
+]);
+
+const CATEGORY_SCOPES = {
+  read: 'read',
+  mutate: 'write',
+  admin: 'admin'
+};
+
+export const TOOL_CATEGORIES = Object.keys(CATEGORY_SCOPES);
+
+/**
+ * 도구 분류
+ * @param {string} toolName - 도구 이름
+ * @returns {string} read, mutate 또는 admin
+ */
+export function getToolCategory(toolName) {
+  if (ADMIN_TOOLS.has(toolName)) {
+    return 'admin';
+  }
+  if (MUTATE_TOOLS.has(toolName) || MUTATE_TOOL_PATTERNS.some(pattern => pattern.test(toolName))) {
+    return 'mutate';
+  }
+  return 'read';
+}
+
+/**
+ * 도구 호출에 필요한 API 키 권한
+ * @param {string} toolName - 도구 이름
+ * @returns {string} read, write 또는 admin
+ */
+export function getToolScope(toolName) {
+  return CATEGORY_SCOPES[getToolCategory(toolName)];
+}
+
+function parsePatternList(value) {
+  return (value || '').split(',').map(item => item.trim()).filter(Boolean);
+}
+
+/**
+ * 와일드카드 패턴 매칭 (* 는 임의의 문자열)
+ * @param {string} toolName - 도구 이름
+ * @param {string} pattern - 도구 이름 패턴
+ * @returns {boolean} 일치 여부
+ */
+function matchesToolPattern(toolName, pattern) {
+  const escaped = pattern.replace(/[.+?^${}()|[\]\\]/g, '\\$&').replace(/\*/g, '.*');
+  return new RegExp(`^${escaped}$`).test(toolName);
+}
+
+/**
+ * 환경변수의 도구 노출 정책
+ * @returns {object} {disabledCategories: Set<string>, enabledPatterns: Array<string>, disabledPatterns: Array<string>}
+ * @throws {Error} 지원하지 않는 분류를 지정한 경우
+ */
+export function getToolPolicy() {
+  const disabledCategories = new Set(parsePatternList(process.env.DISABLED_TOOL_CATEGORIES).map(item => item.toLowerCase()));
+  if (String(process.env.READ_ONLY_MODE || '').toLowerCase() === 'true') {
+    disabledCategories.add('mutate');
+    disabledCategories.add('admin');
+  }
+
+  const unknown = [...disabledCategories].filter(category => !TOOL_CATEGORIES.includes(category));
+  if (unknown.length > 0) {
+    throw new Error(`DISABLED_TOOL_CATEGORIES에 지원하지 않는 분류가 있습니다: ${unknown.join(', ')} (${TOOL_CATEGORIES.join(', ')}만 가능)`);
+  }
+
+  return {
+    disabledCategories,
+    enabledPatterns: parsePatternList(process.env.ENABLED_TOOLS),
+    disabledPatterns: parsePatternList(process.env.DISABLED_TOOLS)
+  };
+}
+
+/**
+ * 정책상 도구를 노출/호출할 수 있는지 확인
+ * @param {string|Array<string>} toolNames - 도구 이름 (레거시 도구는 [레거시 이름, facebook_ 이름])
+ * @param {object} policy - getToolPolicy 결과 (기본값: 현재 환경변수)
+ * @returns {boolean} 사용 가능 여부
+ */
+export function isToolEnabled(toolNames, policy = getToolPolicy()) {
+  const names = Array.isArray(toolNames) ? toolNames : [toolNames];
+
+  if (names.some(name => policy.disabledCategories.has(getToolCategory(name)))) {
+    return false;
+  }
+  if (names.some(name => policy.disabledPatterns.some(pattern => matchesToolPattern(name, pattern)))) {
+    return false;
+  }
+  return policy.enabledPatterns.length === 0 ||
+    names.some(name => policy.enabledPatterns.some(pattern => matchesToolPattern(name, pattern)));
+}